@@ -0,0 +1,164 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import {
+  bulkUpdatePosts,
+  deleteUserAccount,
+  getSiteStats,
+} from "../services/admin";
+import { createUser, loginUser, setUserSuspended } from "../services/users";
+import { createComment, listCommentsByPost } from "../services/comments";
+import { refreshSession } from "../services/sessions";
+import { createPost, getPostById } from "../services/posts";
+import { Post } from "../db/models/post";
+import { User } from "../db/models/user";
+import { Comment } from "../db/models/comment";
+
+let author;
+
+beforeEach(async () => {
+  process.env.JWT_SECRET ||= "test-secret";
+  await Post.deleteMany({}).exec();
+  await Comment.deleteMany({}).exec();
+  await User.deleteMany({ username: { $in: ["adminauthor", "bystander"] } });
+  author = await createUser({
+    username: "adminauthor",
+    email: "adminauthor@example.com",
+    password: "adminpassword",
+  });
+});
+
+describe("Suspension", () => {
+  test("suspended users cannot log in", async () => {
+    const suspended = await setUserSuspended(author._id, true);
+    expect(suspended.suspendedAt).toBeInstanceOf(Date);
+
+    const result = await loginUser("adminauthor", "adminpassword");
+
+    expect(result).toMatchObject({ ok: false, status: 403 });
+  });
+
+  test("suspending ends existing sessions", async () => {
+    const { refreshToken } = await loginUser("adminauthor", "adminpassword");
+
+    await setUserSuspended(author._id, true);
+
+    expect((await refreshSession(refreshToken)).ok).toBe(false);
+  });
+
+  test("reinstated users can log in again", async () => {
+    await setUserSuspended(author._id, true);
+    const reinstated = await setUserSuspended(author._id, false);
+
+    expect(reinstated.suspendedAt).toBeNull();
+    expect((await loginUser("adminauthor", "adminpassword")).ok).toBe(true);
+  });
+});
+
+describe("Deleting a user", () => {
+  test("removes their posts and comments but keeps other threads", async () => {
+    const bystander = await createUser({
+      username: "bystander",
+      email: "bystander@example.com",
+      password: "bystanderpassword",
+    });
+    const ownPost = await createPost({ title: "Mine", author: author._id });
+    const otherPost = await createPost({
+      title: "Theirs",
+      author: bystander._id,
+    });
+    const comment = await createComment({
+      post: otherPost._id,
+      author: author._id,
+      contents: "Soon gone",
+    });
+    await createComment({
+      post: otherPost._id,
+      author: bystander._id,
+      parent: comment._id,
+      contents: "A reply that stays",
+    });
+
+    expect(await deleteUserAccount(author._id)).toBe(true);
+
+    expect(await User.findById(author._id)).toBeNull();
+    expect(await getPostById(ownPost._id)).toBeNull();
+    const thread = await listCommentsByPost(otherPost._id);
+    expect(thread.map((c) => c.contents)).toEqual([
+      "[deleted]",
+      "A reply that stays",
+    ]);
+  });
+
+  test("returns false for an unknown user", async () => {
+    expect(await deleteUserAccount("0".repeat(24))).toBe(false);
+  });
+});
+
+describe("Bulk post actions", () => {
+  let posts;
+
+  beforeEach(async () => {
+    posts = await Promise.all(
+      ["One", "Two", "Three"].map((title) =>
+        createPost({ title, author: author._id }),
+      ),
+    );
+  });
+
+  test("feature and unfeature pin posts", async () => {
+    const ids = posts.slice(0, 2).map((post) => post._id);
+
+    expect(await bulkUpdatePosts(ids, "feature")).toBe(2);
+    expect(await Post.countDocuments({ pinned: true })).toBe(2);
+
+    await bulkUpdatePosts(ids, "unfeature");
+    expect(await Post.countDocuments({ pinned: true })).toBe(0);
+  });
+
+  test("unpublish turns posts into drafts", async () => {
+    await bulkUpdatePosts([posts[0]._id], "unpublish");
+
+    const post = await getPostById(posts[0]._id);
+    expect(post.status).toBe("draft");
+    expect(post.publishAt).toBeNull();
+  });
+
+  test("delete removes the posts and counts only existing ones", async () => {
+    const ids = [posts[0]._id, posts[1]._id, "0".repeat(24)];
+
+    expect(await bulkUpdatePosts(ids, "delete")).toBe(2);
+    expect(await Post.countDocuments()).toBe(1);
+  });
+});
+
+describe("Site statistics", () => {
+  test("counts posts and signups per day and ranks authors", async () => {
+    const now = new Date("2026-03-10T12:00:00Z");
+    await createPost({ title: "Today", author: author._id });
+    await createPost({ title: "Also today", author: author._id });
+    await Post.collection.updateMany(
+      {},
+      { $set: { createdAt: new Date("2026-03-10T08:00:00Z") } },
+    );
+    const old = await createPost({ title: "Old", author: author._id });
+    await Post.collection.updateOne(
+      { _id: old._id },
+      { $set: { createdAt: new Date("2026-03-08T23:00:00Z") } },
+    );
+    await User.collection.updateOne(
+      { _id: author._id },
+      { $set: { createdAt: new Date("2026-03-09T10:00:00Z") } },
+    );
+
+    const stats = await getSiteStats({ days: 3, now });
+
+    expect(stats.postsPerDay).toEqual([
+      { date: "2026-03-08", count: 1 },
+      { date: "2026-03-09", count: 0 },
+      { date: "2026-03-10", count: 2 },
+    ]);
+    expect(stats.signupsPerDay[1]).toEqual({ date: "2026-03-09", count: 1 });
+    expect(stats.topAuthors).toEqual([{ username: "adminauthor", posts: 3 }]);
+    expect(stats.totals.posts).toBe(3);
+    expect(stats.totals.publishedPosts).toBe(3);
+  });
+});
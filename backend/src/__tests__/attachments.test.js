@@ -0,0 +1,102 @@
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { describe, expect, test, beforeAll, afterAll } from "@jest/globals";
+import {
+  matchesMimeType,
+  createAttachment,
+  listAttachmentsByOwner,
+  getAttachmentByUrl,
+  deleteAttachment,
+} from "../services/attachments";
+import { setStorage } from "../storage/index";
+import { createLocalStorage } from "../storage/local";
+import { findUserId } from "../services/users";
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]);
+
+let userId;
+let directory;
+
+beforeAll(async () => {
+  // The global Jest setup seeds 'testuser'
+  userId = await findUserId("testuser");
+  directory = await mkdtemp(join(tmpdir(), "blog-uploads-"));
+  setStorage(createLocalStorage({ directory }));
+});
+
+afterAll(async () => {
+  setStorage(null);
+  await rm(directory, { recursive: true, force: true });
+});
+
+describe("Attachments", () => {
+  test("accepts files whose bytes match the declared type", () => {
+    expect(matchesMimeType(PNG, "image/png")).toBe(true);
+    expect(matchesMimeType(Buffer.from("%PDF-1.7"), "application/pdf")).toBe(
+      true,
+    );
+  });
+
+  test("rejects disguised and unsupported files", () => {
+    expect(matchesMimeType(Buffer.from("<svg/>"), "image/png")).toBe(false);
+    expect(matchesMimeType(Buffer.from("RIFF0000WAVE"), "image/webp")).toBe(
+      false,
+    );
+    expect(matchesMimeType(Buffer.from("<svg/>"), "image/svg+xml")).toBe(false);
+  });
+
+  test("stores the file and records its owner", async () => {
+    const attachment = await createAttachment({
+      owner: userId,
+      file: {
+        buffer: PNG,
+        originalname: "../../cover.PNG",
+        mimetype: "image/png",
+        size: PNG.length,
+      },
+    });
+
+    // The stored name is generated, with the extension of the file's type.
+    expect(attachment.key).toMatch(/^[0-9a-f-]{36}\.png$/);
+    expect(attachment.url).toBe(`/api/v1/uploads/files/${attachment.key}`);
+    expect(await readFile(join(directory, attachment.key))).toEqual(PNG);
+
+    const mine = await listAttachmentsByOwner(userId);
+    expect(mine.map((a) => a.key)).toContain(attachment.key);
+    const byUrl = await getAttachmentByUrl(attachment.url);
+    expect(byUrl.owner.toString()).toBe(userId.toString());
+  });
+
+  test("names the file after its type, not the client's file name", async () => {
+    const attachment = await createAttachment({
+      owner: userId,
+      file: {
+        buffer: PNG,
+        originalname: "evil.html",
+        mimetype: "image/png",
+        size: PNG.length,
+      },
+    });
+
+    expect(attachment.key).toMatch(/^[0-9a-f-]{36}\.png$/);
+    expect(attachment.originalName).toBe("evil.html");
+  });
+
+  test("deletes the file along with its metadata", async () => {
+    const attachment = await createAttachment({
+      owner: userId,
+      file: {
+        buffer: PNG,
+        originalname: "gone.png",
+        mimetype: "image/png",
+        size: PNG.length,
+      },
+    });
+
+    await deleteAttachment(attachment);
+
+    await expect(readFile(join(directory, attachment.key))).rejects.toThrow();
+    expect(await getAttachmentByUrl(attachment.url)).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+import { describe, expect, test, beforeAll, beforeEach } from "@jest/globals";
+import {
+  createComment,
+  listCommentsByPost,
+  updateComment,
+  deleteComment,
+} from "../services/comments";
+import { createPost, deletePost } from "../services/posts";
+import { Comment } from "../db/models/comment";
+import { findUserId } from "../services/users";
+
+let userId;
+let post;
+
+beforeAll(async () => {
+  // The global Jest setup seeds 'testuser'
+  userId = await findUserId("testuser");
+});
+
+beforeEach(async () => {
+  await Comment.deleteMany({}).exec();
+  post = await createPost({ title: "Discussed Post", author: userId });
+});
+
+describe("Comments", () => {
+  test("lists top-level comments and replies with usernames", async () => {
+    const root = await createComment({
+      post: post._id,
+      author: userId,
+      contents: "First!",
+    });
+    await createComment({
+      post: post._id,
+      author: userId,
+      parent: root._id,
+      contents: "A reply",
+    });
+
+    const comments = await listCommentsByPost(post._id);
+    expect(comments.length).toBe(2);
+    expect(comments[0].parent).toBeNull();
+    expect(comments[0].author).toBe("testuser");
+    expect(comments[1].parent.toString()).toBe(root._id.toString());
+  });
+
+  test("updates the contents of a comment", async () => {
+    const comment = await createComment({
+      post: post._id,
+      author: userId,
+      contents: "Typo",
+    });
+    const updated = await updateComment(comment._id, { contents: "Fixed" });
+    expect(updated.contents).toBe("Fixed");
+    expect(updated.author).toBe("testuser");
+  });
+
+  test("soft-deletes a comment that has replies", async () => {
+    const root = await createComment({
+      post: post._id,
+      author: userId,
+      contents: "Parent",
+    });
+    const reply = await createComment({
+      post: post._id,
+      author: userId,
+      parent: root._id,
+      contents: "Child",
+    });
+
+    await deleteComment(root._id);
+    await deleteComment(reply._id);
+
+    const comments = await listCommentsByPost(post._id);
+    expect(comments.length).toBe(1);
+    expect(comments[0].deleted).toBe(true);
+    expect(comments[0].author).toBeNull();
+  });
+
+  test("deleting a post removes its comments", async () => {
+    await createComment({ post: post._id, author: userId, contents: "Bye" });
+    await deletePost(post._id);
+    expect(await Comment.countDocuments({ post: post._id })).toBe(0);
+  });
+
+  test("requires contents", async () => {
+    await expect(
+      createComment({ post: post._id, author: userId }),
+    ).rejects.toBeInstanceOf(mongoose.Error.ValidationError);
+  });
+});
@@ -0,0 +1,19 @@
+import { describe, expect, test } from "@jest/globals";
+import { trustProxy } from "../config/env";
+
+describe("Configuration", () => {
+  test("trusts no proxy unless TRUST_PROXY is set", () => {
+    expect(trustProxy(undefined)).toBe(false);
+    expect(trustProxy("")).toBe(false);
+    expect(trustProxy("false")).toBe(false);
+  });
+
+  test("reads a hop count, true or a list of addresses", () => {
+    expect(trustProxy("1")).toBe(1);
+    expect(trustProxy("true")).toBe(true);
+    expect(trustProxy("loopback, 10.0.0.0/8")).toEqual([
+      "loopback",
+      "10.0.0.0/8",
+    ]);
+  });
+});
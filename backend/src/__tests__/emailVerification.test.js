@@ -0,0 +1,111 @@
+import {
+  describe,
+  expect,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import jwt from "jsonwebtoken";
+import {
+  canPublish,
+  resendVerificationEmail,
+  sendVerificationEmail,
+  verifyEmail,
+} from "../services/emailVerification";
+import { createUser, deleteUser } from "../services/users";
+import { User } from "../db/models/user";
+import { setMailTransport } from "../mail";
+
+let user;
+let sent;
+
+// Pull the token out of the verification link in the last email sent.
+function lastToken() {
+  const link = sent.at(-1).text.match(/https?:\/\/\S+/)[0];
+  return new URL(link).searchParams.get("token");
+}
+
+beforeAll(async () => {
+  process.env.JWT_SECRET ||= "test-secret";
+  user = await createUser({
+    username: "verifyuser",
+    email: "verify@example.com",
+    password: "password",
+  });
+});
+
+afterAll(async () => {
+  await deleteUser("verifyuser");
+});
+
+beforeEach(async () => {
+  sent = [];
+  setMailTransport({ send: async (message) => sent.push(message) });
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { email: "verify@example.com", emailVerified: false } },
+  );
+});
+
+afterEach(() => {
+  delete process.env.REQUIRE_EMAIL_VERIFICATION;
+});
+
+describe("Email verification", () => {
+  test("new users start unverified", () => {
+    expect(user.emailVerified).toBe(false);
+  });
+
+  test("the emailed link verifies the address", async () => {
+    await sendVerificationEmail(user);
+    expect(sent[0].to).toBe("verify@example.com");
+
+    const result = await verifyEmail(lastToken());
+
+    expect(result.ok).toBe(true);
+    expect(result.user.emailVerified).toBe(true);
+    expect(result.user.passwordHash).toBeUndefined();
+  });
+
+  test("rejects tokens for another purpose or a changed address", async () => {
+    const otherPurpose = jwt.sign(
+      { sub: user._id.toString(), email: user.email, purpose: "other" },
+      process.env.JWT_SECRET,
+    );
+    expect((await verifyEmail(otherPurpose)).ok).toBe(false);
+
+    await sendVerificationEmail(user);
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { email: "changed@example.com" } },
+    );
+    expect((await verifyEmail(lastToken())).ok).toBe(false);
+    expect((await verifyEmail("garbage")).ok).toBe(false);
+  });
+
+  test("resends only to unverified accounts", async () => {
+    await resendVerificationEmail("nobody@example.com");
+    expect(sent).toHaveLength(0);
+
+    await resendVerificationEmail("verify@example.com");
+    expect(sent).toHaveLength(1);
+
+    await verifyEmail(lastToken());
+    await resendVerificationEmail("verify@example.com");
+    expect(sent).toHaveLength(1);
+  });
+
+  test("publishing needs a verified address when verification is required", async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = "false";
+    expect(await canPublish(user._id)).toBe(true);
+
+    process.env.REQUIRE_EMAIL_VERIFICATION = "true";
+    expect(await canPublish(user._id)).toBe(false);
+
+    await sendVerificationEmail(user);
+    await verifyEmail(lastToken());
+    expect(await canPublish(user._id)).toBe(true);
+  });
+});
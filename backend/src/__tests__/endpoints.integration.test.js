@@ -38,6 +38,8 @@ let authToken = null;
 let testUser = null;
 let testUserId = null;
 let testPost = null;
+let otherUserId = null;
+let otherAuthToken = null;
 
 // Helper function to make API requests
 const api = axios.create({
@@ -104,6 +106,24 @@ beforeAll(async () => {
     authToken = loginResponse.data.token;
     console.log("Auth token obtained");
   }
+
+  // Create a second user to exercise ownership checks
+  const otherPassword = "OtherPassword123";
+  const otherSignup = await api.post("/user/signup", {
+    username: `otheruser_${Date.now()}`,
+    email: `other_${Date.now()}@example.com`,
+    password: otherPassword,
+  });
+  if (otherSignup.status === 201) {
+    otherUserId = otherSignup.data._id;
+    const otherLogin = await api.post("/user/login", {
+      username: otherSignup.data.username,
+      password: otherPassword,
+    });
+    if (otherLogin.status === 200) {
+      otherAuthToken = otherLogin.data.token;
+    }
+  }
 }, 30000);
 
 afterAll(async () => {
@@ -111,6 +131,9 @@ afterAll(async () => {
   if (testUserId) {
     await User.deleteOne({ _id: testUserId });
   }
+  if (otherUserId) {
+    await User.deleteOne({ _id: otherUserId });
+  }
   if (testPost) {
     await Post.deleteOne({ _id: testPost._id });
   }
@@ -141,7 +164,7 @@ describe("User API", () => {
       const firstResponse = await api.post("/user/signup", {
         username,
         email,
-        password: "Pass123",
+        password: "Pass1234",
       });
       expect(firstResponse.status).toBe(201);
 
@@ -149,11 +172,11 @@ describe("User API", () => {
       const secondResponse = await api.post("/user/signup", {
         username, // Same username
         email: `different_${Date.now()}@example.com`,
-        password: "Pass123",
+        password: "Pass1234",
       });
 
       expect(secondResponse.status).toBe(400);
-      expect(secondResponse.data).toHaveProperty("error");
+      expect(secondResponse.data).toHaveProperty("detail");
     });
 
     test("should fail with missing required fields", async () => {
@@ -176,6 +199,25 @@ describe("User API", () => {
         expect(response.status).toBe(400);
       });
     });
+
+    test("should report every invalid field", async () => {
+      const response = await api.post("/user/signup", {
+        username: "x",
+        email: "not-an-email",
+        password: "short",
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.data.errors.map((error) => error.field).sort()).toEqual([
+        "email",
+        "password",
+        "username",
+      ]);
+      response.data.errors.forEach((error) => {
+        expect(error.location).toBe("body");
+        expect(typeof error.message).toBe("string");
+      });
+    });
   });
 
   describe("POST /user/login", () => {
@@ -199,7 +241,7 @@ describe("User API", () => {
       });
 
       expect(response.status).toBe(401);
-      expect(response.data).toHaveProperty("error");
+      expect(response.data).toHaveProperty("detail");
     });
 
     test("should fail with nonexistent user", async () => {
@@ -209,7 +251,7 @@ describe("User API", () => {
       });
 
       expect(response.status).toBe(401);
-      expect(response.data).toHaveProperty("error");
+      expect(response.data).toHaveProperty("detail");
     });
 
     test("should return token in proper JWT format", async () => {
@@ -226,6 +268,200 @@ describe("User API", () => {
     });
   });
 
+  describe("POST /user/refresh", () => {
+    test("should rotate the refresh token and reject its reuse", async () => {
+      const login = await api.post("/user/login", {
+        username: testUser.username,
+        password: "TestPassword123",
+      });
+      const { refreshToken } = login.data;
+      expect(refreshToken).toBeDefined();
+
+      const refreshed = await api.post("/user/refresh", { refreshToken });
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.data).toHaveProperty("token");
+      expect(refreshed.data.refreshToken).not.toBe(refreshToken);
+
+      const replay = await api.post("/user/refresh", { refreshToken });
+      expect(replay.status).toBe(401);
+    });
+
+    test("should require a refresh token", async () => {
+      const response = await api.post("/user/refresh", {});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Email verification", () => {
+    test("should reject signups without a valid email", async () => {
+      const response = await api.post("/user/signup", {
+        username: `bademail_${Date.now()}`,
+        email: "not-an-email",
+        password: "SecurePass123",
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should say whether verification is required on signup", async () => {
+      const username = `verifyme_${Date.now()}`;
+      const response = await api.post("/user/signup", {
+        username,
+        email: `${username}@example.com`,
+        password: "SecurePass123",
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.data.emailVerified).toBe(false);
+      expect(typeof response.data.verificationRequired).toBe("boolean");
+      await User.deleteOne({ _id: response.data._id });
+    });
+
+    test("should reject an invalid verification token", async () => {
+      const response = await api.post("/user/verify-email", {
+        token: "not-a-real-token",
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should rate limit resending the verification email", async () => {
+      const email = `ratelimit_${Date.now()}@example.com`;
+      const statuses = [];
+      for (let i = 0; i < 4; i++) {
+        const response = await api.post("/user/resend-verification", {
+          email,
+        });
+        statuses.push(response.status);
+      }
+
+      expect(statuses).toEqual([202, 202, 202, 429]);
+    });
+  });
+
+  describe("Password reset", () => {
+    test("should accept forgot-password requests for any address", async () => {
+      const known = await api.post("/user/forgot-password", {
+        email: testUser.email,
+      });
+      const unknown = await api.post("/user/forgot-password", {
+        email: `nobody_${Date.now()}@example.com`,
+      });
+
+      expect(known.status).toBe(202);
+      expect(unknown.status).toBe(202);
+      expect(unknown.data).toEqual(known.data);
+    });
+
+    test("should require an email", async () => {
+      const response = await api.post("/user/forgot-password", {});
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should rate limit password reset requests", async () => {
+      const email = `reset_ratelimit_${Date.now()}@example.com`;
+      const statuses = [];
+      for (let i = 0; i < 4; i++) {
+        const response = await api.post("/user/forgot-password", { email });
+        statuses.push(response.status);
+      }
+
+      expect(statuses).toEqual([202, 202, 202, 429]);
+    });
+
+    test("should reject an invalid reset token", async () => {
+      const response = await api.post("/user/reset-password", {
+        token: "not-a-real-token",
+        password: "NewPassword123",
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Sessions and logout", () => {
+    const login = () =>
+      api.post("/user/login", {
+        username: testUser.username,
+        password: "TestPassword123",
+      });
+
+    test("should list sessions and flag the current one", async () => {
+      const response = await apiWithAuth(authToken).get("/user/sessions");
+
+      expect(response.status).toBe(200);
+      expect(response.data.length).toBeGreaterThan(0);
+      expect(response.data.filter((s) => s.current)).toHaveLength(1);
+      expect(response.data[0]).not.toHaveProperty("tokenHash");
+    });
+
+    test("should invalidate the access token on logout", async () => {
+      const { token } = (await login()).data;
+
+      const logout = await apiWithAuth(token).post("/user/logout");
+      expect(logout.status).toBe(204);
+
+      const after = await apiWithAuth(token).get("/user/sessions");
+      expect(after.status).toBe(401);
+    });
+
+    test("should revoke another session by id", async () => {
+      const second = (await login()).data;
+      const sessionId = second.refreshToken.split(".")[0];
+
+      const response = await apiWithAuth(authToken).delete(
+        `/user/sessions/${sessionId}`,
+      );
+      expect(response.status).toBe(204);
+
+      const refresh = await api.post("/user/refresh", {
+        refreshToken: second.refreshToken,
+      });
+      expect(refresh.status).toBe(401);
+    });
+
+    test("should not revoke another user's session", async () => {
+      const second = (await login()).data;
+      const sessionId = second.refreshToken.split(".")[0];
+
+      const response = await apiWithAuth(otherAuthToken).delete(
+        `/user/sessions/${sessionId}`,
+      );
+      expect(response.status).toBe(404);
+    });
+
+    test("should sign out everywhere on logout-all", async () => {
+      // Use a throwaway user so the shared tokens stay valid.
+      const username = `logoutall_${Date.now()}`;
+      const signup = await api.post("/user/signup", {
+        username,
+        email: `${username}@example.com`,
+        password: "TestPassword123",
+      });
+      const credentials = { username, password: "TestPassword123" };
+      const first = (await api.post("/user/login", credentials)).data;
+      const second = (await api.post("/user/login", credentials)).data;
+
+      const response = await apiWithAuth(first.token).post("/user/logout-all");
+      expect(response.status).toBe(204);
+
+      expect(
+        (await apiWithAuth(second.token).get("/user/sessions")).status,
+      ).toBe(401);
+      expect(
+        (
+          await api.post("/user/refresh", {
+            refreshToken: second.refreshToken,
+          })
+        ).status,
+      ).toBe(401);
+
+      await User.deleteOne({ _id: signup.data._id });
+    });
+  });
+
   describe("GET /user/:id", () => {
     test("should retrieve user by username", async () => {
       const response = await api.get(`/user/${testUser.username}`);
@@ -236,11 +472,74 @@ describe("User API", () => {
       expect(response.data).not.toHaveProperty("passwordHash");
     });
 
+    test("should only expose the public profile", async () => {
+      const response = await api.get(`/user/${testUser.username}`);
+
+      expect(Object.keys(response.data).sort()).toEqual([
+        "avatar",
+        "bio",
+        "displayName",
+        "joinedAt",
+        "postCount",
+        "username",
+      ]);
+    });
+
     test("should return 404 for nonexistent user", async () => {
       const response = await api.get("/user/nonexistentuser_xyz");
 
       expect(response.status).toBe(404);
-      expect(response.data).toHaveProperty("error");
+      expect(response.data).toHaveProperty("detail");
+    });
+  });
+
+  describe("PATCH /user/me", () => {
+    test("should update the logged-in user's profile", async () => {
+      const response = await apiWithAuth(authToken).patch("/user/me", {
+        displayName: "  Test User  ",
+        bio: "Writes tests.",
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.data).toMatchObject({
+        username: testUser.username,
+        displayName: "Test User",
+        bio: "Writes tests.",
+      });
+      const profile = await api.get(`/user/${testUser.username}`);
+      expect(profile.data.bio).toBe("Writes tests.");
+    });
+
+    test("should clear fields set to an empty value", async () => {
+      const response = await apiWithAuth(authToken).patch("/user/me", {
+        bio: "",
+      });
+
+      expect(response.data.bio).toBeNull();
+      expect(response.data.displayName).toBe("Test User");
+    });
+
+    test("should reject avatars that are not the user's uploads", async () => {
+      const response = await apiWithAuth(authToken).patch("/user/me", {
+        avatar: "https://example.com/someone-else.png",
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.data.errors[0].field).toBe("avatar");
+    });
+
+    test("should reject overlong bios", async () => {
+      const response = await apiWithAuth(authToken).patch("/user/me", {
+        bio: "x".repeat(501),
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should require authentication", async () => {
+      const response = await api.patch("/user/me", { bio: "Anonymous" });
+
+      expect(response.status).toBe(401);
     });
   });
 });
@@ -251,7 +550,7 @@ describe("Posts API", () => {
       const response = await api.get("/posts");
 
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.data)).toBe(true);
+      expect(Array.isArray(response.data.posts)).toBe(true);
     });
 
     test("should support sorting by createdAt ascending", async () => {
@@ -263,7 +562,7 @@ describe("Posts API", () => {
       });
 
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.data)).toBe(true);
+      expect(Array.isArray(response.data.posts)).toBe(true);
     });
 
     test("should support sorting by createdAt descending", async () => {
@@ -275,7 +574,7 @@ describe("Posts API", () => {
       });
 
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.data)).toBe(true);
+      expect(Array.isArray(response.data.posts)).toBe(true);
     });
 
     test("should filter by author", async () => {
@@ -286,7 +585,7 @@ describe("Posts API", () => {
       });
 
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.data)).toBe(true);
+      expect(Array.isArray(response.data.posts)).toBe(true);
     });
 
     test("should filter by tag", async () => {
@@ -297,19 +596,70 @@ describe("Posts API", () => {
       });
 
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.data)).toBe(true);
+      expect(Array.isArray(response.data.posts)).toBe(true);
+    });
+
+    test("should return pagination metadata", async () => {
+      const response = await api.get("/posts", { params: { limit: 1 } });
+
+      expect(response.status).toBe(200);
+      expect(response.data.posts.length).toBeLessThanOrEqual(1);
+      expect(response.data).toHaveProperty("hasMore");
+      expect(response.data).toHaveProperty("nextCursor");
+    });
+
+    test("should fail with an invalid cursor", async () => {
+      const response = await api.get("/posts", {
+        params: { cursor: "not-a-cursor" },
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.data).toHaveProperty("detail");
+    });
+
+    test("should fail with a cursor holding query operators", async () => {
+      const cursor = btoa(
+        JSON.stringify({
+          sortBy: "createdAt",
+          sortOrder: "descending",
+          type: "date",
+          value: { $ne: null },
+          id: testUserId,
+        }),
+      );
+      const response = await api.get("/posts", { params: { cursor } });
+
+      expect(response.status).toBe(400);
+    });
+
+    test("should fail with an out-of-range limit", async () => {
+      const response = await api.get("/posts", { params: { limit: 1000 } });
+
+      expect(response.status).toBe(400);
     });
 
-    test("should fail when both author and tag are provided", async () => {
+    test("should combine author, tag and date range filters", async () => {
       const response = await api.get("/posts", {
         params: {
           author: testUser.username,
-          tag: "test",
+          tag: "test,api",
+          tagMatch: "all",
+          createdAfter: "2020-01-01",
+          createdBefore: new Date(Date.now() + 60000).toISOString(),
         },
       });
 
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.data.posts)).toBe(true);
+    });
+
+    test("should fail with an invalid date filter", async () => {
+      const response = await api.get("/posts", {
+        params: { createdAfter: "not-a-date" },
+      });
+
       expect(response.status).toBe(400);
-      expect(response.data).toHaveProperty("error");
+      expect(response.data).toHaveProperty("detail");
     });
   });
 
@@ -348,10 +698,6 @@ describe("Posts API", () => {
           author: testUser.username,
           contents: "Missing title",
         }),
-        authenticatedApi.post("/posts", {
-          title: "Missing author",
-          contents: "Test content",
-        }),
         authenticatedApi.post("/posts", {
           title: "Missing contents",
           author: testUser.username,
@@ -363,7 +709,32 @@ describe("Posts API", () => {
       });
     });
 
-    test("should fail with nonexistent author", async () => {
+    test("should reject overlong contents", async () => {
+      const response = await apiWithAuth(authToken).post("/posts", {
+        title: "Too long",
+        contents: "x".repeat(100001),
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.data.errors[0].field).toBe("contents");
+    });
+
+    test("should return field errors for the post form", async () => {
+      const authenticatedApi = apiWithAuth(authToken);
+      const response = await authenticatedApi.post("/posts", {
+        title: "   ",
+        contents: "Body",
+        tags: "not-a-list",
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.data.errors).toEqual([
+        { location: "body", field: "title", message: "Title is required" },
+        { location: "body", field: "tags", message: "Tags must be a list" },
+      ]);
+    });
+
+    test("should fail when author does not match the token", async () => {
       const authenticatedApi = apiWithAuth(authToken);
       const response = await authenticatedApi.post("/posts", {
         title: "Invalid Author Post",
@@ -372,7 +743,153 @@ describe("Posts API", () => {
       });
 
       expect(response.status).toBe(400);
-      expect(response.data).toHaveProperty("error");
+      expect(response.data).toHaveProperty("detail");
+    });
+
+    test("should normalize tags on save", async () => {
+      const authenticatedApi = apiWithAuth(authToken);
+      const response = await authenticatedApi.post("/posts", {
+        title: `Tagged ${Date.now()}`,
+        contents: "Tags are stored as slugs",
+        tags: [" JavaScript ", "javascript", "Node JS"],
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.data.tags).toEqual(["javascript", "node-js"]);
+      await Post.deleteOne({ _id: response.data._id });
+    });
+
+    test("should reject tags without letters or digits", async () => {
+      const authenticatedApi = apiWithAuth(authToken);
+      const response = await authenticatedApi.post("/posts", {
+        title: "Bad tag",
+        contents: "Body",
+        tags: ["!!!"],
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.data.errors).toEqual([
+        {
+          location: "body",
+          field: "tags.0",
+          message: "Tags must contain a letter or digit",
+        },
+      ]);
+    });
+
+    test("should take the author from the token when omitted", async () => {
+      const authenticatedApi = apiWithAuth(authToken);
+      const response = await authenticatedApi.post("/posts", {
+        title: `Tokenless Author ${Date.now()}`,
+        contents: "Author comes from the JWT",
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.data.author).toBe(testUserId);
+      await Post.deleteOne({ _id: response.data._id });
+    });
+
+    test("should reject scheduling without a future publishAt", async () => {
+      const authenticatedApi = apiWithAuth(authToken);
+      const responses = await Promise.all([
+        authenticatedApi.post("/posts", {
+          title: "Unscheduled",
+          contents: "No date",
+          status: "scheduled",
+        }),
+        authenticatedApi.post("/posts", {
+          title: "In the past",
+          contents: "Too late",
+          status: "scheduled",
+          publishAt: "2000-01-01T00:00:00Z",
+        }),
+      ]);
+
+      responses.forEach((response) => {
+        expect(response.status).toBe(400);
+        expect(response.data).toHaveProperty("detail");
+      });
+    });
+  });
+
+  describe("Drafts", () => {
+    let draft;
+
+    beforeAll(async () => {
+      const response = await apiWithAuth(authToken).post("/posts", {
+        title: `Draft ${Date.now()}`,
+        contents: "Not ready yet",
+        status: "draft",
+      });
+      draft = response.data;
+    });
+
+    afterAll(async () => {
+      if (draft?._id) await Post.deleteOne({ _id: draft._id });
+    });
+
+    test("are hidden from the public listing", async () => {
+      const response = await api.get("/posts", { params: { limit: 100 } });
+
+      expect(response.status).toBe(200);
+      const ids = response.data.posts.map((post) => post._id);
+      expect(ids).not.toContain(draft._id);
+    });
+
+    test("are listed for their author with ?status=draft", async () => {
+      const response = await apiWithAuth(authToken).get("/posts", {
+        params: { status: "draft" },
+      });
+
+      expect(response.status).toBe(200);
+      const ids = response.data.posts.map((post) => post._id);
+      expect(ids).toContain(draft._id);
+    });
+
+    test("require authentication to list", async () => {
+      const response = await api.get("/posts", {
+        params: { status: "draft" },
+      });
+
+      expect(response.status).toBe(401);
+    });
+
+    test("return 404 to anyone but their author", async () => {
+      const anonymous = await api.get(`/posts/${draft._id}`);
+      expect(anonymous.status).toBe(404);
+
+      const own = await apiWithAuth(authToken).get(`/posts/${draft._id}`);
+      expect(own.status).toBe(200);
+      expect(own.data.status).toBe("draft");
+    });
+
+    test("hide their comments from anyone but their author", async () => {
+      const anonymous = await api.get(`/posts/${draft._id}/comments`);
+      expect(anonymous.status).toBe(404);
+
+      const other = await apiWithAuth(otherAuthToken).get(
+        `/posts/${draft._id}/comments`,
+      );
+      expect(other.status).toBe(404);
+
+      const own = await apiWithAuth(authToken).get(
+        `/posts/${draft._id}/comments`,
+      );
+      expect(own.status).toBe(200);
+    });
+
+    test("cannot be commented on by anyone but their author", async () => {
+      const other = await apiWithAuth(otherAuthToken).post(
+        `/posts/${draft._id}/comments`,
+        { contents: "Found your draft" },
+      );
+      expect(other.status).toBe(404);
+
+      const own = await apiWithAuth(authToken).post(
+        `/posts/${draft._id}/comments`,
+        { contents: "Note to self" },
+      );
+      expect(own.status).toBe(201);
     });
   });
 
@@ -402,6 +919,64 @@ describe("Posts API", () => {
       const response = await api.get("/posts/invalid_id");
 
       expect(response.status).toBe(400);
+      expect(response.data.errors).toEqual([
+        {
+          location: "params",
+          field: "id",
+          message: "Invalid post ID format",
+        },
+      ]);
+    });
+  });
+
+  describe("GET /posts/by-slug/:slug", () => {
+    test("should resolve current and previous slugs", async () => {
+      const authenticatedApi = apiWithAuth(authToken);
+      const stamp = Date.now();
+      const created = await authenticatedApi.post("/posts", {
+        title: `Slugged ${stamp}`,
+        contents: "Reachable by slug",
+      });
+      expect(created.data.slug).toBe(`slugged-${stamp}`);
+
+      const current = await api.get(`/posts/by-slug/slugged-${stamp}`);
+      expect(current.status).toBe(200);
+      expect(current.data._id).toBe(created.data._id);
+
+      await authenticatedApi.patch(`/posts/${created.data._id}`, {
+        title: `Renamed ${stamp}`,
+        contents: "Reachable by slug",
+      });
+      const redirect = await api.get(`/posts/by-slug/slugged-${stamp}`, {
+        maxRedirects: 0,
+      });
+      expect(redirect.status).toBe(301);
+      expect(redirect.headers.location).toBe(
+        `/api/v1/posts/by-slug/renamed-${stamp}`,
+      );
+      const followed = await api.get(`/posts/by-slug/slugged-${stamp}`);
+      expect(followed.data.slug).toBe(`renamed-${stamp}`);
+
+      await Post.deleteOne({ _id: created.data._id });
+    });
+
+    test("should hide drafts from other users", async () => {
+      const created = await apiWithAuth(authToken).post("/posts", {
+        title: `Secret slug ${Date.now()}`,
+        contents: "Draft",
+        status: "draft",
+      });
+
+      const response = await api.get(`/posts/by-slug/${created.data.slug}`);
+
+      expect(response.status).toBe(404);
+      await Post.deleteOne({ _id: created.data._id });
+    });
+
+    test("should return 404 for an unknown slug", async () => {
+      const response = await api.get("/posts/by-slug/no-such-post-anywhere");
+
+      expect(response.status).toBe(404);
     });
   });
 
@@ -454,6 +1029,22 @@ describe("Posts API", () => {
       expect(response.status).toBe(400);
     });
 
+    test("should return 403 when editing another user's post", async () => {
+      if (!otherAuthToken || !testPost) {
+        console.log("Skipping test - no second user or test post");
+        return;
+      }
+
+      const otherApi = apiWithAuth(otherAuthToken);
+      const response = await otherApi.patch(`/posts/${testPost._id}`, {
+        title: "Hijacked",
+        contents: "Not my post",
+      });
+
+      expect(response.status).toBe(403);
+      expect(response.data).toHaveProperty("detail");
+    });
+
     test("should return 404 for nonexistent post", async () => {
       const authenticatedApi = apiWithAuth(authToken);
       const fakeId = new mongoose.Types.ObjectId();
@@ -467,6 +1058,87 @@ describe("Posts API", () => {
     });
   });
 
+  describe("Post revisions", () => {
+    test("lists, diffs and restores prior versions", async () => {
+      if (!testPost) {
+        console.log("Skipping test - no test post created");
+        return;
+      }
+
+      const authenticatedApi = apiWithAuth(authToken);
+      // The PATCH tests above already edited testPost at least once.
+      const list = await authenticatedApi.get(
+        `/posts/${testPost._id}/revisions`,
+      );
+      expect(list.status).toBe(200);
+      expect(list.data.length).toBeGreaterThan(0);
+      const [revision] = list.data;
+      expect(revision.editor).toBe(testUser.username);
+
+      const diff = await authenticatedApi.get(
+        `/posts/${testPost._id}/revisions/diff`,
+        { params: { from: revision._id } },
+      );
+      expect(diff.status).toBe(200);
+      expect(diff.data.to).toBe("current");
+      expect(Array.isArray(diff.data.contents)).toBe(true);
+
+      const restore = await authenticatedApi.post(
+        `/posts/${testPost._id}/revisions/${revision._id}/restore`,
+      );
+      expect(restore.status).toBe(200);
+      expect(restore.data.title).toBe(revision.title);
+    });
+
+    test("should refuse to diff versions that are too long", async () => {
+      const authenticatedApi = apiWithAuth(authToken);
+      const created = await authenticatedApi.post("/posts", {
+        title: `Long Post ${Date.now()}`,
+        contents: "Short at first",
+      });
+      expect(created.status).toBe(201);
+      await authenticatedApi.patch(`/posts/${created.data._id}`, {
+        title: created.data.title,
+        contents: "line\n".repeat(2500),
+      });
+      const list = await authenticatedApi.get(
+        `/posts/${created.data._id}/revisions`,
+      );
+
+      const diff = await authenticatedApi.get(
+        `/posts/${created.data._id}/revisions/diff`,
+        { params: { from: list.data[0]._id } },
+      );
+
+      expect(diff.status).toBe(422);
+      await authenticatedApi.delete(`/posts/${created.data._id}`);
+    });
+
+    test("should return 403 for another user's post", async () => {
+      if (!otherAuthToken || !testPost) {
+        console.log("Skipping test - no second user or test post");
+        return;
+      }
+
+      const response = await apiWithAuth(otherAuthToken).get(
+        `/posts/${testPost._id}/revisions`,
+      );
+
+      expect(response.status).toBe(403);
+    });
+
+    test("should require authentication", async () => {
+      if (!testPost) {
+        console.log("Skipping test - no test post created");
+        return;
+      }
+
+      const response = await api.get(`/posts/${testPost._id}/revisions`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
   describe("DELETE /posts/:id", () => {
     test("should delete a post with authentication", async () => {
       // First create a post to delete
@@ -506,6 +1178,18 @@ describe("Posts API", () => {
       expect(response.status).toBe(401);
     });
 
+    test("should return 403 when deleting another user's post", async () => {
+      if (!otherAuthToken || !testPost) {
+        console.log("Skipping test - no second user or test post");
+        return;
+      }
+
+      const otherApi = apiWithAuth(otherAuthToken);
+      const response = await otherApi.delete(`/posts/${testPost._id}`);
+
+      expect(response.status).toBe(403);
+    });
+
     test("should return 404 for nonexistent post", async () => {
       const authenticatedApi = apiWithAuth(authToken);
       const fakeId = new mongoose.Types.ObjectId();
@@ -521,4 +1205,465 @@ describe("Posts API", () => {
       expect(response.status).toBe(400);
     });
   });
+
+  describe("Error responses", () => {
+    test("should answer unknown routes with a problem document", async () => {
+      const response = await api.get("/no-such-route");
+
+      expect(response.status).toBe(404);
+      expect(response.headers["content-type"]).toMatch(
+        /^application\/problem\+json/,
+      );
+      expect(response.data).toMatchObject({
+        type: "about:blank",
+        title: "Not Found",
+        status: 404,
+        detail: "Cannot GET /api/v1/no-such-route",
+        instance: "/api/v1/no-such-route",
+      });
+      expect(response.data.requestId).toBe(response.headers["x-request-id"]);
+    });
+
+    test("should report a missing token as a 401 problem", async () => {
+      const response = await api.post("/posts", { title: "t", contents: "c" });
+
+      expect(response.status).toBe(401);
+      expect(response.headers["content-type"]).toMatch(
+        /^application\/problem\+json/,
+      );
+      expect(response.data).toMatchObject({
+        title: "Unauthorized",
+        status: 401,
+      });
+    });
+
+    test("should reject malformed JSON", async () => {
+      const response = await api.post("/user/login", "{not json", {
+        headers: { "Content-Type": "application/json" },
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.data.detail).toBe("Request body is not valid JSON");
+    });
+
+    test("should keep a request id sent by the client", async () => {
+      const response = await api.get("/posts/invalid_id", {
+        headers: { "X-Request-Id": "trace-123" },
+      });
+
+      expect(response.headers["x-request-id"]).toBe("trace-123");
+      expect(response.data.requestId).toBe("trace-123");
+    });
+  });
+});
+
+describe("Roles and admin API", () => {
+  let adminToken = null;
+  let adminPost = null;
+
+  beforeAll(async () => {
+    // Promote the second user; roles reach the token at the next login.
+    const other = await User.findById(otherUserId);
+    await User.updateOne({ _id: otherUserId }, { $set: { roles: ["admin"] } });
+    const login = await api.post("/user/login", {
+      username: other.username,
+      password: "OtherPassword123",
+    });
+    adminToken = login.data.token;
+
+    const created = await apiWithAuth(authToken).post("/posts", {
+      title: `Moderated Post ${Date.now()}`,
+      contents: "Managed by an admin",
+    });
+    adminPost = created.data;
+  });
+
+  afterAll(async () => {
+    if (adminPost) {
+      await Post.deleteOne({ _id: adminPost._id });
+    }
+  });
+
+  test("should reject admin routes for regular users", async () => {
+    const response = await apiWithAuth(authToken).get("/admin/users");
+
+    expect(response.status).toBe(403);
+    expect(response.data.detail).toBe("You do not have permission to do this");
+  });
+
+  test("should require authentication for admin routes", async () => {
+    const response = await api.get("/admin/users");
+
+    expect(response.status).toBe(401);
+  });
+
+  test("should list and search users without password hashes", async () => {
+    const response = await apiWithAuth(adminToken).get("/admin/users", {
+      params: { q: testUser.username },
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data.map((user) => user.username)).toEqual([
+      testUser.username,
+    ]);
+    expect(response.data[0]).not.toHaveProperty("passwordHash");
+  });
+
+  test("should change a user's roles", async () => {
+    const adminApi = apiWithAuth(adminToken);
+    const signup = await api.post("/user/signup", {
+      username: `roleuser_${Date.now()}`,
+      email: `role_${Date.now()}@example.com`,
+      password: "RolePassword123",
+    });
+    const userId = signup.data._id;
+
+    const granted = await adminApi.patch(`/admin/users/${userId}`, {
+      roles: ["moderator", "moderator"],
+    });
+    expect(granted.status).toBe(200);
+    expect(granted.data.roles).toEqual(["moderator"]);
+
+    const invalid = await adminApi.patch(`/admin/users/${userId}`, {
+      roles: ["overlord"],
+    });
+    expect(invalid.status).toBe(400);
+
+    const missing = await adminApi.patch(
+      `/admin/users/${new mongoose.Types.ObjectId()}`,
+      { roles: [] },
+    );
+    expect(missing.status).toBe(404);
+
+    await User.deleteOne({ _id: userId });
+  });
+
+  test("should not let admins remove their own admin role", async () => {
+    const response = await apiWithAuth(adminToken).patch(
+      `/admin/users/${otherUserId}`,
+      { roles: [] },
+    );
+
+    expect(response.status).toBe(400);
+    expect(response.data.errors[0].field).toBe("roles");
+  });
+
+  test("should let admins edit and pin any post", async () => {
+    const adminApi = apiWithAuth(adminToken);
+    const edited = await adminApi.patch(`/posts/${adminPost._id}`, {
+      title: "Edited by an admin",
+      contents: adminPost.contents,
+    });
+    expect(edited.status).toBe(200);
+
+    const pinned = await adminApi.put(`/posts/${adminPost._id}/pin`);
+    expect(pinned.status).toBe(200);
+    expect(pinned.data.pinned).toBe(true);
+
+    const listed = await api.get("/posts", { params: { pinned: true } });
+    expect(listed.data.posts.map((post) => post._id)).toContain(adminPost._id);
+  });
+
+  test("should let moderators edit a draft whose author may publish", async () => {
+    // Whether publishing is allowed depends on the author's email, not on
+    // the moderator's (the admin's address is unverified).
+    await User.updateOne(
+      { _id: testUserId },
+      { $set: { emailVerified: true } },
+    );
+    const draft = await apiWithAuth(authToken).post("/posts", {
+      title: `Moderated Draft ${Date.now()}`,
+      contents: "Needs a second pair of eyes",
+      status: "draft",
+    });
+
+    const edited = await apiWithAuth(adminToken).patch(
+      `/posts/${draft.data._id}`,
+      {
+        title: draft.data.title,
+        contents: "Reviewed by a moderator",
+        status: "published",
+      },
+    );
+
+    expect(edited.status).toBe(200);
+    expect(edited.data.status).toBe("published");
+    await Post.deleteOne({ _id: draft.data._id });
+    await User.updateOne(
+      { _id: testUserId },
+      { $set: { emailVerified: false } },
+    );
+  });
+
+  test("should not let authors pin their own posts", async () => {
+    const response = await apiWithAuth(authToken).put(
+      `/posts/${adminPost._id}/pin`,
+    );
+
+    expect(response.status).toBe(403);
+  });
+
+  test("should unpublish posts and list them across authors", async () => {
+    const adminApi = apiWithAuth(adminToken);
+    const response = await adminApi.patch(`/admin/posts/${adminPost._id}`, {
+      status: "archived",
+    });
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe("archived");
+
+    const listed = await adminApi.get("/admin/posts", {
+      params: { status: "archived", author: testUser.username },
+    });
+    expect(listed.data.posts.map((post) => post._id)).toContain(adminPost._id);
+  });
+
+  test("should publish posts only when their author may", async () => {
+    // Whether the server requires verified emails to publish
+    const probe = await api.post("/user/signup", {
+      username: `probe_${Date.now()}`,
+      email: `probe_${Date.now()}@example.com`,
+      password: "ProbePassword123",
+    });
+    await User.deleteOne({ _id: probe.data._id });
+    const draft = await apiWithAuth(authToken).post("/posts", {
+      title: `Admin Draft ${Date.now()}`,
+      contents: "Written by an unverified author",
+      status: "draft",
+    });
+
+    const response = await apiWithAuth(adminToken).patch(
+      `/admin/posts/${draft.data._id}`,
+      { status: "published" },
+    );
+
+    if (probe.data.verificationRequired) {
+      expect(response.status).toBe(403);
+      expect(response.data.detail).toBe(
+        "The author must verify their email address before this post is published",
+      );
+    } else {
+      expect(response.status).toBe(200);
+    }
+    await Post.deleteOne({ _id: draft.data._id });
+  });
+
+  test("should feature posts in bulk", async () => {
+    const response = await apiWithAuth(adminToken).post("/admin/posts/bulk", {
+      ids: [adminPost._id],
+      action: "feature",
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual({ action: "feature", count: 1 });
+  });
+
+  test("should report site statistics", async () => {
+    const response = await apiWithAuth(adminToken).get("/admin/stats", {
+      params: { days: 7 },
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data.postsPerDay).toHaveLength(7);
+    expect(response.data.signupsPerDay).toHaveLength(7);
+    expect(response.data.totals.users).toBeGreaterThan(0);
+  });
+
+  test("should suspend and delete users", async () => {
+    const adminApi = apiWithAuth(adminToken);
+    const password = "SuspendPassword123";
+    const signup = await api.post("/user/signup", {
+      username: `suspended_${Date.now()}`,
+      email: `suspended_${Date.now()}@example.com`,
+      password,
+    });
+    const userId = signup.data._id;
+
+    const suspended = await adminApi.patch(`/admin/users/${userId}`, {
+      suspended: true,
+    });
+    expect(suspended.status).toBe(200);
+    expect(suspended.data.suspendedAt).toBeTruthy();
+    const login = await api.post("/user/login", {
+      username: signup.data.username,
+      password,
+    });
+    expect(login.status).toBe(403);
+
+    const deleted = await adminApi.delete(`/admin/users/${userId}`);
+    expect(deleted.status).toBe(204);
+    expect((await adminApi.delete(`/admin/users/${userId}`)).status).toBe(404);
+  });
+
+  test("should delete any post", async () => {
+    const response = await apiWithAuth(adminToken).delete(
+      `/admin/posts/${adminPost._id}`,
+    );
+
+    expect(response.status).toBe(204);
+    adminPost = null;
+  });
+});
+
+describe("Tags API", () => {
+  let taggedPosts = [];
+
+  beforeAll(async () => {
+    const authenticatedApi = apiWithAuth(authToken);
+    const responses = await Promise.all(
+      [["tagsapi-common", "tagsapi-rare"], ["tagsapi-common"]].map((tags) =>
+        authenticatedApi.post("/posts", {
+          title: `Tags API ${Date.now()}`,
+          contents: "Counted in the tag index",
+          tags,
+        }),
+      ),
+    );
+    taggedPosts = responses.map((response) => response.data);
+  });
+
+  afterAll(async () => {
+    await Post.deleteMany({
+      _id: { $in: taggedPosts.map((post) => post._id) },
+    });
+  });
+
+  test("should list tags with their post counts", async () => {
+    const response = await api.get("/tags", { params: { q: "tagsapi" } });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual([
+      { tag: "tagsapi-common", count: 2 },
+      { tag: "tagsapi-rare", count: 1 },
+    ]);
+  });
+
+  test("should cap the number of tags", async () => {
+    const response = await api.get("/tags", {
+      params: { q: "tagsapi", limit: 1 },
+    });
+
+    expect(response.data).toEqual([{ tag: "tagsapi-common", count: 2 }]);
+  });
+
+  test("should find posts by a tag written differently", async () => {
+    const response = await api.get("/posts", {
+      params: { tag: "TagsAPI Rare" },
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data.posts.map((post) => post._id)).toEqual([
+      taggedPosts[0]._id,
+    ]);
+  });
+
+  test("should reject an invalid limit", async () => {
+    const response = await api.get("/tags", { params: { limit: 0 } });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe("Feeds", () => {
+  // Feeds are served outside /api/v1.
+  const site = axios.create({
+    baseURL: API_BASE_URL.replace(/\/api\/v1$/, ""),
+    validateStatus: () => true,
+  });
+
+  test("should serve the RSS feed", async () => {
+    const response = await site.get("/feed.xml");
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^application\/rss\+xml/);
+    expect(response.data).toContain('<rss version="2.0"');
+  });
+
+  test("should serve the Atom feed of a user", async () => {
+    const response = await site.get(`/users/${testUser.username}/atom.xml`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^application\/atom\+xml/);
+    expect(response.data).toContain(
+      `/users/${testUser.username}/atom.xml" rel="self"`,
+    );
+  });
+
+  test("should return 404 for the feed of an unknown user", async () => {
+    const response = await site.get("/users/no_such_user_xyz/feed.xml");
+
+    expect(response.status).toBe(404);
+  });
+
+  test("should redirect tag feeds to the normalized tag", async () => {
+    const response = await site.get("/tags/Web%20Dev/feed.xml", {
+      maxRedirects: 0,
+    });
+
+    expect(response.status).toBe(301);
+    expect(response.headers.location).toBe("/tags/web-dev/feed.xml");
+  });
+});
+
+describe("Sitemap", () => {
+  // Like the feeds, the sitemap and robots.txt are served outside /api/v1.
+  const site = axios.create({
+    baseURL: API_BASE_URL.replace(/\/api\/v1$/, ""),
+    validateStatus: () => true,
+  });
+
+  test("should serve the sitemap", async () => {
+    const response = await site.get("/sitemap.xml");
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^application\/xml/);
+    expect(response.data).toContain(
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    );
+  });
+
+  test("should return 404 for a sitemap that does not exist", async () => {
+    const response = await site.get("/sitemap-posts-100000.xml");
+
+    expect(response.status).toBe(404);
+  });
+
+  test("should serve robots.txt", async () => {
+    const response = await site.get("/robots.txt");
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^text\/plain/);
+    expect(response.data).toContain("Disallow: /admin");
+    expect(response.data).toMatch(/Sitemap: .*\/sitemap\.xml/);
+  });
+});
+
+describe("Uploads API", () => {
+  const PNG = new Uint8Array([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0,
+  ]);
+
+  const upload = (name, type) => {
+    const form = new FormData();
+    form.append("file", new Blob([PNG], { type }), name);
+    return apiWithAuth(authToken).post("/uploads", form);
+  };
+
+  test("should serve uploads with the type of their contents", async () => {
+    const response = await upload("evil.html", "image/png");
+
+    expect(response.status).toBe(201);
+    expect(response.data.url).toMatch(/\.png$/);
+    const file = await api.get(response.data.url.replace(/^\/api\/v1/, ""));
+    expect(file.status).toBe(200);
+    expect(file.headers["content-type"]).toBe("image/png");
+    expect(file.headers["x-content-type-options"]).toBe("nosniff");
+
+    await apiWithAuth(authToken).delete(`/uploads/${response.data._id}`);
+  });
+
+  test("should reject files whose contents do not match their type", async () => {
+    const response = await upload("evil.svg", "image/svg+xml");
+
+    expect(response.status).toBe(415);
+  });
 });
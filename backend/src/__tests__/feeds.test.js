@@ -0,0 +1,96 @@
+import { describe, expect, test, beforeEach, afterEach } from "@jest/globals";
+import { buildFeed, renderAtom, renderRss, summarize } from "../services/feeds";
+import { escapeXml } from "../services/xml";
+import { createUser } from "../services/users";
+import { createPost } from "../services/posts";
+import { Post } from "../db/models/post";
+import { User } from "../db/models/user";
+
+let user;
+
+beforeEach(async () => {
+  process.env.PUBLIC_BASE_URL = "https://blog.example.com/";
+  await User.deleteMany({ username: "feeduser" });
+  user = await createUser({
+    username: "feeduser",
+    email: "feeduser@example.com",
+    password: "feedpassword",
+  });
+  await Post.deleteMany({ author: user._id });
+});
+
+afterEach(() => {
+  delete process.env.PUBLIC_BASE_URL;
+});
+
+describe("Feed helpers", () => {
+  test("escape markup and drop control characters", () => {
+    expect(escapeXml(`<a href="x">Tom & 'Jerry'</a>\u0007`)).toBe(
+      "&lt;a href=&quot;x&quot;&gt;Tom &amp; &apos;Jerry&apos;&lt;/a&gt;",
+    );
+  });
+
+  test("summarize Markdown as plain text", () => {
+    expect(
+      summarize("# Title\n\nSome **bold** [link](https://x.y)\n\n- item"),
+    ).toBe("Title Some bold link item");
+    expect(summarize("word ".repeat(100))).toMatch(/…$/);
+  });
+});
+
+describe("Feeds", () => {
+  test("list the latest published posts with absolute links", async () => {
+    await createPost({
+      title: "Feed <Post>",
+      author: user._id,
+      contents: "Hello",
+      tags: ["feedtag"],
+    });
+    await createPost({
+      title: "Hidden draft",
+      author: user._id,
+      status: "draft",
+    });
+
+    const feed = await buildFeed({
+      author: "feeduser",
+      scope: { title: "feeduser", path: "/users/feeduser" },
+      file: "feed.xml",
+    });
+
+    expect(feed.link).toBe("https://blog.example.com/users/feeduser");
+    expect(feed.selfUrl).toBe(
+      "https://blog.example.com/users/feeduser/feed.xml",
+    );
+    expect(feed.entries).toHaveLength(1);
+    expect(feed.entries[0]).toMatchObject({
+      title: "Feed <Post>",
+      link: "https://blog.example.com/posts/feed-post",
+      author: "feeduser",
+      categories: ["feedtag"],
+    });
+
+    const rss = renderRss(feed);
+    expect(rss).toContain("<title>Feed &lt;Post&gt;</title>");
+    expect(rss).toContain(
+      "<link>https://blog.example.com/posts/feed-post</link>",
+    );
+    const atom = renderAtom(feed);
+    expect(atom).toContain(
+      `<updated>${feed.entries[0].updated.toISOString()}</updated>`,
+    );
+  });
+
+  test("filter by tag", async () => {
+    await createPost({ title: "Tagged", author: user._id, tags: ["feedtag"] });
+    await createPost({ title: "Untagged", author: user._id });
+
+    const feed = await buildFeed({
+      tag: "feedtag",
+      scope: { title: "#feedtag", path: "/tags/feedtag" },
+      file: "atom.xml",
+    });
+
+    expect(feed.entries.map((entry) => entry.title)).toEqual(["Tagged"]);
+  });
+});
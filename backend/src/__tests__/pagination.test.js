@@ -0,0 +1,59 @@
+import { describe, expect, test } from "@jest/globals";
+import mongoose from "mongoose";
+import { encodeCursor, decodeCursor } from "../services/pagination";
+
+const byDate = { sortBy: "createdAt", sortOrder: "descending" };
+
+function forge(payload) {
+  return btoa(JSON.stringify(payload));
+}
+
+describe("Cursors", () => {
+  test("round-trip the position of a document", () => {
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      createdAt: new Date("2024-01-01T00:00:00Z"),
+      title: "Hello",
+      relevance: 1.5,
+    };
+    expect(decodeCursor(encodeCursor(doc, byDate), byDate)).toEqual({
+      value: doc.createdAt,
+      id: doc._id,
+    });
+    const byTitle = { sortBy: "title", sortOrder: "ascending" };
+    expect(decodeCursor(encodeCursor(doc, byTitle), byTitle).value).toBe(
+      "Hello",
+    );
+    const byRelevance = { sortBy: "relevance", sortOrder: "descending" };
+    expect(
+      decodeCursor(encodeCursor(doc, byRelevance), byRelevance).value,
+    ).toBe(1.5);
+  });
+
+  test("reject values that do not fit the sort field", () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const cursor = (fields) => forge({ ...byDate, id, ...fields });
+    expect(
+      decodeCursor(cursor({ type: "object", value: { $ne: null } }), byDate),
+    ).toBeNull();
+    expect(
+      decodeCursor(cursor({ type: "date", value: { $ne: null } }), byDate),
+    ).toBeNull();
+    expect(decodeCursor(cursor({ type: "date", value: 0 }), byDate)).toBeNull();
+    expect(
+      decodeCursor(cursor({ type: "string", value: "2024-01-01" }), byDate),
+    ).toBeNull();
+    expect(
+      decodeCursor(cursor({ type: "date", value: "not a date" }), byDate),
+    ).toBeNull();
+  });
+
+  test("reject ids that are not ObjectId strings", () => {
+    const value = new Date().toISOString();
+    for (const id of [{ $ne: null }, "abcdefghijkl", 42]) {
+      expect(
+        decodeCursor(forge({ ...byDate, type: "date", value, id }), byDate),
+      ).toBeNull();
+    }
+  });
+});
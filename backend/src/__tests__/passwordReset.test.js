@@ -0,0 +1,91 @@
+import {
+  describe,
+  expect,
+  test,
+  beforeAll,
+  beforeEach,
+  afterAll,
+} from "@jest/globals";
+import { requestPasswordReset, resetPassword } from "../services/passwordReset";
+import { createSession, isSessionActive } from "../services/sessions";
+import { createUser, deleteUser, loginUser } from "../services/users";
+import { PasswordReset } from "../db/models/passwordReset";
+import { setMailTransport } from "../mail";
+
+let user;
+let sent;
+
+// Pull the token out of the reset link in the last email sent.
+function lastToken() {
+  const link = sent.at(-1).text.match(/https?:\/\/\S+/)[0];
+  return new URL(link).searchParams.get("token");
+}
+
+beforeAll(async () => {
+  process.env.JWT_SECRET ||= "test-secret";
+  // A dedicated user, so changing the password does not affect other tests.
+  user = await createUser({
+    username: "resetuser",
+    email: "reset@example.com",
+    password: "old-password",
+  });
+});
+
+afterAll(async () => {
+  await deleteUser("resetuser");
+});
+
+beforeEach(async () => {
+  sent = [];
+  setMailTransport({ send: async (message) => sent.push(message) });
+  await PasswordReset.deleteMany({}).exec();
+});
+
+describe("Password reset", () => {
+  test("emails a single-use reset link and stores only its hash", async () => {
+    await requestPasswordReset("reset@example.com");
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe("reset@example.com");
+    const token = lastToken();
+    const [reset] = await PasswordReset.find({ user: user._id });
+    expect(reset.tokenHash).not.toBe(token);
+  });
+
+  test("does nothing for unknown addresses", async () => {
+    await requestPasswordReset("nobody@example.com");
+
+    expect(sent).toHaveLength(0);
+    expect(await PasswordReset.countDocuments()).toBe(0);
+  });
+
+  test("sets the new password and signs out everywhere", async () => {
+    const session = await createSession(user);
+    await requestPasswordReset("reset@example.com");
+
+    const result = await resetPassword(lastToken(), "new-password");
+
+    expect(result.ok).toBe(true);
+    expect((await loginUser("resetuser", "new-password")).ok).toBe(true);
+    expect((await loginUser("resetuser", "old-password")).ok).toBe(false);
+    const sid = session.refreshToken.split(".")[0];
+    expect(await isSessionActive(sid)).toBe(false);
+  });
+
+  test("rejects used, replaced and expired tokens", async () => {
+    await requestPasswordReset("reset@example.com");
+    const token = lastToken();
+    expect((await resetPassword(token, "another-password")).ok).toBe(true);
+    expect((await resetPassword(token, "another-password")).ok).toBe(false);
+
+    await requestPasswordReset("reset@example.com");
+    const replaced = lastToken();
+    await requestPasswordReset("reset@example.com");
+    expect((await resetPassword(replaced, "another-password")).ok).toBe(false);
+
+    await PasswordReset.updateMany({}, { $set: { expiresAt: new Date(0) } });
+    expect((await resetPassword(lastToken(), "another-password")).ok).toBe(
+      false,
+    );
+  });
+});
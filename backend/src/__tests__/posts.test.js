@@ -2,13 +2,16 @@ import mongoose, { Mongoose, Schema } from "mongoose";
 import { describe, expect, test, beforeEach, beforeAll } from "@jest/globals";
 import {
   createPost,
+  listPosts,
   listAllPosts,
   listPostsByAuthor,
   listPostsByTag,
   getPostById,
+  getPostAuthorId,
   updatePost,
   deletePost,
 } from "../services/posts";
+import { publishDuePosts } from "../services/scheduler";
 import { Post } from "../db/models/post";
 import { User } from "../db/models/user";
 //We import createUser to potentially create a user if It does not exist
@@ -130,7 +133,9 @@ describe("List Posts", () => {
   });
 
   test("list all posts", async () => {
-    const posts = await listAllPosts({ sortBy: "createdAt", sortOrder: "ascending" });
+    const { posts, hasMore, nextCursor } = await listAllPosts({ sortBy: "createdAt", sortOrder: "ascending" });
+    expect(hasMore).toBe(false);
+    expect(nextCursor).toBeNull();
     expect(posts.length).toBe(3);
     expect(posts[0].title).toBe("Post One");
     expect(posts[1].title).toBe("Post Two");
@@ -139,11 +144,173 @@ describe("List Posts", () => {
   });
 
   test("list posts by author", async () => {
-    const posts = await listPostsByAuthor(userId, { sortBy: "createdAt", sortOrder: "descending" });
+    const { posts } = await listPostsByAuthor("testuser", { sortBy: "createdAt", sortOrder: "descending" });
     expect(posts.length).toBe(3);
     expect(posts[0].title).toBe("Post Three");
     expect(posts[1].title).toBe("Post Two");
     expect(posts[2].title).toBe("Post One");
   });
 
-});
\ No newline at end of file
+  test("list posts by an unknown author returns no posts", async () => {
+    const { posts, hasMore } = await listPostsByAuthor("nobody_here");
+    expect(posts).toEqual([]);
+    expect(hasMore).toBe(false);
+  });
+
+  test("list posts by tag", async () => {
+    const { posts } = await listPostsByTag("tag1", { sortBy: "createdAt", sortOrder: "ascending" });
+    expect(posts.map((post) => post.title)).toEqual(["Post One", "Post Three"]);
+  });
+
+  test("combines author, tags and date range filters", async () => {
+    const anyTag = await listPosts({ author: "testuser", tags: ["tag1", "tag2"], tagMatch: "any" });
+    expect(anyTag.posts.length).toBe(3);
+
+    const allTags = await listPosts({ author: "testuser", tags: ["tag1", "tag2"], tagMatch: "all" });
+    expect(allTags.posts.map((post) => post.title)).toEqual(["Post One"]);
+
+    const future = new Date(Date.now() + 60 * 60 * 1000);
+    const none = await listPosts({ author: "testuser", tags: ["tag1"], createdAfter: future });
+    expect(none.posts).toEqual([]);
+
+    const inRange = await listPosts({
+      tags: ["tag3"],
+      createdAfter: post1.createdAt,
+      createdBefore: future,
+    });
+    expect(inRange.posts.length).toBe(2);
+  });
+
+  test("paginates with a cursor", async () => {
+    const options = { sortBy: "createdAt", sortOrder: "descending", limit: 2 };
+    const firstPage = await listAllPosts(options);
+    expect(firstPage.posts.map((post) => post.title)).toEqual(["Post Three", "Post Two"]);
+    expect(firstPage.hasMore).toBe(true);
+    expect(typeof firstPage.nextCursor).toBe("string");
+
+    const secondPage = await listAllPosts({ ...options, cursor: firstPage.nextCursor });
+    expect(secondPage.posts.map((post) => post.title)).toEqual(["Post One"]);
+    expect(secondPage.hasMore).toBe(false);
+    expect(secondPage.nextCursor).toBeNull();
+  });
+
+  test("searches titles and contents ranked by relevance", async () => {
+    // Make sure the text index exists before running a $text query.
+    await Post.createIndexes();
+    const { posts } = await listPosts({ q: "post three" }, { sortBy: "relevance", sortOrder: "descending" });
+    // Every post matches "post", but only one also matches "three".
+    expect(posts.length).toBe(3);
+    expect(posts[0].title).toBe("Post Three");
+    expect(posts[0].relevance).toBeGreaterThan(posts[1].relevance);
+    expect(posts[0].snippet).toEqual(
+      expect.arrayContaining([{ text: "three", highlight: true }]),
+    );
+  });
+
+  test("paginates by title in ascending order", async () => {
+    const options = { sortBy: "title", sortOrder: "ascending", limit: 1 };
+    const titles = [];
+    let cursor;
+    do {
+      const page = await listAllPosts({ ...options, cursor });
+      titles.push(...page.posts.map((post) => post.title));
+      cursor = page.nextCursor;
+    } while (cursor);
+    expect(titles).toEqual(["Post One", "Post Three", "Post Two"]);
+  });
+
+});
+
+describe("Update Post", () => {
+  test("ignores attempts to change the author", async () => {
+    const post = await createPost({
+      title: "Owned Post",
+      author: userId,
+      contents: "Original contents",
+    });
+    const otherUserId = new mongoose.Types.ObjectId();
+
+    const updated = await updatePost(post._id, {
+      title: "Owned Post (edited)",
+      author: otherUserId,
+      contents: "Edited contents",
+    });
+
+    expect(updated.title).toBe("Owned Post (edited)");
+    expect(updated.author.toString()).toBe(userId.toString());
+  });
+
+  test("getPostAuthorId returns the stored author ObjectId", async () => {
+    const post = await createPost({ title: "Mine", author: userId });
+    const authorId = await getPostAuthorId(post._id);
+    expect(authorId.toString()).toBe(userId.toString());
+  });
+
+  test("getPostAuthorId returns null for a missing post", async () => {
+    const authorId = await getPostAuthorId(new mongoose.Types.ObjectId());
+    expect(authorId).toBeNull();
+  });
+});
+
+describe("Post States", () => {
+  beforeEach(async () => {
+    await Post.deleteMany({}).exec();
+  });
+
+  test("hides unpublished posts from the default listing", async () => {
+    await createPost({ title: "Live", author: userId });
+    await createPost({ title: "Draft", author: userId, status: "draft" });
+
+    const { posts } = await listAllPosts();
+    expect(posts.map((post) => post.title)).toEqual(["Live"]);
+  });
+
+  test("lists drafts only for their author", async () => {
+    await createPost({ title: "Draft", author: userId, status: "draft" });
+
+    const mine = await listPosts({ status: ["draft"], viewerId: userId });
+    expect(mine.posts.length).toBe(1);
+
+    const anonymous = await listPosts({ status: ["draft"] });
+    expect(anonymous.posts.length).toBe(0);
+
+    const someoneElse = await listPosts({
+      status: ["draft"],
+      viewerId: new mongoose.Types.ObjectId(),
+    });
+    expect(someoneElse.posts.length).toBe(0);
+  });
+
+  test("publishes scheduled posts once they are due", async () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+    const post = await createPost({
+      title: "Later",
+      author: userId,
+      status: "scheduled",
+      publishAt,
+    });
+
+    expect(await publishDuePosts()).toBe(0);
+    expect(await publishDuePosts(new Date(publishAt.getTime() + 1))).toBe(1);
+
+    const published = await getPostById(post._id);
+    expect(published.status).toBe("published");
+  });
+
+  test("keeps the original publish date when re-publishing", async () => {
+    const publishAt = new Date("2024-01-01T00:00:00Z");
+    const post = await createPost({
+      title: "Old news",
+      author: userId,
+      status: "published",
+      publishAt,
+    });
+
+    const updated = await updatePost(post._id, {
+      title: "Old news (edited)",
+      status: "published",
+      publishAt: new Date(),
+    });
+    expect(updated.publishAt.toISOString()).toBe(publishAt.toISOString());
+  });
+});
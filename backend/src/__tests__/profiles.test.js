@@ -0,0 +1,52 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { createUser, getPublicProfile, updateProfile } from "../services/users";
+import { createPost } from "../services/posts";
+import { Post } from "../db/models/post";
+import { User } from "../db/models/user";
+
+let user;
+
+beforeEach(async () => {
+  await User.deleteMany({ username: "profileuser" });
+  user = await createUser({
+    username: "profileuser",
+    email: "profileuser@example.com",
+    password: "profilepassword",
+  });
+  await Post.deleteMany({ author: user._id });
+});
+
+describe("Profiles", () => {
+  test("public profiles leave out private fields", async () => {
+    const profile = await getPublicProfile("profileuser");
+
+    expect(profile).toEqual({
+      username: "profileuser",
+      displayName: null,
+      bio: null,
+      avatar: null,
+      joinedAt: user.createdAt,
+      postCount: 0,
+    });
+  });
+
+  test("only published posts are counted", async () => {
+    await createPost({ title: "Live", author: user._id });
+    await createPost({ title: "Draft", author: user._id, status: "draft" });
+
+    expect((await getPublicProfile("profileuser")).postCount).toBe(1);
+  });
+
+  test("unknown users have no profile", async () => {
+    expect(await getPublicProfile("nobody-here")).toBeNull();
+  });
+
+  test("updates keep omitted fields and clear empty ones", async () => {
+    await updateProfile(user._id, { displayName: "Pro File", bio: "Hello" });
+
+    const updated = await updateProfile(user._id, { bio: "" });
+
+    expect(updated.displayName).toBe("Pro File");
+    expect(updated.bio).toBeNull();
+  });
+});
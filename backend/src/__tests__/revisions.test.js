@@ -0,0 +1,116 @@
+import { describe, expect, test, beforeAll, beforeEach } from "@jest/globals";
+import {
+  listRevisionsByPost,
+  canDiffVersions,
+  diffVersions,
+} from "../services/revisions";
+import { MAX_DIFF_LINES, diffLines } from "../services/diff";
+import {
+  createPost,
+  updatePost,
+  restorePostRevision,
+  deletePost,
+  getPostById,
+} from "../services/posts";
+import { PostRevision } from "../db/models/postRevision";
+import { findUserId } from "../services/users";
+
+let userId;
+let post;
+
+beforeAll(async () => {
+  // The global Jest setup seeds 'testuser'
+  userId = await findUserId("testuser");
+});
+
+beforeEach(async () => {
+  await PostRevision.deleteMany({}).exec();
+  post = await createPost({
+    title: "First title",
+    author: userId,
+    contents: "line one\nline two",
+    tags: ["draft"],
+  });
+});
+
+describe("Post Revisions", () => {
+  test("stores the previous version when a post is edited", async () => {
+    await updatePost(
+      post._id,
+      { title: "Second title", contents: "line one\nline 2" },
+      userId,
+    );
+
+    const revisions = await listRevisionsByPost(post._id);
+    expect(revisions.length).toBe(1);
+    expect(revisions[0].title).toBe("First title");
+    expect(revisions[0].contents).toBe("line one\nline two");
+    expect(revisions[0].editor).toBe("testuser");
+  });
+
+  test("does not store a revision when nothing changed", async () => {
+    await updatePost(
+      post._id,
+      { title: "First title", contents: "line one\nline two" },
+      userId,
+    );
+
+    expect(await listRevisionsByPost(post._id)).toEqual([]);
+  });
+
+  test("restores a revision and keeps the replaced version", async () => {
+    await updatePost(
+      post._id,
+      { title: "Second title", contents: "oops" },
+      userId,
+    );
+    const [revision] = await listRevisionsByPost(post._id);
+
+    await restorePostRevision(post._id, revision, userId);
+
+    const restored = await getPostById(post._id);
+    expect(restored.title).toBe("First title");
+    expect(restored.contents).toBe("line one\nline two");
+    const revisions = await listRevisionsByPost(post._id);
+    expect(revisions.map((r) => r.title)).toEqual([
+      "Second title",
+      "First title",
+    ]);
+  });
+
+  test("deletes the history along with the post", async () => {
+    await updatePost(post._id, { title: "Second title" }, userId);
+    await deletePost(post._id);
+
+    expect(await listRevisionsByPost(post._id)).toEqual([]);
+  });
+
+  test("diffs two versions line by line", () => {
+    const diff = diffVersions(
+      { title: "A", contents: "same\nold" },
+      { title: "B", contents: "same\nnew" },
+    );
+
+    expect(diff.title).toEqual({ from: "A", to: "B" });
+    expect(diff.contents).toEqual([
+      { type: "equal", text: "same" },
+      { type: "removed", text: "old" },
+      { type: "added", text: "new" },
+    ]);
+  });
+
+  test("diffLines handles empty texts", () => {
+    expect(diffLines("", "a")).toEqual([{ type: "added", text: "a" }]);
+    expect(diffLines(undefined, "")).toEqual([]);
+  });
+
+  test("refuses to diff texts over the line limit", () => {
+    const long = "line\n".repeat(MAX_DIFF_LINES);
+
+    expect(canDiffVersions({ contents: "a" }, { contents: long })).toBe(false);
+    expect(() => diffLines("a", long)).toThrow(RangeError);
+    expect(canDiffVersions({ contents: "a" }, { contents: long.trim() })).toBe(
+      true,
+    );
+  });
+});
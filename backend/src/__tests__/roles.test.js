@@ -0,0 +1,152 @@
+import jwt from "jsonwebtoken";
+import { describe, expect, test, beforeAll, beforeEach } from "@jest/globals";
+import { can, hasRole, ACTIONS } from "../services/policy";
+import {
+  createUser,
+  findByUserName,
+  listUsers,
+  loginUser,
+  setUserRoles,
+} from "../services/users";
+import { isSessionActive } from "../services/sessions";
+import { User } from "../db/models/user";
+
+const author = { id: "a".repeat(24), username: "author", roles: [] };
+const reader = { id: "b".repeat(24), username: "reader", roles: [] };
+const moderator = { id: "c".repeat(24), username: "mod", roles: ["moderator"] };
+const admin = { id: "d".repeat(24), username: "admin", roles: ["admin"] };
+
+describe("Policy", () => {
+  const post = { authorId: author.id };
+
+  test("authors and staff may edit and delete a post", () => {
+    for (const action of ["post:edit", "post:delete", "post:history"]) {
+      expect(can(author, action, post)).toBe(true);
+      expect(can(moderator, action, post)).toBe(true);
+      expect(can(admin, action, post)).toBe(true);
+      expect(can(reader, action, post)).toBe(false);
+    }
+  });
+
+  test("only staff may pin posts", () => {
+    expect(can(author, "post:pin", post)).toBe(false);
+    expect(can(moderator, "post:pin", post)).toBe(true);
+    expect(can(admin, "post:pin", post)).toBe(true);
+  });
+
+  test("only the comment's author may edit a comment", () => {
+    const comment = { authorId: reader.id, postAuthorId: author.id };
+    expect(can(reader, "comment:edit", comment)).toBe(true);
+    expect(can(author, "comment:edit", comment)).toBe(false);
+    expect(can(moderator, "comment:edit", comment)).toBe(false);
+  });
+
+  test("comments may be removed by their author, the post's author and staff", () => {
+    const comment = { authorId: reader.id, postAuthorId: author.id };
+    expect(can(reader, "comment:delete", comment)).toBe(true);
+    expect(can(author, "comment:delete", comment)).toBe(true);
+    expect(can(moderator, "comment:delete", comment)).toBe(true);
+    expect(can(admin, "comment:delete", { authorId: reader.id })).toBe(true);
+  });
+
+  test("only admins manage users", () => {
+    expect(can(admin, "user:manage")).toBe(true);
+    expect(can(moderator, "user:manage")).toBe(false);
+  });
+
+  test("anonymous requests may do nothing", () => {
+    for (const action of ACTIONS) {
+      expect(can(undefined, action, post)).toBe(false);
+    }
+  });
+
+  test("ObjectIds compare by value", () => {
+    expect(
+      can(author, "post:edit", { authorId: { toString: () => author.id } }),
+    ).toBe(true);
+  });
+
+  test("unknown actions are a programming error", () => {
+    expect(() => can(admin, "post:launch")).toThrow("Unknown policy action");
+  });
+
+  test("hasRole matches any of the given roles", () => {
+    expect(hasRole(moderator, "moderator", "admin")).toBe(true);
+    expect(hasRole(reader, "moderator", "admin")).toBe(false);
+    expect(hasRole({ id: reader.id }, "admin")).toBe(false);
+    expect(hasRole(undefined, "admin")).toBe(false);
+  });
+});
+
+describe("User roles", () => {
+  let user;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET ||= "test-secret";
+    user = await createUser({
+      username: "roleuser",
+      email: "roleuser@example.com",
+      password: "rolepassword",
+    });
+  });
+
+  beforeEach(async () => {
+    await User.updateOne({ _id: user._id }, { $set: { roles: [] } });
+  });
+
+  test("new users have no roles", async () => {
+    const fresh = await findByUserName("roleuser");
+    expect(fresh.roles).toEqual([]);
+  });
+
+  test("access tokens carry the user's roles", async () => {
+    await setUserRoles(user._id, ["moderator"]);
+
+    const { token } = await loginUser("roleuser", "rolepassword");
+
+    expect(jwt.verify(token, process.env.JWT_SECRET).roles).toEqual([
+      "moderator",
+    ]);
+  });
+
+  test("setUserRoles removes duplicates and rejects unknown roles", async () => {
+    const updated = await setUserRoles(user._id, ["admin", "admin"]);
+    expect(updated.roles).toEqual(["admin"]);
+    expect(updated.passwordHash).toBeUndefined();
+
+    await expect(setUserRoles(user._id, ["overlord"])).rejects.toThrow();
+  });
+
+  test("removing a role signs the user out everywhere", async () => {
+    await setUserRoles(user._id, ["admin"]);
+    const { token } = await loginUser("roleuser", "rolepassword");
+    const { sid } = jwt.decode(token);
+
+    await setUserRoles(user._id, ["moderator"]);
+
+    expect(await isSessionActive(sid)).toBe(false);
+  });
+
+  test("granting a role keeps existing sessions", async () => {
+    const { token } = await loginUser("roleuser", "rolepassword");
+    const { sid } = jwt.decode(token);
+
+    await setUserRoles(user._id, ["moderator"]);
+
+    expect(await isSessionActive(sid)).toBe(true);
+  });
+
+  test("setUserRoles returns null for an unknown user", async () => {
+    expect(await setUserRoles("0".repeat(24), ["admin"])).toBeNull();
+  });
+
+  test("listUsers searches by username or email prefix", async () => {
+    expect((await listUsers({ q: "ROLEU" })).map((u) => u.username)).toEqual([
+      "roleuser",
+    ]);
+    expect((await listUsers({ q: "roleuser@" })).length).toBe(1);
+    expect(await listUsers({ q: "oleuser" })).toEqual([]);
+    // Regex metacharacters are matched literally.
+    expect(await listUsers({ q: ".*" })).toEqual([]);
+  });
+});
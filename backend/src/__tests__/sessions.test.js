@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { describe, expect, test, beforeAll, beforeEach } from "@jest/globals";
+import {
+  createSession,
+  refreshSession,
+  isSessionActive,
+  listSessionsByUser,
+  revokeUserSession,
+  revokeAllSessions,
+} from "../services/sessions";
+import { loginUser, findByUserName } from "../services/users";
+import { Session } from "../db/models/session";
+
+let user;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET ||= "test-secret";
+  // The global Jest setup seeds 'testuser'
+  user = await findByUserName("testuser");
+});
+
+beforeEach(async () => {
+  await Session.deleteMany({}).exec();
+});
+
+describe("Sessions", () => {
+  test("login returns an access token bound to a new session", async () => {
+    const result = await loginUser("testuser", "testpassword", {
+      userAgent: "jest",
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.refreshToken).toBeDefined();
+    const claims = jwt.verify(result.token, process.env.JWT_SECRET);
+    expect(claims.username).toBe("testuser");
+    const session = await Session.findById(claims.sid);
+    expect(session.userAgent).toBe("jest");
+    // Only a hash of the refresh token is stored.
+    expect(session.tokenHash).not.toContain(result.refreshToken.split(".")[1]);
+  });
+
+  test("refreshing rotates the refresh token", async () => {
+    const { refreshToken } = await createSession(user);
+
+    const refreshed = await refreshSession(refreshToken);
+
+    expect(refreshed.ok).toBe(true);
+    expect(refreshed.refreshToken).not.toBe(refreshToken);
+    expect(jwt.verify(refreshed.token, process.env.JWT_SECRET).id).toBe(
+      user._id.toString(),
+    );
+    expect((await refreshSession(refreshed.refreshToken)).ok).toBe(true);
+  });
+
+  test("concurrent refreshes with the same token both succeed", async () => {
+    const { refreshToken } = await createSession(user);
+
+    const [first, second] = await Promise.all([
+      refreshSession(refreshToken),
+      refreshSession(refreshToken),
+    ]);
+
+    expect(first.ok).toBe(true);
+    expect(second.ok).toBe(true);
+    // Both get the current refresh token, which keeps working.
+    expect(second.refreshToken).toBe(first.refreshToken);
+    expect((await refreshSession(first.refreshToken)).ok).toBe(true);
+  });
+
+  test("reusing a rotated token revokes the whole family", async () => {
+    const { refreshToken } = await createSession(user);
+    const refreshed = await refreshSession(refreshToken);
+    // Past the grace period for the previous token
+    await Session.updateMany({}, { $set: { rotatedAt: new Date(0) } });
+
+    const replay = await refreshSession(refreshToken);
+
+    expect(replay.ok).toBe(false);
+    // The legitimate, newer token is revoked along with it.
+    expect((await refreshSession(refreshed.refreshToken)).ok).toBe(false);
+  });
+
+  test("only the last rotated token is accepted again", async () => {
+    const { refreshToken } = await createSession(user);
+    const refreshed = await refreshSession(refreshToken);
+    await refreshSession(refreshed.refreshToken);
+
+    expect((await refreshSession(refreshToken)).ok).toBe(false);
+  });
+
+  test("rejects malformed and expired tokens", async () => {
+    expect((await refreshSession("garbage")).ok).toBe(false);
+
+    const { refreshToken } = await createSession(user);
+    await Session.updateMany({}, { $set: { expiresAt: new Date(0) } });
+    expect((await refreshSession(refreshToken)).ok).toBe(false);
+  });
+
+  test("revoking a session deactivates it and its refresh token", async () => {
+    const { token, refreshToken } = await createSession(user);
+    const { sid } = jwt.verify(token, process.env.JWT_SECRET);
+    expect(await isSessionActive(sid)).toBe(true);
+
+    expect(await revokeUserSession(user._id, sid)).toBe(true);
+
+    expect(await isSessionActive(sid)).toBe(false);
+    expect((await refreshSession(refreshToken)).ok).toBe(false);
+    expect(await listSessionsByUser(user._id)).toHaveLength(0);
+  });
+
+  test("a user cannot revoke someone else's session", async () => {
+    const { token } = await createSession(user);
+    const { sid } = jwt.verify(token, process.env.JWT_SECRET);
+
+    const otherUserId = new mongoose.Types.ObjectId();
+    expect(await revokeUserSession(otherUserId, sid)).toBe(false);
+    expect(await isSessionActive(sid)).toBe(true);
+  });
+
+  test("revokeAllSessions signs the user out everywhere", async () => {
+    await createSession(user, { userAgent: "laptop" });
+    await createSession(user, { userAgent: "phone" });
+    expect(await listSessionsByUser(user._id)).toHaveLength(2);
+
+    await revokeAllSessions(user._id);
+
+    expect(await listSessionsByUser(user._id)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,181 @@
+import {
+  describe,
+  expect,
+  test,
+  jest,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
+import {
+  buildSitemap,
+  buildSubSitemap,
+  renderSitemap,
+} from "../services/sitemap";
+import { renderRobotsTxt } from "../services/robots";
+import { createUser } from "../services/users";
+import { createPost, updatePost } from "../services/posts";
+import { Post } from "../db/models/post";
+import { User } from "../db/models/user";
+
+const BASE_URL = "https://blog.example.com";
+
+let user;
+
+beforeEach(async () => {
+  process.env.PUBLIC_BASE_URL = BASE_URL;
+  await User.deleteMany({ username: "sitemapuser" });
+  user = await createUser({
+    username: "sitemapuser",
+    email: "sitemapuser@example.com",
+    password: "sitemappassword",
+  });
+  await Post.deleteMany({ author: user._id });
+});
+
+afterEach(() => {
+  delete process.env.PUBLIC_BASE_URL;
+  delete process.env.ROBOTS_DISALLOW;
+  delete process.env.ROBOTS_DISALLOW_ALL;
+});
+
+function findUrl(sitemap, loc) {
+  return sitemap.urls.find((url) => url.loc === loc);
+}
+
+describe("Sitemap", () => {
+  test("list published posts, their tags and their author", async () => {
+    const post = await createPost({
+      title: "Sitemap post",
+      author: user._id,
+      tags: ["sitemaptag"],
+    });
+    await createPost({
+      title: "Sitemap draft",
+      author: user._id,
+      tags: ["sitemapdrafttag"],
+      status: "draft",
+    });
+
+    const sitemap = await buildSitemap();
+
+    expect(sitemap.type).toBe("urlset");
+    expect(findUrl(sitemap, `${BASE_URL}/`)).toBeDefined();
+    expect(findUrl(sitemap, `${BASE_URL}/posts/sitemap-post`)).toEqual({
+      loc: `${BASE_URL}/posts/sitemap-post`,
+      lastmod: post.updatedAt,
+    });
+    expect(findUrl(sitemap, `${BASE_URL}/tags/sitemaptag`)).toBeDefined();
+    expect(findUrl(sitemap, `${BASE_URL}/users/sitemapuser`)).toBeDefined();
+    expect(findUrl(sitemap, `${BASE_URL}/posts/sitemap-draft`)).toBeUndefined();
+    expect(
+      findUrl(sitemap, `${BASE_URL}/tags/sitemapdrafttag`),
+    ).toBeUndefined();
+  });
+
+  test("date pages by their latest post", async () => {
+    await createPost({
+      title: "Older",
+      author: user._id,
+      tags: ["sitemaptag"],
+    });
+    const newer = await createPost({
+      title: "Newer",
+      author: user._id,
+      tags: ["sitemaptag"],
+    });
+    const updated = await updatePost(
+      newer._id,
+      { contents: "Edited" },
+      user._id,
+    );
+
+    const sitemap = await buildSitemap();
+
+    expect(findUrl(sitemap, `${BASE_URL}/tags/sitemaptag`).lastmod).toEqual(
+      updated.updatedAt,
+    );
+    expect(findUrl(sitemap, `${BASE_URL}/users/sitemapuser`).lastmod).toEqual(
+      updated.updatedAt,
+    );
+  });
+
+  test("skip the post query when nothing is published", async () => {
+    await Post.deleteMany({});
+    const find = jest.spyOn(Post, "find");
+
+    const sitemap = await buildSitemap();
+
+    expect(find).not.toHaveBeenCalled();
+    expect(sitemap.urls.map((url) => url.loc)).toEqual([`${BASE_URL}/`]);
+    find.mockRestore();
+  });
+
+  test("split into an index of sub-sitemaps above the limit", async () => {
+    await createPost({ title: "First", author: user._id });
+    await createPost({ title: "Second", author: user._id });
+
+    const index = await buildSitemap({ limit: 1 });
+
+    expect(index.type).toBe("index");
+    expect(index.sitemaps).toContainEqual({
+      loc: `${BASE_URL}/sitemap-pages-1.xml`,
+    });
+    expect(index.sitemaps).toContainEqual({
+      loc: `${BASE_URL}/sitemap-posts-2.xml`,
+    });
+
+    const total = await Post.countDocuments({
+      status: { $in: ["published", null] },
+    });
+    const last = await buildSubSitemap("posts", total, { limit: 1 });
+    expect(last.urls).toHaveLength(1);
+    expect(await buildSubSitemap("posts", total + 1, { limit: 1 })).toBeNull();
+  });
+
+  test("render a urlset and a sitemap index", () => {
+    const urlset = renderSitemap({
+      type: "urlset",
+      urls: [
+        { loc: `${BASE_URL}/?a&b`, lastmod: new Date(0) },
+        { loc: `${BASE_URL}/`, lastmod: null },
+      ],
+    });
+    expect(urlset).toContain(
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    );
+    expect(urlset).toContain(`<loc>${BASE_URL}/?a&amp;b</loc>`);
+    expect(urlset).toContain("<lastmod>1970-01-01T00:00:00.000Z</lastmod>");
+    expect(urlset.match(/<lastmod>/g)).toHaveLength(1);
+
+    const index = renderSitemap({
+      type: "index",
+      sitemaps: [{ loc: `${BASE_URL}/sitemap-posts-1.xml` }],
+    });
+    expect(index).toContain("<sitemapindex");
+    expect(index).toContain(`<loc>${BASE_URL}/sitemap-posts-1.xml</loc>`);
+  });
+});
+
+describe("robots.txt", () => {
+  test("keep crawlers out of private pages and point to the sitemap", () => {
+    process.env.ROBOTS_DISALLOW = "/private, /tmp/";
+
+    const robots = renderRobotsTxt();
+
+    expect(robots).toMatch(/^User-agent: \*\n/);
+    expect(robots).toContain("Disallow: /admin\n");
+    expect(robots).toContain("Disallow: /api/\n");
+    expect(robots).toContain("Disallow: /private\n");
+    expect(robots).toContain("Disallow: /tmp/\n");
+    expect(robots).toContain(`Sitemap: ${BASE_URL}/sitemap.xml\n`);
+  });
+
+  test("disallow everything when asked to", () => {
+    process.env.ROBOTS_DISALLOW_ALL = "true";
+
+    const robots = renderRobotsTxt();
+
+    expect(robots).toContain("Disallow: /\n");
+    expect(robots).not.toContain("Disallow: /admin");
+  });
+});
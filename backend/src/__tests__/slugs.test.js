@@ -0,0 +1,81 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { slugify } from "../services/slugs";
+import { createUser } from "../services/users";
+import { createPost, updatePost, getPostBySlug } from "../services/posts";
+import { Post } from "../db/models/post";
+import { User } from "../db/models/user";
+
+let user;
+
+beforeEach(async () => {
+  await User.deleteMany({ username: "sluguser" });
+  user = await createUser({
+    username: "sluguser",
+    email: "sluguser@example.com",
+    password: "slugpassword",
+  });
+  await Post.deleteMany({ title: { $regex: "^Slug Test" } });
+});
+
+describe("Slugs", () => {
+  test("are derived from the title", () => {
+    expect(slugify("Hello, World!")).toBe("hello-world");
+    expect(slugify("  Ça va?  ")).toBe("ça-va");
+    expect(slugify("???")).toBe("post");
+    // Never confused with the ObjectId of a legacy link.
+    expect(slugify("0123456789abcdef01234567")).toBe(
+      "0123456789abcdef01234567-post",
+    );
+  });
+
+  test("get a suffix when the title is taken", async () => {
+    const first = await createPost({ title: "Slug Test", author: user._id });
+    const second = await createPost({ title: "Slug test!", author: user._id });
+    const third = await createPost({ title: "Slug Test", author: user._id });
+
+    expect(first.slug).toBe("slug-test");
+    expect(second.slug).toBe("slug-test-2");
+    expect(third.slug).toBe("slug-test-3");
+  });
+
+  test("follow title changes and keep the old slug as a redirect", async () => {
+    const post = await createPost({ title: "Slug Test Old", author: user._id });
+
+    const renamed = await updatePost(post._id, { title: "Slug Test New" });
+    expect(renamed.slug).toBe("slug-test-new");
+    expect(renamed.previousSlugs).toEqual(["slug-test-old"]);
+    expect((await getPostBySlug("slug-test-old")).slug).toBe("slug-test-new");
+
+    // Nobody else may take over the old slug...
+    const other = await createPost({
+      title: "Slug Test Old",
+      author: user._id,
+    });
+    expect(other.slug).toBe("slug-test-old-2");
+
+    // ...but the post itself may take it back.
+    const restored = await updatePost(post._id, { title: "Slug Test Old" });
+    expect(restored.slug).toBe("slug-test-old");
+    expect(restored.previousSlugs).toEqual(["slug-test-new"]);
+  });
+
+  test("stay when an edit does not change the title's slug", async () => {
+    const post = await createPost({ title: "Slug Test", author: user._id });
+
+    const updated = await updatePost(post._id, { title: "Slug test!" });
+
+    expect(updated.slug).toBe("slug-test");
+    expect(updated.previousSlugs).toBeUndefined();
+  });
+
+  test("are given to legacy posts on their first edit", async () => {
+    const { _id } = await Post.create({
+      title: "Slug Test Legacy",
+      author: user._id,
+    });
+
+    const updated = await updatePost(_id, { contents: "Edited" });
+
+    expect(updated.slug).toBe("slug-test-legacy");
+  });
+});
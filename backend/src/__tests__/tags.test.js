@@ -0,0 +1,75 @@
+import { describe, expect, test, beforeEach } from "@jest/globals";
+import { normalizeTag, normalizeTags, listTags } from "../services/tags";
+import { createUser } from "../services/users";
+import { createPost, updatePost } from "../services/posts";
+import { Post } from "../db/models/post";
+import { User } from "../db/models/user";
+
+let user;
+
+beforeEach(async () => {
+  await User.deleteMany({ username: "taguser" });
+  user = await createUser({
+    username: "taguser",
+    email: "taguser@example.com",
+    password: "tagpassword",
+  });
+  await Post.deleteMany({ tags: { $regex: "^tagtest" } });
+});
+
+describe("Tag normalization", () => {
+  test("lowercases and turns separators into single dashes", () => {
+    expect(normalizeTag("  Web Development ")).toBe("web-development");
+    expect(normalizeTag("C++ / Rust!")).toBe("c-rust");
+    expect(normalizeTag("Ünïcode_Tags")).toBe("ünïcode-tags");
+  });
+
+  test("leaves nothing of tags without letters or digits", () => {
+    expect(normalizeTag("---")).toBe("");
+  });
+
+  test("drops empty and duplicate tags", () => {
+    expect(normalizeTags(["React", "react ", "!!", "Node.js"])).toEqual([
+      "react",
+      "node-js",
+    ]);
+    expect(normalizeTags(undefined)).toBeUndefined();
+  });
+
+  test("tags are normalized when posts are saved", async () => {
+    const post = await createPost({
+      title: "Tagged",
+      author: user._id,
+      tags: ["TagTest One", "tagtest-one"],
+    });
+    expect(post.tags).toEqual(["tagtest-one"]);
+
+    const updated = await updatePost(post._id, { tags: ["TagTest Two"] });
+    expect(updated.tags).toEqual(["tagtest-two"]);
+  });
+});
+
+describe("Tag index", () => {
+  test("counts published posts per tag, most used first", async () => {
+    await createPost({
+      title: "A",
+      author: user._id,
+      tags: ["tagtest-a", "tagtest-b"],
+    });
+    await createPost({ title: "B", author: user._id, tags: ["tagtest-b"] });
+    await createPost({
+      title: "Draft",
+      author: user._id,
+      tags: ["tagtest-c"],
+      status: "draft",
+    });
+
+    expect(await listTags({ prefix: "tagtest" })).toEqual([
+      { tag: "tagtest-b", count: 2 },
+      { tag: "tagtest-a", count: 1 },
+    ]);
+    expect(await listTags({ prefix: "TagTest", limit: 1 })).toEqual([
+      { tag: "tagtest-b", count: 2 },
+    ]);
+  });
+});
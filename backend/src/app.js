@@ -1,14 +1,35 @@
 import express from "express";
 import { postsRoutes } from "./routes/posts.js ";
 import { userRoutes } from "./routes/users.js";
+import { commentRoutes } from "./routes/comments.js";
+import { revisionRoutes } from "./routes/revisions.js";
+import { uploadRoutes } from "./routes/uploads.js";
+import { adminRoutes } from "./routes/admin.js";
+import { tagRoutes } from "./routes/tags.js";
+import { feedRoutes } from "./routes/feeds.js";
+import { sitemapRoutes } from "./routes/sitemap.js";
+import { requestId, notFound, errorHandler } from "./middleware/errors.js";
 import bodyParser from "body-parser";
 import cors from "cors";
 
 const app = express();
-app.use(cors());
+app.use(requestId);
+// Let browser clients read the request id of failed calls.
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
 app.use(bodyParser.json());
 
 postsRoutes(app);
 userRoutes(app);
+commentRoutes(app);
+revisionRoutes(app);
+uploadRoutes(app);
+adminRoutes(app);
+tagRoutes(app);
+feedRoutes(app);
+sitemapRoutes(app);
+
+// Anything not answered above becomes a problem+json response.
+app.use(notFound);
+app.use(errorHandler);
 
 export { app };
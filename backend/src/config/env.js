@@ -28,3 +28,19 @@ export function loadConfig() {
     port: process.env.PORT || 8080,
   };
 }
+
+/**
+ * Express's "trust proxy" setting, from TRUST_PROXY. Behind a reverse proxy
+ * (nginx, the SSR server, a cloud load balancer) every request comes from
+ * the proxy, so the client address has to be read from X-Forwarded-For, but
+ * only as far as trusted proxies wrote it. TRUST_PROXY is the number of
+ * proxies in front of the backend (e.g. "1"), "true" to trust every hop, or
+ * a comma-separated list of proxy addresses and subnets ("loopback",
+ * "10.0.0.0/8"). Unset, req.ip is the address of the direct peer.
+ */
+export function trustProxy(value = process.env.TRUST_PROXY) {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(",").map((entry) => entry.trim());
+}
@@ -0,0 +1,37 @@
+/**
+ * Public identity of the blog, for documents that leave the app with
+ * absolute links (feeds, sitemaps):
+ *
+ * - PUBLIC_BASE_URL: where readers open the blog, e.g.
+ *   https://blog.example.com (default: FRONTEND_URL, then
+ *   http://localhost:5173). The site is expected to forward its feed and
+ *   sitemap paths (/feed.xml, /sitemap.xml, /robots.txt, ...) to this
+ *   backend.
+ * - SITE_TITLE: the blog's name (default: "My Blog")
+ *
+ * Both are read on every call, so they follow the loaded configuration.
+ */
+
+export function siteTitle() {
+  return process.env.SITE_TITLE || "My Blog";
+}
+
+/**
+ * Absolute public URL of `path` ("/posts/hello-world"). A base URL with a
+ * path of its own (https://example.com/blog) is kept as a prefix.
+ */
+export function publicUrl(path = "/") {
+  const base =
+    process.env.PUBLIC_BASE_URL ||
+    process.env.FRONTEND_URL ||
+    "http://localhost:5173";
+  return `${base.replace(/\/+$/, "")}${path}`;
+}
+
+/**
+ * Absolute public URL of a post's page: its slug, or its id for posts from
+ * before slugs existed.
+ */
+export function postUrl(post) {
+  return publicUrl(`/posts/${encodeURIComponent(post.slug || post._id)}`);
+}
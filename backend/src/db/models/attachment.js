@@ -0,0 +1,20 @@
+import mongoose, { Schema } from "mongoose";
+
+// Metadata of an uploaded file. The bytes live in the configured storage
+// driver (see storage/index.js) under `key`; `url` is where clients fetch it.
+const attachmentSchema = new Schema(
+  {
+    owner: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    key: { type: String, required: true, unique: true },
+    url: { type: String, required: true },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+  },
+  { timestamps: true },
+);
+
+attachmentSchema.index({ owner: 1, createdAt: -1 });
+attachmentSchema.index({ url: 1 });
+
+export const Attachment = mongoose.model("attachment", attachmentSchema);
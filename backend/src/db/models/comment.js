@@ -0,0 +1,18 @@
+import mongoose, { Schema } from "mongoose";
+
+const commentSchema = new Schema(
+  {
+    post: { type: Schema.Types.ObjectId, ref: "post", required: true },
+    author: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    // Top-level comments have no parent; replies point at the comment they answer.
+    parent: { type: Schema.Types.ObjectId, ref: "comment", default: null },
+    contents: { type: String, required: true },
+    // Comments with replies are soft-deleted so the thread keeps its shape.
+    deleted: { type: Boolean, default: false },
+  },
+  { timestamps: true },
+);
+
+commentSchema.index({ post: 1, createdAt: 1 });
+
+export const Comment = mongoose.model("comment", commentSchema);
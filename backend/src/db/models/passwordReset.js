@@ -0,0 +1,22 @@
+import mongoose, { Schema } from "mongoose";
+
+// A password reset request. Only a hash of the emailed token is stored; the
+// token can be used once (usedAt) and only until expiresAt.
+const passwordResetSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+passwordResetSchema.index({ user: 1 });
+// MongoDB removes reset requests once they have expired.
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const PasswordReset = mongoose.model(
+  "passwordReset",
+  passwordResetSchema,
+);
@@ -1,13 +1,47 @@
 import mongoose, { Schema } from "mongoose";
 
+export const POST_STATUSES = ["draft", "scheduled", "published", "archived"];
+
 const postSchema = new Schema(
   {
     title: { type: String, required: true },
+    // URL-friendly name derived from the title (see services/slugs.js).
+    // Posts created before slugs existed have none until they are edited.
+    slug: { type: String },
+    // Slugs the post had before its title changed; they redirect to `slug`.
+    previousSlugs: { type: [String], default: undefined },
     author: { type: Schema.Types.ObjectId, ref: "User", required: true },
     contents: String,
     tags: [String],
+    // Publication lifecycle. Only "published" posts are publicly visible;
+    // documents created before this field existed are treated as published.
+    status: {
+      type: String,
+      enum: POST_STATUSES,
+      default: "published",
+    },
+    // When the post went (or, for scheduled posts, will go) live.
+    publishAt: { type: Date, default: null },
+    // URL of one of the author's uploaded images (see models/attachment.js).
+    coverImage: { type: String, default: null },
+    // Pinned posts are highlighted; only moderators and admins pin.
+    pinned: { type: Boolean, default: false },
   },
   { timestamps: true },
 );
 
+// Full-text index backing the `q` search parameter of GET /api/v1/posts.
+// Weights make title matches rank above tag matches, and both above contents.
+postSchema.index(
+  { title: "text", tags: "text", contents: "text" },
+  { name: "post_text_search", weights: { title: 10, tags: 5, contents: 1 } },
+);
+
+// Slugs resolve to exactly one post; legacy posts without a slug are skipped.
+postSchema.index({ slug: 1 }, { unique: true, sparse: true });
+postSchema.index({ previousSlugs: 1 });
+
+// Lets the scheduler find due posts without scanning the collection.
+postSchema.index({ status: 1, publishAt: 1 });
+
 export const Post = mongoose.model("post", postSchema);
@@ -0,0 +1,19 @@
+import mongoose, { Schema } from "mongoose";
+
+// A snapshot of a post's editable fields as they were before an edit.
+// `editor` is the user whose edit replaced this version, and `createdAt` is
+// when that happened.
+const postRevisionSchema = new Schema(
+  {
+    post: { type: Schema.Types.ObjectId, ref: "post", required: true },
+    editor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    title: { type: String, required: true },
+    contents: String,
+    tags: [String],
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+postRevisionSchema.index({ post: 1, createdAt: -1 });
+
+export const PostRevision = mongoose.model("postRevision", postRevisionSchema);
@@ -0,0 +1,28 @@
+import mongoose, { Schema } from "mongoose";
+
+// A login session, i.e. one refresh token family. Every refresh rotates the
+// token; only the hash of the current one is stored. Presenting an older
+// token of the family means it leaked, and the whole session is revoked,
+// except for the previous token shortly after a rotation (see
+// services/sessions.js).
+const sessionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true },
+    previousTokenHash: { type: String, default: null },
+    rotatedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    // Device information, refreshed on every rotation.
+    userAgent: String,
+    ip: String,
+    lastUsedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true },
+);
+
+sessionSchema.index({ user: 1 });
+// MongoDB removes sessions once they can no longer be refreshed.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("session", sessionSchema);
@@ -1,8 +1,25 @@
 import mongoose from 'mongoose';
+
+// Roles grant powers beyond a user's own content (see services/policy.js).
+export const USER_ROLES = ['moderator', 'admin'];
+
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   passwordHash: { type: String, required: true },
+  // Set once the user opens the link emailed at signup (see
+  // services/emailVerification.js). Publishing may require it.
+  emailVerified: { type: Boolean, default: false },
+  // Copied into the access token claims, so changes reach the client on
+  // its next token refresh.
+  roles: { type: [{ type: String, enum: USER_ROLES }], default: [] },
+  // Set by an admin; suspended users cannot log in or refresh their tokens.
+  suspendedAt: { type: Date, default: null },
+  // Public profile (see services/users.js getPublicProfile). The avatar is
+  // the URL of one of the user's uploaded images.
+  displayName: { type: String, default: null },
+  bio: { type: String, default: null },
+  avatar: { type: String, default: null },
   createdAt: { type: Date, default: Date.now },
 });
     
@@ -14,6 +14,11 @@ initializeJwtMiddleware();
 
 import { app } from "./app.js";
 import { initDatabase } from "./db/init.js";
+import { startScheduler } from "./services/scheduler.js";
+import { trustProxy } from "./config/env.js";
+
+// Client addresses (rate limits, session devices) behind a reverse proxy
+app.set("trust proxy", trustProxy());
 
 // Use the PORT from environment variables or default to 8080.
 // That is done in order to align default port used in google cloud deployment.
@@ -24,6 +29,9 @@ const port = process.env.PORT || 8080;
 await initDatabase();
 console.log("Database initialized");
 
+// Publish scheduled posts once their publishAt time has passed.
+startScheduler();
+
 /* Start the Express server and listen on the specified port.
   '0.0.0.0' allows connections from any network interface because
 in cloud environments, the server might not be running on localhost.
@@ -0,0 +1,13 @@
+/**
+ * Mail transport that prints messages to the console instead of sending
+ * them. Meant for development, where reset links are copied from the log.
+ */
+export function createConsoleTransport({ log = console.log } = {}) {
+  return {
+    async send({ from, to, subject, text }) {
+      log(
+        `--- Email ---\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n--- End of email ---`,
+      );
+    },
+  };
+}
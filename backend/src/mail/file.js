@@ -0,0 +1,33 @@
+import { randomUUID } from "crypto";
+import { mkdir, writeFile } from "fs/promises";
+import { fileURLToPath } from "url";
+import { dirname, resolve } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Mail transport that writes each message to a .eml file in MAIL_DIR
+ * (default: backend/mail), where it can be opened with a mail client or
+ * inspected by tests.
+ */
+export function createFileTransport({
+  directory = process.env.MAIL_DIR || resolve(__dirname, "../../mail"),
+} = {}) {
+  return {
+    async send({ from, to, subject, text }) {
+      await mkdir(directory, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${randomUUID()}.eml`;
+      const message = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        text,
+      ].join("\r\n");
+      await writeFile(resolve(directory, name), message);
+    },
+  };
+}
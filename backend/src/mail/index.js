@@ -0,0 +1,75 @@
+import { createConsoleTransport } from "./console.js";
+import { createFileTransport } from "./file.js";
+import { createSmtpTransport } from "./smtp.js";
+
+/*
+ * Pluggable mail transport for outgoing email (password resets, ...).
+ *
+ * A transport is an object with:
+ * - send({ from, to, subject, text }) → Promise<void>
+ *
+ * The transport is picked with MAIL_TRANSPORT: "console" (default outside
+ * production) logs messages, "file" writes them to MAIL_DIR, and "smtp"
+ * (default in production) delivers them through SMTP_HOST. Other transports
+ * plug in through registerMailTransport() without touching the services
+ * that send mail.
+ */
+
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+let _transport = null;
+
+export function registerMailTransport(name, factory) {
+  transports[name] = factory;
+}
+
+/**
+ * The configured mail transport. Created on first use, after loadConfig()
+ * has populated the environment.
+ */
+export function getMailTransport() {
+  if (!_transport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "production" ? "smtp" : "console");
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+    _transport = factory();
+  }
+  return _transport;
+}
+
+// Replace the active transport (used by tests).
+export function setMailTransport(transport) {
+  _transport = transport;
+}
+
+/**
+ * Send an email through the configured transport. `from` defaults to
+ * MAIL_FROM.
+ */
+export async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || "My Blog <no-reply@localhost>";
+  await getMailTransport().send({ from, to, subject, text });
+}
+
+/**
+ * Absolute URL of a frontend page (FRONTEND_URL, default
+ * http://localhost:5173), for links in emails.
+ */
+export function frontendLink(path, params = {}) {
+  const url = new URL(
+    path,
+    process.env.FRONTEND_URL || "http://localhost:5173",
+  );
+  for (const [name, value] of Object.entries(params)) {
+    url.searchParams.set(name, value);
+  }
+  return url.toString();
+}
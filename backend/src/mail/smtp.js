@@ -0,0 +1,29 @@
+import nodemailer from "nodemailer";
+
+/**
+ * Mail transport that delivers messages over SMTP (SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE, and SMTP_USER/SMTP_PASSWORD when the server needs auth).
+ */
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === "true",
+  user = process.env.SMTP_USER,
+  password = process.env.SMTP_PASSWORD,
+} = {}) {
+  if (!host) {
+    throw new Error("SMTP_HOST is required for the smtp mail transport");
+  }
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+  });
+
+  return {
+    async send({ from, to, subject, text }) {
+      await transporter.sendMail({ from, to, subject, text });
+    },
+  };
+}
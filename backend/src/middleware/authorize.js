@@ -0,0 +1,26 @@
+import { requireAuth } from "./jwt.js";
+import { HttpError } from "./errors.js";
+import { hasRole } from "../services/policy.js";
+
+/**
+ * Route middleware admitting only users with one of `roles`, read from the
+ * access token claims. It runs requireAuth first, so it replaces it:
+ *
+ *   app.get("/api/v1/admin/users", ...requireRole("admin"), handler)
+ *
+ * Checks that depend on the resource (is this the author?) belong in the
+ * handler, through can() from services/policy.js.
+ */
+export function requireRole(...roles) {
+  return [
+    requireAuth,
+    (req, res, next) => {
+      if (!hasRole(req.auth, ...roles)) {
+        return next(
+          new HttpError(403, "You do not have permission to do this"),
+        );
+      }
+      next();
+    },
+  ];
+}
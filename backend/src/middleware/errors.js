@@ -0,0 +1,116 @@
+import { randomUUID } from "node:crypto";
+import { STATUS_CODES } from "node:http";
+
+/**
+ * Error responses.
+ *
+ * Every error leaves the API as an RFC 7807 problem details document with
+ * the `application/problem+json` content type:
+ *
+ *   {
+ *     "type": "about:blank",
+ *     "title": "Not Found",
+ *     "status": 404,
+ *     "detail": "Post not found",
+ *     "instance": "/api/v1/posts/0123456789abcdef01234567",
+ *     "requestId": "5b0c7a7e-..."
+ *   }
+ *
+ * Route handlers throw an HttpError (Express 5 forwards errors thrown by
+ * async handlers) and errorHandler() turns it into the response. Anything
+ * else that reaches errorHandler() is logged with the request id and
+ * answered with a 500 that does not leak internals. Extra members, such as
+ * the `errors` list of a validation failure, are passed as `extensions`.
+ */
+
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code (4xx or 5xx)
+   * @param {string} [detail] - Human-readable explanation of this occurrence
+   * @param {object} [extensions] - Extra members added to the response body
+   */
+  constructor(status, detail = STATUS_CODES[status], extensions = {}) {
+    super(detail);
+    this.name = "HttpError";
+    this.status = status;
+    this.extensions = extensions;
+  }
+}
+
+// Ids accepted from an upstream proxy; anything else is replaced.
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * Give every request an id, echoed in the X-Request-Id header and in error
+ * responses so a problem report can be matched with the server logs. An id
+ * set by a proxy in front of the backend is kept.
+ */
+export function requestId(req, res, next) {
+  const incoming = req.get("x-request-id");
+  req.id = REQUEST_ID_PATTERN.test(incoming ?? "") ? incoming : randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+/**
+ * Catch-all for requests no route matched.
+ */
+export function notFound(req, res, next) {
+  next(new HttpError(404, `Cannot ${req.method} ${req.path}`));
+}
+
+// Map errors raised by libraries to the status the client should see.
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+  // express-jwt: missing, malformed, expired or wrongly signed token.
+  if (err.name === "UnauthorizedError") {
+    return new HttpError(401, err.message);
+  }
+  // body-parser: malformed JSON, oversized bodies, unsupported charsets.
+  if (err.type === "entity.parse.failed") {
+    return new HttpError(400, "Request body is not valid JSON");
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new HttpError(err.status, err.message);
+  }
+  // Mongoose: documents that fail the model's own validation.
+  if (err.name === "ValidationError") {
+    return new HttpError(400, err.message);
+  }
+  // MongoDB: a unique index rejected the write (e.g. a signup race).
+  if (err.code === 11000) {
+    return new HttpError(409, "A record with the same value already exists");
+  }
+  return null;
+}
+
+/**
+ * Express error-handling middleware; register it after every route. Express
+ * recognizes error handlers by their four parameters, so keep `next`.
+ */
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+  let httpError = toHttpError(err);
+  if (!httpError) {
+    console.error(
+      `Error handling ${req.method} ${req.originalUrl} (request ${req.id}):`,
+      err,
+    );
+    httpError = new HttpError(500, "An unexpected error occurred");
+  }
+  const { status, message, extensions } = httpError;
+  res
+    .status(status)
+    .type("application/problem+json")
+    .json({
+      type: "about:blank",
+      title: STATUS_CODES[status] ?? "Error",
+      status,
+      detail: message,
+      instance: req.originalUrl,
+      requestId: req.id,
+      ...extensions,
+    });
+}
@@ -1,4 +1,6 @@
 import { expressjwt as jwt } from "express-jwt";
+import { isSessionActive } from "../services/sessions.js";
+import { HttpError } from "./errors.js";
 
 /* Middleware to protect routes using JWT authentication.
  * It uses the secret from environment variables and HS256 algorithm.
@@ -6,7 +8,7 @@ import { expressjwt as jwt } from "express-jwt";
 
 unless({ path: [...] }) tells the JWT middleware to skip authentication for those specific routes.
 So:
-- /api/v1/user/login and /api/v1/user/signup are public (no token required)
+- /api/v1/user/login, /api/v1/user/signup and /api/v1/user/refresh are public (no token required)
 All other routes require a valid JWT token in the Authorization header
 Without unless, users couldn't log in or sign up because they don't have a token yet. This exempts those endpoints from authentication while protecting everything else.* 
 
@@ -14,6 +16,7 @@ Without unless, users couldn't log in or sign up because they don't have a token
 
 // Create middleware - will be initialized after loadConfig()
 let _requireAuth = null;
+let _optionalAuth = null;
 
 export function initializeJwtMiddleware() {
   if (!process.env.JWT_SECRET) {
@@ -23,7 +26,25 @@ export function initializeJwtMiddleware() {
   _requireAuth = jwt({
     secret: process.env.JWT_SECRET,
     algorithms: ["HS256"],
-  }).unless({ path: ["/api/v1/user/login", "/api/v1/user/signup"] });
+  }).unless({
+    path: [
+      "/api/v1/user/login",
+      "/api/v1/user/signup",
+      "/api/v1/user/refresh",
+      "/api/v1/user/forgot-password",
+      "/api/v1/user/reset-password",
+      "/api/v1/user/verify-email",
+      "/api/v1/user/resend-verification",
+    ],
+  });
+
+  // Same verification, but requests without a token pass through with
+  // req.auth left undefined (used by public routes that show more to owners).
+  _optionalAuth = jwt({
+    secret: process.env.JWT_SECRET,
+    algorithms: ["HS256"],
+    credentialsRequired: false,
+  });
 
   return _requireAuth;
 }
@@ -88,5 +109,43 @@ export function requireAuth(req, res, next) {
       "JWT middleware not initialized. Call initializeJwtMiddleware() first.",
     );
   }
-  return _requireAuth(req, res, next);
+  return _requireAuth(req, res, async (err) => {
+    if (err || !req.auth) return next(err);
+    // A valid signature is not enough: the session the token belongs to must
+    // not have been logged out (see services/sessions.js).
+    try {
+      if (!(await isSessionActive(req.auth.sid))) {
+        return next(new HttpError(401, "Session has been logged out"));
+      }
+      next();
+    } catch (sessionErr) {
+      next(sessionErr);
+    }
+  });
+}
+
+/* Deferred wrapper for the optional variant, following the same pattern as
+ * requireAuth above. A valid token populates req.auth; a missing, invalid,
+ * expired or logged-out token leaves req.auth undefined, so the request is simply treated
+ * as anonymous instead of failing a public page with a 401.
+ *
+ * USAGE:
+ * app.get("/api/v1/posts", optionalAuth, async (req, res) => { req.auth?.id ... })
+ */
+export function optionalAuth(req, res, next) {
+  if (!_optionalAuth) {
+    throw new Error(
+      "JWT middleware not initialized. Call initializeJwtMiddleware() first.",
+    );
+  }
+  return _optionalAuth(req, res, async (err) => {
+    try {
+      if (err || (req.auth && !(await isSessionActive(req.auth.sid)))) {
+        req.auth = undefined;
+      }
+      next();
+    } catch (sessionErr) {
+      next(sessionErr);
+    }
+  });
 }
@@ -0,0 +1,48 @@
+import { HttpError } from "./errors.js";
+
+/**
+ * Fixed-window rate limiting middleware.
+ *
+ * Allows `max` requests per `windowMs` for each key (by default the client
+ * IP) and answers 429 with a Retry-After header beyond that. Counters live
+ * in this process's memory, so with several backend instances each one
+ * enforces the limit on its own.
+ *
+ * @param {object} options
+ * @param {number} options.windowMs - Length of a window in milliseconds
+ * @param {number} options.max - Requests allowed per key and window
+ * @param {(req) => string} [options.key] - Groups requests that share a limit
+ * @param {string} [options.message] - Detail of the 429 problem
+ */
+export function rateLimit({
+  windowMs,
+  max,
+  key = (req) => req.ip,
+  message = "Too many requests, please try again later",
+}) {
+  const windows = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    // Forget finished windows now and then so the map does not grow forever.
+    if (windows.size > 10000) {
+      for (const [k, window] of windows) {
+        if (window.resetAt <= now) windows.delete(k);
+      }
+    }
+
+    const k = key(req);
+    let window = windows.get(k);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(k, window);
+    }
+    window.count += 1;
+
+    if (window.count > max) {
+      res.set("Retry-After", String(Math.ceil((window.resetAt - now) / 1000)));
+      return next(new HttpError(429, message));
+    }
+    next();
+  };
+}
@@ -0,0 +1,77 @@
+import { HttpError } from "./errors.js";
+
+/**
+ * Request validation middleware.
+ *
+ * validate({ params, query, body }) checks each part of the request against
+ * its zod schema (see src/schemas/) before the route handler runs. Parsed
+ * values replace the raw ones, so handlers see trimmed strings, parsed dates
+ * and defaults. Invalid requests are answered with a 400 problem (see
+ * errors.js) listing every problem found:
+ *
+ *   {
+ *     "title": "Bad Request",
+ *     "status": 400,
+ *     "detail": "Title is required; Contents is required",
+ *     "errors": [
+ *       { "location": "body", "field": "title", "message": "Title is required" },
+ *       ...
+ *     ],
+ *     ...
+ *   }
+ *
+ * `field` is the dotted path within its location ("tags.0"); `detail` joins
+ * the messages for clients that only show one line.
+ */
+
+const LOCATIONS = ["params", "query", "body"];
+
+export function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const parsed = {};
+
+    for (const location of LOCATIONS) {
+      const schema = schemas[location];
+      if (!schema) continue;
+      const result = schema.safeParse(req[location] ?? {});
+      if (result.success) {
+        parsed[location] = result.data;
+      } else {
+        for (const issue of result.error.issues) {
+          errors.push({
+            location,
+            field: issue.path.join("."),
+            message: issue.message,
+          });
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      const detail = errors.map((error) => error.message).join("; ");
+      return next(new HttpError(400, detail, { errors }));
+    }
+
+    for (const [location, value] of Object.entries(parsed)) {
+      // Express 5 exposes req.query through a getter; shadow it instead.
+      Object.defineProperty(req, location, {
+        value,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Error for a single invalid field found by a route handler itself (e.g. a
+ * username that is already taken), in the same shape as validate(). Throw it.
+ */
+export function fieldError(field, message, location = "body") {
+  return new HttpError(400, message, {
+    errors: [{ location, field, message }],
+  });
+}
@@ -0,0 +1,201 @@
+import {
+  listUsers,
+  setUserRoles,
+  setUserSuspended,
+} from "../services/users.js";
+import {
+  deleteUserAccount,
+  bulkUpdatePosts,
+  getSiteStats,
+} from "../services/admin.js";
+import {
+  listPosts,
+  getPostAccess,
+  updatePost,
+  setPostPinned,
+  deletePost,
+} from "../services/posts.js";
+import {
+  UNVERIFIED_AUTHOR_PUBLISH_ERROR,
+  canPublish,
+} from "../services/emailVerification.js";
+import { POST_STATUSES } from "../db/models/post.js";
+import { requireRole } from "../middleware/authorize.js";
+import { HttpError } from "../middleware/errors.js";
+import { validate, fieldError } from "../middleware/validate.js";
+import { listPostsSchema } from "../schemas/posts.js";
+import {
+  adminUserListSchema,
+  adminUserParamsSchema,
+  updateAdminUserSchema,
+  adminPostParamsSchema,
+  updateAdminPostSchema,
+  bulkPostsSchema,
+  adminStatsSchema,
+} from "../schemas/admin.js";
+
+// This file defines the /api/v1/admin routes: managing every user and post
+// regardless of ownership. All of them require the admin role; moderators
+// work through the regular routes, which consult services/policy.js.
+
+export function adminRoutes(app) {
+  const requireAdmin = requireRole("admin");
+
+  app.get(
+    "/api/v1/admin/users",
+    ...requireAdmin,
+    validate(adminUserListSchema),
+    async (req, res) => {
+      const users = await listUsers({ q: req.query.q });
+      res.json(users);
+    },
+  );
+
+  app.get(
+    "/api/v1/admin/stats",
+    ...requireAdmin,
+    validate(adminStatsSchema),
+    async (req, res) => {
+      const stats = await getSiteStats({ days: req.query.days });
+      res.json(stats);
+    },
+  );
+
+  app.patch(
+    "/api/v1/admin/users/:id",
+    ...requireAdmin,
+    validate(updateAdminUserSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      const { roles, suspended } = req.body;
+      // Keep at least the admin doing this able to undo it.
+      if (id === req.auth.id) {
+        if (roles && !roles.includes("admin")) {
+          throw fieldError("roles", "You cannot remove your own admin role");
+        }
+        if (suspended) {
+          throw fieldError("suspended", "You cannot suspend yourself");
+        }
+      }
+      let user = null;
+      if (roles !== undefined) {
+        user = await setUserRoles(id, roles);
+        if (!user) {
+          throw new HttpError(404, "User not found");
+        }
+      }
+      if (suspended !== undefined) {
+        user = await setUserSuspended(id, suspended);
+        if (!user) {
+          throw new HttpError(404, "User not found");
+        }
+      }
+      res.json(user);
+    },
+  );
+
+  // Deletes the account with its posts, comments and uploads.
+  app.delete(
+    "/api/v1/admin/users/:id",
+    ...requireAdmin,
+    validate(adminUserParamsSchema),
+    async (req, res) => {
+      if (req.params.id === req.auth.id) {
+        throw new HttpError(400, "You cannot delete your own account here");
+      }
+      if (!(await deleteUserAccount(req.params.id))) {
+        throw new HttpError(404, "User not found");
+      }
+      res.status(204).send();
+    },
+  );
+
+  // Same filters as GET /api/v1/posts, but across all authors; without a
+  // status filter every publication state is listed.
+  app.get(
+    "/api/v1/admin/posts",
+    ...requireAdmin,
+    validate(listPostsSchema),
+    async (req, res) => {
+      const { sortBy, sortOrder, limit, cursor, tag, status, ...filters } =
+        req.query;
+      const posts = await listPosts(
+        {
+          ...filters,
+          tags: tag,
+          status: status.length > 0 ? status : POST_STATUSES,
+          privileged: true,
+        },
+        { sortBy, sortOrder, limit, cursor },
+      );
+      res.json(posts);
+    },
+  );
+
+  // Body { ids, action }: delete, unpublish (back to draft), feature or
+  // unfeature (pin/unpin) several posts at once. Unknown ids are skipped.
+  app.post(
+    "/api/v1/admin/posts/bulk",
+    ...requireAdmin,
+    validate(bulkPostsSchema),
+    async (req, res) => {
+      const { ids, action } = req.body;
+      const count = await bulkUpdatePosts(ids, action);
+      res.json({ action, count });
+    },
+  );
+
+  app.patch(
+    "/api/v1/admin/posts/:id",
+    ...requireAdmin,
+    validate(updateAdminPostSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      const { status, pinned } = req.body;
+      let post = null;
+      // Admins publish on behalf of the author, whose email must be
+      // verified, as on PATCH /api/v1/posts/:id.
+      if (status === "published") {
+        const current = await getPostAccess(id);
+        if (!current) {
+          throw new HttpError(404, "Post not found");
+        }
+        if (
+          current.status !== "published" &&
+          !(await canPublish(current.author))
+        ) {
+          throw new HttpError(403, UNVERIFIED_AUTHOR_PUBLISH_ERROR);
+        }
+      }
+      if (status !== undefined) {
+        post = await updatePost(id, {
+          status,
+          publishAt: status === "published" ? new Date() : null,
+        });
+        if (!post) {
+          throw new HttpError(404, "Post not found");
+        }
+      }
+      if (pinned !== undefined) {
+        post = await setPostPinned(id, pinned);
+        if (!post) {
+          throw new HttpError(404, "Post not found");
+        }
+      }
+      res.json(post);
+    },
+  );
+
+  app.delete(
+    "/api/v1/admin/posts/:id",
+    ...requireAdmin,
+    validate(adminPostParamsSchema),
+    async (req, res) => {
+      const result = await deletePost(req.params.id);
+      if (result.deletedCount === 0) {
+        throw new HttpError(404, "Post not found");
+      }
+      res.status(204).send();
+    },
+  );
+}
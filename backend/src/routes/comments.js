@@ -0,0 +1,124 @@
+import {
+  listCommentsByPost,
+  getCommentById,
+  createComment,
+  updateComment,
+  deleteComment,
+} from "../services/comments.js";
+import { getPostAccess, getPostAuthorId } from "../services/posts.js";
+import { can } from "../services/policy.js";
+import { requireAuth, optionalAuth } from "../middleware/jwt.js";
+import { HttpError } from "../middleware/errors.js";
+import { validate, fieldError } from "../middleware/validate.js";
+import {
+  commentListSchema,
+  createCommentSchema,
+  commentParamsSchema,
+  updateCommentSchema,
+} from "../schemas/comments.js";
+
+// This file defines the comment routes, nested under the post they belong to.
+// Reading the thread of a published post is public; writing requires a JWT.
+// A comment can be edited by its author and deleted by its author, the
+// author of the post or a moderator (see services/policy.js).
+
+/**
+ * Throw a 404 unless the current user may see the post: like the post itself
+ * (see routes/posts.js), the thread of an unpublished post looks nonexistent
+ * to everyone who may not edit it.
+ */
+async function assertPostVisible(req, postId) {
+  const post = await getPostAccess(postId);
+  if (
+    !post ||
+    (post.status !== "published" &&
+      !can(req.auth, "post:edit", { authorId: post.author }))
+  ) {
+    throw new HttpError(404, "Post not found");
+  }
+}
+
+export function commentRoutes(app) {
+  app.get(
+    "/api/v1/posts/:id/comments",
+    optionalAuth,
+    validate(commentListSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      await assertPostVisible(req, id);
+      const comments = await listCommentsByPost(id);
+      res.json(comments);
+    },
+  );
+
+  app.post(
+    "/api/v1/posts/:id/comments",
+    requireAuth,
+    validate(createCommentSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      const { contents, parent } = req.body;
+      await assertPostVisible(req, id);
+      // A reply must answer a comment on the same post.
+      if (parent) {
+        const parentComment = await getCommentById(parent);
+        if (!parentComment || parentComment.post.toString() !== id) {
+          throw fieldError(
+            "parent",
+            "Parent comment does not belong to this post",
+          );
+        }
+      }
+      const comment = await createComment({
+        post: id,
+        author: req.auth.id,
+        parent: parent || null,
+        contents,
+      });
+      res.status(201).json(comment);
+    },
+  );
+
+  app.patch(
+    "/api/v1/posts/:id/comments/:commentId",
+    requireAuth,
+    validate(updateCommentSchema),
+    async (req, res) => {
+      const { id, commentId } = req.params;
+      const { contents } = req.body;
+      const comment = await getCommentById(commentId);
+      if (!comment || comment.deleted || comment.post.toString() !== id) {
+        throw new HttpError(404, "Comment not found");
+      }
+      if (!can(req.auth, "comment:edit", { authorId: comment.author })) {
+        throw new HttpError(403, "You can only edit your own comments");
+      }
+      const updatedComment = await updateComment(commentId, { contents });
+      res.json(updatedComment);
+    },
+  );
+
+  app.delete(
+    "/api/v1/posts/:id/comments/:commentId",
+    requireAuth,
+    validate(commentParamsSchema),
+    async (req, res) => {
+      const { id, commentId } = req.params;
+      const comment = await getCommentById(commentId);
+      if (!comment || comment.deleted || comment.post.toString() !== id) {
+        throw new HttpError(404, "Comment not found");
+      }
+      const postAuthorId = await getPostAuthorId(id);
+      if (
+        !can(req.auth, "comment:delete", {
+          authorId: comment.author,
+          postAuthorId,
+        })
+      ) {
+        throw new HttpError(403, "You are not allowed to delete this comment");
+      }
+      await deleteComment(commentId);
+      res.status(204).send();
+    },
+  );
+}
@@ -0,0 +1,71 @@
+import { buildFeed, renderRss, renderAtom } from "../services/feeds.js";
+import { getPublicProfile } from "../services/users.js";
+import { normalizeTag } from "../services/tags.js";
+import { HttpError } from "../middleware/errors.js";
+import { validate } from "../middleware/validate.js";
+import { userFeedSchema, tagFeedSchema } from "../schemas/feeds.js";
+
+// This file defines the RSS 2.0 (feed.xml) and Atom (atom.xml) feeds of the
+// latest published posts: for the whole blog, per author and per tag. They
+// live outside /api/v1 because the public site serves them under its own
+// URLs (see config/site.js).
+
+const FORMATS = {
+  "feed.xml": { render: renderRss, type: "application/rss+xml" },
+  "atom.xml": { render: renderAtom, type: "application/atom+xml" },
+};
+
+function sendFeed(res, feed, file) {
+  const { render, type } = FORMATS[file];
+  res
+    .type(`${type}; charset=utf-8`)
+    // Feed readers poll; a few minutes of staleness is fine.
+    .set("Cache-Control", "public, max-age=300")
+    .send(render(feed));
+}
+
+export function feedRoutes(app) {
+  for (const file of Object.keys(FORMATS)) {
+    app.get(`/${file}`, async (req, res) => {
+      const feed = await buildFeed({ scope: { path: "/" }, file });
+      sendFeed(res, feed, file);
+    });
+
+    app.get(
+      `/users/:username/${file}`,
+      validate(userFeedSchema),
+      async (req, res) => {
+        const profile = await getPublicProfile(req.params.username);
+        if (!profile) {
+          throw new HttpError(404, "User not found");
+        }
+        const feed = await buildFeed({
+          author: profile.username,
+          scope: {
+            title: profile.displayName || profile.username,
+            path: `/users/${encodeURIComponent(profile.username)}`,
+          },
+          file,
+        });
+        sendFeed(res, feed, file);
+      },
+    );
+
+    app.get(`/tags/:tag/${file}`, validate(tagFeedSchema), async (req, res) => {
+      // Tags are stored normalized; other spellings redirect.
+      const tag = normalizeTag(req.params.tag);
+      if (!tag) {
+        throw new HttpError(404, "Tag not found");
+      }
+      if (tag !== req.params.tag) {
+        return res.redirect(301, `/tags/${encodeURIComponent(tag)}/${file}`);
+      }
+      const feed = await buildFeed({
+        tag,
+        scope: { title: `#${tag}`, path: `/tags/${encodeURIComponent(tag)}` },
+        file,
+      });
+      sendFeed(res, feed, file);
+    });
+  }
+}
@@ -1,139 +1,320 @@
 import {
-  listAllPosts,
-  listPostsByAuthor,
-  listPostsByTag,
+  listPosts,
   getPostById,
+  getPostBySlug,
+  getPostAuthorId,
   createPost,
   updatePost,
   deletePost,
+  setPostPinned,
 } from "../services/posts.js";
-import { findUserId } from "../services/users.js";
-import { requireAuth } from "../middleware/jwt.js";
+import { getAttachmentByUrl } from "../services/attachments.js";
+import {
+  UNVERIFIED_AUTHOR_PUBLISH_ERROR,
+  UNVERIFIED_PUBLISH_ERROR,
+  canPublish,
+} from "../services/emailVerification.js";
+import { can } from "../services/policy.js";
+import { requireAuth, optionalAuth } from "../middleware/jwt.js";
+import { HttpError } from "../middleware/errors.js";
+import { validate, fieldError } from "../middleware/validate.js";
+import {
+  listPostsSchema,
+  postParamsSchema,
+  postSlugParamsSchema,
+  createPostSchema,
+  updatePostSchema,
+} from "../schemas/posts.js";
+
+/**
+ * Resolve the publication state of a validated create/update body (see
+ * schemas/posts.js, which checks the status and that a schedule lies in the
+ * future). Publishing stamps the current time.
+ */
+function parsePublication({ status = "published", publishAt }) {
+  if (status === "scheduled") {
+    return { status, publishAt };
+  }
+  if (status === "published") {
+    return { status, publishAt: new Date() };
+  }
+  return { status, publishAt: null };
+}
+
+// Statuses that make a post public (now or later).
+const PUBLISHING_STATUSES = ["published", "scheduled"];
+
+/**
+ * A cover image must be an image the post's author uploaded (a moderator
+ * editing the post cannot bring in their own uploads).
+ * Returns an error message, or null when `coverImage` is acceptable
+ * (including null/empty, which means "no cover image").
+ */
+async function checkCoverImage(coverImage, authorId) {
+  if (!coverImage) return null;
+  const attachment = await getAttachmentByUrl(coverImage);
+  if (
+    !attachment ||
+    attachment.owner.toString() !== authorId.toString() ||
+    !attachment.mimeType.startsWith("image/")
+  ) {
+    return "coverImage must be an image uploaded by the post's author";
+  }
+  return null;
+}
+
+/**
+ * Look up a post's author and check that the current user may perform
+ * `action` on it (see services/policy.js). Returns the author's id.
+ */
+async function authorizePost(req, action, message) {
+  const authorId = await getPostAuthorId(req.params.id);
+  if (!authorId) {
+    throw new HttpError(404, "Post not found");
+  }
+  if (!can(req.auth, action, { authorId })) {
+    throw new HttpError(403, message);
+  }
+  return authorId;
+}
+
+/**
+ * Throw a 404 unless the current user may see `post`: unpublished posts look
+ * nonexistent to everyone who may not edit them.
+ */
+async function assertVisible(req, post) {
+  if (!post) {
+    throw new HttpError(404, "Post not found");
+  }
+  if (post.status !== "published") {
+    const authorId = await getPostAuthorId(post._id);
+    if (!can(req.auth, "post:edit", { authorId })) {
+      throw new HttpError(404, "Post not found");
+    }
+  }
+}
 
 export function postsRoutes(app) {
   app.get("/", (req, res) => {
     res.send("Hello, World from routes!");
   });
 
-  app.get("/api/v1/posts", async (req, res) => {
-    try {
-      const { sortBy, sortOrder, author, tag } = req.query;
-      const options = { sortBy, sortOrder };
-      if (author && tag) {
-        return res
-          .status(400)
-          .json({ error: "Please specify either author or tag, not both." });
-      } else if (author) {
-        const posts = await listPostsByAuthor(author, options);
-        return res.json(posts);
-      } else if (tag) {
-        const posts = await listPostsByTag(tag, options);
-        return res.json(posts);
-      } else {
-        const posts = await listAllPosts(options);
-        return res.json(posts);
+  // optionalAuth identifies the viewer (if logged in) so authors can list
+  // their own unpublished posts with ?status=draft,scheduled.
+  app.get(
+    "/api/v1/posts",
+    optionalAuth,
+    validate(listPostsSchema),
+    async (req, res) => {
+      // Parsed by listPostsSchema: defaults applied, lists split, dates parsed.
+      const {
+        sortBy,
+        sortOrder,
+        tagMatch,
+        author,
+        tag,
+        cursor,
+        limit,
+        createdAfter,
+        createdBefore,
+        status,
+        pinned,
+        q,
+      } = req.query;
+      if (status.some((value) => value !== "published") && !req.auth) {
+        throw new HttpError(401, "Log in to list unpublished posts");
       }
-    } catch (err) {
-      console.error("Error listing posts:", err);
-      res.status(500).send("Internal Server Error");
-    }
-  });
+      // All filters are optional and combine with AND.
+      const filters = {
+        author,
+        tags: tag,
+        tagMatch,
+        createdAfter,
+        createdBefore,
+        status: status.length > 0 ? status : undefined,
+        viewerId: req.auth?.id,
+        pinned,
+        q,
+      };
+      const posts = await listPosts(filters, {
+        sortBy,
+        sortOrder,
+        limit,
+        cursor,
+      });
+      return res.json(posts);
+    },
+  );
 
-  app.get("/api/v1/posts/:id", async (req, res) => {
-    const { id } = req.params;
-    if (!id) {
-      return res.status(400).send("Post ID is required");
-    }
-    // Validate if id is a valid MongoDB ObjectId
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).send("Invalid post ID format");
-    }
-    try {
-      const post = await getPostById(id);
-      if (!post) {
-        return res.status(404).send("Post not found");
+  app.get(
+    "/api/v1/posts/:id",
+    optionalAuth,
+    validate(postParamsSchema),
+    async (req, res) => {
+      const post = await getPostById(req.params.id);
+      await assertVisible(req, post);
+      res.json(post);
+    },
+  );
+
+  // A slug the post had before its title changed redirects to the current
+  // one, so old links keep working.
+  app.get(
+    "/api/v1/posts/by-slug/:slug",
+    optionalAuth,
+    validate(postSlugParamsSchema),
+    async (req, res) => {
+      const { slug } = req.params;
+      const post = await getPostBySlug(slug);
+      await assertVisible(req, post);
+      if (post.slug !== slug) {
+        return res.redirect(
+          301,
+          `/api/v1/posts/by-slug/${encodeURIComponent(post.slug)}`,
+        );
       }
       res.json(post);
-    } catch (err) {
-      console.error("Error fetching post by ID:", err);
-      console.error("Error stack:", err.stack);
-      res.status(500).send("Internal Server Error");
-    }
-  });
+    },
+  );
 
-  app.post("/api/v1/posts", requireAuth, async (req, res) => {
-    const { title, author, contents, tags } = req.body;
-    let userId;
+  app.post(
+    "/api/v1/posts",
+    requireAuth,
+    validate(createPostSchema),
+    async (req, res) => {
+      const { title, author, contents, tags } = req.body;
 
-    if (!title || !author || !contents) {
-      return res.status(400).send("Title, author, and contents are required");
-    }
-    try {
-      userId = await findUserId(author);
-      if (!userId) {
-        return res.status(400).send("Author does not exist");
+      // The author always comes from the verified JWT claims ({ id, username }).
+      // Older clients still send an `author` username; accept it only when it
+      // names the logged-in user so nobody can post on someone else's behalf.
+      if (author !== undefined && author !== req.auth.username) {
+        throw fieldError("author", "Author does not match the logged-in user");
       }
-      console.log(`Creating post with userId: ${userId}`);
-      console.log(`Type of userId: ${typeof userId}`);
-      console.log(`userId value: ${userId}`);
-      console.log(
-        `Title: ${title}, author: ${userId}, Contents: ${contents}, Tags: ${tags}`,
+      // New posts are published immediately unless a draft or schedule is asked for.
+      const publication = parsePublication(req.body);
+      if (
+        PUBLISHING_STATUSES.includes(publication.status) &&
+        !(await canPublish(req.auth.id))
+      ) {
+        throw new HttpError(403, UNVERIFIED_PUBLISH_ERROR);
+      }
+      const coverImageError = await checkCoverImage(
+        req.body.coverImage,
+        req.auth.id,
       );
-      const post = await createPost({ title, author: userId, contents, tags });
-      res.status(201).json(post);
-    } catch (err) {
-      console.error("Error creating post:", err);
-      res.status(500).send("Internal Server Error");
-    }
-  });
-
-  app.patch("/api/v1/posts/:id", requireAuth, async (req, res) => {
-    const { id } = req.params;
-    const { title, author, contents, tags } = req.body;
-    if (!id || !title || !author || !contents) {
-      return res
-        .status(400)
-        .send("Post ID, title, author, and contents are required");
-    }
-    // Validate if id is a valid MongoDB ObjectId
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).send("Invalid post ID format");
-    }
-    try {
-      const updatedPost = await updatePost(id, {
+      if (coverImageError) {
+        throw fieldError("coverImage", coverImageError);
+      }
+      const post = await createPost({
         title,
-        author,
+        author: req.auth.id,
         contents,
         tags,
+        status: publication.status,
+        publishAt: publication.publishAt,
+        coverImage: req.body.coverImage || null,
       });
+      res.status(201).json(post);
+    },
+  );
+
+  app.patch(
+    "/api/v1/posts/:id",
+    requireAuth,
+    validate(updatePostSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      // Any client-supplied `author` is ignored: a post's owner never changes.
+      const { title, contents, tags } = req.body;
+      // Leaving out `status` keeps the post's current publication state.
+      const publication =
+        req.body.status === undefined ? {} : parsePublication(req.body);
+      // The author, moderators and admins may edit it. req.auth is set by
+      // requireAuth from the verified JWT claims ({ id, username, roles }).
+      const authorId = await authorizePost(
+        req,
+        "post:edit",
+        "You can only edit your own posts",
+      );
+      // Editing an already published post is fine; making a post public is
+      // not, until the author's email is verified.
+      if (
+        PUBLISHING_STATUSES.includes(publication.status) &&
+        !(await canPublish(authorId))
+      ) {
+        const { status } = await getPostById(id);
+        if (publication.status !== (status ?? "published")) {
+          throw new HttpError(
+            403,
+            authorId.toString() === req.auth.id
+              ? UNVERIFIED_PUBLISH_ERROR
+              : UNVERIFIED_AUTHOR_PUBLISH_ERROR,
+          );
+        }
+      }
+      const { coverImage } = req.body;
+      const coverImageError = await checkCoverImage(coverImage, authorId);
+      if (coverImageError) {
+        throw fieldError("coverImage", coverImageError);
+      }
+      // The replaced version is kept in the post's revision history.
+      const updatedPost = await updatePost(
+        id,
+        {
+          title,
+          contents,
+          tags,
+          status: publication.status,
+          publishAt: publication.publishAt,
+          // Omitted keeps the current cover image; null or "" removes it.
+          coverImage: coverImage === undefined ? undefined : coverImage || null,
+        },
+        req.auth.id,
+      );
       if (!updatedPost) {
-        return res.status(404).send("Post not found");
+        throw new HttpError(404, "Post not found");
       }
       res.json(updatedPost);
-    } catch (err) {
-      console.error("Error updating post:", err);
-      res.status(500).send("Internal Server Error");
-    }
-  });
+    },
+  );
 
-  app.delete("/api/v1/posts/:id", requireAuth, async (req, res) => {
-    const { id } = req.params;
-    if (!id) {
-      return res.status(400).send("Post ID is required");
-    }
-    // Validate if id is a valid MongoDB ObjectId
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).send("Invalid post ID format");
-    }
-    try {
+  app.delete(
+    "/api/v1/posts/:id",
+    requireAuth,
+    validate(postParamsSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      // The author, moderators and admins may delete it.
+      await authorizePost(
+        req,
+        "post:delete",
+        "You can only delete your own posts",
+      );
       const result = await deletePost(id);
       if (result.deletedCount === 0) {
-        return res.status(404).send("Post not found");
+        throw new HttpError(404, "Post not found");
       }
       res.status(204).send();
-    } catch (err) {
-      console.error("Error deleting post:", err);
-      res.status(500).send("Internal Server Error");
-    }
-  });
+    },
+  );
+
+  // Pinning highlights a post; moderators and admins only.
+  for (const [method, pinned] of [
+    ["put", true],
+    ["delete", false],
+  ]) {
+    app[method](
+      "/api/v1/posts/:id/pin",
+      requireAuth,
+      validate(postParamsSchema),
+      async (req, res) => {
+        await authorizePost(req, "post:pin", "Only moderators can pin posts");
+        const post = await setPostPinned(req.params.id, pinned);
+        if (!post) {
+          throw new HttpError(404, "Post not found");
+        }
+        res.json(post);
+      },
+    );
+  }
 }
@@ -0,0 +1,103 @@
+import {
+  listRevisionsByPost,
+  getRevisionById,
+  canDiffVersions,
+  diffVersions,
+} from "../services/revisions.js";
+import { MAX_DIFF_LINES } from "../services/diff.js";
+import {
+  getPostById,
+  getPostAuthorId,
+  restorePostRevision,
+} from "../services/posts.js";
+import { can } from "../services/policy.js";
+import { requireAuth } from "../middleware/jwt.js";
+import { HttpError } from "../middleware/errors.js";
+import { validate } from "../middleware/validate.js";
+import {
+  CURRENT,
+  revisionListSchema,
+  revisionDiffSchema,
+  restoreRevisionSchema,
+} from "../schemas/revisions.js";
+
+// This file defines the revision history routes of a post. A revision is the
+// version of a post as it was before an edit. History may include unpublished
+// work, so every route is restricted to the post's author and moderators.
+
+/**
+ * Shared guard for revision routes: throws unless the authenticated user
+ * may see the post's history.
+ */
+async function authorizeHistory(req) {
+  const authorId = await getPostAuthorId(req.params.id);
+  if (!authorId) {
+    throw new HttpError(404, "Post not found");
+  }
+  if (!can(req.auth, "post:history", { authorId })) {
+    throw new HttpError(403, "You can only view the history of your own posts");
+  }
+}
+
+// Load a version of the post: a stored revision, or the post itself.
+async function findVersion(postId, revisionId) {
+  if (revisionId === CURRENT) {
+    return await getPostById(postId);
+  }
+  const revision = await getRevisionById(revisionId);
+  return revision?.post.toString() === postId ? revision : null;
+}
+
+export function revisionRoutes(app) {
+  app.get(
+    "/api/v1/posts/:id/revisions",
+    requireAuth,
+    validate(revisionListSchema),
+    async (req, res) => {
+      await authorizeHistory(req);
+      const revisions = await listRevisionsByPost(req.params.id);
+      res.json(revisions);
+    },
+  );
+
+  // ?from=<revisionId>&to=<revisionId|current>; `to` defaults to the current post.
+  app.get(
+    "/api/v1/posts/:id/revisions/diff",
+    requireAuth,
+    validate(revisionDiffSchema),
+    async (req, res) => {
+      const { from, to } = req.query;
+      await authorizeHistory(req);
+      const [fromVersion, toVersion] = await Promise.all([
+        findVersion(req.params.id, from),
+        findVersion(req.params.id, to),
+      ]);
+      if (!fromVersion || !toVersion) {
+        throw new HttpError(404, "Revision not found");
+      }
+      if (!canDiffVersions(fromVersion, toVersion)) {
+        throw new HttpError(
+          422,
+          `Versions longer than ${MAX_DIFF_LINES} lines cannot be compared`,
+        );
+      }
+      res.json({ from, to, ...diffVersions(fromVersion, toVersion) });
+    },
+  );
+
+  app.post(
+    "/api/v1/posts/:id/revisions/:revisionId/restore",
+    requireAuth,
+    validate(restoreRevisionSchema),
+    async (req, res) => {
+      const { id, revisionId } = req.params;
+      await authorizeHistory(req);
+      const revision = await findVersion(id, revisionId);
+      if (!revision) {
+        throw new HttpError(404, "Revision not found");
+      }
+      const post = await restorePostRevision(id, revision, req.auth.id);
+      res.json(post);
+    },
+  );
+}
@@ -0,0 +1,42 @@
+import {
+  buildSitemap,
+  buildSubSitemap,
+  renderSitemap,
+} from "../services/sitemap.js";
+import { renderRobotsTxt } from "../services/robots.js";
+import { HttpError } from "../middleware/errors.js";
+
+// This file defines the documents for search engines: /sitemap.xml (a
+// sitemap index with /sitemap-<section>-<n>.xml parts once the site outgrows
+// a single sitemap) and /robots.txt. Like the feeds, they live outside
+// /api/v1 because the public site serves them under its own URLs.
+
+function sendSitemap(res, sitemap) {
+  res
+    .type("application/xml; charset=utf-8")
+    .set("Cache-Control", "public, max-age=3600")
+    .send(renderSitemap(sitemap));
+}
+
+export function sitemapRoutes(app) {
+  app.get("/sitemap.xml", async (req, res) => {
+    sendSitemap(res, await buildSitemap());
+  });
+
+  // Anything else under a sitemap-like name falls through to the 404 handler.
+  app.get(/^\/sitemap-(pages|posts)-([1-9]\d*)\.xml$/, async (req, res) => {
+    const [section, number] = [req.params[0], Number(req.params[1])];
+    const sitemap = await buildSubSitemap(section, number);
+    if (!sitemap) {
+      throw new HttpError(404, "Sitemap not found");
+    }
+    sendSitemap(res, sitemap);
+  });
+
+  app.get("/robots.txt", (req, res) => {
+    res
+      .type("text/plain; charset=utf-8")
+      .set("Cache-Control", "public, max-age=3600")
+      .send(renderRobotsTxt());
+  });
+}
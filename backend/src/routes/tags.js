@@ -0,0 +1,14 @@
+import { listTags } from "../services/tags.js";
+import { validate } from "../middleware/validate.js";
+import { listTagsSchema } from "../schemas/tags.js";
+
+// This file defines the tag index: every tag in use on published posts with
+// its number of posts. Posts of one tag are listed by GET /api/v1/posts?tag=.
+
+export function tagRoutes(app) {
+  // ?q= narrows the list to tags starting with it (autocompletion).
+  app.get("/api/v1/tags", validate(listTagsSchema), async (req, res) => {
+    const { q, limit } = req.query;
+    res.json(await listTags({ prefix: q, limit }));
+  });
+}
@@ -0,0 +1,97 @@
+import multer from "multer";
+import {
+  ALLOWED_MIME_TYPES,
+  maxUploadBytes,
+  matchesMimeType,
+  createAttachment,
+  listAttachmentsByOwner,
+  getAttachmentById,
+  deleteAttachment,
+} from "../services/attachments.js";
+import { getStorage } from "../storage/index.js";
+import { LOCAL_FILES_PATH } from "../storage/local.js";
+import { requireAuth } from "../middleware/jwt.js";
+import { HttpError } from "../middleware/errors.js";
+import { validate } from "../middleware/validate.js";
+import { attachmentParamsSchema } from "../schemas/uploads.js";
+
+// This file defines the upload routes. Uploading, listing and deleting files
+// require a JWT and only ever touch the caller's own attachments; reading a
+// stored file is public so it can be embedded in posts.
+
+let _upload = null;
+
+/* Multer parses the multipart body (a single `file` field) into memory.
+ * Like requireAuth, it is created on the first request so UPLOAD_MAX_BYTES
+ * is read after loadConfig() has run.
+ */
+function uploadFile(req, res, next) {
+  if (!_upload) {
+    _upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxUploadBytes(), files: 1 },
+    }).single("file");
+  }
+  _upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return next(new HttpError(status, err.message));
+    }
+    next(err);
+  });
+}
+
+export function uploadRoutes(app) {
+  app.post("/api/v1/uploads", requireAuth, uploadFile, async (req, res) => {
+    const { file } = req;
+    if (!file) {
+      throw new HttpError(400, "A file is required");
+    }
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      throw new HttpError(
+        415,
+        `File type must be one of: ${ALLOWED_MIME_TYPES.join(", ")}`,
+      );
+    }
+    if (!matchesMimeType(file.buffer, file.mimetype)) {
+      throw new HttpError(415, `File contents are not valid ${file.mimetype}`);
+    }
+    const attachment = await createAttachment({
+      owner: req.auth.id,
+      file,
+    });
+    res.status(201).json(attachment);
+  });
+
+  app.get("/api/v1/uploads", requireAuth, async (req, res) => {
+    const attachments = await listAttachmentsByOwner(req.auth.id);
+    res.json(attachments);
+  });
+
+  app.delete(
+    "/api/v1/uploads/:id",
+    requireAuth,
+    validate(attachmentParamsSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      const attachment = await getAttachmentById(id);
+      if (!attachment) {
+        throw new HttpError(404, "Attachment not found");
+      }
+      if (attachment.owner.toString() !== req.auth.id) {
+        throw new HttpError(403, "You can only delete your own uploads");
+      }
+      await deleteAttachment(attachment);
+      res.status(204).send();
+    },
+  );
+
+  // Stored files, for drivers that are served by the backend (local disk).
+  app.use(LOCAL_FILES_PATH, (req, res, next) => {
+    const storage = getStorage();
+    if (!storage.serve) {
+      throw new HttpError(404, "Not found");
+    }
+    storage.serve(req, res, next);
+  });
+}
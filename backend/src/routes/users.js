@@ -1,49 +1,266 @@
-import { createUser, findByUserName, loginUser } from "../services/users.js";
+import {
+  createUser,
+  findByUserName,
+  findUserByEmail,
+  loginUser,
+  getPublicProfile,
+  updateProfile,
+} from "../services/users.js";
+import {
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessionsByUser,
+  revokeUserSession,
+} from "../services/sessions.js";
+import {
+  requestPasswordReset,
+  resetPassword,
+} from "../services/passwordReset.js";
+import {
+  isEmailVerificationRequired,
+  resendVerificationEmail,
+  sendVerificationEmail,
+  verifyEmail,
+} from "../services/emailVerification.js";
+import { getAttachmentByUrl } from "../services/attachments.js";
+import { requireAuth } from "../middleware/jwt.js";
+import { HttpError } from "../middleware/errors.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate, fieldError } from "../middleware/validate.js";
+import {
+  signupSchema,
+  loginSchema,
+  refreshSchema,
+  verifyEmailSchema,
+  emailOnlySchema,
+  resetPasswordSchema,
+  sessionParamsSchema,
+  profileParamsSchema,
+  updateProfileSchema,
+} from "../schemas/users.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Routes that email an address given in the body can be called a few times
+// per hour for an address (protecting its inbox) and a few more per client.
+function emailLimits(message) {
+  return [
+    rateLimit({
+      windowMs: HOUR_MS,
+      max: 3,
+      key: (req) => `email:${String(req.body?.email).trim().toLowerCase()}`,
+      message,
+    }),
+    rateLimit({ windowMs: HOUR_MS, max: 10 }),
+  ];
+}
+
+const resendLimits = emailLimits(
+  "Too many verification emails requested for this address",
+);
+const forgotPasswordLimits = emailLimits(
+  "Too many password resets requested for this address",
+);
+
+// Device details recorded on the login session.
+function deviceOf(req) {
+  return { userAgent: req.get("user-agent"), ip: req.ip };
+}
 
 // This file defines the user-related routes for the Express application.
-// It includes routes for user signup, login, and fetching user details by username.
+// It includes routes for user signup, email verification, login, logout,
+// password reset, the session (device) list, editing your own profile and
+// fetching public profiles by username.
 
 export function userRoutes(app) {
-  app.post("/api/v1/user/signup", async (req, res) => {
+  app.post("/api/v1/user/signup", validate(signupSchema), async (req, res) => {
+    const { username, email, password } = req.body;
+    const checkUser = await findByUserName(username);
+    if (checkUser) {
+      throw fieldError("username", "Username already exists");
+    }
+    if (await findUserByEmail(email)) {
+      throw fieldError("email", "An account with this email already exists");
+    }
+    const newUser = await createUser({ username, email, password });
+    // The account exists either way; a lost email can be resent.
     try {
-      const { username, email, password } = req.body;
-      const checkUser = await findByUserName(username);
-      if (checkUser) {
-        return res.status(400).json({ error: "Username already exists" });
-      }
-      const newUser = await createUser({ username, email, password });
-      // Strip passwordHash before sending response
-      const { passwordHash, ...safeUser } = newUser.toObject();
-      res.status(201).json(safeUser);
-    } catch (error) {
-      res.status(400).json({ error: error.message });
+      await sendVerificationEmail(newUser);
+    } catch (err) {
+      console.error("Error sending verification email:", err);
     }
+    // Strip passwordHash before sending response
+    const { passwordHash, ...safeUser } = newUser.toObject();
+    res.status(201).json({
+      ...safeUser,
+      verificationRequired: isEmailVerificationRequired(),
+    });
   });
 
-  app.post("/api/v1/user/login", async (req, res) => {
-    try {
-      const { username, password } = req.body;
-      const result = await loginUser(username, password);
-      if (!result.ok) {
-        return res.status(401).json({ error: result.message });
-      }
-      res.json({ user: result.user, token: result.token });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+  app.post("/api/v1/user/login", validate(loginSchema), async (req, res) => {
+    const { username, password } = req.body;
+    const result = await loginUser(username, password, deviceOf(req));
+    if (!result.ok) {
+      // 403 for a suspended account, 401 for wrong credentials.
+      throw new HttpError(result.status ?? 401, result.message);
     }
+    res.json({
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
   });
 
-  // Additional user-related routes can be added here
-  app.get("/api/v1/user/:id", async (req, res) => {
-    try {
-      const username = req.params.id;
-      const user = await findByUserName(username);
-      if (!user) {
-        return res.status(404).json({ error: "User not found" });
+  // Trade a refresh token for a new access token and refresh token. The
+  // presented refresh token stops working; replaying it revokes the session.
+  app.post(
+    "/api/v1/user/refresh",
+    validate(refreshSchema),
+    async (req, res) => {
+      const { refreshToken } = req.body;
+      const result = await refreshSession(refreshToken, deviceOf(req));
+      if (!result.ok) {
+        throw new HttpError(401, result.message);
       }
-      res.json(user);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
+      res.json({ token: result.token, refreshToken: result.refreshToken });
+    },
+  );
+
+  app.post(
+    "/api/v1/user/verify-email",
+    validate(verifyEmailSchema),
+    async (req, res) => {
+      const { token } = req.body;
+      const result = await verifyEmail(token);
+      if (!result.ok) {
+        throw new HttpError(400, result.message);
+      }
+      res.json(result.user);
+    },
+  );
+
+  // Like forgot-password, always answers 202 (unless rate limited) so the
+  // response does not reveal which addresses are registered or verified.
+  app.post(
+    "/api/v1/user/resend-verification",
+    ...resendLimits,
+    validate(emailOnlySchema),
+    async (req, res) => {
+      await resendVerificationEmail(req.body.email);
+      res.status(202).json({
+        message:
+          "If an unverified account exists for that email, a new link was sent",
+      });
+    },
+  );
+
+  // Always answers 202 (unless rate limited) so the response does not reveal
+  // whether an account exists for the address.
+  app.post(
+    "/api/v1/user/forgot-password",
+    ...forgotPasswordLimits,
+    validate(emailOnlySchema),
+    async (req, res) => {
+      await requestPasswordReset(req.body.email);
+      res.status(202).json({
+        message: "If an account exists for that email, a reset link was sent",
+      });
+    },
+  );
+
+  app.post(
+    "/api/v1/user/reset-password",
+    validate(resetPasswordSchema),
+    async (req, res) => {
+      const { token, password } = req.body;
+      const result = await resetPassword(token, password);
+      if (!result.ok) {
+        throw fieldError("token", result.message);
+      }
+      res.status(204).send();
+    },
+  );
+
+  // Log out the current session. Its access and refresh tokens stop working
+  // immediately.
+  app.post("/api/v1/user/logout", requireAuth, async (req, res) => {
+    await revokeSession(req.auth.sid);
+    res.status(204).send();
+  });
+
+  // "Sign out everywhere": revoke every session of the user, this one included.
+  app.post("/api/v1/user/logout-all", requireAuth, async (req, res) => {
+    await revokeAllSessions(req.auth.id);
+    res.status(204).send();
   });
+
+  // Registered before /api/v1/user/:id so "sessions" is not taken for a
+  // username.
+  app.get("/api/v1/user/sessions", requireAuth, async (req, res) => {
+    const sessions = await listSessionsByUser(req.auth.id);
+    res.json(
+      sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.auth.sid,
+      })),
+    );
+  });
+
+  app.delete(
+    "/api/v1/user/sessions/:id",
+    requireAuth,
+    validate(sessionParamsSchema),
+    async (req, res) => {
+      const { id } = req.params;
+      if (!(await revokeUserSession(req.auth.id, id))) {
+        throw new HttpError(404, "Session not found");
+      }
+      res.status(204).send();
+    },
+  );
+
+  // Edit the logged-in user's profile; responds with the public profile.
+  app.patch(
+    "/api/v1/user/me",
+    requireAuth,
+    validate(updateProfileSchema),
+    async (req, res) => {
+      const { avatar } = req.body;
+      // Like a post's cover image, the avatar must be one of the user's
+      // own uploaded images.
+      if (avatar) {
+        const attachment = await getAttachmentByUrl(avatar);
+        if (
+          !attachment ||
+          attachment.owner.toString() !== req.auth.id ||
+          !attachment.mimeType.startsWith("image/")
+        ) {
+          throw fieldError(
+            "avatar",
+            "avatar must be one of your uploaded images",
+          );
+        }
+      }
+      const profile = await updateProfile(req.auth.id, req.body);
+      if (!profile) {
+        throw new HttpError(404, "User not found");
+      }
+      res.json(profile);
+    },
+  );
+
+  // Public profile by username (the parameter is named `id` for backwards
+  // compatibility). Only public fields are returned, see getPublicProfile().
+  app.get(
+    "/api/v1/user/:id",
+    validate(profileParamsSchema),
+    async (req, res) => {
+      const profile = await getPublicProfile(req.params.id);
+      if (!profile) {
+        throw new HttpError(404, "User not found");
+      }
+      res.json(profile);
+    },
+  );
 }
@@ -0,0 +1,93 @@
+import { z } from "zod";
+import { objectId, oneOf } from "./common.js";
+import { USER_ROLES } from "../db/models/user.js";
+import { BULK_POST_ACTIONS } from "../services/admin.js";
+
+// Request schemas for routes/admin.js. The post listing reuses
+// listPostsSchema from ./posts.js.
+
+export const adminUserListSchema = {
+  query: z.object({
+    q: z
+      .string()
+      .trim()
+      .max(100, "q must be at most 100 characters")
+      .optional(),
+  }),
+};
+
+export const adminUserParamsSchema = {
+  params: z.object({ id: objectId("user ID") }),
+};
+
+export const updateAdminUserSchema = {
+  params: adminUserParamsSchema.params,
+  body: z
+    .object({
+      roles: z
+        .array(oneOf("Role", USER_ROLES), { error: "Roles must be a list" })
+        .optional(),
+      suspended: z
+        .boolean({ error: "suspended must be true or false" })
+        .optional(),
+    })
+    .refine(
+      (body) => body.roles !== undefined || body.suspended !== undefined,
+      "Nothing to update: send roles and/or suspended",
+    ),
+};
+
+// Admins may take a post down or put it back, but scheduling stays with the
+// author.
+const ADMIN_POST_STATUSES = ["published", "draft", "archived"];
+
+export const adminPostParamsSchema = {
+  params: z.object({ id: objectId("post ID") }),
+};
+
+export const updateAdminPostSchema = {
+  params: adminPostParamsSchema.params,
+  body: z
+    .object({
+      status: oneOf("Status", ADMIN_POST_STATUSES).optional(),
+      pinned: z.boolean({ error: "pinned must be true or false" }).optional(),
+    })
+    .refine(
+      (body) => body.status !== undefined || body.pinned !== undefined,
+      "Nothing to update: send status and/or pinned",
+    ),
+};
+
+const MAX_BULK_POSTS = 100;
+
+export const bulkPostsSchema = {
+  body: z.object({
+    ids: z
+      .array(objectId("post ID"), { error: "ids must be a list of post IDs" })
+      .min(1, "Select at least one post")
+      .max(MAX_BULK_POSTS, `At most ${MAX_BULK_POSTS} posts at a time`),
+    action: oneOf("action", BULK_POST_ACTIONS),
+  }),
+};
+
+const MAX_STATS_DAYS = 365;
+
+export const adminStatsSchema = {
+  query: z.object({
+    days: z
+      .string()
+      .optional()
+      .transform((value, ctx) => {
+        if (value === undefined || value === "") return 30;
+        const days = Number(value);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_STATS_DAYS) {
+          ctx.addIssue({
+            code: "custom",
+            message: `days must be an integer between 1 and ${MAX_STATS_DAYS}`,
+          });
+          return z.NEVER;
+        }
+        return days;
+      }),
+  }),
+};
@@ -0,0 +1,32 @@
+import { z } from "zod";
+import { objectId, text } from "./common.js";
+
+// Request schemas for routes/comments.js.
+
+const MAX_COMMENT_LENGTH = 10000;
+
+export const commentListSchema = {
+  params: z.object({ id: objectId("post ID") }),
+};
+
+export const createCommentSchema = {
+  params: commentListSchema.params,
+  body: z.object({
+    contents: text("Comment", { max: MAX_COMMENT_LENGTH }),
+    parent: objectId("parent comment ID").nullish(),
+  }),
+};
+
+export const commentParamsSchema = {
+  params: z.object({
+    id: objectId("post ID"),
+    commentId: objectId("comment ID"),
+  }),
+};
+
+export const updateCommentSchema = {
+  params: commentParamsSchema.params,
+  body: z.object({
+    contents: text("Comment", { max: MAX_COMMENT_LENGTH }),
+  }),
+};
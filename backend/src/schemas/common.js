@@ -0,0 +1,121 @@
+import { z } from "zod";
+
+/*
+ * Building blocks for the request schemas in this directory. Every helper
+ * takes the human-readable name of the field so error messages can be shown
+ * as-is next to the matching form input ("Title is required").
+ */
+
+export const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// Error for a missing value or a value of the wrong JSON type.
+function typeError(label, type) {
+  return (issue) =>
+    issue.input === undefined || issue.input === null
+      ? `${label} is required`
+      : `${label} must be ${type}`;
+}
+
+/**
+ * A required string that must not be blank. It is trimmed unless `trim` is
+ * false (e.g. Markdown, where leading whitespace is significant).
+ */
+export function text(label, { max, trim = true } = {}) {
+  let schema = z.string({ error: typeError(label, "a string") });
+  schema = trim
+    ? schema.trim().min(1, `${label} is required`)
+    : schema.refine((value) => value.trim() !== "", `${label} is required`);
+  if (max) {
+    schema = schema.max(max, `${label} must be at most ${max} characters`);
+  }
+  return schema;
+}
+
+/**
+ * A MongoDB ObjectId, as found in URL params.
+ */
+export function objectId(label = "ID") {
+  return z
+    .string({ error: typeError(label, "a string") })
+    .regex(OBJECT_ID_PATTERN, `Invalid ${label} format`);
+}
+
+export function email(label = "Email") {
+  return z
+    .string({ error: typeError(label, "a string") })
+    .trim()
+    .pipe(z.email(`${label} must be a valid email address`));
+}
+
+/**
+ * New passwords. bcrypt only looks at the first 72 bytes, so longer
+ * passwords would silently be truncated.
+ */
+export function password(label = "Password") {
+  return z
+    .string({ error: typeError(label, "a string") })
+    .min(8, `${label} must be at least 8 characters`)
+    .max(72, `${label} must be at most 72 characters`);
+}
+
+/**
+ * An optional date (query string or JSON), parsed into a Date. Missing, null
+ * and empty values become undefined.
+ */
+export function optionalDate(label) {
+  return z
+    .union([z.string(), z.date()], { error: `${label} must be a valid date` })
+    .nullish()
+    .transform((value, ctx) => {
+      if (value === undefined || value === null || value === "") {
+        return undefined;
+      }
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        ctx.addIssue({
+          code: "custom",
+          message: `${label} must be a valid date`,
+        });
+        return z.NEVER;
+      }
+      return date;
+    });
+}
+
+/**
+ * A query parameter that may be repeated (?tag=a&tag=b) and/or
+ * comma-separated (?tag=a,b), parsed into an array of trimmed values.
+ */
+export function listParam(label) {
+  return z
+    .union([z.string(), z.array(z.string())], {
+      error: `${label} must be a list of values`,
+    })
+    .optional()
+    .transform((param) =>
+      [param ?? []]
+        .flat()
+        .flatMap((value) => value.split(","))
+        .map((value) => value.trim())
+        .filter(Boolean),
+    );
+}
+
+/**
+ * An optional true/false query parameter, parsed into a boolean.
+ */
+export function booleanParam(label) {
+  return z
+    .enum(["true", "false"], { error: `${label} must be true or false` })
+    .optional()
+    .transform((value) => (value === undefined ? undefined : value === "true"));
+}
+
+/**
+ * One of a fixed set of values.
+ */
+export function oneOf(label, values) {
+  return z.enum(values, {
+    error: `${label} must be one of: ${values.join(", ")}`,
+  });
+}
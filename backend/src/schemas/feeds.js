@@ -0,0 +1,12 @@
+import { z } from "zod";
+import { text } from "./common.js";
+
+// Request schemas for routes/feeds.js.
+
+export const userFeedSchema = {
+  params: z.object({ username: text("Username") }),
+};
+
+export const tagFeedSchema = {
+  params: z.object({ tag: text("Tag", { max: 200 }) }),
+};
@@ -0,0 +1,153 @@
+import { z } from "zod";
+import {
+  booleanParam,
+  listParam,
+  objectId,
+  oneOf,
+  optionalDate,
+  text,
+} from "./common.js";
+import { POST_STATUSES } from "../db/models/post.js";
+import { SORTABLE_FIELDS } from "../services/posts.js";
+import { normalizeTag } from "../services/tags.js";
+import {
+  MAX_PAGE_SIZE,
+  decodeCursor,
+  parseLimit,
+} from "../services/pagination.js";
+
+// Request schemas for routes/posts.js.
+
+export const postParamsSchema = {
+  params: z.object({ id: objectId("post ID") }),
+};
+
+export const postSlugParamsSchema = {
+  params: z.object({ slug: text("Slug", { max: 200 }) }),
+};
+
+export const listPostsSchema = {
+  query: z
+    .object({
+      author: z.string().trim().optional(),
+      tag: listParam("tag"),
+      tagMatch: oneOf("tagMatch", ["any", "all"]).default("any"),
+      createdAfter: optionalDate("createdAfter"),
+      createdBefore: optionalDate("createdBefore"),
+      q: z
+        .string()
+        .trim()
+        .max(200, "q must be at most 200 characters")
+        .optional(),
+      sortBy: oneOf("sortBy", SORTABLE_FIELDS).optional(),
+      sortOrder: oneOf("sortOrder", ["ascending", "descending"]).default(
+        "descending",
+      ),
+      limit: z
+        .union([z.string(), z.number()])
+        .optional()
+        .transform((value, ctx) => {
+          const limit = parseLimit(value);
+          if (limit === null) {
+            ctx.addIssue({
+              code: "custom",
+              message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`,
+            });
+            return z.NEVER;
+          }
+          return limit;
+        }),
+      cursor: z.string().optional(),
+      status: listParam("status").pipe(z.array(oneOf("status", POST_STATUSES))),
+      pinned: booleanParam("pinned"),
+    })
+    .transform((query) => ({
+      ...query,
+      q: query.q || undefined,
+      // Search results default to relevance order unless a sort is requested.
+      sortBy: query.sortBy || (query.q ? "relevance" : "createdAt"),
+    }))
+    .superRefine((query, ctx) => {
+      if (query.sortBy === "relevance" && !query.q) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["sortBy"],
+          message: "sortBy=relevance requires a search query (q)",
+        });
+      }
+      // Cursors are only valid for the sort they were issued with.
+      if (query.cursor && !decodeCursor(query.cursor, query)) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["cursor"],
+          message: "Invalid cursor",
+        });
+      }
+    }),
+};
+
+// About 15,000 words, far more than a blog post needs.
+export const MAX_CONTENTS_LENGTH = 100000;
+
+const postBody = z.object({
+  title: text("Title", { max: 200 }),
+  contents: text("Contents", { trim: false, max: MAX_CONTENTS_LENGTH }),
+  tags: z
+    .array(
+      z
+        .string({ error: "Tags must be strings" })
+        .trim()
+        .min(1, "Tags must not be empty")
+        // Tags are saved normalized (see services/tags.js).
+        .refine(
+          (tag) => normalizeTag(tag) !== "",
+          "Tags must contain a letter or digit",
+        ),
+      { error: "Tags must be a list" },
+    )
+    .optional(),
+  // Legacy clients send the author's username; see the POST route.
+  author: z.string().optional(),
+  status: oneOf("Status", POST_STATUSES).optional(),
+  publishAt: optionalDate("publishAt"),
+  coverImage: z
+    .string({ error: "coverImage must be the URL of an uploaded image" })
+    .nullish(),
+});
+
+// Scheduling needs a publication date in the future.
+function checkSchedule(body, ctx) {
+  if (body.status !== "scheduled") return;
+  if (!body.publishAt) {
+    ctx.addIssue({
+      code: "custom",
+      path: ["publishAt"],
+      message: "publishAt is required to schedule a post",
+    });
+  } else if (body.publishAt <= new Date()) {
+    ctx.addIssue({
+      code: "custom",
+      path: ["publishAt"],
+      message: "publishAt must be in the future",
+    });
+  }
+}
+
+export const createPostSchema = {
+  body: postBody.superRefine((body, ctx) => {
+    if (body.status === "archived") {
+      ctx.addIssue({
+        code: "custom",
+        path: ["status"],
+        message: "New posts cannot be archived",
+      });
+    }
+    checkSchedule(body, ctx);
+  }),
+};
+
+// Leaving out `status` keeps the post's current publication state.
+export const updatePostSchema = {
+  params: postParamsSchema.params,
+  body: postBody.superRefine(checkSchedule),
+};
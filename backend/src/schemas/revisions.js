@@ -0,0 +1,34 @@
+import { z } from "zod";
+import { OBJECT_ID_PATTERN, objectId } from "./common.js";
+
+// Request schemas for routes/revisions.js.
+
+// Special revision id naming the post as it is now.
+export const CURRENT = "current";
+
+const revisionRef = (label) =>
+  z
+    .string({ error: `${label} is required` })
+    .refine(
+      (value) => value === CURRENT || OBJECT_ID_PATTERN.test(value),
+      `${label} must be a revision ID or "${CURRENT}"`,
+    );
+
+export const revisionListSchema = {
+  params: z.object({ id: objectId("post ID") }),
+};
+
+export const revisionDiffSchema = {
+  params: revisionListSchema.params,
+  query: z.object({
+    from: revisionRef("from"),
+    to: revisionRef("to").default(CURRENT),
+  }),
+};
+
+export const restoreRevisionSchema = {
+  params: z.object({
+    id: objectId("post ID"),
+    revisionId: objectId("revision ID"),
+  }),
+};
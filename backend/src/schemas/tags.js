@@ -0,0 +1,32 @@
+import { z } from "zod";
+import { MAX_TAG_LENGTH } from "../services/tags.js";
+
+// Request schemas for routes/tags.js.
+
+const MAX_TAGS_LIMIT = 100;
+
+export const listTagsSchema = {
+  query: z.object({
+    q: z
+      .string()
+      .trim()
+      .max(MAX_TAG_LENGTH, `q must be at most ${MAX_TAG_LENGTH} characters`)
+      .optional(),
+    // Without a limit every tag is listed.
+    limit: z
+      .string()
+      .optional()
+      .transform((value, ctx) => {
+        if (value === undefined || value === "") return undefined;
+        const limit = Number(value);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TAGS_LIMIT) {
+          ctx.addIssue({
+            code: "custom",
+            message: `limit must be an integer between 1 and ${MAX_TAGS_LIMIT}`,
+          });
+          return z.NEVER;
+        }
+        return limit;
+      }),
+  }),
+};
@@ -0,0 +1,9 @@
+import { z } from "zod";
+import { objectId } from "./common.js";
+
+// Request schemas for routes/uploads.js. The uploaded file itself is checked
+// by the route (size and content type).
+
+export const attachmentParamsSchema = {
+  params: z.object({ id: objectId("attachment ID") }),
+};
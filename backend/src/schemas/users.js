@@ -0,0 +1,74 @@
+import { z } from "zod";
+import { email, objectId, password, text } from "./common.js";
+
+// Request schemas for routes/users.js.
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export const signupSchema = {
+  body: z.object({
+    username: text("Username")
+      .min(3, "Username must be at least 3 characters")
+      .max(30, "Username must be at most 30 characters")
+      .regex(
+        USERNAME_PATTERN,
+        "Username may only contain letters, digits, _ and -",
+      ),
+    email: email(),
+    password: password(),
+  }),
+};
+
+// Existing accounts may predate the password rules, so login only requires
+// non-empty values.
+export const loginSchema = {
+  body: z.object({
+    username: text("Username"),
+    password: z
+      .string({ error: "Password is required" })
+      .min(1, "Password is required"),
+  }),
+};
+
+export const refreshSchema = {
+  body: z.object({ refreshToken: text("refreshToken") }),
+};
+
+export const verifyEmailSchema = {
+  body: z.object({ token: text("token") }),
+};
+
+export const emailOnlySchema = {
+  body: z.object({ email: email() }),
+};
+
+export const resetPasswordSchema = {
+  body: z.object({ token: text("token"), password: password() }),
+};
+
+export const sessionParamsSchema = {
+  params: z.object({ id: objectId("session ID") }),
+};
+
+export const profileParamsSchema = {
+  params: z.object({ id: text("Username") }),
+};
+
+// Profile fields are optional; null or "" clears one.
+export const updateProfileSchema = {
+  body: z.object({
+    displayName: z
+      .string({ error: "Display name must be a string" })
+      .trim()
+      .max(50, "Display name must be at most 50 characters")
+      .nullish(),
+    bio: z
+      .string({ error: "Bio must be a string" })
+      .trim()
+      .max(500, "Bio must be at most 500 characters")
+      .nullish(),
+    avatar: z
+      .string({ error: "avatar must be the URL of an uploaded image" })
+      .nullish(),
+  }),
+};
@@ -0,0 +1,35 @@
+/*backend/src/scripts/backfillSlugs.js gives every post created before slugs
+ existed a slug derived from its title (see services/slugs.js). Such posts
+ otherwise get one on their next edit and are only reachable by id until
+ then:
+
+   npm run backfill-slugs
+ */
+
+import mongoose from "mongoose";
+import { loadConfig } from "../config/env.js";
+import { initDatabase } from "../db/init.js";
+import { Post } from "../db/models/post.js";
+import { uniqueSlug } from "../services/slugs.js";
+
+loadConfig();
+
+await initDatabase();
+try {
+  let updated = 0;
+  // Oldest first, so earlier posts keep the unsuffixed slug.
+  const posts = Post.find({ slug: { $exists: false } })
+    .select("title")
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+  for await (const post of posts) {
+    const slug = await uniqueSlug(post.title, post._id);
+    // Not an edit by anyone, so no revision is recorded.
+    await Post.updateOne({ _id: post._id }, { $set: { slug } });
+    updated += 1;
+  }
+  console.log(`Added slugs to ${updated} post(s)`);
+} finally {
+  await mongoose.disconnect();
+}
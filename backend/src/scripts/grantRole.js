@@ -0,0 +1,43 @@
+/*backend/src/scripts/grantRole.js grants or revokes a role from the command
+ line. Roles can otherwise only be changed by an admin, so this is how the
+ first admin is created:
+
+   npm run grant-role -- <username> <role>           # grant
+   npm run grant-role -- <username> <role> --revoke  # revoke
+ */
+
+import mongoose from "mongoose";
+import { loadConfig } from "../config/env.js";
+import { initDatabase } from "../db/init.js";
+import { USER_ROLES } from "../db/models/user.js";
+import { findByUserName, setUserRoles } from "../services/users.js";
+
+loadConfig();
+
+const [username, role, flag] = process.argv.slice(2);
+if (!username || !USER_ROLES.includes(role)) {
+  console.error(
+    `Usage: npm run grant-role -- <username> <${USER_ROLES.join("|")}> [--revoke]`,
+  );
+  process.exit(1);
+}
+
+await initDatabase();
+try {
+  const user = await findByUserName(username);
+  if (!user) {
+    console.error(`No user named ${username}`);
+    process.exitCode = 1;
+  } else {
+    const roles =
+      flag === "--revoke"
+        ? user.roles.filter((value) => value !== role)
+        : [...user.roles, role];
+    const updated = await setUserRoles(user._id, roles);
+    console.log(
+      `${username} now has roles: ${updated.roles.join(", ") || "none"}`,
+    );
+  }
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,34 @@
+/*backend/src/scripts/normalizeTags.js rewrites the tags of existing posts in
+ their normalized form (see services/tags.js). New and edited posts are
+ normalized when they are saved; run this once for posts saved before that:
+
+   npm run normalize-tags
+ */
+
+import mongoose from "mongoose";
+import { loadConfig } from "../config/env.js";
+import { initDatabase } from "../db/init.js";
+import { Post } from "../db/models/post.js";
+import { normalizeTags } from "../services/tags.js";
+
+loadConfig();
+
+await initDatabase();
+try {
+  let updated = 0;
+  const posts = Post.find({ "tags.0": { $exists: true } })
+    .select("tags")
+    .lean()
+    .cursor();
+  for await (const post of posts) {
+    const tags = normalizeTags(post.tags);
+    if (JSON.stringify(tags) !== JSON.stringify(post.tags)) {
+      // Not an edit by anyone, so no revision is recorded.
+      await Post.updateOne({ _id: post._id }, { $set: { tags } });
+      updated += 1;
+    }
+  }
+  console.log(`Normalized the tags of ${updated} post(s)`);
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,26 @@
+/*backend/src/scripts/verifyExistingUsers.js marks the accounts created before
+ email verification existed as verified. They have no emailVerified flag and
+ would otherwise be unable to publish once REQUIRE_EMAIL_VERIFICATION is on.
+ Run it once when deploying email verification; accounts created since then
+ store the flag and are left alone:
+
+   npm run verify-existing-users
+ */
+
+import mongoose from "mongoose";
+import { loadConfig } from "../config/env.js";
+import { initDatabase } from "../db/init.js";
+import { User } from "../db/models/user.js";
+
+loadConfig();
+
+await initDatabase();
+try {
+  const { modifiedCount } = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } },
+  );
+  console.log(`Marked ${modifiedCount} existing user(s) as verified`);
+} finally {
+  await mongoose.disconnect();
+}
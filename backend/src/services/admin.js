@@ -0,0 +1,144 @@
+import { Post } from "../db/models/post.js";
+import { User } from "../db/models/user.js";
+import { Comment } from "../db/models/comment.js";
+import { deletePost } from "./posts.js";
+import { deleteCommentsByAuthor } from "./comments.js";
+import { listAttachmentsByOwner, deleteAttachment } from "./attachments.js";
+import { revokeAllSessions } from "./sessions.js";
+
+/*
+ * Site-wide operations behind the admin dashboard (routes/admin.js). They
+ * act on any user or post, so callers must have checked the admin role.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BULK_POST_ACTIONS = [
+  "delete",
+  "unpublish",
+  "feature",
+  "unfeature",
+];
+
+/**
+ * Remove a user together with everything they own: their posts (with their
+ * comments and history), their comments elsewhere, their uploads and their
+ * sessions. Returns false when the user does not exist.
+ */
+export async function deleteUserAccount(userId) {
+  const user = await User.findById(userId).select("_id").lean();
+  if (!user) return false;
+
+  await revokeAllSessions(userId);
+  const posts = await Post.find({ author: userId }).select("_id").lean();
+  for (const { _id } of posts) {
+    await deletePost(_id);
+  }
+  await deleteCommentsByAuthor(userId);
+  for (const attachment of await listAttachmentsByOwner(userId)) {
+    await deleteAttachment(attachment);
+  }
+  await User.deleteOne({ _id: userId });
+  return true;
+}
+
+/**
+ * Apply one of BULK_POST_ACTIONS to the posts with the given ids.
+ * Unpublishing turns posts back into drafts; featuring pins them.
+ * Returns the number of posts affected.
+ */
+export async function bulkUpdatePosts(ids, action) {
+  if (action === "delete") {
+    let deleted = 0;
+    for (const id of ids) {
+      const result = await deletePost(id);
+      deleted += result.deletedCount;
+    }
+    return deleted;
+  }
+  const update = {
+    unpublish: { status: "draft", publishAt: null },
+    feature: { pinned: true },
+    unfeature: { pinned: false },
+  }[action];
+  if (!update) {
+    throw new Error(`Unknown bulk post action: ${action}`);
+  }
+  const result = await Post.updateMany({ _id: { $in: ids } }, { $set: update });
+  return result.matchedCount;
+}
+
+// UTC day key used to bucket documents by creation date.
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Count the documents of `model` created per UTC day since `since`, with a
+// zero for days without any.
+async function countPerDay(model, since, days) {
+  const counts = await model.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  const byDay = new Map(counts.map(({ _id, count }) => [_id, count]));
+  return Array.from({ length: days }, (_, index) => {
+    const date = dayKey(new Date(since.getTime() + index * DAY_MS));
+    return { date, count: byDay.get(date) ?? 0 };
+  });
+}
+
+/**
+ * Summary statistics for the last `days` days (today included):
+ * - totals: all-time counts of users, posts, published posts and comments
+ * - postsPerDay / signupsPerDay: [{ date: "YYYY-MM-DD", count }], oldest first
+ * - topAuthors: [{ username, posts }] with the most posts written in the period
+ */
+export async function getSiteStats({ days = 30, now = new Date() } = {}) {
+  const since = new Date(`${dayKey(now)}T00:00:00.000Z`);
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+
+  const [users, posts, publishedPosts, comments] = await Promise.all([
+    User.countDocuments(),
+    Post.countDocuments(),
+    // Posts created before `status` existed count as published.
+    Post.countDocuments({ status: { $in: ["published", null] } }),
+    Comment.countDocuments({ deleted: false }),
+  ]);
+  const [postsPerDay, signupsPerDay, topAuthors] = await Promise.all([
+    countPerDay(Post, since, days),
+    countPerDay(User, since, days),
+    Post.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: "$author", posts: { $sum: 1 } } },
+      { $sort: { posts: -1, _id: 1 } },
+      { $limit: 5 },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "user",
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          username: { $arrayElemAt: ["$user.username", 0] },
+          posts: 1,
+        },
+      },
+    ]),
+  ]);
+  return {
+    days,
+    totals: { users, posts, publishedPosts, comments },
+    postsPerDay,
+    signupsPerDay,
+    topAuthors,
+  };
+}
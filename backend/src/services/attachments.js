@@ -0,0 +1,80 @@
+import { Attachment } from "../db/models/attachment.js";
+import { getStorage } from "../storage/index.js";
+
+const DEFAULT_MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+/*
+ * Accepted upload types, each with the leading bytes ("magic number") its
+ * files start with. The declared Content-Type of an upload is only trusted
+ * when the bytes agree, so an HTML or SVG file renamed to .png is rejected.
+ */
+const FILE_SIGNATURES = {
+  "image/png": [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  "image/jpeg": [[0xff, 0xd8, 0xff]],
+  "image/gif": [Buffer.from("GIF87a"), Buffer.from("GIF89a")],
+  "image/webp": [Buffer.from("RIFF")], // followed by a size and "WEBP"
+  "application/pdf": [Buffer.from("%PDF-")],
+};
+
+export const ALLOWED_MIME_TYPES = Object.keys(FILE_SIGNATURES);
+
+// Maximum upload size in bytes, configurable through UPLOAD_MAX_BYTES.
+export function maxUploadBytes() {
+  return Number(process.env.UPLOAD_MAX_BYTES) || DEFAULT_MAX_UPLOAD_BYTES;
+}
+
+/**
+ * Check that `buffer` really holds a file of type `mimeType`.
+ */
+export function matchesMimeType(buffer, mimeType) {
+  const signatures = FILE_SIGNATURES[mimeType];
+  if (!signatures) return false;
+  const matches = signatures.some((signature) =>
+    Buffer.from(signature).equals(buffer.subarray(0, signature.length)),
+  );
+  if (mimeType === "image/webp") {
+    return matches && buffer.subarray(8, 12).toString() === "WEBP";
+  }
+  return matches;
+}
+
+/**
+ * Store an uploaded file (as parsed by multer) and record who uploaded it.
+ */
+export async function createAttachment({ owner, file }) {
+  const storage = getStorage();
+  const { key } = await storage.save({
+    buffer: file.buffer,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+  });
+  const attachment = new Attachment({
+    owner,
+    key,
+    url: storage.url(key),
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+  });
+  return await attachment.save();
+}
+
+export async function listAttachmentsByOwner(owner) {
+  return await Attachment.find({ owner }).sort({ createdAt: -1 }).lean();
+}
+
+export async function getAttachmentById(attachmentId) {
+  return await Attachment.findById(attachmentId).lean();
+}
+
+export async function getAttachmentByUrl(url) {
+  return await Attachment.findOne({ url }).lean();
+}
+
+/**
+ * Remove an attachment's file from storage and then its metadata.
+ */
+export async function deleteAttachment(attachment) {
+  await getStorage().remove(attachment.key);
+  return await Attachment.deleteOne({ _id: attachment._id });
+}
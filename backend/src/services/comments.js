@@ -0,0 +1,79 @@
+import { Comment } from "../db/models/comment.js";
+
+// Normalize a comment with a populated author into the shape sent to clients.
+function toCommentResponse(comment) {
+  return {
+    ...comment,
+    author: comment.deleted ? null : comment.author?.username,
+  };
+}
+
+/**
+ * List every comment of a post, oldest first.
+ *
+ * Comments are returned flat, each with its `parent` id (null for top-level
+ * comments); the frontend nests them into a thread. Like posts, `author` is
+ * resolved from the stored ObjectId to a username for display.
+ */
+export async function listCommentsByPost(postId) {
+  const comments = await Comment.find({ post: postId })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate("author", "username")
+    .lean();
+  return comments.map(toCommentResponse);
+}
+
+export async function getCommentById(commentId) {
+  return await Comment.findById(commentId).exec();
+}
+
+export async function createComment({ post, author, parent, contents }) {
+  const comment = new Comment({ post, author, parent, contents });
+  await comment.save();
+  await comment.populate("author", "username");
+  return toCommentResponse(comment.toObject());
+}
+
+export async function updateComment(commentId, { contents }) {
+  const comment = await Comment.findOneAndUpdate(
+    { _id: commentId, deleted: false },
+    { $set: { contents } },
+    { new: true, runValidators: true },
+  )
+    .populate("author", "username")
+    .lean();
+  return comment ? toCommentResponse(comment) : null;
+}
+
+/**
+ * Delete a comment. A comment that already has replies is only blanked out
+ * (soft delete) so its replies stay attached to the thread.
+ */
+export async function deleteComment(commentId) {
+  const hasReplies = await Comment.exists({ parent: commentId });
+  if (hasReplies) {
+    return await Comment.updateOne(
+      { _id: commentId },
+      { $set: { deleted: true, contents: "[deleted]" } },
+    );
+  }
+  return await Comment.deleteOne({ _id: commentId });
+}
+
+export async function deleteCommentsByPost(postId) {
+  return await Comment.deleteMany({ post: postId });
+}
+
+/**
+ * Delete every comment written by `authorId` (e.g. when the account is
+ * removed), following the same soft-delete rule as deleteComment().
+ */
+export async function deleteCommentsByAuthor(authorId) {
+  const comments = await Comment.find({ author: authorId, deleted: false })
+    .select("_id")
+    .lean();
+  for (const { _id } of comments) {
+    await deleteComment(_id);
+  }
+  return comments.length;
+}
@@ -0,0 +1,73 @@
+/*
+ * Line-level text diff.
+ *
+ * Uses the classic longest-common-subsequence table, which is quadratic in the
+ * number of lines but more than fast enough for blog posts, and keeps the
+ * output stable and easy to read: unchanged lines are kept, everything else is
+ * reported as removed (from `before`) or added (in `after`).
+ *
+ * Being quadratic, the table is only built for texts of up to MAX_DIFF_LINES
+ * lines each (a table of about 16 MB); callers check canDiffLines() first.
+ */
+
+export const MAX_DIFF_LINES = 2000;
+
+function splitLines(text) {
+  return text ? text.split(/\r?\n/) : [];
+}
+
+/**
+ * Whether two texts are small enough for diffLines().
+ */
+export function canDiffLines(before, after) {
+  return (
+    splitLines(before).length <= MAX_DIFF_LINES &&
+    splitLines(after).length <= MAX_DIFF_LINES
+  );
+}
+
+/**
+ * Diff two texts line by line.
+ * Returns [{ type: "equal" | "removed" | "added", text }] in reading order,
+ * with removals listed before the additions that replace them.
+ */
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    throw new RangeError(`Cannot diff texts over ${MAX_DIFF_LINES} lines`);
+  }
+
+  // lcs(i, j) = length of the LCS of a[i:] and b[j:], stored row by row
+  const width = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * width);
+  const lcs = (i, j) => table[i * width + j];
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] =
+        a[i] === b[j]
+          ? lcs(i + 1, j + 1) + 1
+          : Math.max(lcs(i + 1, j), lcs(i, j + 1));
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: "equal", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs(i + 1, j) >= lcs(i, j + 1)) {
+      changes.push({ type: "removed", text: a[i] });
+      i++;
+    } else {
+      changes.push({ type: "added", text: b[j] });
+      j++;
+    }
+  }
+  for (; i < a.length; i++) changes.push({ type: "removed", text: a[i] });
+  for (; j < b.length; j++) changes.push({ type: "added", text: b[j] });
+  return changes;
+}
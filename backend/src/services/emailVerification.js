@@ -0,0 +1,119 @@
+import jwt from "jsonwebtoken";
+import { User } from "../db/models/user.js";
+import { frontendLink, sendMail } from "../mail/index.js";
+
+/*
+ * Email verification.
+ *
+ * Signup emails a link with a signed token (a JWT with purpose
+ * "verify-email", the user id and the address it was sent to) that expires
+ * after EMAIL_VERIFICATION_TTL (default 24h). Opening it sets
+ * User.emailVerified. Nothing is stored per link, so a new link does not
+ * invalidate older ones; a link only works for the address it was sent to.
+ *
+ * When REQUIRE_EMAIL_VERIFICATION is on (the default in production),
+ * unverified users may write drafts but not publish or schedule posts.
+ */
+
+const PURPOSE = "verify-email";
+const DEFAULT_VERIFICATION_TTL = "24h";
+
+export function isEmailVerificationRequired() {
+  const setting = process.env.REQUIRE_EMAIL_VERIFICATION;
+  if (setting === undefined || setting === "") {
+    return process.env.NODE_ENV === "production";
+  }
+  return setting === "true";
+}
+
+function signVerificationToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), email: user.email, purpose: PURPOSE },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.EMAIL_VERIFICATION_TTL || DEFAULT_VERIFICATION_TTL,
+    },
+  );
+}
+
+/**
+ * Email a verification link to `user`.
+ */
+export async function sendVerificationEmail(user) {
+  const token = signVerificationToken(user);
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Please confirm your email address by opening this link:",
+      "",
+      frontendLink("/verify-email", { token }),
+      "",
+      "If you did not create an account, you can ignore this email.",
+    ].join("\n"),
+  });
+}
+
+/**
+ * Send a new verification link to the unverified account registered with
+ * `email`. Does nothing for unknown or already verified addresses, so
+ * callers can answer the same way either way.
+ */
+export async function resendVerificationEmail(email) {
+  const user = await User.findOne({ email }).exec();
+  if (!user || user.emailVerified) return;
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    console.error("Error sending verification email:", err);
+  }
+}
+
+/**
+ * Mark the address in a verification token as verified.
+ * Returns { ok: true, user } or { ok: false, message }.
+ */
+export async function verifyEmail(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ["HS256"],
+    });
+  } catch {
+    return { ok: false, message: "Invalid or expired verification link" };
+  }
+  if (claims.purpose !== PURPOSE) {
+    return { ok: false, message: "Invalid or expired verification link" };
+  }
+
+  // The address must still be the one the link was sent to.
+  const user = await User.findOneAndUpdate(
+    { _id: claims.sub, email: claims.email },
+    { $set: { emailVerified: true } },
+    { new: true },
+  )
+    .select("-passwordHash")
+    .exec();
+  if (!user) {
+    return { ok: false, message: "Invalid or expired verification link" };
+  }
+  return { ok: true, user };
+}
+
+// Error details for publishing refused by canPublish(): to the author, and
+// to a moderator or admin publishing someone else's post.
+export const UNVERIFIED_PUBLISH_ERROR =
+  "Verify your email address before publishing posts";
+export const UNVERIFIED_AUTHOR_PUBLISH_ERROR =
+  "The author must verify their email address before this post is published";
+
+/**
+ * Whether the user may publish (or schedule) posts.
+ */
+export async function canPublish(userId) {
+  if (!isEmailVerificationRequired()) return true;
+  const user = await User.findById(userId).select("emailVerified").exec();
+  return Boolean(user?.emailVerified);
+}
@@ -0,0 +1,125 @@
+import { listPosts } from "./posts.js";
+import { escapeXml } from "./xml.js";
+import { postUrl, publicUrl, siteTitle } from "../config/site.js";
+
+/*
+ * RSS 2.0 and Atom feeds of the latest published posts.
+ *
+ * A feed is first described as plain data ({ title, description, link,
+ * selfUrl, updated, entries }) by buildFeed(), then rendered by renderRss()
+ * or renderAtom(). Every link is absolute (see config/site.js), and every
+ * value is escaped, since titles and contents are user input.
+ */
+
+// Number of posts in a feed.
+export const FEED_SIZE = 20;
+
+const SUMMARY_LENGTH = 300;
+
+/**
+ * A plain-text summary of Markdown contents: the markup characters feed
+ * readers would show literally are dropped, and long texts are cut off.
+ */
+export function summarize(markdown = "") {
+  const text = markdown
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "")
+    .replace(/[*_~`]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > SUMMARY_LENGTH
+    ? `${text.slice(0, SUMMARY_LENGTH).trimEnd()}…`
+    : text;
+}
+
+/**
+ * Describe the feed of the latest published posts, optionally limited to
+ * one author or tag. `scope` names the feed ({ title, path }), where `path`
+ * is the public page the feed belongs to ("/tags/react"), and `file` is the
+ * feed's own file name there ("feed.xml").
+ */
+export async function buildFeed({ author, tag, scope, file }) {
+  const { posts } = await listPosts(
+    { author, tags: tag ? [tag] : [] },
+    { sortBy: "createdAt", sortOrder: "descending", limit: FEED_SIZE },
+  );
+  const title = scope.title ? `${scope.title} – ${siteTitle()}` : siteTitle();
+  const entries = posts.map((post) => ({
+    id: postUrl(post),
+    title: post.title,
+    link: postUrl(post),
+    author: post.author,
+    published: new Date(post.publishAt || post.createdAt),
+    updated: new Date(post.updatedAt),
+    summary: summarize(post.contents),
+    categories: post.tags ?? [],
+  }));
+  return {
+    title,
+    description: `The latest posts on ${title}`,
+    link: publicUrl(scope.path),
+    selfUrl: publicUrl(`${scope.path.replace(/\/$/, "")}/${file}`),
+    // An empty feed was last updated... now, as far as readers can tell.
+    updated: entries.reduce(
+      (latest, entry) => (entry.updated > latest ? entry.updated : latest),
+      entries.length > 0 ? new Date(0) : new Date(),
+    ),
+    entries,
+  };
+}
+
+export function renderRss(feed) {
+  const items = feed.entries.map(
+    (entry) => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.link)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.id)}</guid>
+      <dc:creator>${escapeXml(entry.author ?? "")}</dc:creator>
+      <pubDate>${entry.published.toUTCString()}</pubDate>
+${entry.categories
+  .map((tag) => `      <category>${escapeXml(tag)}</category>\n`)
+  .join("")}      <description>${escapeXml(entry.summary)}</description>
+    </item>
+`,
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items.join("")}  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(feed) {
+  const entries = feed.entries.map(
+    (entry) => `  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <link href="${escapeXml(entry.link)}"/>
+    <id>${escapeXml(entry.id)}</id>
+    <author><name>${escapeXml(entry.author ?? "")}</name></author>
+    <published>${entry.published.toISOString()}</published>
+    <updated>${entry.updated.toISOString()}</updated>
+${entry.categories
+  .map((tag) => `    <category term="${escapeXml(tag)}"/>\n`)
+  .join("")}    <summary>${escapeXml(entry.summary)}</summary>
+  </entry>
+`,
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.link)}"/>
+  <link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+${entries.join("")}</feed>
+`;
+}
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+
+/*
+ * Cursor (keyset) pagination helpers.
+ *
+ * Instead of skip/offset, each page ends with an opaque cursor that encodes the
+ * sort value and _id of its last document. The next page asks MongoDB for
+ * documents that sort strictly after that (value, _id) pair, so page loads stay
+ * fast no matter how deep the client scrolls and don't skip or repeat posts
+ * when new ones are inserted in between.
+ *
+ * The cursor is base64url-encoded JSON and is bound to the sortBy/sortOrder it
+ * was created with; clients must treat it as an opaque string.
+ */
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encode the position of `doc` within a listing sorted by `sortBy`/`sortOrder`.
+ */
+export function encodeCursor(doc, { sortBy, sortOrder }) {
+  const value = doc[sortBy];
+  const payload = {
+    sortBy,
+    sortOrder,
+    // Dates do not survive JSON round-trips, so remember the type explicitly.
+    type: value instanceof Date ? "date" : typeof value,
+    value: value instanceof Date ? value.toISOString() : value,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+// The type of each sortable field (see SORTABLE_FIELDS in services/posts.js).
+// A cursor value of any other type is rejected, since it would end up in a
+// MongoDB query and an object there would be read as operators ($ne, …).
+const SORT_FIELD_TYPES = {
+  createdAt: "date",
+  updatedAt: "date",
+  title: "string",
+  relevance: "number",
+};
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+/**
+ * Decode a cursor produced by encodeCursor().
+ * Returns null when the cursor is malformed, was issued for a different sort
+ * or holds values that do not fit the sort field, so routes can answer with a
+ * 400 instead of silently returning a wrong page.
+ */
+export function decodeCursor(cursor, { sortBy, sortOrder }) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (payload.sortBy !== sortBy || payload.sortOrder !== sortOrder) {
+      return null;
+    }
+    if (typeof payload.id !== "string" || !OBJECT_ID.test(payload.id)) {
+      return null;
+    }
+    const value = cursorValue(payload, SORT_FIELD_TYPES[sortBy]);
+    if (value === null) {
+      return null;
+    }
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch {
+    return null;
+  }
+}
+
+// The sort value of a cursor payload as a `type` value, or null if it is not.
+function cursorValue({ type, value }, expected) {
+  if (type !== expected) return null;
+  switch (type) {
+    case "date": {
+      if (typeof value !== "string") return null;
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+    case "number":
+      return Number.isFinite(value) ? value : null;
+    case "string":
+      return typeof value === "string" ? value : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the $match condition selecting documents that come after the decoded
+ * cursor position. _id is used as a tie-breaker so documents sharing the same
+ * sort value (e.g. identical titles) are neither skipped nor repeated.
+ */
+export function cursorCondition({ value, id }, { sortBy, sortOrder }) {
+  const op = sortOrder === "descending" ? "$lt" : "$gt";
+  return {
+    $or: [
+      { [sortBy]: { [op]: value } },
+      { [sortBy]: value, _id: { [op]: id } },
+    ],
+  };
+}
+
+/**
+ * Parse a `limit` query parameter, falling back to DEFAULT_PAGE_SIZE.
+ * Returns null for anything that is not an integer in [1, MAX_PAGE_SIZE].
+ */
+export function parseLimit(limit) {
+  if (limit === undefined || limit === "") return DEFAULT_PAGE_SIZE;
+  const parsed = Number(limit);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_PAGE_SIZE) {
+    return null;
+  }
+  return parsed;
+}
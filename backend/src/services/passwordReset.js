@@ -0,0 +1,90 @@
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import { PasswordReset } from "../db/models/passwordReset.js";
+import { User } from "../db/models/user.js";
+import { frontendLink, sendMail } from "../mail/index.js";
+import { revokeAllSessions } from "./sessions.js";
+
+/*
+ * Password reset ("forgot password").
+ *
+ * POST /api/v1/user/forgot-password emails a link with a random token to the
+ * account's address. Only a SHA-256 hash of the token is stored, it expires
+ * after PASSWORD_RESET_TTL_MINUTES (default 60) and it can be used once.
+ * Asking again replaces any earlier token. Setting the new password signs the
+ * user out everywhere, in case the account was compromised.
+ */
+
+const DEFAULT_RESET_TTL_MINUTES = 60;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function resetTokenExpiry() {
+  const minutes =
+    Number(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_RESET_TTL_MINUTES;
+  return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+/**
+ * Email a password reset link to the account registered with `email`.
+ * Does nothing when there is no such account, so callers can answer the
+ * same way either way and not reveal which addresses are registered.
+ */
+export async function requestPasswordReset(email) {
+  const user = await User.findOne({ email }).exec();
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await PasswordReset.deleteMany({ user: user._id });
+  await PasswordReset.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: resetTokenExpiry(),
+  });
+
+  // A delivery failure is logged rather than thrown: the response must not
+  // differ for registered and unknown addresses.
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text: [
+        `Hi ${user.username},`,
+        "",
+        "Someone asked to reset the password of your account. To choose a new password, open this link:",
+        "",
+        frontendLink("/reset-password", { token }),
+        "",
+        "If you did not ask for this, you can ignore this email; your password stays the same.",
+      ].join("\n"),
+    });
+  } catch (err) {
+    console.error("Error sending password reset email:", err);
+  }
+}
+
+/**
+ * Set a new password with a token from a reset email.
+ * Returns { ok: false, message } when the token is unknown, used or expired.
+ */
+export async function resetPassword(token, password) {
+  // Claim the token atomically so it cannot be used twice concurrently.
+  const reset = await PasswordReset.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+  );
+  if (!reset) {
+    return { ok: false, message: "Invalid or expired reset token" };
+  }
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  await User.updateOne({ _id: reset.user }, { $set: { passwordHash } });
+  await revokeAllSessions(reset.user);
+  return { ok: true };
+}
@@ -0,0 +1,58 @@
+/**
+ * Authorization policy: who may do what.
+ *
+ * Routes ask can(auth, action, resource) instead of comparing ids
+ * themselves, so every rule lives here. `auth` is req.auth, the verified JWT
+ * claims ({ id, username, roles }); `resource` carries the owner ids a rule
+ * needs, e.g. { authorId } for a post.
+ *
+ * Roles (see db/models/user.js):
+ * - moderator: edits, deletes and pins any post and removes any comment
+ * - admin: everything a moderator can do, plus managing users and the
+ *   /api/v1/admin routes
+ */
+
+/**
+ * Whether the user behind `auth` has at least one of `roles`.
+ */
+export function hasRole(auth, ...roles) {
+  return roles.some((role) => auth?.roles?.includes(role));
+}
+
+function isSelf(auth, userId) {
+  return userId != null && auth.id === userId.toString();
+}
+
+function isStaff(auth) {
+  return hasRole(auth, "moderator", "admin");
+}
+
+const RULES = {
+  "post:edit": (auth, { authorId }) => isSelf(auth, authorId) || isStaff(auth),
+  "post:delete": (auth, { authorId }) =>
+    isSelf(auth, authorId) || isStaff(auth),
+  // Revision history may include unpublished work.
+  "post:history": (auth, { authorId }) =>
+    isSelf(auth, authorId) || isStaff(auth),
+  "post:pin": (auth) => isStaff(auth),
+  // Nobody puts words in someone else's mouth, moderators included.
+  "comment:edit": (auth, { authorId }) => isSelf(auth, authorId),
+  // Post authors keep their own discussions clean; staff moderate everywhere.
+  "comment:delete": (auth, { authorId, postAuthorId }) =>
+    isSelf(auth, authorId) || isSelf(auth, postAuthorId) || isStaff(auth),
+  "user:manage": (auth) => hasRole(auth, "admin"),
+};
+
+export const ACTIONS = Object.keys(RULES);
+
+/**
+ * Whether `auth` may perform `action` on `resource`. Anonymous requests
+ * (no `auth`) may do none of these.
+ */
+export function can(auth, action, resource = {}) {
+  const rule = RULES[action];
+  if (!rule) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+  return Boolean(auth) && rule(auth, resource);
+}
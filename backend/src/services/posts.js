@@ -1,6 +1,27 @@
+import mongoose from "mongoose";
 import { Post } from "../db/models/post.js";
+import {
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+} from "./pagination.js";
+import { searchTerms, buildSnippet } from "./search.js";
+import { findUserId } from "./users.js";
+import { deleteCommentsByPost } from "./comments.js";
+import { recordRevision, deleteRevisionsByPost } from "./revisions.js";
+import { normalizeTags } from "./tags.js";
+import { slugify, uniqueSlug } from "./slugs.js";
 
-export async function createPost({ title, author, contents, tags }) {
+export async function createPost({
+  title,
+  author,
+  contents,
+  tags,
+  status,
+  publishAt,
+  coverImage,
+}) {
   console.log(`Creating post with author: ${author}`);
   console.log(`Type of author: ${typeof author}`);
   console.log(
@@ -8,25 +29,128 @@ export async function createPost({ title, author, contents, tags }) {
   );
   console.log(`Author value: ${author}`);
 
-  const post = new Post({ title, author, contents, tags });
+  const post = new Post({
+    title,
+    slug: await uniqueSlug(title),
+    author,
+    contents,
+    tags: normalizeTags(tags),
+    status,
+    publishAt,
+    coverImage,
+  });
   return await post.save();
 }
 
-async function listPosts(
-  query = {},
-  { sortBy = "createdAt", sortOrder = "descending" } = {},
+// Fields a listing may be sorted by. Each is always present on a post, which
+// keeps cursor comparisons well-defined (no null/missing sort values).
+// "relevance" is the text-search score and is only available together with `q`.
+export const SORTABLE_FIELDS = ["createdAt", "updatedAt", "title", "relevance"];
+
+/**
+ * Translate listing filters into a MongoDB $match condition.
+ *
+ * Every filter is optional and they combine with AND:
+ * - author: username; resolved to the stored User ObjectId
+ * - tags: array of tags, matched according to tagMatch ("any" or "all");
+ *   normalized like stored tags, so "JavaScript" finds "javascript"
+ * - createdAfter / createdBefore: Dates bounding createdAt (inclusive / exclusive)
+ * - status: array of publication states (default: ["published"]). Anything
+ *   other than published is restricted to the posts of `viewerId`, unless
+ *   `privileged` is set (admin listings).
+ * - pinned: true or false to only list pinned or unpinned posts
+ *
+ * Returns null when the filters can never match (e.g. an unknown author), so
+ * callers can skip the database round-trip.
+ */
+async function buildPostMatch({
+  author,
+  tags = [],
+  tagMatch = "any",
+  createdAfter,
+  createdBefore,
+  status = ["published"],
+  viewerId,
+  privileged = false,
+  pinned,
+}) {
+  const match = {};
+  if (author) {
+    const authorId = await findUserId(author);
+    if (!authorId) return null;
+    match.author = authorId;
+  }
+  // Drafts, scheduled and archived posts are only visible to their author.
+  if (!privileged && status.some((value) => value !== "published")) {
+    if (!viewerId) return null;
+    if (match.author && match.author.toString() !== viewerId.toString()) {
+      return null;
+    }
+    match.author = new mongoose.Types.ObjectId(viewerId);
+  }
+  // Posts created before `status` existed have no such field and count as
+  // published; `null` matches those missing fields.
+  match.status = {
+    $in: status.includes("published") ? [...status, null] : status,
+  };
+  if (pinned !== undefined) {
+    // Posts created before pinning existed have no such field.
+    match.pinned = pinned ? true : { $ne: true };
+  }
+  const wantedTags = normalizeTags(tags);
+  if (wantedTags.length > 0) {
+    match.tags =
+      tagMatch === "all" ? { $all: wantedTags } : { $in: wantedTags };
+  }
+  if (createdAfter || createdBefore) {
+    match.createdAt = {};
+    if (createdAfter) match.createdAt.$gte = createdAfter;
+    if (createdBefore) match.createdAt.$lt = createdBefore;
+  }
+  return match;
+}
+
+/**
+ * List one page of posts matching `filters` (see buildPostMatch).
+ *
+ * Results are ordered by `sortBy` with `_id` as a tie-breaker and returned as
+ * { posts, nextCursor, hasMore }. Pass `nextCursor` back as `cursor` to fetch
+ * the following page; it is null once the last page has been reached.
+ *
+ * When `filters.q` is given, only posts matching the full-text search are
+ * returned. Each post then carries its `relevance` score and a highlighted
+ * `snippet` (see services/search.js).
+ */
+export async function listPosts(
+  { q, ...filters } = {},
+  {
+    sortBy = "createdAt",
+    sortOrder = "descending",
+    limit = DEFAULT_PAGE_SIZE,
+    cursor,
+  } = {},
 ) {
   /*The { [variable]: … } operator resolves the string stored in the variable to a key name for the
   created object. So, if our variable contains 'createdAt', the resulting object will be { createdAt: … }. 
   */
+  const query = await buildPostMatch(filters);
+  if (!query) {
+    return { posts: [], nextCursor: null, hasMore: false };
+  }
 
-  // return await Post.find(query).sort({
-  //   [sortBy]: sortOrder === "descending" ? -1 : 1,
-  // });
+  const direction = sortOrder === "descending" ? -1 : 1;
+  const sort = { sortBy, sortOrder };
+  const after = cursor ? decodeCursor(cursor, sort) : null;
 
-  return await Post.aggregate([
-    { $match: query },
-    { $sort: { [sortBy]: sortOrder === "descending" ? -1 : 1 } },
+  const docs = await Post.aggregate([
+    // A $text match has to be the first stage of the pipeline.
+    { $match: q ? { ...query, $text: { $search: q } } : query },
+    ...(q ? [{ $set: { relevance: { $meta: "textScore" } } }] : []),
+    // The cursor is applied after `relevance` exists so it can be compared.
+    ...(after ? [{ $match: cursorCondition(after, sort) }] : []),
+    { $sort: { [sortBy]: direction, _id: direction } },
+    // Fetch one extra document to find out whether another page exists.
+    { $limit: limit + 1 },
     {
       // Resolve the `author` ObjectId into a displayable username.
       $lookup: {
@@ -39,6 +163,19 @@ async function listPosts(
     { $set: { author: { $arrayElemAt: ["$authorDetails.username", 0] } } },
     { $project: { authorDetails: 0 } }, // Remove authorDetails field
   ]);
+
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore ? encodeCursor(page[page.length - 1], sort) : null;
+
+  const terms = q ? searchTerms(q) : [];
+  const posts = q
+    ? page.map((post) => ({
+        ...post,
+        snippet: buildSnippet(post.contents, terms),
+      }))
+    : page;
+  return { posts, nextCursor, hasMore };
 }
 
 export async function listAllPosts(options) {
@@ -49,16 +186,13 @@ export async function listPostsByAuthor(author, options) {
   return await listPosts({ author }, options);
 }
 
-export async function listPostsByTag(tags, options) {
-  return await listPosts({ tags }, options);
+export async function listPostsByTag(tag, options) {
+  return await listPosts({ tags: [tag] }, options);
 }
 
-export async function getPostById(postId) {
-  // Populate the author field to resolve ObjectId to username for display.
-  const post = await Post.findById(postId).populate("author", "username");
-  if (!post) return null;
-
-  // Convert to plain object and normalize author to username string.
+// Convert a post with a populated author to a plain object whose author is
+// the username, for display.
+function withAuthorName(post) {
   const postObj = post.toObject();
   return {
     ...postObj,
@@ -66,13 +200,117 @@ export async function getPostById(postId) {
   };
 }
 
-export async function updatePost(postId, { title, author, contents, tags }) {
+export async function getPostById(postId) {
+  // Populate the author field to resolve ObjectId to username for display.
+  const post = await Post.findById(postId).populate("author", "username");
+  return post ? withAuthorName(post) : null;
+}
+
+/**
+ * Find the post currently or previously known by `slug` (see
+ * services/slugs.js). Compare the result's `slug` to tell the two apart.
+ */
+export async function getPostBySlug(slug) {
+  const post = await Post.findOne({
+    $or: [{ slug }, { previousSlugs: slug }],
+  }).populate("author", "username");
+  return post ? withAuthorName(post) : null;
+}
+
+/**
+ * Look up the stored author ObjectId of a post without resolving it to a
+ * username, so routes can compare it against the authenticated user's id.
+ * Returns null when the post does not exist.
+ */
+export async function getPostAuthorId(postId) {
+  const post = await Post.findById(postId).select("author").exec();
+  return post ? post.author : null;
+}
+
+// Author and publication status of a post, for visibility checks.
+export async function getPostAccess(postId) {
+  return await Post.findById(postId).select("author status").exec();
+}
+
+// Fields whose previous values are kept in the post's revision history.
+const REVISIONED_FIELDS = ["title", "contents", "tags"];
+
+// `author` is intentionally not updatable: ownership is fixed at creation time.
+// `status`/`publishAt` are optional; when omitted the publication state is kept.
+// Likewise an omitted `coverImage` is kept, while null removes it.
+// Tags are normalized (see services/tags.js). A new title gives the post a new
+// slug, and the old one is kept as a redirect. Whenever title, contents or
+// tags change, the previous version is stored as a revision attributed to
+// `editor`.
+export async function updatePost(
+  postId,
+  { title, contents, tags, status, publishAt, coverImage },
+  editor,
+) {
+  const current = await Post.findById(postId).lean();
+  if (!current) return null;
+
+  const update = { title, contents, tags: normalizeTags(tags), coverImage };
+  const changed = REVISIONED_FIELDS.some(
+    (field) =>
+      update[field] !== undefined &&
+      JSON.stringify(update[field]) !== JSON.stringify(current[field]),
+  );
+  if (changed && editor) {
+    await recordRevision(current, editor);
+  }
+
+  // Posts from before slugs existed get theirs on their first edit.
+  const newTitle = title ?? current.title;
+  if (!current.slug || slugify(newTitle) !== slugify(current.title)) {
+    update.slug = await uniqueSlug(newTitle, postId);
+    if (current.slug && update.slug !== current.slug) {
+      update.previousSlugs = [
+        ...(current.previousSlugs ?? []).filter((slug) => slug !== update.slug),
+        current.slug,
+      ];
+    }
+  }
+
+  if (status) {
+    update.status = status;
+    update.publishAt = publishAt;
+    // Re-publishing an already published post keeps its original date.
+    if (status === "published" && (current.status ?? "published") === status) {
+      delete update.publishAt;
+    }
+  }
   return await Post.findOneAndUpdate(
     { _id: postId },
-    { $set: { title, author, contents, tags } },
+    { $set: update },
     { new: true, runValidators: true },
   );
 }
+
+/**
+ * Bring back the title, contents and tags of `revision`. The version being
+ * replaced is itself recorded, so a restore can always be undone.
+ */
+export async function restorePostRevision(postId, revision, editor) {
+  const { title, contents, tags } = revision;
+  return await updatePost(postId, { title, contents, tags }, editor);
+}
+
+/**
+ * Pin or unpin a post. Returns the updated post, or null when it does not
+ * exist. Pinning is not an edit, so no revision is recorded.
+ */
+export async function setPostPinned(postId, pinned) {
+  return await Post.findOneAndUpdate(
+    { _id: postId },
+    { $set: { pinned } },
+    { new: true },
+  );
+}
+
 export async function deletePost(postId) {
+  // Remove the post's discussion and history along with it.
+  await deleteCommentsByPost(postId);
+  await deleteRevisionsByPost(postId);
   return await Post.deleteOne({ _id: postId });
 }
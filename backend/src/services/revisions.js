@@ -0,0 +1,63 @@
+import { PostRevision } from "../db/models/postRevision.js";
+import { canDiffLines, diffLines } from "./diff.js";
+
+// Normalize a revision with a populated editor into the shape sent to clients.
+function toRevisionResponse(revision) {
+  return {
+    ...revision,
+    editor: revision.editor?.username ?? null,
+  };
+}
+
+/**
+ * Store the current version of `post` before `editor` overwrites it.
+ */
+export async function recordRevision(post, editor) {
+  const revision = new PostRevision({
+    post: post._id,
+    editor,
+    title: post.title,
+    contents: post.contents,
+    tags: post.tags,
+  });
+  return await revision.save();
+}
+
+/**
+ * List the prior versions of a post, newest first. Like post authors, editors
+ * are resolved from the stored ObjectId to a username.
+ */
+export async function listRevisionsByPost(postId) {
+  const revisions = await PostRevision.find({ post: postId })
+    .sort({ createdAt: -1, _id: -1 })
+    .populate("editor", "username")
+    .lean();
+  return revisions.map(toRevisionResponse);
+}
+
+export async function getRevisionById(revisionId) {
+  return await PostRevision.findById(revisionId).lean();
+}
+
+export async function deleteRevisionsByPost(postId) {
+  return await PostRevision.deleteMany({ post: postId });
+}
+
+/**
+ * Whether the contents of two versions are small enough to be compared.
+ */
+export function canDiffVersions(from, to) {
+  return canDiffLines(from.contents, to.contents);
+}
+
+/**
+ * Compare two versions of a post (revisions or the post itself).
+ * Title and tags are reported as before/after pairs; contents as a line diff.
+ */
+export function diffVersions(from, to) {
+  return {
+    title: { from: from.title, to: to.title },
+    tags: { from: from.tags ?? [], to: to.tags ?? [] },
+    contents: diffLines(from.contents, to.contents),
+  };
+}
@@ -0,0 +1,45 @@
+import { publicUrl } from "../config/site.js";
+
+/*
+ * robots.txt for the public site. Crawlers are pointed to the sitemap and
+ * kept out of pages that are personal or useless out of context (logins,
+ * settings, the admin dashboard) and out of the API. Configuration:
+ *
+ * - ROBOTS_DISALLOW: extra paths to disallow, comma-separated
+ * - ROBOTS_DISALLOW_ALL=true: keep crawlers out entirely (e.g. staging)
+ */
+
+export const DISALLOWED_PATHS = [
+  "/admin",
+  "/api/",
+  "/login",
+  "/logout",
+  "/signup",
+  "/check-email",
+  "/verify-email",
+  "/forgot-password",
+  "/reset-password",
+  "/sessions",
+  "/settings",
+  "/drafts",
+  "/create-post",
+  "/posts/*/edit",
+];
+
+export function renderRobotsTxt() {
+  const extra = (process.env.ROBOTS_DISALLOW ?? "")
+    .split(",")
+    .map((path) => path.trim())
+    .filter(Boolean);
+  const disallowed =
+    process.env.ROBOTS_DISALLOW_ALL === "true"
+      ? ["/"]
+      : [...DISALLOWED_PATHS, ...extra];
+  return [
+    "User-agent: *",
+    ...disallowed.map((path) => `Disallow: ${path}`),
+    "",
+    `Sitemap: ${publicUrl("/sitemap.xml")}`,
+    "",
+  ].join("\n");
+}
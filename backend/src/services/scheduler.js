@@ -0,0 +1,52 @@
+import { Post } from "../db/models/post.js";
+
+/*
+ * Background publisher for scheduled posts.
+ *
+ * Runs inside the backend process (started from index.js after the database
+ * connection is up) and periodically flips every "scheduled" post whose
+ * publishAt has passed to "published". The interval is configurable through
+ * SCHEDULER_INTERVAL_MS (default: one minute).
+ */
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let _timer = null;
+
+/**
+ * Publish every scheduled post that is due at `now`.
+ * Returns the number of posts that were published.
+ */
+export async function publishDuePosts(now = new Date()) {
+  const result = await Post.updateMany(
+    { status: "scheduled", publishAt: { $lte: now } },
+    { $set: { status: "published" } },
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Scheduler published ${result.modifiedCount} post(s)`);
+  }
+  return result.modifiedCount;
+}
+
+export function startScheduler(
+  intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+) {
+  if (_timer) return _timer;
+
+  const tick = () =>
+    publishDuePosts().catch((err) => {
+      console.error("Error publishing scheduled posts:", err);
+    });
+
+  // Catch up on anything that became due while the server was down.
+  tick();
+  _timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for the scheduler.
+  _timer.unref();
+  return _timer;
+}
+
+export function stopScheduler() {
+  clearInterval(_timer);
+  _timer = null;
+}
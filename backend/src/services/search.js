@@ -0,0 +1,57 @@
+/*
+ * Helpers for presenting full-text search results.
+ *
+ * MongoDB's $text operator ranks documents but does not say where the terms
+ * matched, so snippets are built here from the post contents. A snippet is an
+ * array of { text, highlight } segments rather than an HTML string, which lets
+ * the frontend render <mark> elements without ever injecting markup.
+ */
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Split a search string into the plain terms worth highlighting.
+ * Negated terms ("-foo") are dropped and quotes around phrases are removed,
+ * mirroring how $text interprets the same string.
+ */
+export function searchTerms(q = "") {
+  const phrases = [...q.matchAll(/"([^"]+)"/g)].map((match) => match[1]);
+  const words = q
+    .replace(/"[^"]*"/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"));
+  return [...phrases, ...words]
+    .map((term) => term.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a short excerpt of `text` around the first occurrence of any search
+ * term, split into highlighted and plain segments.
+ */
+export function buildSnippet(text = "", terms = []) {
+  if (!text) return [];
+  const pattern = terms.length
+    ? new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi")
+    : null;
+
+  // Center the excerpt on the first match when there is one.
+  const firstMatch = pattern ? text.search(pattern) : -1;
+  const start =
+    firstMatch > SNIPPET_LENGTH / 2 ? firstMatch - SNIPPET_LENGTH / 4 : 0;
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  let excerpt = text.slice(start, end);
+  if (start > 0) excerpt = `…${excerpt}`;
+  if (end < text.length) excerpt = `${excerpt}…`;
+
+  if (!pattern) return [{ text: excerpt, highlight: false }];
+  // With a capturing group, split() keeps the matched terms at odd indexes.
+  return excerpt
+    .split(pattern)
+    .map((part, index) => ({ text: part, highlight: index % 2 === 1 }))
+    .filter((segment) => segment.text);
+}
@@ -0,0 +1,219 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { Session } from "../db/models/session.js";
+import { User } from "../db/models/user.js";
+
+/*
+ * Access and refresh tokens.
+ *
+ * Access tokens are short-lived JWTs (JWT_EXPIRES_IN, default 15 minutes)
+ * sent as "Authorization: Bearer <token>". Refresh tokens are opaque strings
+ * of the form "<sessionId>.<secret>" that live for REFRESH_TOKEN_TTL_DAYS
+ * (default 30) and can be traded once, via POST /api/v1/user/refresh, for a
+ * new access token and a new refresh token (rotation).
+ *
+ * Only a SHA-256 hash of the current secret is stored on the Session. If a
+ * secret that has already been rotated away is presented again, someone is
+ * replaying a stolen token, so the session (the whole token family) is
+ * revoked and both the thief and the legitimate user have to log in again.
+ *
+ * The one exception is the secret rotated away last, for REFRESH_GRACE_MS
+ * after the rotation: a client that sends two refreshes at once (or loses
+ * the response to the first) gets the current tokens again instead of being
+ * logged out. This works without storing the current secret because each
+ * secret is derived from the one it replaces with an HMAC keyed by
+ * JWT_SECRET, so only the server and the holder of the previous secret can
+ * compute it.
+ *
+ * Access tokens carry the id of their session ("sid"). requireAuth rejects
+ * tokens whose session has been revoked, so logging out (one session or all
+ * of them) takes effect immediately rather than when the JWT expires.
+ */
+
+const DEFAULT_ACCESS_TOKEN_TTL = "15m";
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const REFRESH_GRACE_MS = 10 * 1000;
+
+function hashToken(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+// jsonwebtoken reads a unit-less string as milliseconds, so "3600" from an
+// env file is turned into the number of seconds it was meant to be.
+function accessTokenTtl() {
+  const ttl = process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_TTL;
+  return /^\d+$/.test(ttl) ? Number(ttl) : ttl;
+}
+
+function refreshTokenExpiry() {
+  const days =
+    Number(process.env.REFRESH_TOKEN_TTL_DAYS) ||
+    DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// The secret that replaces `secret` when it is rotated.
+function nextSecretFor(secret) {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(secret)
+    .digest("base64url");
+}
+
+/**
+ * Sign an access token for `user`, bound to the session it was issued for.
+ * The user's roles travel in the claims so authorization needs no lookup.
+ */
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user._id,
+      username: user.username,
+      roles: user.roles ?? [],
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() },
+  );
+}
+
+/**
+ * Start a new session for `user` (at login).
+ * Returns { token, refreshToken }.
+ */
+export async function createSession(user, { userAgent, ip } = {}) {
+  const secret = newSecret();
+  const session = await new Session({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: refreshTokenExpiry(),
+    userAgent,
+    ip,
+  }).save();
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+}
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token.
+ * Returns { ok: true, user, token, refreshToken } or { ok: false, message }.
+ */
+export async function refreshSession(refreshToken, { userAgent, ip } = {}) {
+  const invalid = { ok: false, message: "Invalid or expired refresh token" };
+  const [sessionId, secret] = String(refreshToken).split(".");
+  if (!secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) return invalid;
+
+  const session = await Session.findById(sessionId).exec();
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return invalid;
+  }
+
+  const presentedHash = hashToken(secret);
+  const nextSecret = nextSecretFor(secret);
+  // Rotate atomically: only the holder of the current secret wins, so two
+  // requests racing with the same token cannot both rotate it.
+  let rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextSecret),
+        previousTokenHash: presentedHash,
+        rotatedAt: new Date(),
+        expiresAt: refreshTokenExpiry(),
+        lastUsedAt: new Date(),
+        userAgent,
+        ip,
+      },
+    },
+    { new: true },
+  );
+  if (!rotated) {
+    // The secret that was just rotated away: hand out the current one again.
+    rotated = await Session.findOne({
+      _id: session._id,
+      tokenHash: hashToken(nextSecret),
+      previousTokenHash: presentedHash,
+      rotatedAt: { $gt: new Date(Date.now() - REFRESH_GRACE_MS) },
+      revokedAt: null,
+    }).exec();
+  }
+  if (!rotated) {
+    // A valid session id with a stale secret: the token was reused.
+    await revokeSession(session._id);
+    console.warn(`Refresh token reuse detected; revoked session ${sessionId}`);
+    return invalid;
+  }
+
+  const user = await User.findById(rotated.user).exec();
+  // Suspension revokes sessions, but do not trust that a race never loses.
+  if (!user || user.suspendedAt) return invalid;
+  return {
+    ok: true,
+    user,
+    token: signAccessToken(user, rotated._id),
+    refreshToken: `${rotated._id}.${nextSecret}`,
+  };
+}
+
+export async function revokeSession(sessionId) {
+  return await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  );
+}
+
+/**
+ * Whether the session an access token was issued for can still be used.
+ * Logging out revokes the session, which invalidates its access tokens
+ * immediately instead of when they expire.
+ */
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  return Boolean(
+    await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }),
+  );
+}
+
+/**
+ * The user's active sessions (devices), most recently used first.
+ */
+export async function listSessionsByUser(userId) {
+  return await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip createdAt lastUsedAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+/**
+ * Revoke one of the user's own sessions. Returns false when the user has no
+ * active session with that id.
+ */
+export async function revokeUserSession(userId, sessionId) {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  );
+  return result.modifiedCount > 0;
+}
+
+// "Sign out everywhere": revoke every session of the user.
+export async function revokeAllSessions(userId) {
+  return await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  );
+}
@@ -0,0 +1,156 @@
+import { Post } from "../db/models/post.js";
+import { escapeXml } from "./xml.js";
+import { postUrl, publicUrl } from "../config/site.js";
+
+/*
+ * XML sitemap (https://www.sitemaps.org/protocol.html) of the public pages:
+ * the home page, every published post, every tag page and the profile of
+ * every author with a published post. `lastmod` is the latest `updatedAt`
+ * of the posts behind a page.
+ *
+ * A sitemap may list at most 50,000 URLs. When there are more, /sitemap.xml
+ * becomes a sitemap index pointing to numbered sub-sitemaps: "pages" (home,
+ * tags and profiles) and "posts", each split into chunks of that size.
+ */
+
+export const SITEMAP_LIMIT = 50000;
+
+// Posts created before `status` existed count as published.
+const PUBLISHED = { status: { $in: ["published", null] } };
+
+/**
+ * The home, tag and profile pages, as { loc, lastmod } entries.
+ */
+async function listPages() {
+  const [tags, authors] = await Promise.all([
+    Post.aggregate([
+      { $match: PUBLISHED },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", lastmod: { $max: "$updatedAt" } } },
+      { $sort: { _id: 1 } },
+    ]),
+    Post.aggregate([
+      { $match: PUBLISHED },
+      { $group: { _id: "$author", lastmod: { $max: "$updatedAt" } } },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "user",
+        },
+      },
+      { $unwind: "$user" },
+      { $project: { username: "$user.username", lastmod: 1 } },
+      { $sort: { username: 1 } },
+    ]),
+  ]);
+  const home = authors.reduce(
+    (latest, { lastmod }) => (lastmod > latest ? lastmod : latest),
+    null,
+  );
+  return [
+    { loc: publicUrl("/"), lastmod: home },
+    ...tags.map(({ _id, lastmod }) => ({
+      loc: publicUrl(`/tags/${encodeURIComponent(_id)}`),
+      lastmod,
+    })),
+    ...authors.map(({ username, lastmod }) => ({
+      loc: publicUrl(`/users/${encodeURIComponent(username)}`),
+      lastmod,
+    })),
+  ];
+}
+
+// One chunk of published posts, oldest first so chunks stay stable.
+async function listPublishedPosts({ skip = 0, limit }) {
+  const posts = await Post.find(PUBLISHED)
+    .select("slug updatedAt")
+    .sort({ _id: 1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+  return posts.map((post) => ({ loc: postUrl(post), lastmod: post.updatedAt }));
+}
+
+function sitemapName(section, number) {
+  return `sitemap-${section}-${number}.xml`;
+}
+
+/**
+ * The document served as /sitemap.xml: a single sitemap when everything
+ * fits, a sitemap index otherwise. Returns { type: "urlset", urls } or
+ * { type: "index", sitemaps }, ready for renderSitemap().
+ */
+export async function buildSitemap({ limit = SITEMAP_LIMIT } = {}) {
+  const [pages, postCount] = await Promise.all([
+    listPages(),
+    Post.countDocuments(PUBLISHED),
+  ]);
+  if (pages.length + postCount <= limit) {
+    // limit(0) would mean "no limit" to MongoDB.
+    const posts =
+      postCount > 0 ? await listPublishedPosts({ limit: postCount }) : [];
+    return { type: "urlset", urls: [...pages, ...posts] };
+  }
+  const chunks = (count) => Math.ceil(count / limit);
+  const sitemaps = [
+    ...Array.from({ length: chunks(pages.length) }, (_, i) =>
+      sitemapName("pages", i + 1),
+    ),
+    ...Array.from({ length: chunks(postCount) }, (_, i) =>
+      sitemapName("posts", i + 1),
+    ),
+  ];
+  return {
+    type: "index",
+    sitemaps: sitemaps.map((name) => ({ loc: publicUrl(`/${name}`) })),
+  };
+}
+
+/**
+ * One numbered sub-sitemap of a sitemap index ("pages" or "posts", starting
+ * at 1). Returns null when there is no such sitemap.
+ */
+export async function buildSubSitemap(
+  section,
+  number,
+  { limit = SITEMAP_LIMIT } = {},
+) {
+  const skip = (number - 1) * limit;
+  const urls =
+    section === "pages"
+      ? (await listPages()).slice(skip, skip + limit)
+      : await listPublishedPosts({ skip, limit });
+  // The first chunk exists even when empty, like an empty blog's sitemap.
+  if (urls.length === 0 && number > 1) return null;
+  return { type: "urlset", urls };
+}
+
+function renderLastmod(lastmod) {
+  return lastmod ? `\n    <lastmod>${lastmod.toISOString()}</lastmod>` : "";
+}
+
+/**
+ * Render a sitemap or sitemap index from buildSitemap() or buildSubSitemap().
+ */
+export function renderSitemap(sitemap) {
+  if (sitemap.type === "index") {
+    const entries = sitemap.sitemaps.map(
+      ({ loc }) =>
+        `  <sitemap>\n    <loc>${escapeXml(loc)}</loc>\n  </sitemap>\n`,
+    );
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join("")}</sitemapindex>
+`;
+  }
+  const entries = sitemap.urls.map(
+    ({ loc, lastmod }) =>
+      `  <url>\n    <loc>${escapeXml(loc)}</loc>${renderLastmod(lastmod)}\n  </url>\n`,
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join("")}</urlset>
+`;
+}
@@ -0,0 +1,54 @@
+import { Post } from "../db/models/post.js";
+
+/**
+ * Posts are addressed by a slug derived from their title
+ * ("Hello, World!" → "hello-world"). Slugs are unique: a title that is
+ * already taken gets a numeric suffix ("hello-world-2"). When a title
+ * changes, the post gets a new slug and the old one is kept in
+ * `previousSlugs`, so existing links keep resolving (see
+ * GET /api/v1/posts/by-slug/:slug). Neither is ever handed to another post.
+ */
+
+const MAX_SLUG_LENGTH = 80;
+
+// Slugs must never be mistaken for the ObjectIds of legacy post links.
+const OBJECT_ID_LIKE = /^[0-9a-f]{24}$/;
+
+/**
+ * Turn a title into the base of a slug. Titles without letters or digits
+ * fall back to "post".
+ */
+export function slugify(title) {
+  const slug = String(title)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "");
+  if (!slug) return "post";
+  return OBJECT_ID_LIKE.test(slug) ? `${slug}-post` : slug;
+}
+
+// Whether a post other than `exceptPostId` uses or used `slug`.
+async function isSlugTaken(slug, exceptPostId) {
+  return Boolean(
+    await Post.exists({
+      ...(exceptPostId && { _id: { $ne: exceptPostId } }),
+      $or: [{ slug }, { previousSlugs: slug }],
+    }),
+  );
+}
+
+/**
+ * A slug for `title` that no other post has, adding "-2", "-3", ... until
+ * one is free. `exceptPostId` is the post being renamed, which may take back
+ * one of its own previous slugs.
+ */
+export async function uniqueSlug(title, exceptPostId) {
+  const base = slugify(title);
+  let slug = base;
+  for (let suffix = 2; await isSlugTaken(slug, exceptPostId); suffix += 1) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+}
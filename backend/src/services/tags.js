@@ -0,0 +1,56 @@
+import { Post } from "../db/models/post.js";
+
+/**
+ * Tags are stored normalized, so "JavaScript", " javascript " and
+ * "Java Script!" don't end up as separate tags. A normalized tag is a
+ * lowercase slug: letters and digits (any script) separated by single dashes.
+ */
+
+// Longest tag kept; anything beyond is cut off.
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize one tag. Returns "" when nothing usable is left.
+ */
+export function normalizeTag(tag) {
+  return String(tag)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .slice(0, MAX_TAG_LENGTH)
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Normalize a list of tags, dropping empty and duplicate ones while keeping
+ * the original order. Leaves undefined alone ("tags not given").
+ */
+export function normalizeTags(tags) {
+  if (tags === undefined) return undefined;
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Every tag used on a published post with the number of such posts, most
+ * used first: [{ tag, count }]. `prefix` limits the result to tags starting
+ * with it (tag autocompletion); `limit` caps the number of tags.
+ */
+export async function listTags({ prefix, limit } = {}) {
+  const normalizedPrefix = prefix ? normalizeTag(prefix) : "";
+  return await Post.aggregate([
+    // Posts created before `status` existed count as published.
+    { $match: { status: { $in: ["published", null] } } },
+    { $unwind: "$tags" },
+    ...(normalizedPrefix
+      ? [{ $match: { tags: { $regex: `^${escapeRegex(normalizedPrefix)}` } } }]
+      : []),
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    ...(limit ? [{ $limit: limit }] : []),
+    { $project: { _id: 0, tag: "$_id", count: 1 } },
+  ]);
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -9,7 +9,8 @@
  * Security considerations:
  * - Passwords are hashed with bcrypt (10 salt rounds)
  * - Never returns passwordHash to client
- * - JWT tokens expire based on JWT_EXPIRES_IN environment variable
+ * - JWT access tokens are short-lived (JWT_EXPIRES_IN) and renewed with
+ *   rotating refresh tokens (see services/sessions.js)
  * - All sensitive operations happen on server (never trusted client)
  *
  * Integration with frontend:
@@ -20,7 +21,9 @@
 
 import bcrypt from "bcrypt";
 import { User } from "../db/models/user.js";
-import jwt from "jsonwebtoken";
+import { Post } from "../db/models/post.js";
+import { createSession, revokeAllSessions } from "./sessions.js";
+import { escapeRegExp } from "./search.js";
 
 export async function createUser({ username, email, password }) {
   const hashedPassword = await bcrypt.hash(password, 10);
@@ -60,23 +63,29 @@ export async function findUserId(userName) {
  * Backend authentication logic:
  * 1. Find user by username in MongoDB database
  * 2. Compare provided password against stored bcrypt hash
- * 3. If valid, generate JWT token with user ID and username
- * 4. Return user data (WITHOUT password) and token to frontend
+ * 3. If valid, start a Session and generate a JWT access token (with the
+ *    user ID, username and session ID) plus a refresh token
+ * 4. Return user data (WITHOUT password) and both tokens to frontend
  *
  * The JWT token is used by frontend to authenticate subsequent API requests
- * via Authorization header: "Bearer <token>"
+ * via Authorization header: "Bearer <token>". When it expires, the refresh
+ * token is traded for a new pair at POST /api/v1/user/refresh.
  *
  * Security:
  * - Password comparison is constant-time (bcrypt.compare)
  * - Password hash never sent to client
  * - JWT_SECRET must be kept secret (stored in GitHub Secrets)
- * - JWT token expires based on JWT_EXPIRES_IN (default: 1h)
+ * - Access tokens expire per JWT_EXPIRES_IN (default: 15m); refresh tokens
+ *   are stored hashed and rotated on every use
  *
  * @param {string} userName - Username to authenticate
  * @param {string} password - Raw password (not hashed)
- * @returns {Promise<{ok: boolean, user?: object, token?: string, message?: string}>}
+ * @param {{userAgent?: string, ip?: string}} [device] - Recorded on the session
+ * @returns {Promise<{ok: boolean, user?: object, token?: string, refreshToken?: string, status?: number, message?: string}>}
  */
-export async function loginUser(userName, password) {
+const SUSPENDED_MESSAGE = "This account has been suspended";
+
+export async function loginUser(userName, password, device = {}) {
   // Query database for user by username
   const user = await findByUserName(userName);
 
@@ -87,17 +96,132 @@ export async function loginUser(userName, password) {
   if (!user || !isPasswordValid) {
     return { ok: false, message: "Invalid username or password" };
   }
+  if (user.suspendedAt) {
+    return { ok: false, status: 403, message: SUSPENDED_MESSAGE };
+  }
 
-  // Create JWT token with user identity
-  // Token is signed with JWT_SECRET and expires per JWT_EXPIRES_IN
-  const token = jwt.sign(
-    { id: user._id, username: user.username },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN },
-  );
+  // Start a session: a short-lived access token plus a refresh token
+  const { token, refreshToken } = await createSession(user, device);
 
   // Remove passwordHash before returning user object (security)
   // Destructure to pluck out passwordHash and keep the rest of fields in userWithoutPassword
   const { passwordHash, ...userWithoutPassword } = user.toObject();
-  return { ok: true, user: userWithoutPassword, token };
+  return { ok: true, user: userWithoutPassword, token, refreshToken };
+}
+
+// Fields of a user that are safe to show in the admin user list.
+const ADMIN_USER_FIELDS =
+  "username email roles emailVerified suspendedAt createdAt";
+
+/**
+ * Users for the admin user list, newest first. `q` matches the start of a
+ * username or email address, case-insensitively.
+ */
+export async function listUsers({ q, limit = 50 } = {}) {
+  const filter = {};
+  if (q) {
+    const prefix = new RegExp(`^${escapeRegExp(q)}`, "i");
+    filter.$or = [{ username: prefix }, { email: prefix }];
+  }
+  return await User.find(filter)
+    .select(ADMIN_USER_FIELDS)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Replace a user's roles. Returns the updated user (admin list fields), or
+ * null when the user does not exist.
+ *
+ * Roles travel in access tokens, so taking a role away revokes the user's
+ * sessions: otherwise the old claims would stay valid until the token
+ * expires. Granted roles arrive with the next token refresh.
+ */
+export async function setUserRoles(userId, roles) {
+  const previous = await User.findById(userId).select("roles").lean();
+  if (!previous) return null;
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { roles: [...new Set(roles)] } },
+    { new: true, runValidators: true },
+  )
+    .select(ADMIN_USER_FIELDS)
+    .lean();
+  const removed = (previous.roles ?? []).some((role) => !roles.includes(role));
+  if (removed) {
+    await revokeAllSessions(userId);
+  }
+  return user;
+}
+
+/**
+ * Suspend or reinstate a user. Returns the updated user (admin list fields),
+ * or null when the user does not exist. Suspending signs the user out
+ * everywhere; loginUser() and refreshSession() refuse suspended users.
+ */
+export async function setUserSuspended(userId, suspended) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { suspendedAt: suspended ? new Date() : null } },
+    { new: true },
+  )
+    .select(ADMIN_USER_FIELDS)
+    .lean();
+  if (user && suspended) {
+    await revokeAllSessions(userId);
+  }
+  return user;
+}
+
+/**
+ * The public face of a user: what anyone may see on their profile page.
+ * Never includes credentials, email, roles or account state.
+ */
+function toPublicProfile(user, postCount) {
+  return {
+    username: user.username,
+    displayName: user.displayName ?? null,
+    bio: user.bio ?? null,
+    avatar: user.avatar ?? null,
+    joinedAt: user.createdAt,
+    postCount,
+  };
+}
+
+// Posts created before `status` existed count as published.
+async function countPublishedPosts(userId) {
+  return await Post.countDocuments({
+    author: userId,
+    status: { $in: ["published", null] },
+  });
+}
+
+/**
+ * Public profile of `username`, with the number of posts they published.
+ * Returns null when there is no such user.
+ */
+export async function getPublicProfile(username) {
+  const user = await User.findOne({ username }).lean();
+  if (!user) return null;
+  return toPublicProfile(user, await countPublishedPosts(user._id));
+}
+
+/**
+ * Update the profile fields of a user. Omitted fields are kept; null or an
+ * empty string clears them. Returns the public profile, or null when the
+ * user does not exist.
+ */
+export async function updateProfile(userId, { displayName, bio, avatar }) {
+  const update = {};
+  for (const [field, value] of Object.entries({ displayName, bio, avatar })) {
+    if (value !== undefined) update[field] = value || null;
+  }
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: update },
+    { new: true, runValidators: true },
+  ).lean();
+  if (!user) return null;
+  return toPublicProfile(user, await countPublishedPosts(user._id));
 }
@@ -0,0 +1,22 @@
+// Helpers for the XML documents the backend serves (feeds, sitemaps).
+
+// Control characters other than tab, line feed and carriage return are not
+// allowed anywhere in an XML document.
+function isXmlChar(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+/**
+ * Escape text for XML element content and attribute values.
+ */
+export function escapeXml(value) {
+  return Array.from(String(value))
+    .filter(isXmlChar)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
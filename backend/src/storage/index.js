@@ -0,0 +1,49 @@
+import { createLocalStorage } from "./local.js";
+
+/*
+ * Pluggable file storage for uploads.
+ *
+ * A storage driver is an object with:
+ * - save({ buffer, originalName, mimeType }) → Promise<{ key }>
+ *     persists the file and returns the key it is stored under
+ * - remove(key) → Promise<void>
+ * - url(key) → string
+ *     public URL (or backend-relative path) the file can be fetched from
+ * - serve(req, res, next) (optional)
+ *     Express handler for drivers whose files are served by the backend itself
+ *
+ * The driver is picked with STORAGE_DRIVER (default: "local"). Other drivers
+ * (e.g. a cloud bucket) plug in through registerStorageDriver() without
+ * touching the upload routes or the Attachment model.
+ */
+
+const drivers = {
+  local: createLocalStorage,
+};
+
+let _storage = null;
+
+export function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+/**
+ * The configured storage driver. Created on first use, after loadConfig()
+ * has populated the environment.
+ */
+export function getStorage() {
+  if (!_storage) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    }
+    _storage = factory();
+  }
+  return _storage;
+}
+
+// Replace the active driver (used by tests).
+export function setStorage(storage) {
+  _storage = storage;
+}
@@ -0,0 +1,66 @@
+import express from "express";
+import { randomUUID } from "crypto";
+import { mkdir, writeFile, unlink } from "fs/promises";
+import { fileURLToPath } from "url";
+import { dirname, resolve } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Public path the stored files are served from (see routes/uploads.js).
+export const LOCAL_FILES_PATH = "/api/v1/uploads/files";
+
+/*
+ * Stored files are named after their validated type, never after the
+ * client's file name: express.static picks the Content-Type from the
+ * extension, so PNG bytes uploaded as "evil.html" must not end in ".html".
+ */
+const EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+};
+
+/**
+ * Storage driver that keeps files on the local disk, in UPLOAD_DIR
+ * (default: backend/uploads), and serves them itself.
+ */
+export function createLocalStorage({
+  directory = process.env.UPLOAD_DIR || resolve(__dirname, "../../uploads"),
+} = {}) {
+  // Files are served as-is; nosniff stops browsers from reinterpreting them.
+  const serveStatic = express.static(directory, {
+    fallthrough: false,
+    index: false,
+    setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+  });
+
+  return {
+    async save({ buffer, mimeType }) {
+      await mkdir(directory, { recursive: true });
+      // Without a known extension the file is served as a plain download.
+      const key = `${randomUUID()}${EXTENSIONS[mimeType] ?? ""}`;
+      await writeFile(resolve(directory, key), buffer);
+      return { key };
+    },
+
+    async remove(key) {
+      try {
+        await unlink(resolve(directory, key));
+      } catch (err) {
+        // Already gone is as good as removed.
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    url(key) {
+      return `${LOCAL_FILES_PATH}/${key}`;
+    },
+
+    serve(req, res, next) {
+      return serveStatic(req, res, next);
+    },
+  };
+}
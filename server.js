@@ -0,0 +1,167 @@
+import fs from "node:fs/promises";
+import http from "node:http";
+import https from "node:https";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/*
+ * Frontend server with server-side rendering of the public pages (see
+ * src/entry-server.jsx). Files of the client build are served as they are;
+ * every other request gets index.html, with the rendered page and its meta
+ * tags filled in when it is a public page, so the browser app takes over
+ * either way.
+ *
+ *   npm run dev:ssr                        # development, through Vite
+ *   npm run build:ssr && npm run start:ssr # production build
+ *
+ * Configuration:
+ * - PORT: port to listen on (default: 8080, or 5173 in development)
+ * - PUBLIC_BASE_URL: public URL of the site, for the absolute URLs of link
+ *   previews. Required in production: the Host header of a request is not
+ *   trusted, since anyone can send one that puts their site in the canonical
+ *   and og:url links. Development defaults to http://localhost:<PORT>.
+ * - BACKEND_ORIGIN: origin of the backend, which renders the feeds, sitemaps
+ *   and robots.txt the site serves under its own URLs (default: the origin of VITE_BACKEND_URL, or
+ *   http://localhost:8080)
+ */
+
+const isProduction = process.env.NODE_ENV === "production";
+const port = Number(process.env.PORT) || (isProduction ? 8080 : 5173);
+
+if (isProduction && !process.env.PUBLIC_BASE_URL) {
+  console.error("PUBLIC_BASE_URL must be set in production");
+  process.exit(1);
+}
+const origin = new URL(
+  process.env.PUBLIC_BASE_URL || `http://localhost:${port}`,
+).origin;
+
+const backendOrigin = new URL(
+  process.env.BACKEND_ORIGIN ||
+    process.env.VITE_BACKEND_URL ||
+    "http://localhost:8080",
+).origin;
+
+// Paths rendered by the backend, as in the dev server's proxy (vite.config.js).
+const BACKEND_PATHS = [
+  /^\/(.+\/)?(feed|atom)\.xml$/,
+  /^\/sitemap(-[a-z]+-\d+)?\.xml$/,
+  /^\/robots\.txt$/,
+];
+
+const root = path.dirname(fileURLToPath(import.meta.url));
+
+let vite;
+let serveStatic;
+let productionTemplate;
+let productionRender;
+if (isProduction) {
+  const { default: sirv } = await import("sirv");
+  serveStatic = sirv(path.join(root, "dist/client"), { gzip: true });
+  productionTemplate = await fs.readFile(
+    path.join(root, "dist/client/index.html"),
+    "utf-8",
+  );
+  ({ render: productionRender } = await import(
+    "./dist/server/entry-server.js"
+  ));
+} else {
+  const { createServer } = await import("vite");
+  vite = await createServer({
+    server: { middlewareMode: true },
+    appType: "custom",
+  });
+  serveStatic = vite.middlewares;
+}
+
+// In development, index.html and the entry are reloaded on every request.
+async function loadApp(url) {
+  if (isProduction) {
+    return { template: productionTemplate, render: productionRender };
+  }
+  const raw = await fs.readFile(path.join(root, "index.html"), "utf-8");
+  const template = await vite.transformIndexHtml(url, raw);
+  const { render } = await vite.ssrLoadModule("/src/entry-server.jsx");
+  return { template, render };
+}
+
+async function renderPage(req, res) {
+  const url = new URL(req.url, origin);
+  const { template, render } = await loadApp(req.url);
+
+  let page = null;
+  if (req.method === "GET" || req.method === "HEAD") {
+    try {
+      page = await render(new Request(url), { origin });
+    } catch (error) {
+      // The browser can still render the page; serve the plain app.
+      vite?.ssrFixStacktrace(error);
+      console.error(`Error rendering ${req.url}:`, error);
+    }
+  }
+
+  if (page?.redirect) {
+    res.writeHead(page.status, { Location: page.redirect });
+    res.end();
+    return;
+  }
+  const html = page?.html
+    ? template
+        .replace(/<title>[^<]*<\/title>/, () => page.head)
+        .replace("<!--app-html-->", () => page.html)
+        .replace("<!--app-scripts-->", () => page.scripts)
+    : template;
+  res.writeHead(page?.status ?? 200, {
+    "Content-Type": "text/html; charset=utf-8",
+  });
+  res.end(req.method === "HEAD" ? undefined : html);
+}
+
+// Pass a request on to the backend and its response back to the client.
+function forwardToBackend(req, res) {
+  const target = new URL(req.url, backendOrigin);
+  const client = target.protocol === "https:" ? https : http;
+  const forwarded = client.request(
+    target,
+    {
+      method: req.method,
+      headers: {
+        ...req.headers,
+        host: target.host,
+        "x-forwarded-for": req.socket.remoteAddress,
+      },
+    },
+    (response) => {
+      res.writeHead(response.statusCode, response.headers);
+      response.pipe(res);
+    },
+  );
+  forwarded.on("error", (error) => {
+    console.error(`Error forwarding ${req.url}:`, error);
+    res.writeHead(502).end();
+  });
+  req.pipe(forwarded);
+}
+
+http
+  .createServer((req, res) => {
+    const pathname = req.url.split("?")[0];
+    if (BACKEND_PATHS.some((pattern) => pattern.test(pathname))) {
+      forwardToBackend(req, res);
+      return;
+    }
+    const fallback = () =>
+      renderPage(req, res).catch((error) => {
+        console.error(`Error handling ${req.url}:`, error);
+        res.writeHead(500).end();
+      });
+    // "/" is a page, not the directory holding index.html.
+    if (pathname.endsWith("/")) {
+      fallback();
+    } else {
+      serveStatic(req, res, fallback);
+    }
+  })
+  .listen(port, () => {
+    console.log(`Frontend server listening on http://localhost:${port}`);
+  });
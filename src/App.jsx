@@ -1,93 +1,38 @@
+import { useEffect } from "react";
 import { createBrowserRouter, RouterProvider } from "react-router-dom";
-import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import { QueryClientProvider, hydrate } from "@tanstack/react-query";
+import { createQueryClient, createRoutes } from "./router.js";
+import { documentTitle, pageMeta } from "./utils/meta.js";
 
-// Layout
-import { Layout } from "./components/Layout.jsx";
+const queryClient = createQueryClient();
 
-// Pages
-import { HomePage } from "./pages/HomePage.jsx";
-import { LoginPage } from "./pages/LoginPage.jsx";
-import { SignUpPage } from "./pages/SignUpPage.jsx";
-import { CreatePostPage } from "./pages/CreatePostPage.jsx";
-import { SinglePostPage } from "./pages/SinglePostPage.jsx";
-import { EditPostPage } from "./pages/EditPostPage.jsx";
-
-// Loaders
-import { authLoader } from "./routes/auth.loader.js";
-import { postsLoader, postLoader } from "./routes/posts.loader.js";
+// Pages rendered on the server (see entry-server.jsx) come with the queries
+// their loaders fetched, and the router picks up their loader data from
+// window.__staticRouterHydrationData, so neither is fetched again.
+if (window.__REACT_QUERY_STATE__) {
+  hydrate(queryClient, window.__REACT_QUERY_STATE__);
+}
 
-// Actions
-import {
-  loginAction,
-  signupAction,
-  logoutAction,
-} from "./routes/auth.action.js";
-import {
-  createPostAction,
-  updatePostAction,
-  deletePostAction,
-} from "./routes/posts.action.js";
+const router = createBrowserRouter(createRoutes(queryClient));
+const serverRendered = Boolean(window.__staticRouterHydrationData);
 
-const queryClient = new QueryClient({
-  defaultOptions: {
-    queries: {
-      staleTime: 1000 * 60 * 5, // 5 minutes - data stays fresh
-      cacheTime: 1000 * 60 * 10, // 10 minutes - cache persists
-      refetchOnWindowFocus: false, // Don't refetch when window regains focus
-      refetchOnReconnect: true, // Refetch when internet reconnects
-      retry: 1, // Retry failed requests once
-    },
-  },
+// Server-rendered pages come with their title; keep it current as the
+// visitor navigates (and set it for pages rendered in the browser).
+document.title = documentTitle(pageMeta(router.state));
+router.subscribe((state) => {
+  document.title = documentTitle(pageMeta(state));
 });
 
-const router = createBrowserRouter([
-  {
-    path: "/",
-    Component: Layout,
-    loader: authLoader,
-    id: "root",
-    children: [
-      {
-        index: true,
-        Component: HomePage,
-        loader: postsLoader(queryClient),
-      },
-      {
-        path: "login",
-        Component: LoginPage,
-        action: loginAction,
-      },
-      {
-        path: "signup",
-        Component: SignUpPage,
-        action: signupAction,
-      },
-      {
-        path: "logout",
-        action: logoutAction,
-      },
-      {
-        path: "create-post",
-        Component: CreatePostPage,
-        action: createPostAction(queryClient),
-      },
-      {
-        path: "posts/:postId",
-        Component: SinglePostPage,
-        loader: postLoader(queryClient),
-        action: deletePostAction(queryClient),
-      },
-      {
-        path: "posts/:postId/edit",
-        Component: EditPostPage,
-        loader: postLoader(queryClient),
-        action: updatePostAction(queryClient),
-      },
-    ],
-  },
-]);
-
 export function App() {
+  // A server-rendered page shows what an anonymous visitor sees. Once it is
+  // hydrated, run the loaders again so it reflects the visitor's own login;
+  // the queries they use are cached, so nothing is fetched twice.
+  useEffect(() => {
+    if (serverRendered) {
+      router.revalidate();
+    }
+  }, []);
+
   return (
     <QueryClientProvider client={queryClient}>
       <RouterProvider router={router} />
@@ -20,7 +20,7 @@ export function Blog() {
     queryFn: () => getPosts({ author, sortBy, sortOrder }),
   });
 
-  const posts = postsQuery.data ?? [];
+  const posts = postsQuery.data?.posts ?? [];
 
   return (
     <div style={{ padding: 8 }}>
@@ -0,0 +1,29 @@
+import { NavLink, Outlet } from "react-router-dom";
+import "./AdminLayout.css";
+
+// Shell of the /admin pages: a section menu next to the current page. The
+// route's loader (adminLoader) only lets admins in.
+export function AdminLayout() {
+  const linkClass = ({ isActive }) =>
+    isActive ? "admin-nav-link admin-nav-link-active" : "admin-nav-link";
+
+  return (
+    <div className="admin-layout">
+      <nav className="admin-nav" aria-label="Admin">
+        <h2 className="admin-nav-title">Admin</h2>
+        <NavLink to="/admin" end className={linkClass}>
+          Overview
+        </NavLink>
+        <NavLink to="/admin/users" className={linkClass}>
+          Users
+        </NavLink>
+        <NavLink to="/admin/posts" className={linkClass}>
+          Posts
+        </NavLink>
+      </nav>
+      <section className="admin-content">
+        <Outlet />
+      </section>
+    </div>
+  );
+}
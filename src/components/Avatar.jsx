@@ -0,0 +1,25 @@
+import PropTypes from "prop-types";
+import { backendUrl } from "../config/api.js";
+import "./Avatar.css";
+
+// A user's avatar image, or the first letter of their name when they have
+// not uploaded one.
+export function Avatar({ src, name, size = 96 }) {
+  const style = { width: size, height: size, fontSize: size / 2.5 };
+  if (src) {
+    return (
+      <img src={backendUrl(src)} alt="" className="avatar" style={style} />
+    );
+  }
+  return (
+    <span className="avatar avatar-initial" style={style} aria-hidden="true">
+      {name?.charAt(0).toUpperCase()}
+    </span>
+  );
+}
+
+Avatar.propTypes = {
+  src: PropTypes.string,
+  name: PropTypes.string,
+  size: PropTypes.number,
+};
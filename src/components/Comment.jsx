@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { useFetcher } from "react-router-dom";
+import PropTypes from "prop-types";
+import { CommentForm } from "./CommentForm.jsx";
+import { can } from "../utils/policy.js";
+
+export function Comment({ comment, postId, postAuthor, currentUser }) {
+  const [isReplying, setIsReplying] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const deleteFetcher = useFetcher();
+
+  const commentUrl = `/posts/${postId}/comments/${comment._id}`;
+  // Comment authors can edit/delete; the post author and moderators can
+  // remove any comment (see utils/policy.js).
+  const resource = { author: comment.author, postAuthor };
+  const canEdit =
+    !comment.deleted && can(currentUser, "comment:edit", resource);
+  const canDelete =
+    !comment.deleted && can(currentUser, "comment:delete", resource);
+
+  return (
+    <li className="comment">
+      {/* Formatted in the visitor's locale, unknown to server rendering. */}
+      <p className="comment-meta" suppressHydrationWarning>
+        <strong>{comment.deleted ? "[deleted]" : comment.author}</strong> •{" "}
+        {new Date(comment.createdAt).toLocaleString()}
+        {!comment.deleted &&
+          comment.updatedAt !== comment.createdAt &&
+          " (edited)"}
+      </p>
+      {isEditing ? (
+        <CommentForm
+          action={commentUrl}
+          method="patch"
+          defaultValue={comment.contents}
+          submitLabel="Save"
+          onDone={() => setIsEditing(false)}
+        />
+      ) : (
+        <p className="comment-contents">{comment.contents}</p>
+      )}
+      {currentUser && !comment.deleted && (
+        <div className="comment-actions">
+          <button
+            type="button"
+            className="comment-action-button"
+            onClick={() => setIsReplying(!isReplying)}
+          >
+            {isReplying ? "Cancel" : "Reply"}
+          </button>
+          {canEdit && (
+            <button
+              type="button"
+              className="comment-action-button"
+              onClick={() => setIsEditing(!isEditing)}
+            >
+              {isEditing ? "Cancel edit" : "Edit"}
+            </button>
+          )}
+          {canDelete && (
+            <deleteFetcher.Form method="delete" action={commentUrl}>
+              <button
+                type="submit"
+                className="comment-action-button comment-delete-button"
+                onClick={(e) => {
+                  if (
+                    !confirm("Are you sure you want to delete this comment?")
+                  ) {
+                    e.preventDefault();
+                  }
+                }}
+              >
+                Delete
+              </button>
+            </deleteFetcher.Form>
+          )}
+        </div>
+      )}
+      {deleteFetcher.data?.error && (
+        <div className="comment-error">{deleteFetcher.data.error}</div>
+      )}
+      {isReplying && (
+        <CommentForm
+          action={`/posts/${postId}/comments`}
+          parent={comment._id}
+          submitLabel="Reply"
+          onDone={() => setIsReplying(false)}
+        />
+      )}
+      {comment.replies.length > 0 && (
+        <ul className="comment-replies">
+          {comment.replies.map((reply) => (
+            <Comment
+              key={reply._id}
+              comment={reply}
+              postId={postId}
+              postAuthor={postAuthor}
+              currentUser={currentUser}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+const commentShape = {
+  _id: PropTypes.string.isRequired,
+  author: PropTypes.string,
+  contents: PropTypes.string.isRequired,
+  deleted: PropTypes.bool,
+  createdAt: PropTypes.string.isRequired,
+  updatedAt: PropTypes.string,
+};
+commentShape.replies = PropTypes.arrayOf(PropTypes.shape(commentShape));
+
+Comment.propTypes = {
+  comment: PropTypes.shape(commentShape).isRequired,
+  postId: PropTypes.string.isRequired,
+  postAuthor: PropTypes.string,
+  currentUser: PropTypes.shape({
+    username: PropTypes.string,
+    roles: PropTypes.arrayOf(PropTypes.string),
+  }),
+};
@@ -0,0 +1,69 @@
+import { useEffect, useRef } from "react";
+import { useFetcher } from "react-router-dom";
+import PropTypes from "prop-types";
+
+export function CommentForm({
+  action,
+  method = "post",
+  parent,
+  defaultValue = "",
+  submitLabel = "Comment",
+  onDone,
+}) {
+  const fetcher = useFetcher();
+  const formRef = useRef(null);
+  const isSubmitting = fetcher.state !== "idle";
+
+  // Keep the latest onDone without re-running the effect below on every render.
+  const onDoneRef = useRef(onDone);
+  useEffect(() => {
+    onDoneRef.current = onDone;
+  });
+
+  // Clear the form (or close it) once the action reports success.
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.ok) {
+      formRef.current?.reset();
+      onDoneRef.current?.();
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  return (
+    <fetcher.Form
+      method={method}
+      action={action}
+      ref={formRef}
+      className="comment-form"
+    >
+      {fetcher.data?.error && (
+        <div className="comment-error">{fetcher.data.error}</div>
+      )}
+      {parent && <input type="hidden" name="parent" value={parent} />}
+      <textarea
+        name="contents"
+        rows={3}
+        required
+        defaultValue={defaultValue}
+        className="comment-textarea"
+        placeholder="Write a comment..."
+        disabled={isSubmitting}
+      />
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="comment-submit-button"
+      >
+        {isSubmitting ? "Saving..." : submitLabel}
+      </button>
+    </fetcher.Form>
+  );
+}
+
+CommentForm.propTypes = {
+  action: PropTypes.string.isRequired,
+  method: PropTypes.oneOf(["post", "patch"]),
+  parent: PropTypes.string,
+  defaultValue: PropTypes.string,
+  submitLabel: PropTypes.string,
+  onDone: PropTypes.func,
+};
@@ -0,0 +1,71 @@
+import PropTypes from "prop-types";
+import { Comment } from "./Comment.jsx";
+import { CommentForm } from "./CommentForm.jsx";
+import "./Comment.css";
+
+// Nest the flat, oldest-first comment list from the API by `parent` id.
+function buildCommentTree(comments) {
+  const byId = new Map(
+    comments.map((comment) => [comment._id, { ...comment, replies: [] }]),
+  );
+  const roots = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parent && byId.get(comment.parent);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  }
+  return roots;
+}
+
+export function CommentThread({
+  comments = [],
+  postId,
+  postAuthor,
+  currentUser,
+}) {
+  const thread = buildCommentTree(comments);
+
+  return (
+    <section className="comment-thread">
+      <h2 className="comment-thread-title">Comments ({comments.length})</h2>
+      {currentUser ? (
+        <CommentForm action={`/posts/${postId}/comments`} />
+      ) : (
+        <p className="comment-login-hint">Log in to join the discussion.</p>
+      )}
+      {thread.length === 0 ? (
+        <p className="comment-empty">No comments yet.</p>
+      ) : (
+        <ul className="comment-list">
+          {thread.map((comment) => (
+            <Comment
+              key={comment._id}
+              comment={comment}
+              postId={postId}
+              postAuthor={postAuthor}
+              currentUser={currentUser}
+            />
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+CommentThread.propTypes = {
+  comments: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      parent: PropTypes.string,
+    }),
+  ),
+  postId: PropTypes.string.isRequired,
+  postAuthor: PropTypes.string,
+  currentUser: PropTypes.shape({
+    username: PropTypes.string,
+    roles: PropTypes.arrayOf(PropTypes.string),
+  }),
+};
@@ -0,0 +1,77 @@
+import { render, screen, cleanup } from "@testing-library/react";
+import { createMemoryRouter, RouterProvider } from "react-router-dom";
+import { describe, it, expect, afterEach } from "vitest";
+import { CommentThread } from "./CommentThread";
+
+// Comment forms use useFetcher, which needs a data router.
+function renderThread(props) {
+  const router = createMemoryRouter([
+    { path: "/", element: <CommentThread postId="post1" {...props} /> },
+  ]);
+  return render(<RouterProvider router={router} />);
+}
+
+describe("CommentThread Component", () => {
+  const comments = [
+    {
+      _id: "c1",
+      parent: null,
+      author: "alice",
+      contents: "Top-level comment",
+      createdAt: "2026-01-05T12:00:00Z",
+      updatedAt: "2026-01-05T12:00:00Z",
+    },
+    {
+      _id: "c2",
+      parent: "c1",
+      author: "bob",
+      contents: "A reply",
+      createdAt: "2026-01-05T12:05:00Z",
+      updatedAt: "2026-01-05T12:05:00Z",
+    },
+  ];
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("nests replies under their parent comment", () => {
+    const { container } = renderThread({ comments, postAuthor: "alice" });
+
+    const reply = screen.getByText("A reply");
+    const replies = container.querySelector(".comment-replies");
+    expect(replies).toContainElement(reply);
+    expect(screen.getByText("Comments (2)")).toBeInTheDocument();
+  });
+
+  it("asks anonymous visitors to log in instead of showing a form", () => {
+    renderThread({ comments, postAuthor: "alice" });
+
+    expect(screen.getByText(/log in to join/i)).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Reply" })).toBeNull();
+  });
+
+  it("shows edit for own comments and delete for the post author", () => {
+    renderThread({
+      comments,
+      postAuthor: "alice",
+      currentUser: { username: "alice" },
+    });
+
+    // alice wrote c1 and owns the post, so she can delete both comments
+    // but only edit her own.
+    expect(screen.getAllByRole("button", { name: "Delete" })).toHaveLength(2);
+    expect(screen.getAllByRole("button", { name: "Edit" })).toHaveLength(1);
+  });
+
+  it("lets moderators delete but not edit other people's comments", () => {
+    renderThread({
+      comments,
+      postAuthor: "alice",
+      currentUser: { username: "carol", roles: ["moderator"] },
+    });
+
+    expect(screen.getAllByRole("button", { name: "Delete" })).toHaveLength(2);
+    expect(screen.queryByRole("button", { name: "Edit" })).toBeNull();
+  });
+});
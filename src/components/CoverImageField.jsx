@@ -0,0 +1,44 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { backendUrl } from "../config/api.js";
+import { UploadButton } from "./UploadButton.jsx";
+import "./MarkdownEditor.css";
+
+// Form field for a post's optional cover image. The chosen upload's URL is
+// submitted as `coverImage`; an empty value removes the cover.
+export function CoverImageField({ defaultValue = "", disabled }) {
+  const [coverImage, setCoverImage] = useState(defaultValue ?? "");
+
+  return (
+    <div className="cover-image-field">
+      <input type="hidden" name="coverImage" value={coverImage} />
+      {coverImage && (
+        <img
+          src={backendUrl(coverImage)}
+          alt="Cover preview"
+          className="cover-image-preview"
+        />
+      )}
+      <UploadButton
+        label={coverImage ? "Change cover image" : "Add cover image"}
+        disabled={disabled}
+        onUploaded={(attachment) => setCoverImage(attachment.url)}
+      />
+      {coverImage && (
+        <button
+          type="button"
+          className="cover-image-remove"
+          onClick={() => setCoverImage("")}
+          disabled={disabled}
+        >
+          Remove
+        </button>
+      )}
+    </div>
+  );
+}
+
+CoverImageField.propTypes = {
+  defaultValue: PropTypes.string,
+  disabled: PropTypes.bool,
+};
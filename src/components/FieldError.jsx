@@ -0,0 +1,16 @@
+import PropTypes from "prop-types";
+import "./FieldError.css";
+
+// Inline error shown under a form input, e.g. from actionData.fieldErrors.
+export function FieldError({ message }) {
+  if (!message) return null;
+  return (
+    <p className="field-error" role="alert">
+      {message}
+    </p>
+  );
+}
+
+FieldError.propTypes = {
+  message: PropTypes.string,
+};
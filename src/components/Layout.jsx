@@ -1,10 +1,40 @@
-import { Outlet, Link, Form, useRouteLoaderData } from "react-router-dom";
+import { useEffect, useRef } from "react";
+import {
+  Outlet,
+  Link,
+  Form,
+  useLocation,
+  useNavigate,
+  useRouteLoaderData,
+} from "react-router-dom";
+import { scheduleTokenRefresh } from "../utils/auth.js";
+import { loginPath } from "../routes/auth.loader.js";
 import "./Layout.css";
 
 export function Layout() {
   const authData = useRouteLoaderData("root");
   const isAuthenticated = authData?.isAuthenticated;
   const user = authData?.user;
+  const isAdmin = authData?.roles?.includes("admin");
+  const location = useLocation();
+  const navigate = useNavigate();
+  const currentPath = location.pathname + location.search;
+
+  // The timer outlives navigations, so read the location through a ref.
+  const currentPathRef = useRef(currentPath);
+  useEffect(() => {
+    currentPathRef.current = currentPath;
+  }, [currentPath]);
+
+  // Renew the access token before it expires. If the session cannot be
+  // renewed, navigating to the current page again re-runs the loaders, which
+  // then see the user as logged out and show the "session expired" notice.
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    return scheduleTokenRefresh(() =>
+      navigate(currentPathRef.current, { replace: true }),
+    );
+  }, [isAuthenticated, navigate]);
 
   return (
     <div>
@@ -18,16 +48,36 @@ export function Layout() {
               Home
             </Link>
             {isAuthenticated && (
-              <Link to="/create-post" className="layout-nav-link">
-                Create Post
-              </Link>
+              <>
+                <Link to="/create-post" className="layout-nav-link">
+                  Create Post
+                </Link>
+                <Link to="/drafts" className="layout-nav-link">
+                  My Drafts
+                </Link>
+                <Link to="/sessions" className="layout-nav-link">
+                  Sessions
+                </Link>
+                {isAdmin && (
+                  <Link to="/admin" className="layout-nav-link">
+                    Admin
+                  </Link>
+                )}
+              </>
             )}
           </div>
           <div className="layout-nav-right">
             {isAuthenticated ? (
               <>
                 <span className="layout-greeting">
-                  Hello, {user?.username}!
+                  Hello,{" "}
+                  <Link
+                    to={`/users/${encodeURIComponent(user?.username)}`}
+                    className="layout-profile-link"
+                  >
+                    {user?.username}
+                  </Link>
+                  !
                 </span>
                 <Form
                   method="post"
@@ -52,6 +102,12 @@ export function Layout() {
           </div>
         </nav>
       </header>
+      {authData?.sessionExpired && location.pathname !== "/login" && (
+        <div className="layout-session-expired" role="status">
+          Your session has expired, please{" "}
+          <Link to={loginPath(currentPath)}>log in again</Link>.
+        </div>
+      )}
       <main className="layout-main">
         <Outlet />
       </main>
@@ -0,0 +1,23 @@
+import { useMemo } from "react";
+import PropTypes from "prop-types";
+import { renderMarkdown } from "../utils/markdown.js";
+import "highlight.js/styles/github.css";
+import "./Markdown.css";
+
+// Render Markdown post contents. renderMarkdown() sanitizes the HTML, which
+// is what makes dangerouslySetInnerHTML safe here.
+export function Markdown({ source, className = "" }) {
+  const html = useMemo(() => renderMarkdown(source), [source]);
+
+  return (
+    <div
+      className={`markdown-body ${className}`.trim()}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+}
+
+Markdown.propTypes = {
+  source: PropTypes.string,
+  className: PropTypes.string,
+};
@@ -0,0 +1,64 @@
+import { useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { backendUrl } from "../config/api.js";
+import { Markdown } from "./Markdown.jsx";
+import { UploadButton } from "./UploadButton.jsx";
+import "./MarkdownEditor.css";
+
+// Markdown textarea with a live preview pane and image uploads, which are
+// inserted at the cursor as ![name](url).
+export function MarkdownEditor({
+  id,
+  name,
+  defaultValue = "",
+  className,
+  disabled,
+}) {
+  const [contents, setContents] = useState(defaultValue);
+  const textareaRef = useRef(null);
+
+  const insertImage = (attachment) => {
+    const textarea = textareaRef.current;
+    const start = textarea?.selectionStart ?? contents.length;
+    const end = textarea?.selectionEnd ?? contents.length;
+    const markdown = `![${attachment.originalName}](${backendUrl(attachment.url)})`;
+    setContents(contents.slice(0, start) + markdown + contents.slice(end));
+  };
+
+  return (
+    <div className="markdown-editor">
+      <div className="markdown-editor-toolbar">
+        <UploadButton
+          label="Insert image"
+          disabled={disabled}
+          onUploaded={insertImage}
+        />
+      </div>
+      <div className="markdown-editor-panes">
+        <textarea
+          ref={textareaRef}
+          id={id}
+          name={name}
+          value={contents}
+          onChange={(e) => setContents(e.target.value)}
+          required
+          rows={10}
+          className={className}
+          disabled={disabled}
+        />
+        {/* Rendered exactly as readers will see it */}
+        <div className="markdown-editor-preview" aria-label="Preview">
+          <Markdown source={contents} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+MarkdownEditor.propTypes = {
+  id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  defaultValue: PropTypes.string,
+  className: PropTypes.string,
+  disabled: PropTypes.bool,
+};
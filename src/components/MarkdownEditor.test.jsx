@@ -0,0 +1,45 @@
+import { render, screen, cleanup, fireEvent } from "@testing-library/react";
+import { createMemoryRouter, RouterProvider } from "react-router-dom";
+import { describe, it, expect, afterEach } from "vitest";
+import { MarkdownEditor } from "./MarkdownEditor";
+
+// The image upload button uses useFetcher, which needs a data router.
+function renderEditor(props) {
+  const router = createMemoryRouter([
+    {
+      path: "/",
+      element: <MarkdownEditor id="contents" name="contents" {...props} />,
+    },
+  ]);
+  return render(<RouterProvider router={router} />);
+}
+
+describe("MarkdownEditor Component", () => {
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("previews the initial contents as Markdown", () => {
+    renderEditor({ defaultValue: "# Draft heading" });
+
+    const preview = screen.getByLabelText("Preview");
+    expect(preview.querySelector("h1")).toHaveTextContent("Draft heading");
+  });
+
+  it("updates the preview while typing", () => {
+    renderEditor();
+
+    fireEvent.change(screen.getByRole("textbox"), {
+      target: { value: "Some **bold** text" },
+    });
+
+    const preview = screen.getByLabelText("Preview");
+    expect(preview.querySelector("strong")).toHaveTextContent("bold");
+  });
+
+  it("offers an image upload", () => {
+    renderEditor();
+
+    expect(screen.getByText("Insert image")).toBeInTheDocument();
+  });
+});
@@ -1,20 +1,69 @@
 import PropTypes from "prop-types";
 import { Link } from "react-router-dom";
+import { backendUrl } from "../config/api.js";
+import { markdownExcerpt } from "../utils/markdown.js";
+import { postPath } from "../utils/posts.js";
+import { TagList } from "./TagList.jsx";
 import "./Post.css";
 
-export function Post({ id, title, contents, author }) {
+export function Post({
+  id,
+  slug,
+  title,
+  contents,
+  author,
+  tags,
+  snippet,
+  status,
+  publishAt,
+  coverImage,
+  pinned,
+}) {
   return (
     <article className="post">
+      {coverImage && (
+        <img src={backendUrl(coverImage)} alt="" className="post-cover" />
+      )}
       <h3 className="post-title">
-        <Link to={`/posts/${id}`} className="post-title-link">
+        <Link to={postPath({ _id: id, slug })} className="post-title-link">
           {title}
         </Link>
+        {pinned && <span className="post-status post-pinned">pinned</span>}
+        {/* Only authors ever see their own unpublished posts. */}
+        {status && status !== "published" && (
+          <span className={`post-status post-status-${status}`}>
+            {status === "scheduled" && publishAt
+              ? `scheduled for ${new Date(publishAt).toLocaleString()}`
+              : status}
+          </span>
+        )}
       </h3>
-      <div className="post-content">{contents}</div>
+      {snippet ? (
+        // Search results show an excerpt with the matched terms highlighted.
+        <div className="post-content post-snippet">
+          {snippet.map((segment, index) =>
+            segment.highlight ? (
+              <mark key={index}>{segment.text}</mark>
+            ) : (
+              <span key={index}>{segment.text}</span>
+            ),
+          )}
+        </div>
+      ) : (
+        // Lists show a plain-text excerpt of the Markdown body.
+        <div className="post-content">{markdownExcerpt(contents)}</div>
+      )}
+      <TagList tags={tags} />
       {author && (
         <em className="post-author">
           <br />
-          Written by: <strong>{author}</strong>
+          Written by:{" "}
+          <Link
+            to={`/users/${encodeURIComponent(author)}`}
+            className="post-author-link"
+          >
+            <strong>{author}</strong>
+          </Link>
         </em>
       )}
     </article>
@@ -23,7 +72,19 @@ export function Post({ id, title, contents, author }) {
 
 Post.propTypes = {
   id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  slug: PropTypes.string,
   title: PropTypes.string.isRequired,
   contents: PropTypes.string,
   author: PropTypes.string,
+  tags: PropTypes.arrayOf(PropTypes.string),
+  snippet: PropTypes.arrayOf(
+    PropTypes.shape({
+      text: PropTypes.string.isRequired,
+      highlight: PropTypes.bool.isRequired,
+    }),
+  ),
+  status: PropTypes.oneOf(["draft", "scheduled", "published", "archived"]),
+  publishAt: PropTypes.string,
+  coverImage: PropTypes.string,
+  pinned: PropTypes.bool,
 };
@@ -52,6 +52,30 @@ describe("Post Component", () => {
     expect(authorName.length).toBeGreaterThan(0);
   });
 
+  it("links the author to their profile", () => {
+    render(
+      <BrowserRouter>
+        <Post {...mockPost} />
+      </BrowserRouter>,
+    );
+
+    const link = screen.getByRole("link", { name: mockPost.author });
+    expect(link).toHaveAttribute("href", "/users/Alice");
+  });
+
+  it("links each tag to its page", () => {
+    render(
+      <BrowserRouter>
+        <Post {...mockPost} tags={["react", "web-dev"]} />
+      </BrowserRouter>,
+    );
+
+    expect(screen.getByRole("link", { name: "#web-dev" })).toHaveAttribute(
+      "href",
+      "/tags/web-dev",
+    );
+  });
+
   it("does not render author section when author is not provided", () => {
     const postWithoutAuthor = {
       id: "456",
@@ -85,6 +109,43 @@ describe("Post Component", () => {
     expect(titleLink).toHaveAttribute("href", "/posts/789");
   });
 
+  it("renders a highlighted snippet instead of contents when provided", () => {
+    const { container } = render(
+      <BrowserRouter>
+        <Post
+          {...mockPost}
+          snippet={[
+            { text: "This is the ", highlight: false },
+            { text: "post", highlight: true },
+            { text: " content.", highlight: false },
+          ]}
+        />
+      </BrowserRouter>,
+    );
+
+    const marks = container.querySelectorAll(".post-snippet mark");
+    expect(marks).toHaveLength(1);
+    expect(marks[0]).toHaveTextContent("post");
+  });
+
+  it("shows a status badge only for unpublished posts", () => {
+    const { container, rerender } = render(
+      <BrowserRouter>
+        <Post {...mockPost} status="draft" />
+      </BrowserRouter>,
+    );
+
+    expect(container.querySelector(".post-status")).toHaveTextContent("draft");
+
+    rerender(
+      <BrowserRouter>
+        <Post {...mockPost} status="published" />
+      </BrowserRouter>,
+    );
+
+    expect(container.querySelector(".post-status")).not.toBeInTheDocument();
+  });
+
   it("renders article with correct class", () => {
     const { container } = render(
       <BrowserRouter>
@@ -1,13 +1,19 @@
 import PropType from "prop-types";
-export function PostFilter({ field, value, handleTextChange }) {
+export function PostFilter({
+  field,
+  label = field,
+  type = "text",
+  value,
+  handleTextChange,
+}) {
   return (
     <div>
-      <label htmlFor={`filter-${field}`}>{field}</label>
+      <label htmlFor={`filter-${field}`}>{label}</label>
       <input
-        type="text"
+        type={type}
         id={`filter-${field}`}
         name={`filter-${field}`}
-        placeholder={`Filter by ${field}`}
+        placeholder={`Filter by ${label}`}
         value={value}
         onChange={(e) => handleTextChange(e.target.value)}
       />
@@ -17,6 +23,8 @@ export function PostFilter({ field, value, handleTextChange }) {
 
 PostFilter.propTypes = {
   field: PropType.string.isRequired,
+  label: PropType.string,
+  type: PropType.oneOf(["text", "date"]),
   value: PropType.string.isRequired,
   handleTextChange: PropType.func.isRequired,
 };
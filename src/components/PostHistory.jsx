@@ -0,0 +1,91 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { useFetcher } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { revisionsQuery, revisionDiffQuery } from "../routes/posts.loader.js";
+import { RevisionDiff } from "./RevisionDiff.jsx";
+import "./PostHistory.css";
+
+// Owner-only history of a post: every prior version, each of which can be
+// compared with the current post and restored.
+export function PostHistory({ postId }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const fetcher = useFetcher();
+  const isRestoring = fetcher.state !== "idle";
+
+  const {
+    data: revisions,
+    isPending,
+    isError,
+  } = useQuery(revisionsQuery(postId));
+  const { data: diff } = useQuery({
+    ...revisionDiffQuery(postId, selectedId),
+    enabled: Boolean(selectedId),
+  });
+
+  if (isPending) {
+    return <p className="post-history-empty">Loading history...</p>;
+  }
+  if (isError) {
+    return <p className="post-history-error">Could not load the history.</p>;
+  }
+
+  return (
+    <section className="post-history">
+      <h2 className="post-history-title">History</h2>
+      {fetcher.data?.error && (
+        <p className="post-history-error">{fetcher.data.error}</p>
+      )}
+      {revisions.length === 0 ? (
+        <p className="post-history-empty">This post has not been edited yet.</p>
+      ) : (
+        <ul className="post-history-list">
+          {revisions.map((revision) => (
+            <li key={revision._id} className="post-history-item">
+              <button
+                type="button"
+                className="post-history-select"
+                aria-pressed={revision._id === selectedId}
+                onClick={() =>
+                  setSelectedId(
+                    revision._id === selectedId ? null : revision._id,
+                  )
+                }
+              >
+                {new Date(revision.createdAt).toLocaleString()}
+              </button>{" "}
+              <span className="post-history-meta">
+                “{revision.title}”, replaced by {revision.editor ?? "unknown"}
+              </span>
+              {revision._id === selectedId && (
+                <>
+                  {diff ? (
+                    <RevisionDiff diff={diff} />
+                  ) : (
+                    <p className="post-history-empty">Loading diff...</p>
+                  )}
+                  <fetcher.Form
+                    method="post"
+                    action={`/posts/${postId}/revisions/${revision._id}/restore`}
+                  >
+                    <button
+                      type="submit"
+                      className="post-history-restore"
+                      disabled={isRestoring}
+                    >
+                      {isRestoring ? "Restoring..." : "Restore this version"}
+                    </button>
+                  </fetcher.Form>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+PostHistory.propTypes = {
+  postId: PropTypes.string.isRequired,
+};
@@ -0,0 +1,22 @@
+import PropTypes from "prop-types";
+
+export function PostSearch({ value, handleSearchChange }) {
+  return (
+    <div className="post-search">
+      <label htmlFor="search-posts">Search: </label>
+      <input
+        type="search"
+        id="search-posts"
+        name="q"
+        placeholder="Search titles, contents and tags"
+        value={value}
+        onChange={(e) => handleSearchChange(e.target.value)}
+      />
+    </div>
+  );
+}
+
+PostSearch.propTypes = {
+  value: PropTypes.string.isRequired,
+  handleSearchChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,54 @@
+import PropTypes from "prop-types";
+import "./PostHistory.css";
+
+const LINE_PREFIX = { equal: " ", removed: "-", added: "+" };
+
+// Render the diff between two versions of a post, as returned by
+// GET /api/v1/posts/:id/revisions/diff.
+export function RevisionDiff({ diff }) {
+  const titleChanged = diff.title.from !== diff.title.to;
+  const tagsChanged = diff.tags.from.join(",") !== diff.tags.to.join(",");
+
+  return (
+    <div className="revision-diff">
+      {titleChanged && (
+        <p className="revision-diff-field">
+          Title: <del>{diff.title.from}</del> → <ins>{diff.title.to}</ins>
+        </p>
+      )}
+      {tagsChanged && (
+        <p className="revision-diff-field">
+          Tags: <del>{diff.tags.from.join(", ") || "none"}</del> →{" "}
+          <ins>{diff.tags.to.join(", ") || "none"}</ins>
+        </p>
+      )}
+      <pre className="revision-diff-lines">
+        {diff.contents.map((change, index) => (
+          <div
+            key={index}
+            className={`revision-diff-line revision-diff-${change.type}`}
+          >
+            {LINE_PREFIX[change.type]} {change.text}
+          </div>
+        ))}
+      </pre>
+    </div>
+  );
+}
+
+RevisionDiff.propTypes = {
+  diff: PropTypes.shape({
+    title: PropTypes.shape({ from: PropTypes.string, to: PropTypes.string })
+      .isRequired,
+    tags: PropTypes.shape({
+      from: PropTypes.arrayOf(PropTypes.string).isRequired,
+      to: PropTypes.arrayOf(PropTypes.string).isRequired,
+    }).isRequired,
+    contents: PropTypes.arrayOf(
+      PropTypes.shape({
+        type: PropTypes.oneOf(["equal", "removed", "added"]).isRequired,
+        text: PropTypes.string.isRequired,
+      }),
+    ).isRequired,
+  }).isRequired,
+};
@@ -0,0 +1,39 @@
+import { render, screen, cleanup } from "@testing-library/react";
+import { describe, it, expect, afterEach } from "vitest";
+import { RevisionDiff } from "./RevisionDiff";
+
+describe("RevisionDiff Component", () => {
+  const diff = {
+    title: { from: "Old title", to: "New title" },
+    tags: { from: ["a"], to: ["a"] },
+    contents: [
+      { type: "equal", text: "unchanged" },
+      { type: "removed", text: "before" },
+      { type: "added", text: "after" },
+    ],
+  };
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("marks removed and added lines", () => {
+    const { container } = render(<RevisionDiff diff={diff} />);
+
+    expect(container.querySelector(".revision-diff-removed")).toHaveTextContent(
+      "before",
+    );
+    expect(container.querySelector(".revision-diff-added")).toHaveTextContent(
+      "after",
+    );
+    expect(container.querySelectorAll(".revision-diff-line")).toHaveLength(3);
+  });
+
+  it("shows title changes and hides unchanged tags", () => {
+    render(<RevisionDiff diff={diff} />);
+
+    expect(screen.getByText("Old title")).toBeInTheDocument();
+    expect(screen.getByText("New title")).toBeInTheDocument();
+    expect(screen.queryByText(/Tags:/)).not.toBeInTheDocument();
+  });
+});
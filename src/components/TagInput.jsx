@@ -0,0 +1,89 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { useQuery } from "@tanstack/react-query";
+import { tagsQuery } from "../routes/tags.loader.js";
+import { normalizeTag } from "../utils/tags.js";
+import "./TagList.css";
+
+// Form field for a post's tags. Each tag is submitted as its own `tags`
+// value. Typing a comma or pressing Enter adds the tag; existing tags are
+// offered as suggestions, most used first.
+export function TagInput({ id, defaultValue = [], disabled }) {
+  const [tags, setTags] = useState(defaultValue ?? []);
+  const [draft, setDraft] = useState("");
+  const { data: suggestions = [] } = useQuery(tagsQuery());
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    if (tag && !tags.includes(tag)) {
+      setTags([...tags, tag]);
+    }
+    setDraft("");
+  };
+
+  const removeTag = (tag) => {
+    setTags(tags.filter((value) => value !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      // Enter would submit the whole form.
+      e.preventDefault();
+      addTag(draft);
+    } else if (e.key === "Backspace" && draft === "" && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  return (
+    <div>
+      <div className="tag-input">
+        {tags.map((tag) => (
+          <span key={tag} className="tag-chip">
+            <input type="hidden" name="tags" value={tag} />#{tag}
+            <button
+              type="button"
+              className="tag-chip-remove"
+              onClick={() => removeTag(tag)}
+              disabled={disabled}
+              aria-label={`Remove tag ${tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          id={id}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          // Keep a tag that was typed but not confirmed yet.
+          onBlur={() => draft && addTag(draft)}
+          list={`${id}-suggestions`}
+          placeholder={tags.length === 0 ? "Add tags" : ""}
+          className="tag-input-field"
+          disabled={disabled}
+        />
+        <datalist id={`${id}-suggestions`}>
+          {suggestions
+            .filter(({ tag }) => !tags.includes(tag))
+            .map(({ tag, count }) => (
+              <option key={tag} value={tag}>
+                {count} {count === 1 ? "post" : "posts"}
+              </option>
+            ))}
+        </datalist>
+      </div>
+      <p className="tag-input-hint">
+        Press Enter or type a comma to add a tag.
+      </p>
+    </div>
+  );
+}
+
+TagInput.propTypes = {
+  id: PropTypes.string.isRequired,
+  defaultValue: PropTypes.arrayOf(PropTypes.string),
+  disabled: PropTypes.bool,
+};
@@ -0,0 +1,62 @@
+import { render, screen, cleanup, fireEvent } from "@testing-library/react";
+import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import { describe, it, expect, afterEach } from "vitest";
+import { TagInput } from "./TagInput";
+
+// Suggestions come from the tag index, preloaded here instead of fetched.
+function renderInput(props) {
+  const queryClient = new QueryClient();
+  queryClient.setQueryData(
+    ["tags"],
+    [
+      { tag: "react", count: 3 },
+      { tag: "testing", count: 1 },
+    ],
+  );
+  return render(
+    <QueryClientProvider client={queryClient}>
+      <form aria-label="Post">
+        <TagInput id="tags" {...props} />
+      </form>
+    </QueryClientProvider>,
+  );
+}
+
+function submittedTags() {
+  return new FormData(screen.getByRole("form")).getAll("tags");
+}
+
+describe("TagInput Component", () => {
+  afterEach(() => {
+    cleanup();
+  });
+
+  it("adds normalized tags on Enter and comma", () => {
+    renderInput();
+    const input = screen.getByRole("combobox");
+
+    fireEvent.change(input, { target: { value: "Web Dev" } });
+    fireEvent.keyDown(input, { key: "Enter" });
+    fireEvent.change(input, { target: { value: "web-dev" } });
+    fireEvent.keyDown(input, { key: "," });
+
+    expect(submittedTags()).toEqual(["web-dev"]);
+    expect(input).toHaveValue("");
+  });
+
+  it("removes tags with their button or Backspace", () => {
+    renderInput({ defaultValue: ["react", "testing", "vite"] });
+
+    fireEvent.click(screen.getByRole("button", { name: "Remove tag react" }));
+    fireEvent.keyDown(screen.getByRole("combobox"), { key: "Backspace" });
+
+    expect(submittedTags()).toEqual(["testing"]);
+  });
+
+  it("suggests existing tags that are not chosen yet", () => {
+    const { container } = renderInput({ defaultValue: ["react"] });
+
+    const options = [...container.querySelectorAll("datalist option")];
+    expect(options.map((option) => option.value)).toEqual(["testing"]);
+  });
+});
@@ -0,0 +1,25 @@
+import PropTypes from "prop-types";
+import { Link } from "react-router-dom";
+import { tagPath } from "../utils/tags.js";
+import "./TagList.css";
+
+// A post's tags as chips linking to each tag's page.
+export function TagList({ tags = [] }) {
+  if (tags.length === 0) return null;
+
+  return (
+    <ul className="tag-list" aria-label="Tags">
+      {tags.map((tag) => (
+        <li key={tag}>
+          <Link to={tagPath(tag)} className="tag-chip">
+            #{tag}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+TagList.propTypes = {
+  tags: PropTypes.arrayOf(PropTypes.string),
+};
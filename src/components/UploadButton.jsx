@@ -0,0 +1,66 @@
+import { useEffect, useRef } from "react";
+import { useFetcher } from "react-router-dom";
+import PropTypes from "prop-types";
+
+// File picker that uploads the chosen file right away through the /uploads
+// action route and hands the resulting attachment to `onUploaded`.
+export function UploadButton({
+  label,
+  accept = "image/*",
+  disabled,
+  onUploaded,
+}) {
+  const fetcher = useFetcher();
+  const isUploading = fetcher.state !== "idle";
+
+  // Keep the latest onUploaded without re-running the effect below.
+  const onUploadedRef = useRef(onUploaded);
+  useEffect(() => {
+    onUploadedRef.current = onUploaded;
+  });
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.attachment) {
+      onUploadedRef.current(fetcher.data.attachment);
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  const handleChange = (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+    const formData = new FormData();
+    formData.append("file", file);
+    fetcher.submit(formData, {
+      method: "post",
+      action: "/uploads",
+      encType: "multipart/form-data",
+    });
+    // Allow picking the same file again.
+    e.target.value = "";
+  };
+
+  return (
+    <span className="upload-button">
+      <label className="upload-button-label">
+        {isUploading ? "Uploading..." : label}
+        <input
+          type="file"
+          accept={accept}
+          onChange={handleChange}
+          disabled={disabled || isUploading}
+          hidden
+        />
+      </label>
+      {fetcher.data?.error && (
+        <span className="upload-button-error">{fetcher.data.error}</span>
+      )}
+    </span>
+  );
+}
+
+UploadButton.propTypes = {
+  label: PropTypes.string.isRequired,
+  accept: PropTypes.string,
+  disabled: PropTypes.bool,
+  onUploaded: PropTypes.func.isRequired,
+};
@@ -29,3 +29,12 @@ if (!import.meta.env.VITE_BACKEND_URL) {
 }
 
 export const API_BASE_URL = BACKEND_URL;
+
+/**
+ * Resolve a backend-relative URL (such as the `url` of an uploaded file,
+ * "/api/v1/uploads/files/<key>") against the backend's origin. Absolute URLs
+ * are returned unchanged.
+ */
+export function backendUrl(url) {
+  return url ? new URL(url, API_BASE_URL).href : url;
+}
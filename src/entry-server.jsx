@@ -0,0 +1,91 @@
+import { StrictMode } from "react";
+import { renderToString } from "react-dom/server";
+import {
+  createStaticHandler,
+  createStaticRouter,
+  matchRoutes,
+  StaticRouterProvider,
+} from "react-router-dom";
+import { QueryClientProvider, dehydrate } from "@tanstack/react-query";
+import { JSDOM } from "jsdom";
+import { createQueryClient, createRoutes } from "./router.js";
+import { setSanitizerWindow } from "./utils/markdown.js";
+import { pageMeta, renderMetaTags } from "./utils/meta.js";
+
+/**
+ * SERVER-SIDE RENDERING
+ *
+ * Renders the public pages (the routes with `handle.meta`: home, posts,
+ * profiles and tags) to HTML for crawlers and link previews, using the same
+ * route tree, loaders and queries as the browser (see router.js). The page
+ * is rendered for an anonymous visitor. The browser hydrates it with the
+ * loader data and the React Query cache the server filled, and then runs
+ * the loaders again for the visitor's own auth state (see App.jsx).
+ *
+ * Used by server.js, which puts the result into index.html.
+ */
+
+setSanitizerWindow(new JSDOM("").window);
+
+// JSON inside a <script>: "<" is escaped so the data cannot end the element.
+function serialize(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+/**
+ * Render the page a GET `request` asks for. `origin` is the public origin of
+ * the site, used for the absolute URLs of link previews. Returns:
+ *
+ * - { status, redirect } when a loader redirects (e.g. to a post's slug)
+ * - { status, head, html, scripts } for a rendered page: the tags that
+ *   replace the <title> of index.html, the markup of #root and the script
+ *   with the React Query cache
+ * - { status: 404 } when a loader found no such post or profile, so the
+ *   page is not indexed; the browser still renders it, as a draft is only
+ *   visible to its author, who is not known here
+ * - null when the page is left to the browser: pages that need a logged-in
+ *   user, and pages whose loader failed otherwise
+ */
+export async function render(request, { origin = request.url } = {}) {
+  const queryClient = createQueryClient();
+  const routes = createRoutes(queryClient);
+
+  const matches = matchRoutes(routes, new URL(request.url).pathname);
+  if (!matches?.at(-1).route.handle?.meta) {
+    return null;
+  }
+
+  const { query, dataRoutes } = createStaticHandler(routes);
+  const context = await query(request);
+  if (context instanceof Response) {
+    return {
+      status: context.status,
+      redirect: context.headers.get("Location"),
+    };
+  }
+  if (context.errors) {
+    const errors = Object.values(context.errors);
+    return errors.some((error) => error?.status === 404)
+      ? { status: 404 }
+      : null;
+  }
+
+  const router = createStaticRouter(dataRoutes, context);
+  const html = renderToString(
+    <StrictMode>
+      <QueryClientProvider client={queryClient}>
+        <StaticRouterProvider router={router} context={context} />
+      </QueryClientProvider>
+    </StrictMode>,
+  );
+  const meta = pageMeta(context);
+  const state = dehydrate(queryClient);
+  queryClient.clear();
+
+  return {
+    status: context.statusCode,
+    head: renderMetaTags(meta, origin),
+    html,
+    scripts: `<script>window.__REACT_QUERY_STATE__ = ${serialize(state)};</script>`,
+  };
+}
@@ -0,0 +1,96 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render } from "./entry-server";
+
+const post = {
+  _id: "0123456789abcdef01234567",
+  slug: "hello-world",
+  title: "Hello </script> World",
+  contents: "Some text <img src=x onerror=alert(1)>",
+  author: "alice",
+  tags: ["js"],
+  status: "published",
+  createdAt: "2026-01-01T00:00:00.000Z",
+  updatedAt: "2026-01-01T00:00:00.000Z",
+};
+
+// Answers the API requests of the post and profile pages' loaders.
+function respond(url) {
+  const { pathname } = new URL(url);
+  if (pathname.endsWith("/posts/by-slug/hello-world")) return post;
+  if (pathname.endsWith(`/posts/${post._id}`)) return post;
+  if (pathname.endsWith(`/posts/${post._id}/comments`)) return [];
+  if (pathname.endsWith("/posts")) return { posts: [], hasMore: false };
+  return null;
+}
+
+describe("server-side rendering", () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn(async (url) => {
+      const body = respond(String(url));
+      return new Response(JSON.stringify(body ?? { detail: "Not found" }), {
+        status: body ? 200 : 404,
+        headers: { "Content-Type": "application/json" },
+      });
+    });
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it("renders a post page with its meta tags and query cache", async () => {
+    const page = await render(
+      new Request("http://localhost/posts/hello-world"),
+      { origin: "https://blog.example.com" },
+    );
+
+    expect(page.status).toBe(200);
+    expect(page.head).toContain(
+      '<meta property="og:url" content="https://blog.example.com/posts/hello-world" />',
+    );
+    expect(page.html).toContain("Hello &lt;/script&gt; World");
+    // Post contents are sanitized on the server too.
+    expect(page.html).toContain('<p>Some text <img src="x"></p>');
+    expect(page.html).toContain("window.__staticRouterHydrationData");
+    expect(page.scripts).toContain(
+      '"queryKey":["post","0123456789abcdef01234567"]',
+    );
+    expect(page.scripts).not.toContain("</script> World");
+  });
+
+  it("redirects legacy id links to the post's slug", async () => {
+    const page = await render(
+      new Request(`http://localhost/posts/${post._id}`),
+    );
+
+    expect(page).toEqual({ status: 302, redirect: "/posts/hello-world" });
+  });
+
+  it("leaves pages that are not public to the browser", async () => {
+    expect(await render(new Request("http://localhost/drafts"))).toBeNull();
+    expect(
+      await render(new Request(`http://localhost/posts/${post._id}/edit`)),
+    ).toBeNull();
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it("answers posts and profiles that do not exist with a 404", async () => {
+    expect(await render(new Request("http://localhost/posts/missing"))).toEqual(
+      { status: 404 },
+    );
+    expect(await render(new Request("http://localhost/users/nobody"))).toEqual({
+      status: 404,
+    });
+  });
+
+  it("leaves pages whose loader fails otherwise to the browser", async () => {
+    globalThis.fetch.mockRejectedValue(new TypeError("Failed to fetch"));
+
+    expect(
+      await render(new Request("http://localhost/posts/hello-world")),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+import PropTypes from "prop-types";
+import { Link, useLoaderData } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { adminStatsQuery, STATS_DAYS } from "../routes/admin.loader.js";
+import "./AdminDashboardPage.css";
+
+// Bar chart of daily counts, drawn with plain elements (no chart library).
+function DailyChart({ title, days }) {
+  const max = Math.max(1, ...days.map((day) => day.count));
+  const total = days.reduce((sum, day) => sum + day.count, 0);
+
+  return (
+    <figure className="admin-chart">
+      <figcaption className="admin-chart-title">
+        {title} <span className="admin-chart-total">({total})</span>
+      </figcaption>
+      <div className="admin-chart-bars">
+        {days.map((day) => (
+          <div
+            key={day.date}
+            className="admin-chart-bar"
+            style={{ height: `${(day.count / max) * 100}%` }}
+            title={`${day.date}: ${day.count}`}
+          />
+        ))}
+      </div>
+      <div className="admin-chart-axis">
+        <span>{days[0]?.date}</span>
+        <span>{days[days.length - 1]?.date}</span>
+      </div>
+    </figure>
+  );
+}
+
+DailyChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  days: PropTypes.arrayOf(
+    PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired,
+    }),
+  ).isRequired,
+};
+
+// Admin overview: site totals, daily activity and the busiest authors.
+export function AdminDashboardPage() {
+  const loaderData = useLoaderData();
+  const { data: stats } = useQuery({
+    ...adminStatsQuery(STATS_DAYS),
+    initialData: loaderData.stats,
+  });
+  const { totals } = stats;
+
+  return (
+    <div>
+      <h1>Overview</h1>
+      <div className="admin-totals">
+        <div className="admin-total">
+          <strong>{totals.users}</strong> users
+        </div>
+        <div className="admin-total">
+          <strong>{totals.posts}</strong> posts
+        </div>
+        <div className="admin-total">
+          <strong>{totals.publishedPosts}</strong> published
+        </div>
+        <div className="admin-total">
+          <strong>{totals.comments}</strong> comments
+        </div>
+      </div>
+      <p className="admin-empty">Last {stats.days} days</p>
+      <div className="admin-charts">
+        <DailyChart title="Posts per day" days={stats.postsPerDay} />
+        <DailyChart title="New signups" days={stats.signupsPerDay} />
+      </div>
+      <h2>Top authors</h2>
+      {stats.topAuthors.length === 0 ? (
+        <p className="admin-empty">No posts in this period.</p>
+      ) : (
+        <ol className="admin-top-authors">
+          {stats.topAuthors.map((author) => (
+            <li key={author.username}>
+              <Link to={`/?author=${encodeURIComponent(author.username)}`}>
+                {author.username}
+              </Link>{" "}
+              — {author.posts} {author.posts === 1 ? "post" : "posts"}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
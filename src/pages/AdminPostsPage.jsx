@@ -0,0 +1,182 @@
+import { useState } from "react";
+import { Form, Link, useFetcher, useLoaderData } from "react-router-dom";
+import { useInfiniteQuery } from "@tanstack/react-query";
+import { adminPostsInfiniteQuery } from "../routes/admin.loader.js";
+import { postPath } from "../utils/posts.js";
+
+const BULK_ACTIONS = [
+  { intent: "feature", label: "Feature" },
+  { intent: "unfeature", label: "Unfeature" },
+  { intent: "unpublish", label: "Unpublish" },
+  { intent: "delete", label: "Delete", danger: true },
+];
+
+// Posts table across all authors and statuses. Selected posts can be
+// featured (pinned), unpublished (back to draft) or deleted in one go.
+export function AdminPostsPage() {
+  const loaderData = useLoaderData();
+  const { filters } = loaderData;
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useInfiniteQuery({
+      ...adminPostsInfiniteQuery(filters),
+      initialData: loaderData.posts,
+    });
+  const posts = data?.pages.flatMap((page) => page.posts) ?? [];
+
+  const fetcher = useFetcher();
+  const isBusy = fetcher.state !== "idle";
+  const [selected, setSelected] = useState(() => new Set());
+  // Forget selections of posts that are no longer listed (e.g. deleted).
+  const selectedIds = posts
+    .map((post) => post._id)
+    .filter((id) => selected.has(id));
+  const allSelected = posts.length > 0 && selectedIds.length === posts.length;
+
+  const toggle = (id) =>
+    setSelected((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  const toggleAll = () =>
+    setSelected(
+      allSelected ? new Set() : new Set(posts.map((post) => post._id)),
+    );
+
+  return (
+    <div>
+      <h1>Posts</h1>
+      <Form method="get" className="admin-toolbar" role="search">
+        <input
+          type="search"
+          name="q"
+          defaultValue={filters.q}
+          placeholder="Search posts"
+          aria-label="Search posts"
+          className="admin-input"
+        />
+        <input
+          type="text"
+          name="author"
+          defaultValue={filters.author}
+          placeholder="Author"
+          aria-label="Author"
+          className="admin-input"
+        />
+        <select
+          name="status"
+          defaultValue={filters.status}
+          aria-label="Status"
+          className="admin-input"
+        >
+          <option value="">All statuses</option>
+          <option value="published">Published</option>
+          <option value="scheduled">Scheduled</option>
+          <option value="draft">Draft</option>
+          <option value="archived">Archived</option>
+        </select>
+        <button type="submit" className="admin-button">
+          Filter
+        </button>
+      </Form>
+      <fetcher.Form
+        method="post"
+        action="/admin/posts/bulk"
+        className="admin-toolbar"
+        onSubmit={(e) => {
+          const intent = e.nativeEvent.submitter?.value;
+          if (
+            intent === "delete" &&
+            !confirm(`Delete ${selectedIds.length} post(s)?`)
+          ) {
+            e.preventDefault();
+          }
+        }}
+      >
+        {selectedIds.map((id) => (
+          <input key={id} type="hidden" name="ids" value={id} />
+        ))}
+        <span>{selectedIds.length} selected</span>
+        {BULK_ACTIONS.map(({ intent, label, danger }) => (
+          <button
+            key={intent}
+            type="submit"
+            name="intent"
+            value={intent}
+            className={
+              danger ? "admin-button admin-button-danger" : "admin-button"
+            }
+            disabled={isBusy || selectedIds.length === 0}
+          >
+            {label}
+          </button>
+        ))}
+        {fetcher.data?.error && (
+          <span className="admin-error">{fetcher.data.error}</span>
+        )}
+      </fetcher.Form>
+      {posts.length === 0 ? (
+        <p className="admin-empty">No posts found.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>
+                <input
+                  type="checkbox"
+                  aria-label="Select all posts"
+                  checked={allSelected}
+                  onChange={toggleAll}
+                />
+              </th>
+              <th>Title</th>
+              <th>Author</th>
+              <th>Status</th>
+              <th>Created</th>
+            </tr>
+          </thead>
+          <tbody>
+            {posts.map((post) => (
+              <tr key={post._id}>
+                <td>
+                  <input
+                    type="checkbox"
+                    aria-label={`Select ${post.title}`}
+                    checked={selected.has(post._id)}
+                    onChange={() => toggle(post._id)}
+                  />
+                </td>
+                <td>
+                  <Link to={postPath(post)}>{post.title}</Link>
+                </td>
+                <td>{post.author}</td>
+                <td>
+                  <span className="admin-badge">
+                    {post.status || "published"}
+                  </span>
+                  {post.pinned && (
+                    <span className="admin-badge admin-badge-warning">
+                      featured
+                    </span>
+                  )}
+                </td>
+                <td>{new Date(post.createdAt).toLocaleDateString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {hasNextPage && (
+        <button
+          type="button"
+          className="admin-button admin-button-secondary"
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+        >
+          {isFetchingNextPage ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+}
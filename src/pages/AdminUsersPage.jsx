@@ -0,0 +1,160 @@
+import PropTypes from "prop-types";
+import { Form, useFetcher, useLoaderData } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { adminUsersQuery } from "../routes/admin.loader.js";
+import { getCurrentUser } from "../utils/auth.js";
+
+// The role shown in the select: a user's highest role.
+function roleOf(user) {
+  if (user.roles?.includes("admin")) return "admin";
+  if (user.roles?.includes("moderator")) return "moderator";
+  return "user";
+}
+
+function UserRow({ user, isSelf }) {
+  const fetcher = useFetcher();
+  const isBusy = fetcher.state !== "idle";
+  const action = `/admin/users/${user._id}`;
+
+  return (
+    <tr>
+      <td>
+        <strong>{user.username}</strong>
+        {fetcher.data?.error && (
+          <div className="admin-error">{fetcher.data.error}</div>
+        )}
+      </td>
+      <td>{user.email}</td>
+      <td>
+        <select
+          aria-label={`Role of ${user.username}`}
+          className="admin-input"
+          value={roleOf(user)}
+          disabled={isSelf || isBusy}
+          onChange={(event) =>
+            fetcher.submit(
+              { intent: "role", role: event.target.value },
+              { method: "patch", action },
+            )
+          }
+        >
+          <option value="user">User</option>
+          <option value="moderator">Moderator</option>
+          <option value="admin">Admin</option>
+        </select>
+      </td>
+      <td>
+        {user.suspendedAt && (
+          <span className="admin-badge admin-badge-danger">suspended</span>
+        )}
+        {!user.emailVerified && (
+          <span className="admin-badge admin-badge-warning">unverified</span>
+        )}
+      </td>
+      <td>{new Date(user.createdAt).toLocaleDateString()}</td>
+      <td>
+        {!isSelf && (
+          <div className="admin-toolbar">
+            <fetcher.Form method="patch" action={action}>
+              <button
+                type="submit"
+                name="intent"
+                value={user.suspendedAt ? "reinstate" : "suspend"}
+                className="admin-button admin-button-secondary"
+                disabled={isBusy}
+              >
+                {user.suspendedAt ? "Reinstate" : "Suspend"}
+              </button>
+            </fetcher.Form>
+            <fetcher.Form method="delete" action={action}>
+              <button
+                type="submit"
+                className="admin-button admin-button-danger"
+                disabled={isBusy}
+                onClick={(e) => {
+                  if (
+                    !confirm(
+                      `Delete ${user.username} with all their posts and comments?`,
+                    )
+                  ) {
+                    e.preventDefault();
+                  }
+                }}
+              >
+                Delete
+              </button>
+            </fetcher.Form>
+          </div>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+UserRow.propTypes = {
+  user: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    username: PropTypes.string.isRequired,
+    email: PropTypes.string,
+    roles: PropTypes.arrayOf(PropTypes.string),
+    emailVerified: PropTypes.bool,
+    suspendedAt: PropTypes.string,
+    createdAt: PropTypes.string,
+  }).isRequired,
+  isSelf: PropTypes.bool,
+};
+
+// Users table: search by username or email, change roles, suspend and
+// delete accounts. Admins cannot demote, suspend or delete themselves here.
+export function AdminUsersPage() {
+  const loaderData = useLoaderData();
+  const { data: users } = useQuery({
+    ...adminUsersQuery(loaderData.q),
+    initialData: loaderData.users,
+  });
+  const currentUser = getCurrentUser();
+
+  return (
+    <div>
+      <h1>Users</h1>
+      <Form method="get" className="admin-toolbar" role="search">
+        <input
+          type="search"
+          name="q"
+          defaultValue={loaderData.q}
+          placeholder="Username or email"
+          aria-label="Search users"
+          className="admin-input"
+        />
+        <button type="submit" className="admin-button">
+          Search
+        </button>
+      </Form>
+      {users.length === 0 ? (
+        <p className="admin-empty">No users found.</p>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Username</th>
+              <th>Email</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Joined</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => (
+              <UserRow
+                key={user._id}
+                user={user}
+                isSelf={user.username === currentUser?.username}
+              />
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
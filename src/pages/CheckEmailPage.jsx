@@ -0,0 +1,59 @@
+import { Link, useFetcher, useSearchParams } from "react-router-dom";
+import "./CheckEmailPage.css";
+
+// Where signup lands when the new account must confirm its email address.
+export function CheckEmailPage() {
+  const [searchParams] = useSearchParams();
+  const email = searchParams.get("email");
+  const fetcher = useFetcher();
+  const isSending = fetcher.state !== "idle";
+
+  return (
+    <div className="check-email-container">
+      <h1 className="check-email-title">Check your inbox</h1>
+      <p>
+        We sent a confirmation link to{" "}
+        {email ? <strong>{email}</strong> : "your email address"}. Open it to
+        verify your address; you can publish posts once it is confirmed.
+      </p>
+      {fetcher.data?.ok && (
+        <div className="check-email-success">A new link is on its way.</div>
+      )}
+      {fetcher.data?.error && (
+        <div className="check-email-error">{fetcher.data.error}</div>
+      )}
+      <fetcher.Form method="post" action="/check-email">
+        {email ? (
+          <input type="hidden" name="email" value={email} />
+        ) : (
+          <div className="check-email-form-group">
+            <label htmlFor="email" className="check-email-label">
+              Email
+            </label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              required
+              className="check-email-input"
+            />
+          </div>
+        )}
+        <button
+          type="submit"
+          className="check-email-resend-button"
+          disabled={isSending}
+        >
+          {isSending
+            ? "Sending..."
+            : email
+              ? "Resend the email"
+              : "Send a new link"}
+        </button>
+      </fetcher.Form>
+      <p className="check-email-footer">
+        Already confirmed? <Link to="/login">Login</Link>
+      </p>
+    </div>
+  );
+}
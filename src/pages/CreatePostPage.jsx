@@ -1,5 +1,10 @@
 import { Form, useActionData, useNavigation, Navigate } from "react-router-dom";
 import { isAuthenticated, getCurrentUser } from "../utils/auth.js";
+import { loginPath } from "../routes/auth.loader.js";
+import { MarkdownEditor } from "../components/MarkdownEditor.jsx";
+import { CoverImageField } from "../components/CoverImageField.jsx";
+import { TagInput } from "../components/TagInput.jsx";
+import { FieldError } from "../components/FieldError.jsx";
 import "./CreatePostPage.css";
 
 export function CreatePostPage() {
@@ -9,15 +14,19 @@ export function CreatePostPage() {
   const currentUser = getCurrentUser();
 
   if (!isAuthenticated()) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to={loginPath("/create-post")} replace />;
   }
 
   return (
     <div className="create-post-container">
       <h1 className="create-post-title">Create New Post</h1>
-      {actionData?.error && (
+      {/* Invalid fields are reported next to their inputs instead. */}
+      {actionData?.error && !actionData.fieldErrors && (
         <div className="create-post-error">{actionData.error}</div>
       )}
+      <p className="create-post-author">
+        Posting as <strong>{currentUser?.username}</strong>
+      </p>
       <Form method="post">
         <div className="create-post-form-group">
           <label htmlFor="title" className="create-post-label">
@@ -31,42 +40,86 @@ export function CreatePostPage() {
             className="create-post-input"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.title} />
         </div>
         <div className="create-post-form-group">
-          <label htmlFor="author" className="create-post-label">
-            Author
+          <label htmlFor="contents" className="create-post-label">
+            Content (Markdown)
           </label>
-          <input
-            type="text"
-            id="author"
-            name="author"
-            value={currentUser?.username || ""}
-            readOnly
-            required
-            className="create-post-input readonly"
+          <MarkdownEditor
+            id="contents"
+            name="contents"
+            className="create-post-textarea"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.contents} />
         </div>
         <div className="create-post-form-group">
-          <label htmlFor="contents" className="create-post-label">
-            Content
+          <label htmlFor="tags" className="create-post-label">
+            Tags (optional)
           </label>
-          <textarea
-            id="contents"
-            name="contents"
-            required
-            rows={10}
-            className="create-post-textarea"
+          <TagInput id="tags" disabled={isSubmitting} />
+          <FieldError message={actionData?.fieldErrors?.tags} />
+        </div>
+        <div className="create-post-form-group">
+          <span className="create-post-label">Cover image (optional)</span>
+          <CoverImageField disabled={isSubmitting} />
+          <FieldError message={actionData?.fieldErrors?.coverImage} />
+        </div>
+        <div className="create-post-form-group">
+          <label htmlFor="publishAt" className="create-post-label">
+            Publish at (only used when scheduling)
+          </label>
+          <input
+            type="datetime-local"
+            id="publishAt"
+            name="publishAt"
+            className="create-post-input"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.publishAt} />
+        </div>
+        {/* The clicked button's intent decides the post's status. */}
+        <div className="create-post-buttons">
+          {/* Default button for Enter in a text field: publishes, like the
+              form did before drafts existed. */}
+          <button
+            type="submit"
+            name="intent"
+            value="published"
+            disabled={isSubmitting}
+            hidden
+            tabIndex={-1}
+            aria-hidden="true"
+          />
+          <button
+            type="submit"
+            name="intent"
+            value="draft"
+            disabled={isSubmitting}
+            className="create-post-secondary-button"
+          >
+            Save draft
+          </button>
+          <button
+            type="submit"
+            name="intent"
+            value="scheduled"
+            disabled={isSubmitting}
+            className="create-post-secondary-button"
+          >
+            Schedule
+          </button>
+          <button
+            type="submit"
+            name="intent"
+            value="published"
+            disabled={isSubmitting}
+            className="create-post-submit-button"
+          >
+            {isSubmitting ? "Saving..." : "Publish"}
+          </button>
         </div>
-        <button
-          type="submit"
-          disabled={isSubmitting}
-          className="create-post-submit-button"
-        >
-          {isSubmitting ? "Creating..." : "Create Post"}
-        </button>
       </Form>
     </div>
   );
@@ -0,0 +1,49 @@
+import { Link, useLoaderData } from "react-router-dom";
+import { useInfiniteQuery } from "@tanstack/react-query";
+import { PostList } from "../components/PostList.jsx";
+import { getCurrentUser } from "../utils/auth.js";
+import { draftsFilters, postsInfiniteQuery } from "../routes/posts.loader.js";
+import "./DraftsPage.css";
+
+export function DraftsPage() {
+  // Read initial data provided by the route loader.
+  const loaderData = useLoaderData();
+  // The loader only lets authenticated users through.
+  const currentUser = getCurrentUser();
+
+  // Same paginated query as the home page, filtered to the current user's
+  // drafts and scheduled posts. It lives under the "posts" cache key, so
+  // creating, editing or deleting a post refreshes this list too.
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useInfiniteQuery({
+      ...postsInfiniteQuery(draftsFilters(currentUser?.username)),
+      initialData: loaderData.posts,
+    });
+
+  // Flatten the loaded pages into a single array for rendering.
+  const posts = data?.pages.flatMap((page) => page.posts) ?? [];
+
+  return (
+    <div className="drafts-container">
+      <h1 className="drafts-title">My Drafts</h1>
+      {posts.length === 0 ? (
+        <p className="drafts-empty">
+          You have no drafts or scheduled posts.{" "}
+          <Link to="/create-post">Start writing</Link>
+        </p>
+      ) : (
+        <PostList posts={posts} />
+      )}
+      {hasNextPage && (
+        <button
+          type="button"
+          className="drafts-load-more-button"
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+        >
+          {isFetchingNextPage ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -5,25 +5,40 @@ import {
   useNavigation,
   Navigate,
 } from "react-router-dom";
-import { getCurrentUser } from "../utils/auth.js";
+import { can, getCurrentViewer } from "../utils/policy.js";
+import { MarkdownEditor } from "../components/MarkdownEditor.jsx";
+import { CoverImageField } from "../components/CoverImageField.jsx";
+import { TagInput } from "../components/TagInput.jsx";
+import { FieldError } from "../components/FieldError.jsx";
 import "./EditPostPage.css";
 
+// Format a date for a datetime-local input, which expects local time.
+function toDateTimeLocal(value) {
+  const date = new Date(value);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
 export function EditPostPage() {
   const { post } = useLoaderData();
   const actionData = useActionData();
   const navigation = useNavigation();
   const isSubmitting = navigation.state === "submitting";
-  const currentUser = getCurrentUser();
+  const viewer = getCurrentViewer();
 
-  // Protect: only post owner can edit
-  if (!currentUser || currentUser.username !== post.author) {
+  // Posts created before publication states existed count as published.
+  const status = post.status || "published";
+
+  // Protect: only the author and moderators can edit
+  if (!can(viewer, "post:edit", { author: post.author })) {
     return <Navigate to="/" replace />;
   }
 
   return (
     <div className="edit-post-container">
       <h1 className="edit-post-title">Edit Post</h1>
-      {actionData?.error && (
+      {/* Invalid fields are reported next to their inputs instead. */}
+      {actionData?.error && !actionData.fieldErrors && (
         <div className="edit-post-error">{actionData.error}</div>
       )}
       <Form method="patch">
@@ -40,6 +55,7 @@ export function EditPostPage() {
             className="edit-post-input"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.title} />
         </div>
         <div className="edit-post-form-group">
           <label htmlFor="author" className="edit-post-label">
@@ -58,25 +74,109 @@ export function EditPostPage() {
         </div>
         <div className="edit-post-form-group">
           <label htmlFor="contents" className="edit-post-label">
-            Content
+            Content (Markdown)
           </label>
-          <textarea
+          <MarkdownEditor
             id="contents"
             name="contents"
             defaultValue={post.contents}
-            required
-            rows={10}
             className="edit-post-textarea"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.contents} />
+        </div>
+        <div className="edit-post-form-group">
+          <label htmlFor="tags" className="edit-post-label">
+            Tags (optional)
+          </label>
+          <TagInput
+            id="tags"
+            defaultValue={post.tags}
+            disabled={isSubmitting}
+          />
+          <FieldError message={actionData?.fieldErrors?.tags} />
+        </div>
+        <div className="edit-post-form-group">
+          <span className="edit-post-label">Cover image (optional)</span>
+          <CoverImageField
+            defaultValue={post.coverImage}
+            disabled={isSubmitting}
+          />
+          <FieldError message={actionData?.fieldErrors?.coverImage} />
+        </div>
+        <div className="edit-post-form-group">
+          <label htmlFor="publishAt" className="edit-post-label">
+            Publish at (only used when scheduling)
+          </label>
+          <input
+            type="datetime-local"
+            id="publishAt"
+            name="publishAt"
+            defaultValue={
+              status === "scheduled" && post.publishAt
+                ? toDateTimeLocal(post.publishAt)
+                : undefined
+            }
+            className="edit-post-input"
+            disabled={isSubmitting}
+          />
+          <FieldError message={actionData?.fieldErrors?.publishAt} />
+        </div>
+        {/* The clicked button's intent decides the post's status. */}
+        <div className="edit-post-buttons">
+          {/* Default button for Enter in a text field: keeps the status. */}
+          <button
+            type="submit"
+            name="intent"
+            value={status}
+            disabled={isSubmitting}
+            hidden
+            tabIndex={-1}
+            aria-hidden="true"
+          />
+          <button
+            type="submit"
+            name="intent"
+            value="draft"
+            disabled={isSubmitting}
+            className="edit-post-secondary-button"
+          >
+            {status === "draft" ? "Save draft" : "Unpublish to draft"}
+          </button>
+          <button
+            type="submit"
+            name="intent"
+            value="scheduled"
+            disabled={isSubmitting}
+            className="edit-post-secondary-button"
+          >
+            Schedule
+          </button>
+          {status === "published" && (
+            <button
+              type="submit"
+              name="intent"
+              value="archived"
+              disabled={isSubmitting}
+              className="edit-post-secondary-button"
+            >
+              Archive
+            </button>
+          )}
+          <button
+            type="submit"
+            name="intent"
+            value="published"
+            disabled={isSubmitting}
+            className="edit-post-submit-button"
+          >
+            {isSubmitting
+              ? "Updating..."
+              : status === "published"
+                ? "Update Post"
+                : "Publish"}
+          </button>
         </div>
-        <button
-          type="submit"
-          disabled={isSubmitting}
-          className="edit-post-submit-button"
-        >
-          {isSubmitting ? "Updating..." : "Update Post"}
-        </button>
       </Form>
     </div>
   );
@@ -0,0 +1,99 @@
+import { useState } from "react";
+import {
+  Form,
+  Link,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router-dom";
+import { Avatar } from "../components/Avatar.jsx";
+import { UploadButton } from "../components/UploadButton.jsx";
+import { FieldError } from "../components/FieldError.jsx";
+import "./EditProfilePage.css";
+
+export function EditProfilePage() {
+  const { profile } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  // The uploaded avatar's URL; empty removes it.
+  const [avatar, setAvatar] = useState(profile.avatar ?? "");
+
+  return (
+    <div className="edit-profile-container">
+      <h1 className="edit-profile-title">Edit Profile</h1>
+      {/* Invalid fields are reported next to their inputs instead. */}
+      {actionData?.error && !actionData.fieldErrors && (
+        <div className="edit-profile-error">{actionData.error}</div>
+      )}
+      <Form method="patch">
+        <div className="edit-profile-form-group">
+          <span className="edit-profile-label">Avatar</span>
+          <div className="edit-profile-avatar">
+            <Avatar src={avatar || null} name={profile.username} size={64} />
+            <input type="hidden" name="avatar" value={avatar} />
+            <UploadButton
+              label={avatar ? "Change avatar" : "Upload avatar"}
+              disabled={isSubmitting}
+              onUploaded={(attachment) => setAvatar(attachment.url)}
+            />
+            {avatar && (
+              <button
+                type="button"
+                className="edit-profile-remove-button"
+                onClick={() => setAvatar("")}
+                disabled={isSubmitting}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+          <FieldError message={actionData?.fieldErrors?.avatar} />
+        </div>
+        <div className="edit-profile-form-group">
+          <label htmlFor="displayName" className="edit-profile-label">
+            Display name
+          </label>
+          <input
+            type="text"
+            id="displayName"
+            name="displayName"
+            defaultValue={profile.displayName ?? ""}
+            maxLength={50}
+            placeholder={profile.username}
+            className="edit-profile-input"
+            disabled={isSubmitting}
+          />
+          <FieldError message={actionData?.fieldErrors?.displayName} />
+        </div>
+        <div className="edit-profile-form-group">
+          <label htmlFor="bio" className="edit-profile-label">
+            Bio
+          </label>
+          <textarea
+            id="bio"
+            name="bio"
+            defaultValue={profile.bio ?? ""}
+            maxLength={500}
+            rows={5}
+            className="edit-profile-input"
+            disabled={isSubmitting}
+          />
+          <FieldError message={actionData?.fieldErrors?.bio} />
+        </div>
+        <div className="edit-profile-actions">
+          <button
+            type="submit"
+            className="edit-profile-submit-button"
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? "Saving..." : "Save"}
+          </button>
+          <Link to={`/users/${encodeURIComponent(profile.username)}`}>
+            Cancel
+          </Link>
+        </div>
+      </Form>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { Form, Link, useActionData, useNavigation } from "react-router-dom";
+import "./ForgotPasswordPage.css";
+
+export function ForgotPasswordPage() {
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+
+  return (
+    <div className="forgot-password-container">
+      <h1 className="forgot-password-title">Forgot Password</h1>
+      {actionData?.ok ? (
+        <div className="forgot-password-success">
+          If an account exists for that email, we sent it a link to reset the
+          password. The link is valid for one hour.
+        </div>
+      ) : (
+        <>
+          {actionData?.error && (
+            <div className="forgot-password-error">{actionData.error}</div>
+          )}
+          <p>
+            Enter the email address of your account and we will send you a link
+            to choose a new password.
+          </p>
+          <Form method="post">
+            <div className="forgot-password-form-group">
+              <label htmlFor="email" className="forgot-password-label">
+                Email
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                required
+                className="forgot-password-input"
+                disabled={isSubmitting}
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="forgot-password-submit-button"
+            >
+              {isSubmitting ? "Sending..." : "Send reset link"}
+            </button>
+          </Form>
+        </>
+      )}
+      <p className="forgot-password-footer">
+        Remembered it? <Link to="/login">Login</Link>
+      </p>
+    </div>
+  );
+}
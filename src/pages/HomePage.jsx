@@ -1,10 +1,10 @@
-import { useState } from "react";
 import { useLoaderData, useSearchParams } from "react-router-dom";
-import { useQuery } from "@tanstack/react-query";
+import { useInfiniteQuery } from "@tanstack/react-query";
 import { PostFilter } from "../components/PostFilter.jsx";
+import { PostSearch } from "../components/PostSearch.jsx";
 import { PostSorting } from "../components/PostSorting.jsx";
 import { PostList } from "../components/PostList.jsx";
-import { API_BASE_URL } from "../config/api.js";
+import { postsFilters, postsInfiniteQuery } from "../routes/posts.loader.js";
 import "./HomePage.css";
 
 export function HomePage() {
@@ -14,52 +14,58 @@ export function HomePage() {
   const [searchParams, setSearchParams] = useSearchParams();
 
   // Derive filter/sort state from the URL with sensible defaults.
-  const author = searchParams.get("author") || "";
-  const sortBy = searchParams.get("sortBy") || "createdAt";
-  const sortOrder = searchParams.get("sortOrder") || "descending";
+  const filters = postsFilters(searchParams);
+  const { author, tag, tagMatch, createdAfter, createdBefore, q } = filters;
+  const { sortBy, sortOrder } = filters;
 
-  // Use React Query with loader data as initialData
-  const { data } = useQuery({
-    // Cache key includes current filter/sort state.
-    queryKey: ["posts", { author, sortBy, sortOrder }],
-    // Fetch posts from the API using the current query params.
-    // Expected response structure:
-    // [
-    //   {
-    //     id: string | number,
-    //     title: string,
-    //     content: string,
-    //     author: string, // username resolved from the userId on the backend
-    //     createdAt: string,
-    //     updatedAt: string
-    //   },
-    //   ...
-    // ]
-    queryFn: async () => {
-      const response = await fetch(
-        `${API_BASE_URL}/posts?author=${author}&sortBy=${sortBy}&sortOrder=${sortOrder}`,
-        {
-          headers: {
-            "Content-Type": "application/json",
-          },
-        },
-      );
-      if (!response.ok) throw new Error("Failed to fetch posts");
-      return response.json();
-    },
-    initialData: loaderData.posts, // Use loader data as starting point
-    staleTime: 1000 * 60 * 5, // Cache for 5 minutes
-  });
+  // Use React Query with loader data as initialData. Posts are fetched one
+  // page at a time; each page has the shape
+  // {
+  //   posts: [
+  //     {
+  //       _id: string,
+  //       title: string,
+  //       contents: string,
+  //       author: string, // username resolved from the userId on the backend
+  //       createdAt: string,
+  //       updatedAt: string,
+  //       snippet?: [{ text: string, highlight: boolean }] // only when searching
+  //     },
+  //     ...
+  //   ],
+  //   nextCursor: string | null,
+  //   hasMore: boolean
+  // }
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useInfiniteQuery({
+      // Cache key includes current filter/sort state.
+      ...postsInfiniteQuery(filters),
+      initialData: loaderData.posts, // Use loader data as starting point
+    });
 
-  // Normalize data to an array for rendering.
-  const posts = data || [];
+  // Flatten the loaded pages into a single array for rendering.
+  const posts = data?.pages.flatMap((page) => page.posts) ?? [];
 
-  // Update the author filter in the URL.
-  const handleFilterChange = (value) => {
+  // Update a single filter in the URL; empty values remove the param.
+  const handleFilterChange = (name) => (value) => {
     if (value) {
-      searchParams.set("author", value);
+      searchParams.set(name, value);
     } else {
-      searchParams.delete("author");
+      searchParams.delete(name);
+    }
+    setSearchParams(searchParams);
+  };
+
+  // Update the search query in the URL.
+  const handleSearchChange = (value) => {
+    if (value) {
+      searchParams.set("q", value);
+    } else {
+      searchParams.delete("q");
+      // Relevance ordering only exists for searches.
+      if (searchParams.get("sortBy") === "relevance") {
+        searchParams.delete("sortBy");
+      }
     }
     setSearchParams(searchParams);
   };
@@ -79,19 +85,59 @@ export function HomePage() {
   return (
     <div className="home-container">
       <h1 className="home-title">Blog Posts</h1>
+      <div className="home-search-section">
+        {/* Full-text search */}
+        <PostSearch value={q} handleSearchChange={handleSearchChange} />
+      </div>
       <div className="home-filter-section">
         <h3 className="home-filter-title">Filter by:</h3>
-        {/* Author text filter */}
+        {/* Filters combine: author AND tags AND date range */}
         <PostFilter
           field="author"
           value={author}
-          handleTextChange={handleFilterChange}
+          handleTextChange={handleFilterChange("author")}
+        />
+        <PostFilter
+          field="tag"
+          label="tags (comma-separated)"
+          value={tag}
+          handleTextChange={handleFilterChange("tag")}
+        />
+        <div>
+          <label htmlFor="filter-tagMatch">Match tags: </label>
+          <select
+            id="filter-tagMatch"
+            name="filter-tagMatch"
+            value={tagMatch}
+            onChange={(e) => handleFilterChange("tagMatch")(e.target.value)}
+          >
+            <option value="any">Any</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+        <PostFilter
+          field="createdAfter"
+          label="created after"
+          type="date"
+          value={createdAfter}
+          handleTextChange={handleFilterChange("createdAfter")}
+        />
+        <PostFilter
+          field="createdBefore"
+          label="created before"
+          type="date"
+          value={createdBefore}
+          handleTextChange={handleFilterChange("createdBefore")}
         />
       </div>
       <div className="home-sort-section">
         {/* Sorting controls */}
         <PostSorting
-          fields={["createdAt", "updatedAt"]}
+          fields={
+            q
+              ? ["relevance", "createdAt", "updatedAt"]
+              : ["createdAt", "updatedAt"]
+          }
           value={sortBy}
           handleSortBy={handleSortByChange}
           orderValue={sortOrder}
@@ -101,6 +147,16 @@ export function HomePage() {
       <hr className="home-divider" />
       {/* Render the filtered/sorted post list */}
       <PostList posts={posts} />
+      {hasNextPage && (
+        <button
+          type="button"
+          className="home-load-more-button"
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+        >
+          {isFetchingNextPage ? "Loading..." : "Load more"}
+        </button>
+      )}
     </div>
   );
 }
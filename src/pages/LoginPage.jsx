@@ -1,18 +1,41 @@
-import { Form, Link, useActionData, useNavigation } from "react-router-dom";
+import {
+  Form,
+  Link,
+  useActionData,
+  useNavigation,
+  useRouteLoaderData,
+  useSearchParams,
+} from "react-router-dom";
+import { FieldError } from "../components/FieldError.jsx";
 import "./LoginPage.css";
 
 export function LoginPage() {
   const actionData = useActionData();
   const navigation = useNavigation();
   const isSubmitting = navigation.state === "submitting";
+  const authData = useRouteLoaderData("root");
+  const [searchParams] = useSearchParams();
+  const redirectTo = searchParams.get("redirectTo") || "/";
 
   return (
     <div className="login-container">
       <h1 className="login-title">Login</h1>
-      {actionData?.error && (
+      {authData?.sessionExpired && (
+        <div className="login-notice">
+          Your session has expired, please log in again.
+        </div>
+      )}
+      {searchParams.get("reset") && (
+        <div className="login-notice">
+          Your password has been reset. Please log in with the new password.
+        </div>
+      )}
+      {/* Invalid fields are reported next to their inputs instead. */}
+      {actionData?.error && !actionData.fieldErrors && (
         <div className="login-error">{actionData.error}</div>
       )}
       <Form method="post">
+        <input type="hidden" name="redirectTo" value={redirectTo} />
         <div className="login-form-group">
           <label htmlFor="username" className="login-label">
             Username
@@ -25,6 +48,7 @@ export function LoginPage() {
             className="login-input"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.username} />
         </div>
         <div className="login-form-group">
           <label htmlFor="password" className="login-label">
@@ -38,6 +62,7 @@ export function LoginPage() {
             className="login-input"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.password} />
         </div>
         <button
           type="submit"
@@ -47,6 +72,9 @@ export function LoginPage() {
           {isSubmitting ? "Logging in..." : "Login"}
         </button>
       </Form>
+      <p className="login-footer">
+        <Link to="/forgot-password">Forgot your password?</Link>
+      </p>
       <p className="login-footer">
         Don't have an account? <Link to="/signup">Sign Up</Link>
       </p>
@@ -0,0 +1,79 @@
+import {
+  Form,
+  Link,
+  useActionData,
+  useNavigation,
+  useSearchParams,
+} from "react-router-dom";
+import "./ResetPasswordPage.css";
+
+export function ResetPasswordPage() {
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  // The token comes from the link in the reset email.
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  if (!token) {
+    return (
+      <div className="reset-password-container">
+        <h1 className="reset-password-title">Reset Password</h1>
+        <div className="reset-password-error">
+          This reset link is incomplete.{" "}
+          <Link to="/forgot-password">Request a new one</Link>.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="reset-password-container">
+      <h1 className="reset-password-title">Choose a New Password</h1>
+      {actionData?.error && (
+        <div className="reset-password-error">{actionData.error}</div>
+      )}
+      <Form method="post">
+        <input type="hidden" name="token" value={token} />
+        <div className="reset-password-form-group">
+          <label htmlFor="password" className="reset-password-label">
+            New password
+          </label>
+          <input
+            type="password"
+            id="password"
+            name="password"
+            required
+            autoComplete="new-password"
+            className="reset-password-input"
+            disabled={isSubmitting}
+          />
+        </div>
+        <div className="reset-password-form-group">
+          <label htmlFor="confirmPassword" className="reset-password-label">
+            Confirm new password
+          </label>
+          <input
+            type="password"
+            id="confirmPassword"
+            name="confirmPassword"
+            required
+            autoComplete="new-password"
+            className="reset-password-input"
+            disabled={isSubmitting}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="reset-password-submit-button"
+        >
+          {isSubmitting ? "Saving..." : "Set new password"}
+        </button>
+      </Form>
+      <p className="reset-password-footer">
+        Link expired? <Link to="/forgot-password">Request a new one</Link>
+      </p>
+    </div>
+  );
+}
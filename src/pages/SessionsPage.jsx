@@ -0,0 +1,82 @@
+import PropTypes from "prop-types";
+import { Form, useFetcher, useLoaderData } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { sessionsQuery } from "../routes/sessions.loader.js";
+import { describeDevice } from "../utils/device.js";
+import "./SessionsPage.css";
+
+function SessionItem({ session }) {
+  const fetcher = useFetcher();
+  const isRevoking = fetcher.state !== "idle";
+
+  return (
+    <li className="sessions-item">
+      <div>
+        <strong>{describeDevice(session.userAgent)}</strong>
+        {session.current && (
+          <span className="sessions-current-badge">This device</span>
+        )}
+        <div className="sessions-meta">
+          {session.ip && <>IP {session.ip} · </>}
+          Last active {new Date(session.lastUsedAt).toLocaleString()}
+        </div>
+        {fetcher.data?.error && (
+          <p className="sessions-error">{fetcher.data.error}</p>
+        )}
+      </div>
+      {session.current ? (
+        <Form method="post" action="/logout">
+          <button type="submit" className="sessions-revoke-button">
+            Log out
+          </button>
+        </Form>
+      ) : (
+        <fetcher.Form method="delete" action={`/sessions/${session._id}`}>
+          <button
+            type="submit"
+            className="sessions-revoke-button"
+            disabled={isRevoking}
+          >
+            {isRevoking ? "Revoking..." : "Revoke"}
+          </button>
+        </fetcher.Form>
+      )}
+    </li>
+  );
+}
+
+SessionItem.propTypes = {
+  session: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    userAgent: PropTypes.string,
+    ip: PropTypes.string,
+    lastUsedAt: PropTypes.string,
+    current: PropTypes.bool,
+  }).isRequired,
+};
+
+// The devices the user is logged in on. Revoking a session logs that device
+// out immediately; "Sign out everywhere" revokes all of them, this one too.
+export function SessionsPage() {
+  const loaderData = useLoaderData();
+  const { data: sessions } = useQuery({
+    ...sessionsQuery(),
+    initialData: loaderData.sessions,
+  });
+
+  return (
+    <div className="sessions-container">
+      <h1 className="sessions-title">Active Sessions</h1>
+      <ul className="sessions-list">
+        {sessions.map((session) => (
+          <SessionItem key={session._id} session={session} />
+        ))}
+      </ul>
+      <Form method="post" action="/logout-all">
+        <button type="submit" className="sessions-logout-all-button">
+          Sign out everywhere
+        </button>
+      </Form>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { Form, Link, useActionData, useNavigation } from "react-router-dom";
+import { FieldError } from "../components/FieldError.jsx";
 import "./SignUpPage.css";
 
 export function SignUpPage() {
@@ -9,7 +10,8 @@ export function SignUpPage() {
   return (
     <div className="signup-container">
       <h1 className="signup-title">Sign Up</h1>
-      {actionData?.error && (
+      {/* Invalid fields are reported next to their inputs instead. */}
+      {actionData?.error && !actionData.fieldErrors && (
         <div className="signup-error">{actionData.error}</div>
       )}
       <Form method="post">
@@ -25,6 +27,7 @@ export function SignUpPage() {
             className="signup-input"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.username} />
         </div>
         <div className="signup-form-group">
           <label htmlFor="email" className="signup-label">
@@ -38,6 +41,7 @@ export function SignUpPage() {
             className="signup-input"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.email} />
         </div>
         <div className="signup-form-group">
           <label htmlFor="password" className="signup-label">
@@ -51,6 +55,7 @@ export function SignUpPage() {
             className="signup-input"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.password} />
         </div>
         <div className="signup-form-group">
           <label htmlFor="confirmPassword" className="signup-label">
@@ -64,6 +69,7 @@ export function SignUpPage() {
             className="signup-input"
             disabled={isSubmitting}
           />
+          <FieldError message={actionData?.fieldErrors?.confirmPassword} />
         </div>
         <button
           type="submit"
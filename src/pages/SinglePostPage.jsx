@@ -1,39 +1,46 @@
-import { useLoaderData, Link, Form, useParams } from "react-router-dom";
+import { useState } from "react";
+import { useLoaderData, Link, Form, useFetcher } from "react-router-dom";
 import { useQuery } from "@tanstack/react-query";
-import { getCurrentUser } from "../utils/auth.js";
-import { API_BASE_URL } from "../config/api.js";
+import { can, useViewer } from "../utils/policy.js";
+import { backendUrl } from "../config/api.js";
+import { commentsQuery, postQuery } from "../routes/posts.loader.js";
+import { CommentThread } from "../components/CommentThread.jsx";
+import { PostHistory } from "../components/PostHistory.jsx";
+import { Markdown } from "../components/Markdown.jsx";
+import { TagList } from "../components/TagList.jsx";
 import "./SinglePostPage.css";
 
 export function SinglePostPage() {
   // Read initial data provided by the route loader.
   const loaderData = useLoaderData();
-  // Read the post id from the URL params.
-  const { postId } = useParams();
-  // Get the currently authenticated user (if any).
-  const currentUser = getCurrentUser();
+  // The URL names the post by slug; API calls and actions use its id.
+  const postId = loaderData.post._id;
+  // Get the currently authenticated user (if any) and their roles.
+  const viewer = useViewer();
+  // Whether the owner opened the revision history.
+  const [showHistory, setShowHistory] = useState(false);
+  const pinFetcher = useFetcher();
 
   // Use React Query with loader data as initialData
   const { data } = useQuery({
-    // Cache key scoped to the current post id.
-    queryKey: ["post", postId],
-    // Fetch the latest post from the API.
-    queryFn: async () => {
-      const response = await fetch(`${API_BASE_URL}/posts/${postId}`, {
-        headers: {
-          "Content-Type": "application/json",
-        },
-      });
-      if (!response.ok) throw new Error("Post not found");
-      return response.json();
-    },
+    ...postQuery(postId),
     initialData: loaderData.post,
-    staleTime: 1000 * 60 * 5,
+  });
+
+  // Comment thread, kept fresh after comment actions invalidate it.
+  const { data: comments } = useQuery({
+    ...commentsQuery(postId),
+    initialData: loaderData.comments,
   });
 
   // Normalize the post object for rendering.
   const post = data || loaderData.post;
-  // Only the author can edit or delete the post.
-  const isOwner = currentUser && currentUser.username === post.author;
+  // The author and moderators can edit or delete the post (see utils/policy.js).
+  const resource = { author: post.author };
+  const canEdit = can(viewer, "post:edit", resource);
+  const canDelete = can(viewer, "post:delete", resource);
+  const canViewHistory = can(viewer, "post:history", resource);
+  const canPin = can(viewer, "post:pin", resource);
 
   return (
     <div className="single-post-container">
@@ -41,38 +48,109 @@ export function SinglePostPage() {
         ← Back to Blog
       </Link>
       <article className="single-post-article">
-        <h1 className="single-post-title">{post.title}</h1>
-        <p className="single-post-meta">
+        {post.coverImage && (
+          <img
+            src={backendUrl(post.coverImage)}
+            alt=""
+            className="single-post-cover"
+          />
+        )}
+        <h1 className="single-post-title">
+          {post.title}
+          {post.pinned && <span className="single-post-pinned">Pinned</span>}
+        </h1>
+        {/* The date is formatted in the visitor's locale, which a server
+            rendering of this page (see entry-server.jsx) does not know. */}
+        <p className="single-post-meta" suppressHydrationWarning>
           {/* Author is returned as username (resolved on the backend) */}
-          By {post.author} • {new Date(post.createdAt).toLocaleDateString()}
+          By{" "}
+          <Link to={`/users/${encodeURIComponent(post.author)}`}>
+            {post.author}
+          </Link>{" "}
+          • {new Date(post.createdAt).toLocaleDateString()}
           {post.updatedAt !== post.createdAt && " (edited)"}
         </p>
-        <div className="single-post-content">{post.contents}</div>
-        {isOwner && (
-          // Author-only actions (edit/delete)
+        {post.status && post.status !== "published" && (
+          // Only the author (and moderators) can see unpublished posts.
+          <p className="single-post-status">
+            {post.status === "scheduled"
+              ? `Scheduled to be published on ${new Date(post.publishAt).toLocaleString()}.`
+              : `This post is ${post.status === "draft" ? "a draft" : "archived"} and only visible to you.`}
+          </p>
+        )}
+        <TagList tags={post.tags} />
+        {/* Contents are Markdown, rendered to sanitized HTML */}
+        <Markdown source={post.contents} className="single-post-content" />
+        {(canEdit || canDelete || canPin) && (
+          // Author and moderator actions (edit/history/pin/delete)
           <div className="single-post-actions">
-            <Link
-              to={`/posts/${post._id || post.id}/edit`}
-              className="single-post-edit-button"
-            >
-              Edit
-            </Link>
-            <Form method="delete" className="single-post-delete-form">
+            {canEdit && (
+              <Link
+                to={`/posts/${post._id || post.id}/edit`}
+                className="single-post-edit-button"
+              >
+                Edit
+              </Link>
+            )}
+            {canViewHistory && (
               <button
-                type="submit"
-                className="single-post-delete-button"
-                onClick={(e) => {
-                  if (!confirm("Are you sure you want to delete this post?")) {
-                    e.preventDefault();
-                  }
-                }}
+                type="button"
+                className="single-post-history-button"
+                aria-expanded={showHistory}
+                onClick={() => setShowHistory((shown) => !shown)}
               >
-                Delete
+                {showHistory ? "Hide history" : "History"}
               </button>
-            </Form>
+            )}
+            {canPin && (
+              <pinFetcher.Form
+                method={post.pinned ? "delete" : "put"}
+                action={`/posts/${postId}/pin`}
+                className="single-post-pin-form"
+              >
+                <button
+                  type="submit"
+                  className="single-post-pin-button"
+                  disabled={pinFetcher.state !== "idle"}
+                >
+                  {post.pinned ? "Unpin" : "Pin"}
+                </button>
+              </pinFetcher.Form>
+            )}
+            {canDelete && (
+              <Form
+                method="delete"
+                action={`/posts/${postId}/delete`}
+                className="single-post-delete-form"
+              >
+                <button
+                  type="submit"
+                  className="single-post-delete-button"
+                  onClick={(e) => {
+                    if (
+                      !confirm("Are you sure you want to delete this post?")
+                    ) {
+                      e.preventDefault();
+                    }
+                  }}
+                >
+                  Delete
+                </button>
+              </Form>
+            )}
           </div>
         )}
+        {pinFetcher.data?.error && (
+          <p className="single-post-pin-error">{pinFetcher.data.error}</p>
+        )}
       </article>
+      {canViewHistory && showHistory && <PostHistory postId={postId} />}
+      <CommentThread
+        comments={comments || []}
+        postId={postId}
+        postAuthor={post.author}
+        currentUser={viewer}
+      />
     </div>
   );
 }
@@ -0,0 +1,46 @@
+import { useLoaderData, useParams } from "react-router-dom";
+import { useInfiniteQuery } from "@tanstack/react-query";
+import { PostList } from "../components/PostList.jsx";
+import { postsInfiniteQuery } from "../routes/posts.loader.js";
+import { tagFilters } from "../routes/tags.loader.js";
+import "./TagPage.css";
+
+// Every published post with one tag, newest first.
+export function TagPage() {
+  const loaderData = useLoaderData();
+  const { tag } = useParams();
+
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useInfiniteQuery({
+      ...postsInfiniteQuery(tagFilters(tag)),
+      initialData: loaderData.posts,
+    });
+  const posts = data?.pages.flatMap((page) => page.posts) ?? [];
+
+  return (
+    <div className="tag-page-container">
+      <h1 className="tag-page-title">#{tag}</h1>
+      <a
+        href={`/tags/${encodeURIComponent(tag)}/feed.xml`}
+        className="tag-page-feed-link"
+      >
+        RSS feed
+      </a>
+      {posts.length === 0 ? (
+        <p className="tag-page-empty">No posts with this tag yet.</p>
+      ) : (
+        <PostList posts={posts} />
+      )}
+      {hasNextPage && (
+        <button
+          type="button"
+          className="tag-page-load-more-button"
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+        >
+          {isFetchingNextPage ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+}
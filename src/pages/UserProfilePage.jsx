@@ -0,0 +1,74 @@
+import { Link, useLoaderData, useParams } from "react-router-dom";
+import { useInfiniteQuery, useQuery } from "@tanstack/react-query";
+import { PostList } from "../components/PostList.jsx";
+import { Avatar } from "../components/Avatar.jsx";
+import { postsInfiniteQuery } from "../routes/posts.loader.js";
+import { profileFilters, profileQuery } from "../routes/users.loader.js";
+import { useViewer } from "../utils/policy.js";
+import "./UserProfilePage.css";
+
+// Public profile: who the user is and the posts they published.
+export function UserProfilePage() {
+  const loaderData = useLoaderData();
+  const { username } = useParams();
+  const currentUser = useViewer();
+
+  const { data: profile } = useQuery({
+    ...profileQuery(username),
+    initialData: loaderData.profile,
+  });
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useInfiniteQuery({
+      ...postsInfiniteQuery(profileFilters(username)),
+      initialData: loaderData.posts,
+    });
+  const posts = data?.pages.flatMap((page) => page.posts) ?? [];
+  const isOwnProfile = currentUser?.username === profile.username;
+
+  return (
+    <div className="profile-container">
+      <header className="profile-header">
+        <Avatar src={profile.avatar} name={profile.username} />
+        <div>
+          <h1 className="profile-name">
+            {profile.displayName || profile.username}
+          </h1>
+          {/* Formatted in the visitor's locale, unknown to server rendering. */}
+          <p className="profile-meta" suppressHydrationWarning>
+            @{profile.username} • Joined{" "}
+            {new Date(profile.joinedAt).toLocaleDateString()} •{" "}
+            {profile.postCount} {profile.postCount === 1 ? "post" : "posts"}
+          </p>
+          {profile.bio && <p className="profile-bio">{profile.bio}</p>}
+          <a
+            href={`/users/${encodeURIComponent(profile.username)}/feed.xml`}
+            className="profile-feed-link"
+          >
+            RSS feed
+          </a>
+          {isOwnProfile && (
+            <Link to="/settings/profile" className="profile-edit-link">
+              Edit profile
+            </Link>
+          )}
+        </div>
+      </header>
+      <h2 className="profile-posts-title">Posts</h2>
+      {posts.length === 0 ? (
+        <p className="profile-empty">No posts yet.</p>
+      ) : (
+        <PostList posts={posts} />
+      )}
+      {hasNextPage && (
+        <button
+          type="button"
+          className="profile-load-more-button"
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+        >
+          {isFetchingNextPage ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+}
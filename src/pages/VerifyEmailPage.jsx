@@ -0,0 +1,30 @@
+import { Link, useLoaderData } from "react-router-dom";
+import { isAuthenticated } from "../utils/auth.js";
+import "./VerifyEmailPage.css";
+
+export function VerifyEmailPage() {
+  // The loader has already checked the token from the link.
+  const result = useLoaderData();
+
+  return (
+    <div className="verify-email-container">
+      <h1 className="verify-email-title">Email verification</h1>
+      {result.ok ? (
+        <div className="verify-email-success">
+          Thanks, <strong>{result.user.username}</strong>! Your email address is
+          verified and you can now publish posts.{" "}
+          {isAuthenticated() ? (
+            <Link to="/create-post">Write a post</Link>
+          ) : (
+            <Link to="/login">Log in</Link>
+          )}
+        </div>
+      ) : (
+        <div className="verify-email-error">
+          {result.error}. If the link has expired,{" "}
+          <Link to="/check-email">request a new one</Link>.
+        </div>
+      )}
+    </div>
+  );
+}
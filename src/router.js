@@ -0,0 +1,260 @@
+import { QueryClient } from "@tanstack/react-query";
+
+// Layout
+import { Layout } from "./components/Layout.jsx";
+import { AdminLayout } from "./components/AdminLayout.jsx";
+
+// Pages
+import { HomePage } from "./pages/HomePage.jsx";
+import { LoginPage } from "./pages/LoginPage.jsx";
+import { SignUpPage } from "./pages/SignUpPage.jsx";
+import { ForgotPasswordPage } from "./pages/ForgotPasswordPage.jsx";
+import { ResetPasswordPage } from "./pages/ResetPasswordPage.jsx";
+import { CheckEmailPage } from "./pages/CheckEmailPage.jsx";
+import { VerifyEmailPage } from "./pages/VerifyEmailPage.jsx";
+import { CreatePostPage } from "./pages/CreatePostPage.jsx";
+import { SinglePostPage } from "./pages/SinglePostPage.jsx";
+import { EditPostPage } from "./pages/EditPostPage.jsx";
+import { DraftsPage } from "./pages/DraftsPage.jsx";
+import { SessionsPage } from "./pages/SessionsPage.jsx";
+import { UserProfilePage } from "./pages/UserProfilePage.jsx";
+import { EditProfilePage } from "./pages/EditProfilePage.jsx";
+import { TagPage } from "./pages/TagPage.jsx";
+import { AdminDashboardPage } from "./pages/AdminDashboardPage.jsx";
+import { AdminUsersPage } from "./pages/AdminUsersPage.jsx";
+import { AdminPostsPage } from "./pages/AdminPostsPage.jsx";
+
+// Loaders
+import { authLoader, verifyEmailLoader } from "./routes/auth.loader.js";
+import {
+  postsLoader,
+  postLoader,
+  postPageLoader,
+  draftsLoader,
+} from "./routes/posts.loader.js";
+import { sessionsLoader } from "./routes/sessions.loader.js";
+import { profileLoader, editProfileLoader } from "./routes/users.loader.js";
+import { tagLoader } from "./routes/tags.loader.js";
+import {
+  adminLoader,
+  adminStatsLoader,
+  adminUsersLoader,
+  adminPostsLoader,
+} from "./routes/admin.loader.js";
+
+// Actions
+import {
+  loginAction,
+  signupAction,
+  logoutAction,
+  logoutAllAction,
+  forgotPasswordAction,
+  resetPasswordAction,
+  resendVerificationAction,
+} from "./routes/auth.action.js";
+import {
+  createPostAction,
+  updatePostAction,
+  deletePostAction,
+  pinPostAction,
+} from "./routes/posts.action.js";
+import {
+  createCommentAction,
+  commentAction,
+} from "./routes/comments.action.js";
+import { restoreRevisionAction } from "./routes/revisions.action.js";
+import { uploadAction } from "./routes/uploads.action.js";
+import { revokeSessionAction } from "./routes/sessions.action.js";
+import { updateProfileAction } from "./routes/users.action.js";
+import {
+  adminUserAction,
+  adminBulkPostsAction,
+} from "./routes/admin.action.js";
+
+// Page metadata
+import { homeMeta, postMeta, profileMeta, tagMeta } from "./utils/meta.js";
+
+/*
+ * The route tree and query client setup shared by the browser entry (App.jsx)
+ * and server-side rendering (entry-server.jsx). Loaders and actions close
+ * over the query client, so each router gets its own tree. Public pages
+ * declare their title and link preview metadata in `handle.meta` (see
+ * utils/meta.js); the server only renders those pages.
+ */
+
+export function createQueryClient() {
+  return new QueryClient({
+    defaultOptions: {
+      queries: {
+        staleTime: 1000 * 60 * 5, // 5 minutes - data stays fresh
+        cacheTime: 1000 * 60 * 10, // 10 minutes - cache persists
+        refetchOnWindowFocus: false, // Don't refetch when window regains focus
+        refetchOnReconnect: true, // Refetch when internet reconnects
+        retry: 1, // Retry failed requests once
+      },
+    },
+  });
+}
+
+export function createRoutes(queryClient) {
+  return [
+    {
+      path: "/",
+      Component: Layout,
+      loader: authLoader,
+      id: "root",
+      children: [
+        {
+          index: true,
+          Component: HomePage,
+          loader: postsLoader(queryClient),
+          handle: { meta: homeMeta },
+        },
+        {
+          path: "login",
+          Component: LoginPage,
+          action: loginAction,
+        },
+        {
+          path: "signup",
+          Component: SignUpPage,
+          action: signupAction,
+        },
+        {
+          path: "check-email",
+          Component: CheckEmailPage,
+          action: resendVerificationAction,
+        },
+        {
+          path: "verify-email",
+          Component: VerifyEmailPage,
+          loader: verifyEmailLoader,
+        },
+        {
+          path: "forgot-password",
+          Component: ForgotPasswordPage,
+          action: forgotPasswordAction,
+        },
+        {
+          path: "reset-password",
+          Component: ResetPasswordPage,
+          action: resetPasswordAction,
+        },
+        {
+          path: "logout",
+          action: logoutAction,
+        },
+        {
+          path: "logout-all",
+          action: logoutAllAction(queryClient),
+        },
+        {
+          path: "sessions",
+          Component: SessionsPage,
+          loader: sessionsLoader(queryClient),
+        },
+        {
+          path: "sessions/:sessionId",
+          action: revokeSessionAction(queryClient),
+        },
+        {
+          path: "users/:username",
+          Component: UserProfilePage,
+          loader: profileLoader(queryClient),
+          handle: { meta: ({ data }) => profileMeta(data.profile) },
+        },
+        {
+          path: "tags/:tag",
+          Component: TagPage,
+          loader: tagLoader(queryClient),
+          handle: { meta: ({ params }) => tagMeta(params.tag) },
+        },
+        {
+          path: "settings/profile",
+          Component: EditProfilePage,
+          loader: editProfileLoader(queryClient),
+          action: updateProfileAction(queryClient),
+        },
+        {
+          path: "create-post",
+          Component: CreatePostPage,
+          action: createPostAction(queryClient),
+        },
+        {
+          path: "drafts",
+          Component: DraftsPage,
+          loader: draftsLoader(queryClient),
+        },
+        {
+          path: "uploads",
+          action: uploadAction(),
+        },
+        {
+          // Posts are shown by slug; old slugs and ObjectId links redirect.
+          path: "posts/:slug",
+          Component: SinglePostPage,
+          loader: postPageLoader(queryClient),
+          handle: { meta: ({ data }) => postMeta(data.post) },
+        },
+        {
+          // Actions address posts by id.
+          path: "posts/:postId/delete",
+          action: deletePostAction(queryClient),
+        },
+        {
+          path: "posts/:postId/pin",
+          action: pinPostAction(queryClient),
+        },
+        {
+          path: "posts/:postId/comments",
+          action: createCommentAction(queryClient),
+        },
+        {
+          path: "posts/:postId/comments/:commentId",
+          action: commentAction(queryClient),
+        },
+        {
+          path: "posts/:postId/revisions/:revisionId/restore",
+          action: restoreRevisionAction(queryClient),
+        },
+        {
+          path: "posts/:postId/edit",
+          Component: EditPostPage,
+          loader: postLoader(queryClient),
+          action: updatePostAction(queryClient),
+        },
+        {
+          // Admin dashboard: its own layout, admins only (see admin.loader.js).
+          path: "admin",
+          Component: AdminLayout,
+          loader: adminLoader,
+          children: [
+            {
+              index: true,
+              Component: AdminDashboardPage,
+              loader: adminStatsLoader(queryClient),
+            },
+            {
+              path: "users",
+              Component: AdminUsersPage,
+              loader: adminUsersLoader(queryClient),
+            },
+            {
+              path: "users/:userId",
+              action: adminUserAction(queryClient),
+            },
+            {
+              path: "posts",
+              Component: AdminPostsPage,
+              loader: adminPostsLoader(queryClient),
+            },
+            {
+              path: "posts/bulk",
+              action: adminBulkPostsAction(queryClient),
+            },
+          ],
+        },
+      ],
+    },
+  ];
+}
@@ -0,0 +1,109 @@
+import { API_BASE_URL } from "../config/api.js";
+import { authFetch, isAuthenticated } from "../utils/auth.js";
+import { responseError } from "../utils/apiErrors.js";
+
+/*
+ * Admin dashboard forms are submitted with useFetcher, so these actions
+ * return data instead of redirecting. Every change invalidates the "admin"
+ * queries; post changes also refresh the public post caches.
+ */
+
+// Roles for each choice of the role select in the users table.
+const ROLE_CHOICES = {
+  user: [],
+  moderator: ["moderator"],
+  admin: ["admin"],
+};
+
+async function sendAdmin(path, method, body, fallback) {
+  const response = await authFetch(`${API_BASE_URL}/admin${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: body && JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw await responseError(response, fallback);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Action for one row of the users table. PATCH with `intent` "suspend",
+ * "reinstate" or "role" (plus a `role` of user, moderator or admin) updates
+ * the user; DELETE removes the account and everything it owns.
+ */
+export function adminUserAction(queryClient) {
+  return async ({ request, params }) => {
+    if (!isAuthenticated()) {
+      return { error: "You must be logged in to manage users" };
+    }
+
+    const path = `/users/${params.userId}`;
+    try {
+      if (request.method === "DELETE") {
+        await sendAdmin(path, "DELETE", null, "Failed to delete user");
+        // Their posts are gone too.
+        await queryClient.invalidateQueries({ queryKey: ["posts"] });
+      } else if (request.method === "PATCH") {
+        const formData = await request.formData();
+        const intent = formData.get("intent");
+        const body =
+          intent === "role"
+            ? { roles: ROLE_CHOICES[formData.get("role")] ?? [] }
+            : { suspended: intent === "suspend" };
+        await sendAdmin(path, "PATCH", body, "Failed to update user");
+      } else {
+        throw new Error("Invalid request method");
+      }
+
+      await queryClient.invalidateQueries({ queryKey: ["admin"] });
+      return { ok: true };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+}
+
+/**
+ * Action for the bulk buttons of the posts table: the form carries the
+ * selected `ids`, and the button pressed sets `intent` to the bulk action
+ * (delete, unpublish, feature or unfeature)
+ */
+export function adminBulkPostsAction(queryClient) {
+  return async ({ request }) => {
+    if (!isAuthenticated()) {
+      return { error: "You must be logged in to manage posts" };
+    }
+
+    if (request.method !== "POST") {
+      throw new Error("Invalid request method");
+    }
+
+    const formData = await request.formData();
+    const ids = formData.getAll("ids");
+    const action = formData.get("intent");
+    if (ids.length === 0) {
+      return { error: "Select at least one post" };
+    }
+
+    try {
+      const result = await sendAdmin(
+        "/posts/bulk",
+        "POST",
+        { ids, action },
+        "Failed to update posts",
+      );
+
+      await queryClient.invalidateQueries({ queryKey: ["admin"] });
+      await queryClient.invalidateQueries({ queryKey: ["posts"] });
+      for (const id of ids) {
+        queryClient.removeQueries({ queryKey: ["post", id] });
+      }
+      return { ok: true, ...result };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+}
@@ -0,0 +1,164 @@
+import { redirect } from "react-router-dom";
+import { API_BASE_URL } from "../config/api.js";
+import { authFetch, getCurrentRoles, isAuthenticated } from "../utils/auth.js";
+import { responseError } from "../utils/apiErrors.js";
+import { redirectToLogin } from "./auth.loader.js";
+
+/*
+ * Loaders for the admin dashboard (/admin). Every admin route is guarded on
+ * its own: React Router runs the loaders of nested routes in parallel, so a
+ * guard on the parent route alone would not stop the children's requests.
+ * The backend answers 403 anyway; the guard keeps non-admins out of the UI.
+ */
+
+/**
+ * Redirect away from the admin pages unless the user is an admin: anonymous
+ * users go to the login page, everyone else to the home page. Returns null
+ * when access is allowed.
+ */
+export function adminGuard(request) {
+  if (!isAuthenticated()) {
+    return redirectToLogin(request);
+  }
+  if (!getCurrentRoles().includes("admin")) {
+    return redirect("/");
+  }
+  return null;
+}
+
+/**
+ * Loader for the /admin layout route
+ */
+export function adminLoader({ request }) {
+  return adminGuard(request);
+}
+
+async function fetchAdmin(path, fallback) {
+  const response = await authFetch(`${API_BASE_URL}/admin${path}`, {
+    headers: {
+      "Content-Type": "application/json",
+    },
+  });
+  if (!response.ok) {
+    throw await responseError(response, fallback);
+  }
+  return response.json();
+}
+
+/**
+ * Query options for the dashboard statistics of the last `days` days
+ */
+export function adminStatsQuery(days) {
+  return {
+    queryKey: ["admin", "stats", days],
+    queryFn: () => fetchAdmin(`/stats?days=${days}`, "Failed to load stats"),
+    staleTime: 1000 * 60,
+  };
+}
+
+/**
+ * Query options for the admin user list; `q` matches the start of a
+ * username or email
+ */
+export function adminUsersQuery(q) {
+  const params = new URLSearchParams(q ? { q } : {});
+  return {
+    queryKey: ["admin", "users", q],
+    queryFn: () => fetchAdmin(`/users?${params}`, "Failed to load users"),
+    staleTime: 1000 * 60,
+  };
+}
+
+/**
+ * Read the admin posts table filters from URL search params. An empty
+ * `status` lists posts in every publication state.
+ */
+export function adminPostsFilters(searchParams) {
+  return {
+    q: searchParams.get("q") || "",
+    author: searchParams.get("author") || "",
+    status: searchParams.get("status") || "",
+  };
+}
+
+/**
+ * Infinite query options for the admin posts table, newest first. Pages are
+ * the backend's { posts, nextCursor, hasMore } responses.
+ */
+export function adminPostsInfiniteQuery(filters) {
+  return {
+    queryKey: ["admin", "posts", filters],
+    queryFn: ({ pageParam }) => {
+      const params = new URLSearchParams(
+        Object.entries(filters).filter(([, value]) => value),
+      );
+      params.set("limit", "50");
+      if (pageParam) {
+        params.set("cursor", pageParam);
+      }
+      return fetchAdmin(`/posts?${params}`, "Failed to load posts");
+    },
+    initialPageParam: "",
+    getNextPageParam: (lastPage) =>
+      lastPage.hasMore ? lastPage.nextCursor : undefined,
+    staleTime: 1000 * 60,
+  };
+}
+
+// Number of days covered by the dashboard charts.
+export const STATS_DAYS = 30;
+
+/**
+ * Loader for the dashboard overview (summary statistics)
+ */
+export function adminStatsLoader(queryClient) {
+  return async ({ request }) => {
+    const denied = adminGuard(request);
+    if (denied) return denied;
+
+    try {
+      const stats = await queryClient.fetchQuery(adminStatsQuery(STATS_DAYS));
+      return { stats };
+    } catch (error) {
+      throw new Error(`Failed to load stats: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Loader for the users table, searched with ?q=
+ */
+export function adminUsersLoader(queryClient) {
+  return async ({ request }) => {
+    const denied = adminGuard(request);
+    if (denied) return denied;
+
+    const q = new URL(request.url).searchParams.get("q") || "";
+    try {
+      const users = await queryClient.fetchQuery(adminUsersQuery(q));
+      return { users, q };
+    } catch (error) {
+      throw new Error(`Failed to load users: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Loader for the posts table, filtered with ?q=, ?author= and ?status=
+ */
+export function adminPostsLoader(queryClient) {
+  return async ({ request }) => {
+    const denied = adminGuard(request);
+    if (denied) return denied;
+
+    const filters = adminPostsFilters(new URL(request.url).searchParams);
+    try {
+      const posts = await queryClient.fetchInfiniteQuery(
+        adminPostsInfiniteQuery(filters),
+      );
+      return { posts, filters };
+    } catch (error) {
+      throw new Error(`Failed to load posts: ${error.message}`);
+    }
+  };
+}
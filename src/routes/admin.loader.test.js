@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { adminGuard } from "./admin.loader";
+import { setAuthToken, setCurrentUser } from "../utils/auth";
+
+// An unsigned JWT is enough: the client only decodes the claims.
+function fakeToken(claims) {
+  const encode = (value) =>
+    btoa(JSON.stringify(value))
+      .replace(/=+$/, "")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_");
+  const exp = Math.floor(Date.now() / 1000) + 600;
+  return `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ exp, ...claims })}.signature`;
+}
+
+function logInWith(roles) {
+  setCurrentUser({ username: "carol" });
+  setAuthToken(fakeToken({ username: "carol", roles }));
+}
+
+const request = new Request("http://localhost/admin/users?q=bob");
+
+describe("adminGuard", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("sends anonymous visitors to the login page", () => {
+    const response = adminGuard(request);
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get("Location")).toBe(
+      "/login?redirectTo=%2Fadmin%2Fusers%3Fq%3Dbob",
+    );
+  });
+
+  it("sends users without the admin role home", () => {
+    logInWith(["moderator"]);
+
+    const response = adminGuard(request);
+
+    expect(response.headers.get("Location")).toBe("/");
+  });
+
+  it("lets admins through", () => {
+    logInWith(["admin"]);
+
+    expect(adminGuard(request)).toBeNull();
+  });
+});
@@ -1,5 +1,28 @@
 import { redirect } from "react-router-dom";
-import { login, signup, setAuthToken, setCurrentUser } from "../utils/auth.js";
+import {
+  clearAuth,
+  login,
+  logout,
+  logoutEverywhere,
+  requestPasswordReset,
+  resetPassword,
+  resendVerificationEmail,
+  signup,
+} from "../utils/auth.js";
+import { formError } from "../utils/apiErrors.js";
+
+// Only follow same-site paths, so a crafted login link cannot send the user
+// to another site ("//evil.example" is protocol-relative).
+function safeRedirectPath(path) {
+  if (
+    typeof path !== "string" ||
+    !path.startsWith("/") ||
+    path.startsWith("//")
+  ) {
+    return "/";
+  }
+  return path;
+}
 
 /**
  * Action for login form submission
@@ -15,11 +38,11 @@ export async function loginAction({ request }) {
 
   try {
     const result = await login(username, password);
-    // Redirect to home page after successful login
-    return redirect("/");
+    // Return to the page the user came from (home page by default)
+    return redirect(safeRedirectPath(formData.get("redirectTo")));
   } catch (error) {
     // Return error to be displayed in component
-    return { error: error.message };
+    return formError(error);
   }
 }
 
@@ -39,15 +62,87 @@ export async function signupAction({ request }) {
 
   // Validate passwords match
   if (password !== confirmPassword) {
-    return { error: "Passwords do not match" };
+    return {
+      error: "Passwords do not match",
+      fieldErrors: { confirmPassword: "Passwords do not match" },
+    };
   }
 
   try {
     const result = await signup(username, email, password);
+    // The account must be confirmed through the emailed link first
+    if (result.verificationRequired) {
+      return redirect(`/check-email?${new URLSearchParams({ email })}`);
+    }
     // After signup, automatically log in the user
     await login(username, password);
     // Redirect to home page
     return redirect("/");
+  } catch (error) {
+    return formError(error);
+  }
+}
+
+/**
+ * Action for the "resend verification email" button on the check-email page
+ */
+export async function resendVerificationAction({ request }) {
+  if (request.method !== "POST") {
+    throw new Error("Invalid request method");
+  }
+
+  const formData = await request.formData();
+  const email = formData.get("email");
+
+  try {
+    await resendVerificationEmail(email);
+    return { ok: true };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Action for the "forgot password" form
+ */
+export async function forgotPasswordAction({ request }) {
+  if (request.method !== "POST") {
+    throw new Error("Invalid request method");
+  }
+
+  const formData = await request.formData();
+  const email = formData.get("email");
+
+  try {
+    await requestPasswordReset(email);
+    return { ok: true };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Action for the "choose a new password" form reached from a reset email
+ */
+export async function resetPasswordAction({ request }) {
+  if (request.method !== "POST") {
+    throw new Error("Invalid request method");
+  }
+
+  const formData = await request.formData();
+  const token = formData.get("token");
+  const password = formData.get("password");
+  const confirmPassword = formData.get("confirmPassword");
+
+  if (password !== confirmPassword) {
+    return { error: "Passwords do not match" };
+  }
+
+  try {
+    await resetPassword(token, password);
+    // Resetting signs the user out everywhere, this browser included
+    clearAuth();
+    return redirect("/login?reset=1");
   } catch (error) {
     return { error: error.message };
   }
@@ -57,9 +152,19 @@ export async function signupAction({ request }) {
  * Action for logout
  */
 export async function logoutAction() {
-  // Clear auth data
-  localStorage.removeItem("auth_token");
-  localStorage.removeItem("auth_user");
+  // Revoke the session on the backend and clear the stored auth data
+  await logout();
   // Redirect to home
   return redirect("/");
 }
+
+/**
+ * Action for "sign out everywhere"
+ */
+export function logoutAllAction(queryClient) {
+  return async () => {
+    await logoutEverywhere();
+    queryClient.removeQueries({ queryKey: ["sessions"] });
+    return redirect("/login");
+  };
+}
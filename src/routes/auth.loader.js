@@ -1,14 +1,85 @@
-import { getCurrentUser, isAuthenticated } from "../utils/auth.js";
+import { redirect } from "react-router-dom";
+import {
+  expireSession,
+  getAuthToken,
+  getCurrentRoles,
+  getCurrentUser,
+  getRefreshToken,
+  isAuthenticated,
+  isSessionExpired,
+  isTokenExpired,
+  refreshAuth,
+  verifyEmail,
+} from "../utils/auth.js";
 
 /**
  * Loader for auth state
  * Called when app loads to restore user session
- * Returns the current user or null if not authenticated
+ * Returns the current user (and their roles, from the access token) or null
+ * if not authenticated. An expired access
+ * token is renewed first; when that fails the user is treated as logged out
+ * and `sessionExpired` is set so the layout can say so.
  */
 export async function authLoader() {
+  const token = getAuthToken();
+  if (token && isTokenExpired(token)) {
+    if (getRefreshToken()) {
+      // Clears auth and marks the session expired if the token is rejected.
+      await refreshAuth();
+    } else {
+      expireSession();
+    }
+  }
+
   if (isAuthenticated()) {
     const user = getCurrentUser();
-    return { user, isAuthenticated: true };
+    return {
+      user,
+      roles: getCurrentRoles(),
+      isAuthenticated: true,
+      sessionExpired: false,
+    };
+  }
+  return {
+    user: null,
+    roles: [],
+    isAuthenticated: false,
+    sessionExpired: isSessionExpired(),
+  };
+}
+
+/**
+ * Path of the login page that returns the user to `path` afterwards
+ */
+export function loginPath(path) {
+  if (!path || path === "/" || path.startsWith("/login")) {
+    return "/login";
+  }
+  return `/login?${new URLSearchParams({ redirectTo: path })}`;
+}
+
+/**
+ * Redirect a loader request for a page that needs a logged-in user to the
+ * login page, coming back to the requested page after logging in
+ */
+export function redirectToLogin(request) {
+  const url = new URL(request.url);
+  return redirect(loginPath(url.pathname + url.search));
+}
+
+/**
+ * Loader for the page the verification email links to: confirms the token
+ * from the URL. Verifying is idempotent, so revalidating is harmless.
+ */
+export async function verifyEmailLoader({ request }) {
+  const token = new URL(request.url).searchParams.get("token");
+  if (!token) {
+    return { ok: false, error: "This verification link is incomplete" };
+  }
+  try {
+    const user = await verifyEmail(token);
+    return { ok: true, user };
+  } catch (error) {
+    return { ok: false, error: error.message };
   }
-  return { user: null, isAuthenticated: false };
 }
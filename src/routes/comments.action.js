@@ -0,0 +1,151 @@
+import { API_BASE_URL } from "../config/api.js";
+import { authFetch, isAuthenticated } from "../utils/auth.js";
+import { responseError } from "../utils/apiErrors.js";
+
+/*
+ * Comment forms are submitted with useFetcher, so these actions return data
+ * instead of redirecting: the page stays where it is and React Router
+ * revalidates the post loader, which picks up the invalidated comments query.
+ */
+
+/**
+ * Action for posting a comment or a reply (when `parent` is set)
+ */
+export function createCommentAction(queryClient) {
+  return async ({ request, params }) => {
+    if (!isAuthenticated()) {
+      return { error: "You must be logged in to comment" };
+    }
+
+    if (request.method !== "POST") {
+      throw new Error("Invalid request method");
+    }
+
+    const { postId } = params;
+    const formData = await request.formData();
+    const contents = formData.get("contents");
+    const parent = formData.get("parent") || null;
+
+    if (!contents?.trim()) {
+      return { error: "Comment cannot be empty" };
+    }
+
+    try {
+      const response = await authFetch(
+        `${API_BASE_URL}/posts/${postId}/comments`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ contents, parent }),
+        },
+      );
+
+      if (!response.ok) {
+        throw await responseError(response, "Failed to post comment");
+      }
+
+      await queryClient.invalidateQueries({ queryKey: ["comments", postId] });
+      return { ok: true };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+}
+
+/**
+ * Action for editing a comment
+ */
+export function updateCommentAction(queryClient) {
+  return async ({ request, params }) => {
+    if (!isAuthenticated()) {
+      return { error: "You must be logged in to edit a comment" };
+    }
+
+    if (request.method !== "PATCH") {
+      throw new Error("Invalid request method");
+    }
+
+    const { postId, commentId } = params;
+    const formData = await request.formData();
+    const contents = formData.get("contents");
+
+    if (!contents?.trim()) {
+      return { error: "Comment cannot be empty" };
+    }
+
+    try {
+      const response = await authFetch(
+        `${API_BASE_URL}/posts/${postId}/comments/${commentId}`,
+        {
+          method: "PATCH",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ contents }),
+        },
+      );
+
+      if (!response.ok) {
+        throw await responseError(response, "Failed to update comment");
+      }
+
+      await queryClient.invalidateQueries({ queryKey: ["comments", postId] });
+      return { ok: true };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+}
+
+/**
+ * Action for deleting a comment
+ */
+export function deleteCommentAction(queryClient) {
+  return async ({ params }) => {
+    if (!isAuthenticated()) {
+      return { error: "You must be logged in to delete a comment" };
+    }
+
+    const { postId, commentId } = params;
+
+    try {
+      const response = await authFetch(
+        `${API_BASE_URL}/posts/${postId}/comments/${commentId}`,
+        {
+          method: "DELETE",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      if (!response.ok) {
+        throw await responseError(response, "Failed to delete comment");
+      }
+
+      await queryClient.invalidateQueries({ queryKey: ["comments", postId] });
+      return { ok: true };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+}
+
+/**
+ * Action for a single comment route: PATCH edits it, DELETE removes it
+ */
+export function commentAction(queryClient) {
+  const update = updateCommentAction(queryClient);
+  const remove = deleteCommentAction(queryClient);
+  return async (args) => {
+    if (args.request.method === "PATCH") {
+      return update(args);
+    }
+    if (args.request.method === "DELETE") {
+      return remove(args);
+    }
+    throw new Error("Invalid request method");
+  };
+}
@@ -1,6 +1,45 @@
 import { redirect } from "react-router-dom";
 import { API_BASE_URL } from "../config/api.js";
-import { getAuthHeaders, isAuthenticated } from "../utils/auth.js";
+import { authFetch, isAuthenticated } from "../utils/auth.js";
+import { formError, responseError } from "../utils/apiErrors.js";
+import { postPath } from "../utils/posts.js";
+
+/**
+ * Read the publication state from a post form. The form's submit buttons share
+ * name="intent" with the values draft, scheduled, published or archived, and
+ * scheduling also needs the `publishAt` datetime-local input (local time).
+ * Returns { status, publishAt } or { error, fieldErrors }.
+ */
+function publicationFromForm(formData) {
+  const status = formData.get("intent") || "published";
+  if (status !== "scheduled") {
+    return { status };
+  }
+  const publishAt = new Date(formData.get("publishAt") || NaN);
+  if (Number.isNaN(publishAt.getTime())) {
+    return publishAtError("Pick a date and time to schedule the post");
+  }
+  if (publishAt <= new Date()) {
+    return publishAtError("The scheduled time must be in the future");
+  }
+  return { status, publishAt: publishAt.toISOString() };
+}
+
+function publishAtError(message) {
+  return { error: message, fieldErrors: { publishAt: message } };
+}
+
+/**
+ * Check the fields every post needs before sending the form.
+ * Returns { error, fieldErrors }, or null when the form is complete.
+ */
+function missingPostFields(title, contents) {
+  const fieldErrors = {};
+  if (!title?.trim()) fieldErrors.title = "Title is required";
+  if (!contents?.trim()) fieldErrors.contents = "Contents is required";
+  if (Object.keys(fieldErrors).length === 0) return null;
+  return { error: "Title and contents are required", fieldErrors };
+}
 
 /**
  * Action for creating a new post with React Query cache invalidation
@@ -18,36 +57,47 @@ export function createPostAction(queryClient) {
     const formData = await request.formData();
     const title = formData.get("title");
     const contents = formData.get("contents");
-    const author = formData.get("author");
 
-    if (!title || !contents || !author) {
-      return { error: "Title, author, and contents are required" };
+    // The backend derives the author from the JWT, so it is not sent here.
+    const missing = missingPostFields(title, contents);
+    if (missing) {
+      return missing;
+    }
+
+    const publication = publicationFromForm(formData);
+    if (publication.error) {
+      return publication;
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/posts`, {
+      const response = await authFetch(`${API_BASE_URL}/posts`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
-          ...getAuthHeaders(), // Attach JWT Authorization header if present
         },
-        body: JSON.stringify({ title, contents, author }),
+        body: JSON.stringify({
+          title,
+          contents,
+          tags: formData.getAll("tags"),
+          coverImage: formData.get("coverImage") || null,
+          ...publication,
+        }),
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || "Failed to create post");
+        throw await responseError(response, "Failed to create post");
       }
 
       const post = await response.json();
 
-      // Invalidate posts cache to refetch list
+      // Invalidate posts cache to refetch list (including the drafts list)
       await queryClient.invalidateQueries({ queryKey: ["posts"] });
+      await queryClient.invalidateQueries({ queryKey: ["tags"] });
 
-      // Redirect to home page after successful creation
-      return redirect("/");
+      // Published posts show up on the home page; anything else is on "My drafts"
+      return redirect(post.status === "published" ? "/" : "/drafts");
     } catch (error) {
-      return { error: error.message };
+      return formError(error);
     }
   };
 }
@@ -69,25 +119,37 @@ export function updatePostAction(queryClient) {
     const formData = await request.formData();
     const title = formData.get("title");
     const contents = formData.get("contents");
-    const author = formData.get("author");
 
-    if (!title || !contents || !author) {
-      return { error: "Title, author, and contents are required" };
+    // The author is fixed by the backend; only title/contents are editable.
+    const missing = missingPostFields(title, contents);
+    if (missing) {
+      return missing;
+    }
+
+    const publication = publicationFromForm(formData);
+    if (publication.error) {
+      return publication;
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/posts/${postId}`, {
+      const response = await authFetch(`${API_BASE_URL}/posts/${postId}`, {
         method: "PATCH",
         headers: {
           "Content-Type": "application/json",
-          ...getAuthHeaders(), // Attach JWT Authorization header if present
         },
-        body: JSON.stringify({ title, contents, author }),
+        body: JSON.stringify({
+          title,
+          contents,
+          // The form always lists every tag; none left removes them all.
+          tags: formData.getAll("tags"),
+          // An empty value removes the cover image.
+          coverImage: formData.get("coverImage") || null,
+          ...publication,
+        }),
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || "Failed to update post");
+        throw await responseError(response, "Failed to update post");
       }
 
       const post = await response.json();
@@ -95,10 +157,12 @@ export function updatePostAction(queryClient) {
       // Invalidate both the single post and posts list cache
       await queryClient.invalidateQueries({ queryKey: ["post", postId] });
       await queryClient.invalidateQueries({ queryKey: ["posts"] });
+      await queryClient.invalidateQueries({ queryKey: ["tags"] });
 
-      return redirect(`/posts/${post._id || post.id}`);
+      // A new title gives the post a new slug.
+      return redirect(postPath(post));
     } catch (error) {
-      return { error: error.message };
+      return formError(error);
     }
   };
 }
@@ -107,30 +171,33 @@ export function updatePostAction(queryClient) {
  * Action for deleting a post with React Query cache removal
  */
 export function deletePostAction(queryClient) {
-  return async ({ params }) => {
+  return async ({ request, params }) => {
     if (!isAuthenticated()) {
       return { error: "You must be logged in to delete a post" };
     }
 
+    if (request.method !== "DELETE") {
+      throw new Error("Invalid request method");
+    }
+
     const { postId } = params;
 
     try {
-      const response = await fetch(`${API_BASE_URL}/posts/${postId}`, {
+      const response = await authFetch(`${API_BASE_URL}/posts/${postId}`, {
         method: "DELETE",
         headers: {
           "Content-Type": "application/json",
-          ...getAuthHeaders(), // Attach JWT Authorization header if present
         },
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || "Failed to delete post");
+        throw await responseError(response, "Failed to delete post");
       }
 
       // Remove the post from cache and invalidate posts list
       queryClient.removeQueries({ queryKey: ["post", postId] });
       await queryClient.invalidateQueries({ queryKey: ["posts"] });
+      await queryClient.invalidateQueries({ queryKey: ["tags"] });
 
       // Redirect to home page after successful deletion
       return redirect("/");
@@ -139,3 +206,37 @@ export function deletePostAction(queryClient) {
     }
   };
 }
+
+/**
+ * Action for pinning (PUT) or unpinning (DELETE) a post; moderators only.
+ * Submitted with useFetcher, so it returns data instead of redirecting.
+ */
+export function pinPostAction(queryClient) {
+  return async ({ request, params }) => {
+    if (!isAuthenticated()) {
+      return { error: "You must be logged in to pin a post" };
+    }
+
+    if (request.method !== "PUT" && request.method !== "DELETE") {
+      throw new Error("Invalid request method");
+    }
+
+    const { postId } = params;
+
+    try {
+      const response = await authFetch(`${API_BASE_URL}/posts/${postId}/pin`, {
+        method: request.method,
+      });
+
+      if (!response.ok) {
+        throw await responseError(response, "Failed to pin post");
+      }
+
+      await queryClient.invalidateQueries({ queryKey: ["post", postId] });
+      await queryClient.invalidateQueries({ queryKey: ["posts"] });
+      return { ok: true };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+}
@@ -1,79 +1,313 @@
+import { redirect } from "react-router-dom";
 import { API_BASE_URL } from "../config/api.js";
-import { getAuthHeaders } from "../utils/auth.js";
+import { loaderError, responseError } from "../utils/apiErrors.js";
+import { authFetch, getCurrentUser } from "../utils/auth.js";
+import { postPath } from "../utils/posts.js";
+import { redirectToLogin } from "./auth.loader.js";
+
+/**
+ * Read the posts list filters from URL search params, applying defaults.
+ * `tag` is a comma-separated list; `tagMatch` decides whether a post needs
+ * any or all of those tags. Dates are YYYY-MM-DD strings from date inputs.
+ */
+export function postsFilters(searchParams) {
+  const q = searchParams.get("q") || "";
+  return {
+    author: searchParams.get("author") || "",
+    tag: searchParams.get("tag") || "",
+    tagMatch: searchParams.get("tagMatch") || "any",
+    createdAfter: searchParams.get("createdAfter") || "",
+    createdBefore: searchParams.get("createdBefore") || "",
+    q,
+    // Search results are ranked by relevance unless another sort is chosen.
+    sortBy: searchParams.get("sortBy") || (q ? "relevance" : "createdAt"),
+    sortOrder: searchParams.get("sortOrder") || "descending",
+  };
+}
+
+/**
+ * Infinite query options for the paginated posts list.
+ * Shared by postsLoader and HomePage so both use the same cache entry.
+ * Each page is the backend's { posts, nextCursor, hasMore } response.
+ */
+export function postsInfiniteQuery(filters) {
+  return {
+    queryKey: ["posts", filters],
+    queryFn: async ({ pageParam }) => {
+      // Only send the filters that are actually set.
+      const params = new URLSearchParams(
+        Object.entries(filters).filter(([, value]) => value),
+      );
+      if (pageParam) {
+        params.set("cursor", pageParam);
+      }
+      // Send the JWT (if any) so authors can list their own unpublished posts.
+      const response = await authFetch(`${API_BASE_URL}/posts?${params}`, {
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch posts");
+      }
+
+      return response.json();
+    },
+    // The first page has no cursor; later pages continue from nextCursor.
+    initialPageParam: "",
+    getNextPageParam: (lastPage) =>
+      lastPage.hasMore ? lastPage.nextCursor : undefined,
+    staleTime: 1000 * 60 * 5, // Cache for 5 minutes
+  };
+}
 
 /**
  * Loader for blog home page with React Query integration
- * Fetches posts with optional filtering and sorting
+ * Fetches the first page of posts with optional filtering and sorting
  */
 export function postsLoader(queryClient) {
   return async ({ request }) => {
     const url = new URL(request.url);
-    const author = url.searchParams.get("author") || "";
-    const sortBy = url.searchParams.get("sortBy") || "createdAt";
-    const sortOrder = url.searchParams.get("sortOrder") || "descending";
-
-    const queryKey = ["posts", { author, sortBy, sortOrder }];
+    const filters = postsFilters(url.searchParams);
 
     try {
-      const posts = await queryClient.fetchQuery({
-        queryKey,
-        queryFn: async () => {
-          const response = await fetch(
-            `${API_BASE_URL}/posts?author=${author}&sortBy=${sortBy}&sortOrder=${sortOrder}`,
-            {
-              headers: {
-                "Content-Type": "application/json",
-              },
-            },
-          );
-
-          if (!response.ok) {
-            throw new Error("Failed to fetch posts");
-          }
-
-          return response.json();
-        },
-        staleTime: 1000 * 60 * 5, // Cache for 5 minutes
-      });
+      const posts = await queryClient.fetchInfiniteQuery(
+        postsInfiniteQuery(filters),
+      );
 
-      return { posts, filters: { author, sortBy, sortOrder } };
+      return { posts, filters };
     } catch (error) {
       throw new Error(`Failed to load posts: ${error.message}`);
     }
   };
 }
 
+/**
+ * Filters for the "My drafts" page: the current user's unpublished posts,
+ * most recently edited first.
+ */
+export function draftsFilters(username) {
+  return {
+    author: username,
+    status: "draft,scheduled",
+    sortBy: "updatedAt",
+    sortOrder: "descending",
+  };
+}
+
+/**
+ * Loader for the "My drafts" page. Redirects anonymous users to the login page.
+ */
+export function draftsLoader(queryClient) {
+  return async ({ request }) => {
+    const user = getCurrentUser();
+    if (!user) {
+      return redirectToLogin(request);
+    }
+
+    try {
+      const posts = await queryClient.fetchInfiniteQuery(
+        postsInfiniteQuery(draftsFilters(user.username)),
+      );
+
+      return { posts };
+    } catch (error) {
+      throw new Error(`Failed to load drafts: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Query options for the comment thread of a post.
+ * Shared by postLoader and SinglePostPage so both use the same cache entry.
+ * The backend returns a flat, oldest-first list; each comment has a `parent`
+ * id (null for top-level comments).
+ */
+export function commentsQuery(postId) {
+  return {
+    queryKey: ["comments", postId],
+    queryFn: async () => {
+      // Like the post, the thread of a draft is only returned to its author.
+      const response = await authFetch(
+        `${API_BASE_URL}/posts/${postId}/comments`,
+        {
+          headers: {
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch comments");
+      }
+
+      return response.json();
+    },
+    staleTime: 1000 * 60 * 5,
+  };
+}
+
+/**
+ * Query options for the revision history of a post (author only).
+ * Each revision is a prior version { _id, title, contents, tags, editor,
+ * createdAt }, newest first.
+ */
+export function revisionsQuery(postId) {
+  return {
+    queryKey: ["revisions", postId],
+    queryFn: async () => {
+      const response = await authFetch(
+        `${API_BASE_URL}/posts/${postId}/revisions`,
+        {
+          headers: {
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch revisions");
+      }
+
+      return response.json();
+    },
+    staleTime: 1000 * 60 * 5,
+  };
+}
+
+/**
+ * Query options for the diff between two versions of a post. `to` defaults
+ * to "current", the post as it is now.
+ */
+export function revisionDiffQuery(postId, from, to = "current") {
+  return {
+    queryKey: ["revisions", postId, "diff", from, to],
+    queryFn: async () => {
+      const params = new URLSearchParams({ from, to });
+      const response = await authFetch(
+        `${API_BASE_URL}/posts/${postId}/revisions/diff?${params}`,
+        {
+          headers: {
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch revision diff");
+      }
+
+      return response.json();
+    },
+    staleTime: 1000 * 60 * 5,
+  };
+}
+
+/**
+ * Query options for a single post, by id. Shared by the post loaders and
+ * SinglePostPage so both use the same cache entry.
+ */
+export function postQuery(postId) {
+  return {
+    queryKey: ["post", postId],
+    queryFn: async () => {
+      // Drafts are only returned to their author, so send the JWT.
+      const response = await authFetch(`${API_BASE_URL}/posts/${postId}`, {
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+
+      if (!response.ok) {
+        throw await responseError(response, "Post not found");
+      }
+
+      return response.json();
+    },
+    staleTime: 1000 * 60 * 5,
+  };
+}
+
 /**
  * Loader for single post view with React Query integration
+ * Pass { withComments: true } to also load the post's comment thread.
  */
-export function postLoader(queryClient) {
+export function postLoader(queryClient, { withComments = false } = {}) {
   return async ({ params }) => {
     const { postId } = params;
 
-    const queryKey = ["post", postId];
-
     try {
-      const post = await queryClient.fetchQuery({
-        queryKey,
-        queryFn: async () => {
-          const response = await fetch(`${API_BASE_URL}/posts/${postId}`, {
-            headers: {
-              "Content-Type": "application/json",
-            },
-          });
-
-          if (!response.ok) {
-            throw new Error("Post not found");
-          }
-
-          return response.json();
+      const [post, comments] = await Promise.all([
+        queryClient.fetchQuery(postQuery(postId)),
+        withComments ? queryClient.fetchQuery(commentsQuery(postId)) : null,
+      ]);
+
+      return withComments ? { post, comments } : { post };
+    } catch (error) {
+      throw loaderError("post", error);
+    }
+  };
+}
+
+// Links from before slugs existed use the post's ObjectId instead.
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Find the id of the post a slug (or legacy ObjectId) points to. The slug
+ * lookup is cached under ["slugs", slug]; the post itself goes into its
+ * usual ["post", postId] entry, which is what mutations refresh.
+ */
+async function resolvePostId(queryClient, slug) {
+  if (OBJECT_ID_PATTERN.test(slug)) {
+    return slug;
+  }
+  return queryClient.fetchQuery({
+    queryKey: ["slugs", slug],
+    queryFn: async () => {
+      // Old slugs are redirected to the post by the backend.
+      const response = await authFetch(
+        `${API_BASE_URL}/posts/by-slug/${encodeURIComponent(slug)}`,
+        {
+          headers: {
+            "Content-Type": "application/json",
+          },
         },
-        staleTime: 1000 * 60 * 5,
-      });
+      );
+
+      if (!response.ok) {
+        throw await responseError(response, "Post not found");
+      }
+
+      const post = await response.json();
+      queryClient.setQueryData(["post", post._id], post);
+      return post._id;
+    },
+    staleTime: 1000 * 60 * 5,
+  });
+}
+
+/**
+ * Loader for a post's page (/posts/:slug) with its comment thread. Old
+ * slugs and legacy ObjectId links redirect to the post's current slug.
+ */
+export function postPageLoader(queryClient) {
+  return async ({ params }) => {
+    const { slug } = params;
+
+    try {
+      const postId = await resolvePostId(queryClient, slug);
+      const [post, comments] = await Promise.all([
+        queryClient.fetchQuery(postQuery(postId)),
+        queryClient.fetchQuery(commentsQuery(postId)),
+      ]);
 
-      return { post };
+      if (post.slug && post.slug !== slug) {
+        return redirect(postPath(post));
+      }
+      return { post, comments };
     } catch (error) {
-      throw new Error(`Failed to load post: ${error.message}`);
+      throw loaderError("post", error);
     }
   };
 }
@@ -0,0 +1,45 @@
+import { API_BASE_URL } from "../config/api.js";
+import { authFetch, isAuthenticated } from "../utils/auth.js";
+import { responseError } from "../utils/apiErrors.js";
+
+/**
+ * Action for restoring a prior version of a post. Submitted with useFetcher
+ * from the history view, so it returns data instead of redirecting.
+ */
+export function restoreRevisionAction(queryClient) {
+  return async ({ request, params }) => {
+    if (!isAuthenticated()) {
+      return { error: "You must be logged in to restore a revision" };
+    }
+
+    if (request.method !== "POST") {
+      throw new Error("Invalid request method");
+    }
+
+    const { postId, revisionId } = params;
+
+    try {
+      const response = await authFetch(
+        `${API_BASE_URL}/posts/${postId}/revisions/${revisionId}/restore`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      if (!response.ok) {
+        throw await responseError(response, "Failed to restore revision");
+      }
+
+      // The post changed and the replaced version joined the history.
+      await queryClient.invalidateQueries({ queryKey: ["post", postId] });
+      await queryClient.invalidateQueries({ queryKey: ["posts"] });
+      await queryClient.invalidateQueries({ queryKey: ["revisions", postId] });
+      return { ok: true };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+}
@@ -0,0 +1,41 @@
+import { API_BASE_URL } from "../config/api.js";
+import { authFetch, isAuthenticated } from "../utils/auth.js";
+import { responseError } from "../utils/apiErrors.js";
+
+/**
+ * Action for revoking one of the user's sessions (signing a device out).
+ * Submitted with useFetcher from the sessions page, so it returns data
+ * instead of redirecting.
+ */
+export function revokeSessionAction(queryClient) {
+  return async ({ request, params }) => {
+    if (!isAuthenticated()) {
+      return { error: "You must be logged in to manage sessions" };
+    }
+
+    if (request.method !== "DELETE") {
+      throw new Error("Invalid request method");
+    }
+
+    try {
+      const response = await authFetch(
+        `${API_BASE_URL}/user/sessions/${params.sessionId}`,
+        {
+          method: "DELETE",
+          headers: {
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      if (!response.ok) {
+        throw await responseError(response, "Failed to revoke session");
+      }
+
+      await queryClient.invalidateQueries({ queryKey: ["sessions"] });
+      return { ok: true };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import { API_BASE_URL } from "../config/api.js";
+import { authFetch, isAuthenticated } from "../utils/auth.js";
+import { redirectToLogin } from "./auth.loader.js";
+
+/**
+ * Query options for the current user's active sessions (logged-in devices).
+ * Each session has `userAgent`, `ip`, `createdAt`, `lastUsedAt` and a
+ * `current` flag marking the session this browser is using.
+ */
+export function sessionsQuery() {
+  return {
+    queryKey: ["sessions"],
+    queryFn: async () => {
+      const response = await authFetch(`${API_BASE_URL}/user/sessions`, {
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to fetch sessions");
+      }
+
+      return response.json();
+    },
+    staleTime: 1000 * 60,
+  };
+}
+
+/**
+ * Loader for the sessions page (authenticated users only)
+ */
+export function sessionsLoader(queryClient) {
+  return async ({ request }) => {
+    if (!isAuthenticated()) {
+      return redirectToLogin(request);
+    }
+
+    try {
+      const sessions = await queryClient.fetchQuery(sessionsQuery());
+      return { sessions };
+    } catch (error) {
+      throw new Error(`Failed to load sessions: ${error.message}`);
+    }
+  };
+}
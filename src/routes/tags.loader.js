@@ -0,0 +1,63 @@
+import { redirect } from "react-router-dom";
+import { API_BASE_URL } from "../config/api.js";
+import { responseError } from "../utils/apiErrors.js";
+import { normalizeTag, tagPath } from "../utils/tags.js";
+import { postsInfiniteQuery } from "./posts.loader.js";
+
+/**
+ * Query options for the tag index: every tag on a published post with its
+ * post count, most used first ([{ tag, count }]). Used for autocompletion.
+ */
+export function tagsQuery() {
+  return {
+    queryKey: ["tags"],
+    queryFn: async () => {
+      const response = await fetch(`${API_BASE_URL}/tags`, {
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+
+      if (!response.ok) {
+        throw await responseError(response, "Failed to fetch tags");
+      }
+
+      return response.json();
+    },
+    staleTime: 1000 * 60 * 5,
+  };
+}
+
+/**
+ * Filters for the post list of a tag page, newest first. Lives under the
+ * "posts" cache key like every post list.
+ */
+export function tagFilters(tag) {
+  return {
+    tag,
+    sortBy: "createdAt",
+    sortOrder: "descending",
+  };
+}
+
+/**
+ * Loader for a tag page (/tags/:tag). Tags are stored normalized, so other
+ * spellings (/tags/JavaScript) redirect to the normalized URL.
+ */
+export function tagLoader(queryClient) {
+  return async ({ params }) => {
+    const tag = normalizeTag(params.tag);
+    if (tag !== params.tag) {
+      return redirect(tag ? tagPath(tag) : "/");
+    }
+
+    try {
+      const posts = await queryClient.fetchInfiniteQuery(
+        postsInfiniteQuery(tagFilters(tag)),
+      );
+      return { posts };
+    } catch (error) {
+      throw new Error(`Failed to load posts: ${error.message}`);
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import { API_BASE_URL } from "../config/api.js";
+import { authFetch, isAuthenticated } from "../utils/auth.js";
+import { responseError } from "../utils/apiErrors.js";
+
+/**
+ * Action for uploading a file (cover images and images inserted into posts).
+ * Submitted with useFetcher as multipart/form-data, so it returns the created
+ * attachment ({ attachment }) or { error } instead of redirecting.
+ */
+export function uploadAction() {
+  return async ({ request }) => {
+    if (!isAuthenticated()) {
+      return { error: "You must be logged in to upload files" };
+    }
+
+    if (request.method !== "POST") {
+      throw new Error("Invalid request method");
+    }
+
+    const formData = await request.formData();
+    const file = formData.get("file");
+
+    if (!file || !file.size) {
+      return { error: "Choose a file to upload" };
+    }
+
+    try {
+      const body = new FormData();
+      body.append("file", file);
+      // No Content-Type header: fetch sets the multipart boundary itself;
+      // authFetch only adds the Authorization header.
+      const response = await authFetch(`${API_BASE_URL}/uploads`, {
+        method: "POST",
+        body,
+      });
+
+      if (!response.ok) {
+        throw await responseError(response, "Failed to upload file");
+      }
+
+      return { attachment: await response.json() };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+}
@@ -0,0 +1,48 @@
+import { redirect } from "react-router-dom";
+import { API_BASE_URL } from "../config/api.js";
+import { authFetch, isAuthenticated } from "../utils/auth.js";
+import { formError, responseError } from "../utils/apiErrors.js";
+
+/**
+ * Action for the "Edit profile" form: saves the display name, bio and
+ * avatar through PATCH /user/me and shows the updated profile
+ */
+export function updateProfileAction(queryClient) {
+  return async ({ request }) => {
+    if (!isAuthenticated()) {
+      return { error: "You must be logged in to edit your profile" };
+    }
+
+    if (request.method !== "PATCH") {
+      throw new Error("Invalid request method");
+    }
+
+    const formData = await request.formData();
+
+    try {
+      const response = await authFetch(`${API_BASE_URL}/user/me`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          // Empty values clear the field.
+          displayName: formData.get("displayName") || null,
+          bio: formData.get("bio") || null,
+          avatar: formData.get("avatar") || null,
+        }),
+      });
+
+      if (!response.ok) {
+        throw await responseError(response, "Failed to update profile");
+      }
+
+      const profile = await response.json();
+      queryClient.setQueryData(["profile", profile.username], profile);
+
+      return redirect(`/users/${encodeURIComponent(profile.username)}`);
+    } catch (error) {
+      return formError(error);
+    }
+  };
+}
@@ -0,0 +1,85 @@
+import { API_BASE_URL } from "../config/api.js";
+import { getCurrentUser } from "../utils/auth.js";
+import { loaderError, responseError } from "../utils/apiErrors.js";
+import { redirectToLogin } from "./auth.loader.js";
+import { postsInfiniteQuery } from "./posts.loader.js";
+
+/**
+ * Query options for a user's public profile ({ username, displayName, bio,
+ * avatar, joinedAt, postCount }). Shared by the profile loaders and pages.
+ */
+export function profileQuery(username) {
+  return {
+    queryKey: ["profile", username],
+    queryFn: async () => {
+      const response = await fetch(
+        `${API_BASE_URL}/user/${encodeURIComponent(username)}`,
+        {
+          headers: {
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      if (!response.ok) {
+        throw await responseError(response, "Failed to fetch profile");
+      }
+
+      return response.json();
+    },
+    staleTime: 1000 * 60 * 5,
+  };
+}
+
+/**
+ * Filters for the post list of a profile page: the user's published posts,
+ * newest first. Lives under the "posts" cache key like every post list.
+ */
+export function profileFilters(username) {
+  return {
+    author: username,
+    sortBy: "createdAt",
+    sortOrder: "descending",
+  };
+}
+
+/**
+ * Loader for a public profile page (/users/:username)
+ */
+export function profileLoader(queryClient) {
+  return async ({ params }) => {
+    const { username } = params;
+
+    try {
+      const [profile, posts] = await Promise.all([
+        queryClient.fetchQuery(profileQuery(username)),
+        queryClient.fetchInfiniteQuery(
+          postsInfiniteQuery(profileFilters(username)),
+        ),
+      ]);
+      return { profile, posts };
+    } catch (error) {
+      throw loaderError("profile", error);
+    }
+  };
+}
+
+/**
+ * Loader for the "Edit profile" page: the current user's profile.
+ * Redirects anonymous users to the login page.
+ */
+export function editProfileLoader(queryClient) {
+  return async ({ request }) => {
+    const user = getCurrentUser();
+    if (!user) {
+      return redirectToLogin(request);
+    }
+
+    try {
+      const profile = await queryClient.fetchQuery(profileQuery(user.username));
+      return { profile };
+    } catch (error) {
+      throw new Error(`Failed to load profile: ${error.message}`);
+    }
+  };
+}
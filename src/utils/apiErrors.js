@@ -0,0 +1,67 @@
+/*
+ * Errors returned by the API. Every failed request is answered with an
+ * RFC 7807 problem document (application/problem+json); invalid requests
+ * also list every invalid field:
+ *
+ *   {
+ *     title: "Bad Request",
+ *     status: 400,
+ *     detail: "Title is required",
+ *     errors: [{ location, field, message }],
+ *     requestId: "..."
+ *   }
+ *
+ * Forms show `fieldErrors` next to the matching inputs and the detail on top.
+ */
+
+/**
+ * Map the API's `errors` list to { field: message }, keeping the first
+ * message of each field. Returns undefined when there are no field errors.
+ */
+export function toFieldErrors(errors) {
+  if (!Array.isArray(errors) || errors.length === 0) return undefined;
+  const fieldErrors = {};
+  for (const { field, message } of errors) {
+    // Nested paths ("tags.0") belong to their top-level input.
+    const name = field?.split(".")[0];
+    if (name && !(name in fieldErrors)) {
+      fieldErrors[name] = message;
+    }
+  }
+  return fieldErrors;
+}
+
+/**
+ * Build an Error from a failed API response. The message is the problem's
+ * `detail` (or `fallback` when the body is not a problem document),
+ * `fieldErrors` holds the invalid fields, if any, and `status`/`requestId`
+ * help with bug reports.
+ */
+export async function responseError(response, fallback) {
+  const problem = await response.json().catch(() => ({}));
+  const error = new Error(problem.detail || fallback);
+  error.status = response.status;
+  error.requestId = problem.requestId;
+  error.fieldErrors = toFieldErrors(problem.errors);
+  return error;
+}
+
+/**
+ * Error thrown by a loader that could not load `what` because of `error`.
+ * The API's status is kept, so the server can answer a post or profile that
+ * does not exist with a 404 (see src/entry-server.jsx).
+ */
+export function loaderError(what, error) {
+  const wrapped = new Error(`Failed to load ${what}: ${error.message}`, {
+    cause: error,
+  });
+  wrapped.status = error.status;
+  return wrapped;
+}
+
+/**
+ * Action data for a failed form submission: { error, fieldErrors }.
+ */
+export function formError(error) {
+  return { error: error.message, fieldErrors: error.fieldErrors };
+}
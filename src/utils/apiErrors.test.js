@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import { formError, responseError, toFieldErrors } from "./apiErrors";
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+describe("toFieldErrors", () => {
+  it("keeps the first message of each top-level field", () => {
+    expect(
+      toFieldErrors([
+        { location: "body", field: "title", message: "Title is required" },
+        { location: "body", field: "tags.0", message: "Tags must be strings" },
+        { location: "body", field: "tags.1", message: "Tags must be strings" },
+      ]),
+    ).toEqual({
+      title: "Title is required",
+      tags: "Tags must be strings",
+    });
+  });
+
+  it("returns undefined without field errors", () => {
+    expect(toFieldErrors(undefined)).toBeUndefined();
+    expect(toFieldErrors([])).toBeUndefined();
+  });
+});
+
+describe("responseError", () => {
+  it("carries the problem detail and the field errors", async () => {
+    const error = await responseError(
+      jsonResponse(400, {
+        type: "about:blank",
+        title: "Bad Request",
+        status: 400,
+        detail: "Username is already taken",
+        requestId: "req-1",
+        errors: [
+          {
+            location: "body",
+            field: "username",
+            message: "Username is already taken",
+          },
+        ],
+      }),
+      "Signup failed",
+    );
+
+    expect(error.message).toBe("Username is already taken");
+    expect(error.status).toBe(400);
+    expect(error.requestId).toBe("req-1");
+    expect(formError(error)).toEqual({
+      error: "Username is already taken",
+      fieldErrors: { username: "Username is already taken" },
+    });
+  });
+
+  it("falls back when the body is not JSON", async () => {
+    const error = await responseError(
+      new Response("Internal Server Error", { status: 500 }),
+      "Failed to create post",
+    );
+
+    expect(error.message).toBe("Failed to create post");
+    expect(error.fieldErrors).toBeUndefined();
+  });
+});
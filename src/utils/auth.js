@@ -1,4 +1,6 @@
+import { jwtDecode } from "jwt-decode";
 import { API_BASE_URL } from "../config/api.js";
+import { responseError } from "./apiErrors.js";
 
 /**
  * FRONTEND AUTHENTICATION UTILITIES
@@ -15,12 +17,37 @@ import { API_BASE_URL } from "../config/api.js";
  * 1. User submits credentials in login form
  * 2. login() sends HTTP request to backend API
  * 3. Backend validates credentials and returns { token, user }
- * 4. Frontend stores token + user in localStorage
+ * 4. Frontend stores token + refresh token + user in localStorage
  * 5. Token is sent with all subsequent API requests via Authorization header
+ *    (use authFetch(), which adds it)
+ * 6. Access tokens are short-lived: when a request comes back 401, authFetch()
+ *    trades the refresh token for a new pair (POST /user/refresh) and retries
+ * 7. logout() revokes the session on the backend before clearing localStorage
+ * 8. scheduleTokenRefresh() renews the access token shortly before it expires
+ *    (read from its `exp` claim); when that is no longer possible the session
+ *    is marked as expired so the UI can ask the user to log in again
+ * 9. Tabs share the stored tokens, so only one tab at a time refreshes them
+ *    (a Web Lock); the others wait and then use the tokens it stored
+ *
+ * There is no storage during server-side rendering (see src/entry-server.jsx):
+ * the getters below then report an anonymous visitor.
  */
 
 const TOKEN_KEY = "auth_token";
 const USER_KEY = "auth_user";
+const REFRESH_TOKEN_KEY = "auth_refresh_token";
+// sessionStorage: the notice only matters to the tab that was logged in.
+const SESSION_EXPIRED_KEY = "auth_session_expired";
+
+// Renew access tokens this long before they expire, to absorb clock skew and
+// request latency.
+const REFRESH_LEEWAY_MS = 60 * 1000;
+// Web Lock held while refreshing, so the tabs of the browser take turns.
+const REFRESH_LOCK = "auth_refresh";
+// Wait before retrying a refresh that failed for lack of network.
+const REFRESH_RETRY_MS = 30 * 1000;
+// setTimeout overflows above 2^31 - 1 ms (about 24.8 days).
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
 
 /**
  * Store auth token in localStorage
@@ -35,7 +62,23 @@ export function setAuthToken(token) {
  * Retrieve auth token from localStorage
  */
 export function getAuthToken() {
-  return localStorage.getItem(TOKEN_KEY);
+  return globalThis.localStorage?.getItem(TOKEN_KEY) ?? null;
+}
+
+/**
+ * Store refresh token in localStorage
+ */
+export function setRefreshToken(token) {
+  if (token) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, token);
+  }
+}
+
+/**
+ * Retrieve refresh token from localStorage
+ */
+export function getRefreshToken() {
+  return globalThis.localStorage?.getItem(REFRESH_TOKEN_KEY) ?? null;
 }
 
 /**
@@ -51,7 +94,7 @@ export function setCurrentUser(user) {
  * Retrieve user data from localStorage
  */
 export function getCurrentUser() {
-  const user = localStorage.getItem(USER_KEY);
+  const user = globalThis.localStorage?.getItem(USER_KEY);
   return user ? JSON.parse(user) : null;
 }
 
@@ -61,6 +104,63 @@ export function getCurrentUser() {
 export function clearAuth() {
   localStorage.removeItem(TOKEN_KEY);
   localStorage.removeItem(USER_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  sessionStorage.removeItem(SESSION_EXPIRED_KEY);
+}
+
+/**
+ * Clear auth data because the session ran out (rather than the user logging
+ * out), remembering it so a "session expired" notice can be shown
+ */
+export function expireSession() {
+  clearAuth();
+  sessionStorage.setItem(SESSION_EXPIRED_KEY, "1");
+}
+
+/**
+ * Whether this tab's session expired since the user last logged in or out
+ */
+export function isSessionExpired() {
+  return globalThis.sessionStorage?.getItem(SESSION_EXPIRED_KEY) === "1";
+}
+
+/**
+ * Expiry time of a JWT in milliseconds since the epoch, or null when the
+ * token is missing, malformed or has no `exp` claim
+ */
+export function getTokenExpiry(token) {
+  if (!token) return null;
+  try {
+    const { exp } = jwtDecode(token);
+    return typeof exp === "number" ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a JWT has expired, or will within `leewayMs`. Tokens that cannot
+ * be decoded count as expired.
+ */
+export function isTokenExpired(token, leewayMs = 0) {
+  const expiry = getTokenExpiry(token);
+  return expiry === null || expiry - leewayMs <= Date.now();
+}
+
+/**
+ * Roles of the logged-in user ("moderator", "admin"), read from the access
+ * token's claims so they follow the backend: a granted role shows up after
+ * the next token refresh, a removed one ends the session.
+ */
+export function getCurrentRoles() {
+  const token = getAuthToken();
+  if (!token) return [];
+  try {
+    const { roles } = jwtDecode(token);
+    return Array.isArray(roles) ? roles : [];
+  } catch {
+    return [];
+  }
 }
 
 /**
@@ -86,13 +186,14 @@ export async function login(username, password) {
   });
 
   if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(errorData.error || "Login failed");
+    throw await responseError(response, "Login failed");
   }
 
   const data = await response.json();
   setAuthToken(data.token); // Store JWT token for API requests
+  setRefreshToken(data.refreshToken); // Store refresh token to renew it
   setCurrentUser(data.user); // Store user profile data
+  sessionStorage.removeItem(SESSION_EXPIRED_KEY); // Dismiss any expiry notice
   return data;
 }
 
@@ -107,27 +208,126 @@ export async function signup(username, email, password) {
   });
 
   if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(errorData.error || "Signup failed");
+    throw await responseError(response, "Signup failed");
   }
 
   const data = await response.json();
   return data;
 }
 
+/**
+ * Confirm an email address with the token from the verification email
+ * Resolves to the updated user.
+ */
+export async function verifyEmail(token) {
+  const response = await fetch(`${API_BASE_URL}/user/verify-email`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token }),
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, "Email verification failed");
+  }
+
+  const user = await response.json();
+  // Keep the stored profile in sync when the user verified while logged in
+  const currentUser = getCurrentUser();
+  if (currentUser?._id === user._id) {
+    setCurrentUser({ ...currentUser, emailVerified: true });
+  }
+  return user;
+}
+
+/**
+ * Ask for a new verification email to be sent to `email`
+ */
+export async function resendVerificationEmail(email) {
+  const response = await fetch(`${API_BASE_URL}/user/resend-verification`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email }),
+  });
+
+  if (!response.ok) {
+    throw await responseError(
+      response,
+      "Could not resend the verification email",
+    );
+  }
+}
+
+/**
+ * Ask for a password reset link to be emailed to `email`
+ * The backend answers the same way whether or not the address is registered.
+ */
+export async function requestPasswordReset(email) {
+  const response = await fetch(`${API_BASE_URL}/user/forgot-password`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email }),
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, "Could not request a password reset");
+  }
+}
+
+/**
+ * Set a new password with the token from a reset email
+ */
+export async function resetPassword(token, password) {
+  const response = await fetch(`${API_BASE_URL}/user/reset-password`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token, password }),
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, "Password reset failed");
+  }
+}
+
+// Ask the backend to revoke the session(s), then forget the tokens locally.
+// Local auth data is cleared even when the request fails (e.g. offline), so
+// the user is never stuck logged in.
+async function endSession(path) {
+  try {
+    if (getAuthToken()) {
+      await authFetch(`${API_BASE_URL}${path}`, { method: "POST" });
+    }
+  } catch {
+    // Ignore network errors: the tokens are dropped below either way.
+  } finally {
+    clearAuth();
+  }
+}
+
 /**
  * Logout user
+ * Revokes the current session on the backend, so its tokens stop working
+ * immediately, and clears the stored auth data.
  */
 export function logout() {
-  clearAuth();
+  return endSession("/user/logout");
+}
+
+/**
+ * Sign out everywhere: revoke every session of the user, on all devices
+ */
+export function logoutEverywhere() {
+  return endSession("/user/logout-all");
 }
 
 /**
  * Check if user is authenticated
+ * An expired access token only counts while there is a refresh token to
+ * renew it with.
  */
 export function isAuthenticated() {
-  // !! coerces the token value to a strict boolean (true if token exists, false otherwise)
-  return !!getAuthToken();
+  const token = getAuthToken();
+  if (!token) return false;
+  return !isTokenExpired(token) || !!getRefreshToken();
 }
 
 /**
@@ -138,3 +338,137 @@ export function getAuthHeaders() {
   // Provide Authorization header when a JWT token is available; otherwise return empty headers
   return token ? { Authorization: `Bearer ${token}` } : {};
 }
+
+// The refresh in flight, shared so concurrent 401s only refresh once (the
+// backend treats a second use of the same refresh token as theft).
+let refreshPromise = null;
+
+async function requestNewTokens(refreshToken) {
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}/user/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+  } catch {
+    // Offline or backend unreachable: keep the session for a later retry.
+    return false;
+  }
+
+  if (!response.ok) {
+    // Another tab may have rotated the token in the meantime.
+    if (getRefreshToken() !== refreshToken) return true;
+    // Only a rejected refresh token ends the session; a rate limit or server
+    // error is retried later like a network failure.
+    if (response.status === 401 || response.status === 403) {
+      expireSession();
+    }
+    return false;
+  }
+
+  const data = await response.json();
+  setAuthToken(data.token);
+  setRefreshToken(data.refreshToken);
+  return true;
+}
+
+// Run `task` holding the refresh lock. Browsers without Web Locks run it
+// right away and rely on the backend accepting a token that was just rotated.
+function withRefreshLock(task) {
+  const locks = globalThis.navigator?.locks;
+  return locks ? locks.request(REFRESH_LOCK, task) : task();
+}
+
+/**
+ * Trade the stored refresh token for a new access token and refresh token.
+ * Resolves to true when new tokens were stored, here or by another tab; on
+ * a rejected refresh token (401/403) the stored auth data is cleared and the
+ * session is marked as expired. Other failures keep the session.
+ */
+export function refreshAuth() {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+    refreshPromise = withRefreshLock(() => {
+      const current = getRefreshToken();
+      if (!current) return false;
+      // Another tab refreshed while this one waited for the lock.
+      if (current !== refreshToken) return true;
+      return requestNewTokens(current);
+    }).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+/**
+ * fetch() for backend API calls that need the user's identity.
+ * Adds the Authorization header and, when the access token has expired
+ * (401), refreshes it once and retries the request.
+ */
+export async function authFetch(url, options = {}) {
+  const send = () =>
+    fetch(url, {
+      ...options,
+      headers: { ...options.headers, ...getAuthHeaders() },
+    });
+
+  const token = getAuthToken();
+  const response = await send();
+  if (response.status !== 401 || !token) {
+    return response;
+  }
+
+  // Another request (or tab) may already have refreshed the token.
+  const refreshed = getAuthToken() !== token || (await refreshAuth());
+  return refreshed ? send() : response;
+}
+
+/**
+ * Keep the access token fresh: shortly before it expires, trade the refresh
+ * token for a new one, and repeat for every new token. When the session
+ * cannot be renewed (refresh token rejected or missing), the stored auth data
+ * is cleared and `onExpired` is called.
+ * Returns a function that cancels the schedule.
+ */
+export function scheduleTokenRefresh(onExpired) {
+  let timer = null;
+
+  const schedule = (delay) => {
+    timer = setTimeout(run, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY_MS));
+  };
+
+  const scheduleForCurrentToken = () => {
+    const expiry = getTokenExpiry(getAuthToken());
+    if (expiry !== null) {
+      schedule(expiry - REFRESH_LEEWAY_MS - Date.now());
+    }
+  };
+
+  async function run() {
+    const token = getAuthToken();
+    if (!token) return;
+    // Another tab may already have renewed the token.
+    if (!isTokenExpired(token, REFRESH_LEEWAY_MS)) {
+      scheduleForCurrentToken();
+      return;
+    }
+
+    if (getRefreshToken() && (await refreshAuth())) {
+      scheduleForCurrentToken();
+    } else if (!getAuthToken()) {
+      // The refresh token was rejected and auth has been cleared.
+      onExpired();
+    } else if (!getRefreshToken()) {
+      expireSession();
+      onExpired();
+    } else {
+      // The backend could not be reached; try again later.
+      schedule(REFRESH_RETRY_MS);
+    }
+  }
+
+  scheduleForCurrentToken();
+  return () => clearTimeout(timer);
+}
@@ -0,0 +1,290 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  authFetch,
+  getAuthToken,
+  getRefreshToken,
+  isAuthenticated,
+  isSessionExpired,
+  isTokenExpired,
+  logout,
+  scheduleTokenRefresh,
+  setAuthToken,
+  setRefreshToken,
+} from "./auth";
+
+// An unsigned JWT is enough: the client only decodes the claims.
+function fakeToken(expiresInSeconds) {
+  const encode = (value) =>
+    btoa(JSON.stringify(value))
+      .replace(/=+$/, "")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_");
+  const exp = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  return `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ exp })}.signature`;
+}
+
+function jsonResponse(status, body = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+describe("authFetch", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    setAuthToken("expired-token");
+    setRefreshToken("refresh-1");
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("refreshes the access token on a 401 and retries", async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(401))
+      .mockResolvedValueOnce(
+        jsonResponse(200, { token: "fresh-token", refreshToken: "refresh-2" }),
+      )
+      .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const response = await authFetch("/api/thing");
+
+    expect(response.status).toBe(200);
+    expect(getAuthToken()).toBe("fresh-token");
+    expect(getRefreshToken()).toBe("refresh-2");
+    const [, , retry] = fetchMock.mock.calls;
+    expect(retry[1].headers.Authorization).toBe("Bearer fresh-token");
+  });
+
+  it("logs out when the refresh token is rejected", async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(401))
+      .mockResolvedValueOnce(jsonResponse(401));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const response = await authFetch("/api/thing");
+
+    expect(response.status).toBe(401);
+    expect(getAuthToken()).toBeNull();
+    expect(getRefreshToken()).toBeNull();
+  });
+
+  it("keeps the session when the refresh fails on the server", async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(401))
+      .mockResolvedValueOnce(jsonResponse(503));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const response = await authFetch("/api/thing");
+
+    expect(response.status).toBe(401);
+    expect(getAuthToken()).toBe("expired-token");
+    expect(getRefreshToken()).toBe("refresh-1");
+    expect(isSessionExpired()).toBe(false);
+  });
+
+  it("refreshes only once for concurrent requests", async () => {
+    const fetchMock = vi.fn((url, options) => {
+      if (url.endsWith("/user/refresh")) {
+        return Promise.resolve(
+          jsonResponse(200, { token: "fresh-token", refreshToken: "r2" }),
+        );
+      }
+      const authorized = options.headers.Authorization === "Bearer fresh-token";
+      return Promise.resolve(jsonResponse(authorized ? 200 : 401));
+    });
+    vi.stubGlobal("fetch", fetchMock);
+
+    const responses = await Promise.all([
+      authFetch("/api/a"),
+      authFetch("/api/b"),
+    ]);
+
+    expect(responses.map((r) => r.status)).toEqual([200, 200]);
+    const refreshCalls = fetchMock.mock.calls.filter(([url]) =>
+      url.endsWith("/user/refresh"),
+    );
+    expect(refreshCalls).toHaveLength(1);
+  });
+
+  it("uses the tokens another tab stored while it held the refresh lock", async () => {
+    const locks = {
+      request: vi.fn(async (name, task) => {
+        // The other tab refreshes before the lock is granted to this one.
+        setAuthToken("other-tab-token");
+        setRefreshToken("refresh-2");
+        return task();
+      }),
+    };
+    vi.stubGlobal("navigator", { locks });
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(401))
+      .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const response = await authFetch("/api/thing");
+
+    expect(response.status).toBe(200);
+    expect(locks.request).toHaveBeenCalledWith(
+      "auth_refresh",
+      expect.any(Function),
+    );
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    const [, retry] = fetchMock.mock.calls;
+    expect(retry[1].headers.Authorization).toBe("Bearer other-tab-token");
+  });
+});
+
+describe("logout", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    setAuthToken("token");
+    setRefreshToken("refresh-1");
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("revokes the session on the backend and clears the tokens", async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValue(new Response(null, { status: 204 }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    await logout();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toMatch(/\/user\/logout$/);
+    expect(options.method).toBe("POST");
+    expect(options.headers.Authorization).toBe("Bearer token");
+    expect(getAuthToken()).toBeNull();
+    expect(getRefreshToken()).toBeNull();
+  });
+
+  it("clears the tokens even when the backend is unreachable", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockRejectedValue(new TypeError("offline")));
+
+    await logout();
+
+    expect(getAuthToken()).toBeNull();
+    expect(getRefreshToken()).toBeNull();
+  });
+});
+
+describe("token expiry", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  it("reads the expiry from the token", () => {
+    expect(isTokenExpired(fakeToken(600))).toBe(false);
+    expect(isTokenExpired(fakeToken(-10))).toBe(true);
+    expect(isTokenExpired(fakeToken(30), 60 * 1000)).toBe(true);
+    expect(isTokenExpired("not-a-jwt")).toBe(true);
+  });
+
+  it("treats an expired token without a refresh token as logged out", () => {
+    setAuthToken(fakeToken(-10));
+    expect(isAuthenticated()).toBe(false);
+
+    setRefreshToken("refresh-1");
+    expect(isAuthenticated()).toBe(true);
+  });
+});
+
+describe("scheduleTokenRefresh", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it("renews the token a minute before it expires", async () => {
+    setAuthToken(fakeToken(5 * 60));
+    setRefreshToken("refresh-1");
+    const fresh = fakeToken(15 * 60);
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValue(
+        jsonResponse(200, { token: fresh, refreshToken: "refresh-2" }),
+      );
+    vi.stubGlobal("fetch", fetchMock);
+    const onExpired = vi.fn();
+
+    const cancel = scheduleTokenRefresh(onExpired);
+    await vi.advanceTimersByTimeAsync(3 * 60 * 1000);
+    expect(fetchMock).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(getAuthToken()).toBe(fresh);
+    expect(onExpired).not.toHaveBeenCalled();
+    cancel();
+  });
+
+  it("expires the session when the refresh token is rejected", async () => {
+    setAuthToken(fakeToken(30));
+    setRefreshToken("refresh-1");
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(jsonResponse(401)));
+    const onExpired = vi.fn();
+
+    const cancel = scheduleTokenRefresh(onExpired);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(onExpired).toHaveBeenCalledTimes(1);
+    expect(getAuthToken()).toBeNull();
+    expect(isSessionExpired()).toBe(true);
+    cancel();
+  });
+
+  it("retries later when the refresh is rate limited", async () => {
+    setAuthToken(fakeToken(30));
+    setRefreshToken("refresh-1");
+    const fresh = fakeToken(15 * 60);
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(429))
+      .mockResolvedValueOnce(
+        jsonResponse(200, { token: fresh, refreshToken: "refresh-2" }),
+      );
+    vi.stubGlobal("fetch", fetchMock);
+    const onExpired = vi.fn();
+
+    const cancel = scheduleTokenRefresh(onExpired);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(getRefreshToken()).toBe("refresh-1");
+    await vi.advanceTimersByTimeAsync(30 * 1000);
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(getAuthToken()).toBe(fresh);
+    expect(onExpired).not.toHaveBeenCalled();
+    cancel();
+  });
+
+  it("does nothing once cancelled", async () => {
+    setAuthToken(fakeToken(30));
+    const onExpired = vi.fn();
+
+    scheduleTokenRefresh(onExpired)();
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(onExpired).not.toHaveBeenCalled();
+    expect(getAuthToken()).not.toBeNull();
+  });
+});
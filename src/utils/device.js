@@ -0,0 +1,40 @@
+/*
+ * Turn a User-Agent header into a short, human-readable device description
+ * for the sessions list ("Firefox on Windows"). This is a best-effort guess
+ * for display only; never use it for anything security related.
+ */
+
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome claims
+// to be Safari.
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Firefox", /Firefox\/|FxiOS/],
+  ["Chrome", /Chrome\/|CriOS/],
+  ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["ChromeOS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+function match(list, userAgent) {
+  return list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+}
+
+/**
+ * Describe the device behind a User-Agent string.
+ * Falls back to "Unknown device" when nothing is recognized.
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) return "Unknown device";
+  const browser = match(BROWSERS, userAgent);
+  const system = match(SYSTEMS, userAgent);
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+}
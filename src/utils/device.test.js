@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { describeDevice } from "./device";
+
+describe("describeDevice", () => {
+  it("recognizes common browsers and systems", () => {
+    expect(
+      describeDevice(
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0",
+      ),
+    ).toBe("Firefox on Windows");
+    expect(
+      describeDevice(
+        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36",
+      ),
+    ).toBe("Chrome on macOS");
+    expect(
+      describeDevice(
+        "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1",
+      ),
+    ).toBe("Safari on iOS");
+    expect(
+      describeDevice(
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36 Edg/130.0.0.0",
+      ),
+    ).toBe("Edge on Windows");
+  });
+
+  it("falls back for missing or unrecognized agents", () => {
+    expect(describeDevice(undefined)).toBe("Unknown device");
+    expect(describeDevice("curl/8.5.0")).toBe("Unknown device");
+  });
+});
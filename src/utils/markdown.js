@@ -0,0 +1,184 @@
+import { Marked } from "marked";
+import { markedHighlight } from "marked-highlight";
+import hljs from "highlight.js/lib/common";
+import DOMPurify from "dompurify";
+
+/**
+ * MARKDOWN RENDERING
+ *
+ * Post contents are authored in Markdown and rendered in the browser (or on
+ * the server, for server-side rendered pages).
+ * The HTML produced by marked is never trusted: it always goes through
+ * DOMPurify with an explicit allowlist before it reaches the page, so raw
+ * HTML, event handlers and javascript: URLs in a post cannot run scripts.
+ */
+
+const marked = new Marked(
+  markedHighlight({
+    emptyLangClass: "hljs",
+    langPrefix: "hljs language-",
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : "plaintext";
+      return hljs.highlight(code, { language }).value;
+    },
+  }),
+  { gfm: true, breaks: false },
+);
+
+// Everything Markdown can produce, plus the <span class> markup highlight.js
+// emits. Anything else (script, iframe, style, forms, ...) is dropped.
+const ALLOWED_TAGS = [
+  "a",
+  "blockquote",
+  "br",
+  "code",
+  "del",
+  "em",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "hr",
+  "img",
+  // GFM task list checkboxes
+  "input",
+  "li",
+  "ol",
+  "p",
+  "pre",
+  "span",
+  "strong",
+  "table",
+  "tbody",
+  "td",
+  "th",
+  "thead",
+  "tr",
+  "ul",
+];
+const ALLOWED_ATTR = [
+  "href",
+  "title",
+  "src",
+  "alt",
+  "class",
+  "align",
+  "type",
+  "checked",
+  "disabled",
+];
+
+// Attributes only a task list checkbox may carry.
+const INPUT_ATTR = ["type", "checked", "disabled"];
+// Classes highlight.js puts on code blocks and their tokens. Other classes
+// are dropped so posts cannot borrow the styles of the site around them.
+const HIGHLIGHT_CLASS = /^(hljs|language-)/;
+
+function createPurifier(window) {
+  const purifier = DOMPurify(window);
+
+  // The only inputs Markdown produces are the disabled checkboxes of GFM
+  // task lists; any other input in a post is raw HTML and is removed.
+  purifier.addHook("uponSanitizeElement", (node, data) => {
+    if (
+      data.tagName === "input" &&
+      !(
+        node.getAttribute("type") === "checkbox" &&
+        node.hasAttribute("disabled")
+      )
+    ) {
+      node.remove();
+    }
+  });
+
+  purifier.addHook("uponSanitizeAttribute", (node, data) => {
+    if (INPUT_ATTR.includes(data.attrName)) {
+      data.keepAttr = node.nodeName === "INPUT";
+    } else if (data.attrName === "class") {
+      const classes = data.attrValue
+        .split(/\s+/)
+        .filter((name) => HIGHLIGHT_CLASS.test(name));
+      data.attrValue = classes.join(" ");
+      data.keepAttr = classes.length > 0;
+    }
+  });
+
+  // Open links in a new tab without giving the target page access to ours.
+  purifier.addHook("afterSanitizeAttributes", (node) => {
+    if (node.tagName === "A" && node.hasAttribute("href")) {
+      node.setAttribute("target", "_blank");
+      node.setAttribute("rel", "noopener noreferrer nofollow");
+    }
+  });
+  return purifier;
+}
+
+// DOMPurify parses HTML with a DOM. Server-side rendering has none, so the
+// server passes in a jsdom window (see src/entry-server.jsx).
+let purifier = typeof window === "undefined" ? null : createPurifier(window);
+
+/**
+ * Sanitize Markdown output with the DOM of `window` (a jsdom window on the
+ * server) instead of the browser's.
+ */
+export function setSanitizerWindow(window) {
+  purifier = createPurifier(window);
+}
+
+/**
+ * Render Markdown to sanitized HTML, safe to pass to dangerouslySetInnerHTML.
+ */
+export function renderMarkdown(markdown) {
+  if (!purifier) {
+    throw new Error("Cannot sanitize Markdown without a DOM window");
+  }
+  const html = marked.parse(markdown ?? "");
+  return purifier.sanitize(html, {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR: [...ALLOWED_ATTR, "target", "rel"],
+  });
+}
+
+// Collect the readable text of marked tokens, skipping code blocks and HTML.
+function tokensToText(tokens = []) {
+  return tokens
+    .map((token) => {
+      switch (token.type) {
+        case "code":
+        case "html":
+        case "hr":
+        case "space":
+          return " ";
+        case "list":
+          return token.items.map((item) => tokensToText(item.tokens)).join(" ");
+        case "table":
+          return [token.header, ...token.rows]
+            .flat()
+            .map((cell) => tokensToText(cell.tokens))
+            .join(" ");
+        case "image":
+          return token.text;
+        default:
+          return token.tokens ? tokensToText(token.tokens) : token.text || "";
+      }
+    })
+    .join(" ");
+}
+
+/**
+ * Plain-text excerpt of a Markdown document for list views: formatting,
+ * code blocks and raw HTML are stripped and the text is cut at a word
+ * boundary near `maxLength` characters.
+ */
+export function markdownExcerpt(markdown, maxLength = 200) {
+  const text = tokensToText(marked.lexer(markdown ?? ""))
+    .replace(/\s+/g, " ")
+    .replace(/\s([.,;:!?])/g, "$1")
+    .trim();
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
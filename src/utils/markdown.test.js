@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { renderMarkdown, markdownExcerpt } from "./markdown";
+
+describe("renderMarkdown", () => {
+  it("renders headings, links and lists", () => {
+    const html = renderMarkdown("# Title\n\n- [docs](https://example.com)");
+
+    expect(html).toContain("<h1>Title</h1>");
+    expect(html).toContain('href="https://example.com"');
+    expect(html).toContain('rel="noopener noreferrer nofollow"');
+    expect(html).toContain("<li>");
+  });
+
+  it("strips scripts, event handlers and javascript: URLs", () => {
+    const html = renderMarkdown(
+      '<script>alert(1)</script><img src="x" onerror="alert(1)">\n\n[click](javascript:alert(1))',
+    );
+
+    expect(html).not.toContain("<script");
+    expect(html).not.toContain("onerror");
+    expect(html).not.toContain("javascript:");
+  });
+
+  it("keeps task list checkboxes but no other inputs", () => {
+    const html = renderMarkdown(
+      '- [x] done\n- [ ] todo\n\n<input type="text" value="x"><input type="checkbox">',
+    );
+
+    expect(html).toContain(
+      '<input checked="" disabled="" type="checkbox"> done',
+    );
+    expect(html).toContain('<input disabled="" type="checkbox"> todo');
+    expect(html.match(/<input/g)).toHaveLength(2);
+  });
+
+  it("keeps only highlighting classes", () => {
+    const html = renderMarkdown(
+      '<p class="hljs-keyword navbar">a</p><span class="btn" type="checkbox">b</span>',
+    );
+
+    expect(html).toContain('<p class="hljs-keyword">a</p>');
+    expect(html).toContain("<span>b</span>");
+  });
+
+  it("highlights fenced code blocks", () => {
+    const html = renderMarkdown("```js\nconst answer = 42;\n```");
+
+    expect(html).toContain('class="hljs language-js"');
+    expect(html).toContain('<span class="hljs-keyword">const</span>');
+  });
+});
+
+describe("markdownExcerpt", () => {
+  it("returns plain text without Markdown syntax or code", () => {
+    const excerpt = markdownExcerpt(
+      "# Hello\n\nSome **bold** [link](https://example.com).\n\n```\nhidden()\n```",
+    );
+
+    expect(excerpt).toBe("Hello Some bold link.");
+  });
+
+  it("cuts long text at a word boundary", () => {
+    const excerpt = markdownExcerpt("word ".repeat(100), 20);
+
+    expect(excerpt).toBe("word word word word…");
+  });
+});
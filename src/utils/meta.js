@@ -0,0 +1,138 @@
+import { backendUrl } from "../config/api.js";
+import { markdownExcerpt } from "./markdown.js";
+import { postPath } from "./posts.js";
+import { tagPath } from "./tags.js";
+
+/**
+ * PAGE METADATA
+ *
+ * Public pages describe themselves for search engines and link previews
+ * with a `meta` function in their route's `handle`, called with the route's
+ * loader data and params:
+ *
+ *   handle: { meta: ({ data }) => postMeta(data.post) }
+ *
+ * It returns { title, description, path, type, image, ... }. The server
+ * renders the deepest matched route's metadata as <title>, a meta
+ * description and Open Graph / Twitter card tags (see entry-server.jsx);
+ * in the browser App.jsx keeps the document title in sync.
+ */
+
+export const SITE_NAME = "My Blog";
+
+// Search engines show about this much of a description.
+const DESCRIPTION_LENGTH = 160;
+
+export function homeMeta() {
+  return {
+    title: SITE_NAME,
+    description: `The latest posts on ${SITE_NAME}`,
+    path: "/",
+  };
+}
+
+export function postMeta(post) {
+  return {
+    title: post.title,
+    description: markdownExcerpt(post.contents, DESCRIPTION_LENGTH),
+    path: postPath(post),
+    type: "article",
+    image: post.coverImage ? backendUrl(post.coverImage) : null,
+    author: post.author,
+    publishedTime: post.publishAt || post.createdAt,
+    tags: post.tags ?? [],
+  };
+}
+
+export function profileMeta(profile) {
+  const name = profile.displayName || profile.username;
+  return {
+    title: name,
+    description: profile.bio || `Posts by ${name} on ${SITE_NAME}`,
+    path: `/users/${encodeURIComponent(profile.username)}`,
+    type: "profile",
+    image: profile.avatar ? backendUrl(profile.avatar) : null,
+  };
+}
+
+export function tagMeta(tag) {
+  return {
+    title: `Posts tagged #${tag}`,
+    description: `Posts tagged #${tag} on ${SITE_NAME}`,
+    path: tagPath(tag),
+  };
+}
+
+/**
+ * Metadata of the page a router shows: that of the deepest matched route
+ * that provides some, or null. `state` is a data router's state, or the
+ * context of a static handler, both { matches, loaderData }.
+ */
+export function pageMeta({ matches, loaderData }) {
+  for (const { route, params } of [...matches].reverse()) {
+    const data = loaderData[route.id];
+    if (route.handle?.meta && data) {
+      return route.handle.meta({ data, params });
+    }
+  }
+  return null;
+}
+
+/**
+ * Text of the <title> element for a page's metadata
+ */
+export function documentTitle(meta) {
+  return meta && meta.title !== SITE_NAME
+    ? `${meta.title} | ${SITE_NAME}`
+    : SITE_NAME;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Render a page's metadata as the HTML of its <title>, meta description,
+ * canonical link and Open Graph / Twitter card tags. Link previews need
+ * absolute URLs, so paths are resolved against `origin`, the public origin
+ * of the site.
+ */
+export function renderMetaTags(meta, origin) {
+  const url = new URL(meta.path, origin).href;
+  const properties = [
+    ["og:site_name", SITE_NAME],
+    ["og:type", meta.type || "website"],
+    ["og:title", meta.title],
+    ["og:description", meta.description],
+    ["og:url", url],
+    ["og:image", meta.image],
+  ];
+  if (meta.type === "article") {
+    properties.push(
+      ["article:published_time", meta.publishedTime],
+      ["article:author", meta.author],
+      ...meta.tags.map((tag) => ["article:tag", tag]),
+    );
+  }
+  const names = [
+    ["description", meta.description],
+    ["twitter:card", meta.image ? "summary_large_image" : "summary"],
+    ["twitter:title", meta.title],
+    ["twitter:description", meta.description],
+    ["twitter:image", meta.image],
+  ];
+  const tag =
+    (attribute) =>
+    ([key, value]) =>
+      `<meta ${attribute}="${key}" content="${escapeHtml(value)}" />`;
+  return [
+    `<title>${escapeHtml(documentTitle(meta))}</title>`,
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    ...names.filter(([, value]) => value).map(tag("name")),
+    ...properties.filter(([, value]) => value).map(tag("property")),
+  ].join("\n    ");
+}
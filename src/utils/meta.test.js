@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import {
+  documentTitle,
+  pageMeta,
+  postMeta,
+  profileMeta,
+  renderMetaTags,
+} from "./meta";
+
+const post = {
+  _id: "0123456789abcdef01234567",
+  slug: "hello-world",
+  title: "Hello <World>",
+  contents: "# Hi\n\nSome **bold** text.",
+  author: "alice",
+  tags: ["js"],
+  createdAt: "2026-01-01T00:00:00.000Z",
+  coverImage: "https://cdn.example.com/cover.png",
+};
+
+describe("page metadata", () => {
+  it("describes a post with a plain-text excerpt", () => {
+    expect(postMeta(post)).toMatchObject({
+      title: "Hello <World>",
+      description: "Hi Some bold text.",
+      path: "/posts/hello-world",
+      type: "article",
+      image: "https://cdn.example.com/cover.png",
+    });
+  });
+
+  it("describes a profile by its display name and bio", () => {
+    expect(
+      profileMeta({ username: "alice", displayName: "Alice", bio: "" }),
+    ).toMatchObject({
+      title: "Alice",
+      description: "Posts by Alice on My Blog",
+      path: "/users/alice",
+      image: null,
+    });
+  });
+
+  it("uses the deepest route that provides metadata", () => {
+    const state = {
+      matches: [
+        { route: { id: "root" }, params: {} },
+        {
+          route: {
+            id: "post",
+            handle: { meta: ({ data }) => postMeta(data.post) },
+          },
+          params: { slug: "hello-world" },
+        },
+      ],
+      loaderData: { root: { user: null }, post: { post } },
+    };
+
+    expect(pageMeta(state).title).toBe("Hello <World>");
+    expect(pageMeta({ ...state, matches: state.matches.slice(0, 1) })).toBe(
+      null,
+    );
+  });
+
+  it("names the site in the document title", () => {
+    expect(documentTitle({ title: "Hello" })).toBe("Hello | My Blog");
+    expect(documentTitle({ title: "My Blog" })).toBe("My Blog");
+    expect(documentTitle(null)).toBe("My Blog");
+  });
+});
+
+describe("renderMetaTags", () => {
+  it("renders escaped Open Graph and Twitter card tags", () => {
+    const html = renderMetaTags(postMeta(post), "https://blog.example.com");
+
+    expect(html).toContain("<title>Hello &lt;World&gt; | My Blog</title>");
+    expect(html).toContain(
+      '<link rel="canonical" href="https://blog.example.com/posts/hello-world" />',
+    );
+    expect(html).toContain(
+      '<meta name="description" content="Hi Some bold text." />',
+    );
+    expect(html).toContain(
+      '<meta property="og:title" content="Hello &lt;World&gt;" />',
+    );
+    expect(html).toContain('<meta property="og:type" content="article" />');
+    expect(html).toContain(
+      '<meta name="twitter:card" content="summary_large_image" />',
+    );
+    expect(html).toContain('<meta property="article:tag" content="js" />');
+  });
+
+  it("leaves out the image tags of pages without one", () => {
+    const html = renderMetaTags(
+      profileMeta({ username: "alice", bio: "Hi" }),
+      "https://blog.example.com",
+    );
+
+    expect(html).toContain('<meta name="twitter:card" content="summary" />');
+    expect(html).not.toContain("og:image");
+    expect(html).not.toContain("article:");
+  });
+});
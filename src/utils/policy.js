@@ -0,0 +1,73 @@
+/**
+ * Client-side mirror of the backend's authorization policy
+ * (backend/src/services/policy.js), used to decide which actions to offer.
+ * The backend still checks every request; this only keeps the UI from
+ * showing buttons that would be answered with a 403.
+ *
+ * `viewer` is the logged-in user with their roles ({ username, roles }, see
+ * getCurrentViewer()); resources name their owners by username, as the API
+ * returns them.
+ */
+import { useRouteLoaderData } from "react-router-dom";
+import { getCurrentRoles, getCurrentUser } from "./auth.js";
+
+/**
+ * The logged-in user together with the roles from their access token, or
+ * null when logged out
+ */
+export function getCurrentViewer() {
+  const user = getCurrentUser();
+  return user ? { ...user, roles: getCurrentRoles() } : null;
+}
+
+/**
+ * The viewer as the root route's auth loader last saw them (see
+ * routes/auth.loader.js). Server-rendered pages use this rather than
+ * getCurrentViewer(): they hydrate as the anonymous page the server rendered
+ * and catch up once the loaders run in the browser (see App.jsx).
+ */
+export function useViewer() {
+  const authData = useRouteLoaderData("root");
+  return authData?.user ? { ...authData.user, roles: authData.roles } : null;
+}
+
+/**
+ * Whether `viewer` has at least one of `roles`
+ */
+export function hasRole(viewer, ...roles) {
+  return roles.some((role) => viewer?.roles?.includes(role));
+}
+
+function isSelf(viewer, username) {
+  return username != null && viewer.username === username;
+}
+
+function isStaff(viewer) {
+  return hasRole(viewer, "moderator", "admin");
+}
+
+const RULES = {
+  "post:edit": (viewer, { author }) =>
+    isSelf(viewer, author) || isStaff(viewer),
+  "post:delete": (viewer, { author }) =>
+    isSelf(viewer, author) || isStaff(viewer),
+  "post:history": (viewer, { author }) =>
+    isSelf(viewer, author) || isStaff(viewer),
+  "post:pin": (viewer) => isStaff(viewer),
+  "comment:edit": (viewer, { author }) => isSelf(viewer, author),
+  "comment:delete": (viewer, { author, postAuthor }) =>
+    isSelf(viewer, author) || isSelf(viewer, postAuthor) || isStaff(viewer),
+  "user:manage": (viewer) => hasRole(viewer, "admin"),
+};
+
+/**
+ * Whether `viewer` may perform `action` on `resource`, e.g.
+ * can(viewer, "post:edit", { author: post.author })
+ */
+export function can(viewer, action, resource = {}) {
+  const rule = RULES[action];
+  if (!rule) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+  return Boolean(viewer) && rule(viewer, resource);
+}
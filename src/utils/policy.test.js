@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { can, getCurrentViewer, hasRole } from "./policy";
+import { setAuthToken, setCurrentUser } from "./auth";
+
+// An unsigned JWT is enough: the client only decodes the claims.
+function fakeToken(claims) {
+  const encode = (value) =>
+    btoa(JSON.stringify(value))
+      .replace(/=+$/, "")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_");
+  return `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}.signature`;
+}
+
+describe("policy", () => {
+  const author = { username: "alice", roles: [] };
+  const reader = { username: "bob", roles: [] };
+  const moderator = { username: "carol", roles: ["moderator"] };
+  const admin = { username: "dave", roles: ["admin"] };
+  const post = { author: "alice" };
+
+  it("lets authors and staff edit and delete posts", () => {
+    for (const action of ["post:edit", "post:delete", "post:history"]) {
+      expect(can(author, action, post)).toBe(true);
+      expect(can(moderator, action, post)).toBe(true);
+      expect(can(admin, action, post)).toBe(true);
+      expect(can(reader, action, post)).toBe(false);
+    }
+  });
+
+  it("only lets staff pin posts", () => {
+    expect(can(author, "post:pin", post)).toBe(false);
+    expect(can(moderator, "post:pin", post)).toBe(true);
+  });
+
+  it("keeps comment edits to their author", () => {
+    const comment = { author: "bob", postAuthor: "alice" };
+    expect(can(reader, "comment:edit", comment)).toBe(true);
+    expect(can(moderator, "comment:edit", comment)).toBe(false);
+    expect(can(author, "comment:delete", comment)).toBe(true);
+    expect(can(moderator, "comment:delete", comment)).toBe(true);
+  });
+
+  it("allows nothing when logged out", () => {
+    expect(can(null, "post:edit", post)).toBe(false);
+    expect(hasRole(null, "admin")).toBe(false);
+  });
+
+  it("rejects unknown actions", () => {
+    expect(() => can(admin, "post:launch")).toThrow("Unknown policy action");
+  });
+});
+
+describe("getCurrentViewer", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("is null when logged out", () => {
+    expect(getCurrentViewer()).toBeNull();
+  });
+
+  it("adds the roles from the access token to the stored user", () => {
+    setCurrentUser({ username: "carol" });
+    setAuthToken(fakeToken({ username: "carol", roles: ["moderator"] }));
+
+    expect(getCurrentViewer()).toEqual({
+      username: "carol",
+      roles: ["moderator"],
+    });
+  });
+
+  it("treats tokens without roles as having none", () => {
+    setCurrentUser({ username: "bob" });
+    setAuthToken(fakeToken({ username: "bob" }));
+
+    expect(getCurrentViewer().roles).toEqual([]);
+  });
+});
@@ -0,0 +1,5 @@
+// Path of a post's page: its slug, or its id for posts from before slugs
+// existed (see postPageLoader in routes/posts.loader.js).
+export function postPath(post) {
+  return `/posts/${encodeURIComponent(post.slug || post._id || post.id)}`;
+}
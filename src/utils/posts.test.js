@@ -0,0 +1,16 @@
+import { describe, it, expect } from "vitest";
+import { postPath } from "./posts";
+
+describe("postPath", () => {
+  it("links to the post's slug", () => {
+    expect(postPath({ _id: "0123456789abcdef01234567", slug: "ça-va" })).toBe(
+      "/posts/%C3%A7a-va",
+    );
+  });
+
+  it("falls back to the id of posts without a slug", () => {
+    expect(postPath({ _id: "0123456789abcdef01234567" })).toBe(
+      "/posts/0123456789abcdef01234567",
+    );
+  });
+});
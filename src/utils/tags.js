@@ -0,0 +1,21 @@
+/**
+ * Tags are saved normalized by the backend (see backend/src/services/tags.js):
+ * lowercase letters and digits separated by single dashes. The tag input
+ * applies the same rules so authors see the tag as it will be stored.
+ */
+
+const MAX_TAG_LENGTH = 50;
+
+export function normalizeTag(tag) {
+  return String(tag)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .slice(0, MAX_TAG_LENGTH)
+    .replace(/^-+|-+$/g, "");
+}
+
+// Path of the page listing a tag's posts.
+export function tagPath(tag) {
+  return `/tags/${encodeURIComponent(tag)}`;
+}
@@ -0,0 +1,18 @@
+import { describe, it, expect } from "vitest";
+import { normalizeTag, tagPath } from "./tags";
+
+describe("normalizeTag", () => {
+  it("matches the backend's normalization", () => {
+    expect(normalizeTag("  Web Development ")).toBe("web-development");
+    expect(normalizeTag("C++ / Rust!")).toBe("c-rust");
+    expect(normalizeTag("Ünïcode_Tags")).toBe("ünïcode-tags");
+    expect(normalizeTag("---")).toBe("");
+  });
+});
+
+describe("tagPath", () => {
+  it("encodes the tag", () => {
+    expect(tagPath("c-rust")).toBe("/tags/c-rust");
+    expect(tagPath("ünïcode")).toBe("/tags/%C3%BCn%C3%AFcode");
+  });
+});
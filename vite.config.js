@@ -1,9 +1,31 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+// The backend renders the feeds, sitemaps and robots.txt the site serves
+// under its own URLs (/feed.xml, /users/:username/feed.xml, /sitemap.xml,
+// ...); in production the hosting forwards those paths to the backend, and
+// the dev server proxies them.
+const backendOrigin = new URL(
+  process.env.VITE_BACKEND_URL || "http://localhost:8080/api/v1",
+).origin;
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    proxy: {
+      "^/(.+/)?(feed|atom)\\.xml$": backendOrigin,
+      "^/sitemap(-[a-z]+-\\d+)?\\.xml$": backendOrigin,
+      "^/robots\\.txt$": backendOrigin,
+    },
+  },
+  ssr: {
+    resolve: {
+      // React Router only offers Node its ES modules under this condition;
+      // the CommonJS fallback hides named exports from Vite's SSR loader.
+      externalConditions: ["module-sync"],
+    },
+  },
   test: {
     environment: "jsdom",
     setupFiles: ["./vitest.setup.js"],